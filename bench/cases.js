@@ -0,0 +1,151 @@
+/*
+ * shapeOf
+ * Benchmark Cases
+ *
+ * The cases measured by bench/run.js. Each case has a unique name, which is how its results are
+ * matched with those of the baseline, a function to run, and optionally a function building the
+ * payload given to each run. Payloads are built anew for every run, since validations may mutate
+ * them.
+ *
+ * Renaming a case, or changing what it measures, makes its baseline results meaningless; save a
+ * new baseline afterwards.
+ */
+const shapeOf = require('../index.js');
+
+let flat = {
+	'id': shapeOf.integer.min(1),
+	'name': shapeOf.string.size(1, 50),
+	'email': shapeOf.string.email,
+	'age': shapeOf.optional.integer.range(0, 150),
+	'zip': shapeOf.string.pattern('^[0-9]{5}$'),
+	'role': shapeOf.oneOf('admin', 'user', 'guest'),
+	'score': shapeOf.number,
+	'verified': shapeOf.bool,
+	'ip': shapeOf.string.IPv4,
+	'tags': shapeOf.arrayOf(shapeOf.string)
+};
+let makeFlat = (i) => ({
+	'id': i + 1,
+	'name': 'User ' + i,
+	'email': `user${i}@example.com`,
+	'age': 20 + i % 50,
+	'zip': String(10000 + i % 90000),
+	'role': 'user',
+	'score': i / 3,
+	'verified': i % 2 === 0,
+	'ip': '192.168.0.' + i % 256,
+	'tags': ['a', 'b', 'c']
+});
+let invalidFlat = {...makeFlat(0), 'email': 'invalid', 'role': 'owner', 'tags': [1, 2]};
+
+let nestingDepth = 20;
+let makeNestedSchema = (depth) => ({
+	'name': shapeOf.string,
+	'value': shapeOf.number,
+	'child': depth > 1 ? makeNestedSchema(depth - 1) : shapeOf.null
+});
+let makeNested = (depth) => ({
+	'name': 'Level ' + depth,
+	'value': depth,
+	'child': depth > 1 ? makeNested(depth - 1) : null
+});
+let nested = makeNestedSchema(nestingDepth);
+
+let recordCount = 1000;
+let records = [];
+for (let i = 0; i < recordCount; i++)
+	records.push(makeFlat(i));
+let numberCount = 10000;
+let numbers = [];
+for (let i = 0; i < numberCount; i++)
+	numbers.push(i);
+
+let chain = shapeOf.eachOf(
+	shapeOf.asNumber,
+	shapeOf.number.range(0, 1e6),
+	shapeOf.integer,
+	shapeOf.oneOfType(shapeOf.integer.min(0), shapeOf.null)
+);
+let strings = numbers.slice(0, recordCount).map(String);
+
+let composite = {
+	...flat,
+	'address': {
+		'street': shapeOf.string,
+		'country': shapeOf.oneOf('US', 'CA')
+	},
+	'contacts': shapeOf.optional.arrayOf({'type': shapeOf.string, 'value': shapeOf.string}),
+	'meta': shapeOf.objectOf(shapeOf.primitive)
+};
+let serialized = shapeOf.serialize(composite);
+let compiledRecords = shapeOf.compile(shapeOf.arrayOf(flat));
+
+module.exports = [
+	{
+		name: 'flat object',
+		run: (obj) => shapeOf(obj).is(flat),
+		payload: () => makeFlat(1)
+	},
+	{
+		name: 'flat object, returnsResults',
+		run: (obj) => shapeOf(obj).returnsResults.is(flat),
+		payload: () => makeFlat(1)
+	},
+	{
+		name: 'flat object, invalid',
+		run: (obj) => shapeOf(obj).is(flat),
+		payload: () => ({...invalidFlat})
+	},
+	{
+		name: 'flat object, invalid, returnsResults + collectsAllErrors',
+		run: (obj) => shapeOf(obj).returnsResults.collectsAllErrors.is(flat),
+		payload: () => ({...invalidFlat})
+	},
+	{
+		name: `nested objects, ${nestingDepth} levels`,
+		run: (obj) => shapeOf(obj).is(nested),
+		payload: () => makeNested(nestingDepth)
+	},
+	{
+		name: `nested objects, ${nestingDepth} levels, returnsResults`,
+		run: (obj) => shapeOf(obj).returnsResults.is(nested),
+		payload: () => makeNested(nestingDepth)
+	},
+	{
+		name: `arrayOf ${numberCount} numbers`,
+		run: (obj) => shapeOf(obj).is(shapeOf.arrayOf(shapeOf.number)),
+		payload: () => numbers.slice()
+	},
+	{
+		name: `arrayOf ${recordCount} records`,
+		run: (obj) => shapeOf(obj).is(shapeOf.arrayOf(flat)),
+		payload: () => records.map(record => ({...record}))
+	},
+	{
+		name: `arrayOf ${recordCount} records, returnsResults`,
+		run: (obj) => shapeOf(obj).returnsResults.is(shapeOf.arrayOf(flat)),
+		payload: () => records.map(record => ({...record}))
+	},
+	{
+		name: `arrayOf ${recordCount} records, compiled`,
+		run: (obj) => compiledRecords(obj),
+		payload: () => records.map(record => ({...record}))
+	},
+	{
+		name: `eachOf chain, ${recordCount} strings`,
+		run: (obj) => shapeOf(obj).returnsObject.is(shapeOf.arrayOf(chain)),
+		payload: () => strings.slice()
+	},
+	{
+		name: 'serialize',
+		run: () => shapeOf.serialize(composite)
+	},
+	{
+		name: 'deserialize',
+		run: () => shapeOf.deserialize(serialized)
+	},
+	{
+		name: 'serialize + deserialize round-trip',
+		run: () => shapeOf.deserialize(shapeOf.serialize(composite))
+	}
+];
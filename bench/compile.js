@@ -0,0 +1,135 @@
+/*
+ * shapeOf
+ * Compiled Benchmark Script
+ *
+ * A small utility script comparing validations using shapeOf(obj).is(schema) with validations
+ * using functions compiled by shapeOf.compile(), on both large payloads and many small payloads.
+ * Before being timed, each case checks that both return the same results.
+ *
+ * Usage: node bench/compile.js [records] [seconds]
+ *
+ * Large payloads contain 1,000 records by default, and each case runs for about a second.
+ */
+const shapeOf = require('../index.js');
+const { measure, format } = require('./measure.js');
+
+let args = process.argv.slice(2);
+let recordCount = Number(args[0] || 1000);
+let duration = Number(args[1] || 1);
+if (!(recordCount >= 1) || !(duration > 0)) {
+	console.error('Usage: node bench/compile.js [records] [seconds]');
+	process.exit(1);
+}
+
+let user = shapeOf.shape({
+	'id': shapeOf.integer.min(1),
+	'name': shapeOf.string.size(1, 50),
+	'email': shapeOf.string.email,
+	'zip': shapeOf.string.pattern('^[0-9]{5}$'),
+	'tags': shapeOf.arrayOf(shapeOf.string),
+	'address': {
+		'street': shapeOf.string,
+		'city': shapeOf.string,
+		'country': shapeOf.oneOf('US', 'CA')
+	},
+	'active': shapeOf.optional.bool.default(true)
+});
+let query = {
+	'page': shapeOf.asInteger.min(1),
+	'limit': shapeOf.asInteger.range(1, 100),
+	'sort': shapeOf.optional.oneOf('name', 'date'),
+	'archived': shapeOf.optional.asBool
+};
+let category = shapeOf.define('BenchmarkCategory', {
+	'name': shapeOf.string,
+	'children': shapeOf.optional.arrayOf(shapeOf.ref('BenchmarkCategory'))
+});
+
+let makeUser = (i) => ({
+	'id': i + 1,
+	'name': 'User ' + i,
+	'email': `user${i}@example.com`,
+	'zip': String(10000 + i % 90000),
+	'tags': ['a', 'b', 'c'],
+	'address': {'street': i + ' Main St', 'city': 'Springfield', 'country': i % 2 ? 'US' : 'CA'}
+});
+let makeCategory = (depth) => ({
+	'name': 'Category ' + depth,
+	'children': depth > 0 ? [makeCategory(depth - 1), makeCategory(depth - 1)] : []
+});
+let users = [];
+for (let i = 0; i < recordCount; i++)
+	users.push(makeUser(i));
+let invalidUsers = users.map((record, i) => i % 10 ? record : {...record, 'email': 'invalid', 'tags': [1]});
+
+// Payloads are copied before each validation, since validations may mutate them
+let cases = [
+	{
+		name: `arrayOf ${recordCount} records`,
+		schema: shapeOf.arrayOf(user),
+		payload: () => users.map(record => ({...record}))
+	},
+	{
+		name: `arrayOf ${recordCount} records, returnsResults + collectsAllErrors, 10% invalid`,
+		schema: shapeOf.arrayOf(user),
+		options: {returnsResults: true, collectsAllErrors: true},
+		payload: () => invalidUsers.map(record => ({...record}))
+	},
+	{
+		name: 'recursive schema (shapeOf.ref), 511 nodes',
+		schema: category,
+		payload: () => makeCategory(8)
+	},
+	{
+		name: 'single record',
+		schema: user,
+		payload: () => makeUser(0)
+	},
+	{
+		name: 'query string coercion',
+		schema: query,
+		options: {returnsObject: true},
+		payload: () => ({'page': '2', 'limit': '25', 'sort': 'name', 'archived': 'false'})
+	}
+];
+
+/**
+ * Builds the equivalent shapeOf() chain calls for the options of shapeOf.compile().
+ *
+ * @param      {Object}    options  The options
+ * @return     {Function}  Validates an object against a schema
+ */
+let interpreted = (options) => (obj, schema) => {
+	let actions = shapeOf(obj);
+	if (options.returnsObject)
+		actions = actions.returnsObject;
+	if (options.returnsResults)
+		actions = actions.returnsResults;
+	if (options.collectsAllErrors)
+		actions = actions.collectsAllErrors;
+	return actions.is(schema);
+};
+
+console.log(`shapeOf ${shapeOf.version} on Node.js ${process.version}\n`);
+cases.forEach(benchmark => {
+	let options = benchmark.options || {};
+	let validate = interpreted(options);
+	let compiled = shapeOf.compile(benchmark.schema, options);
+
+	let expected = JSON.stringify(validate(benchmark.payload(), benchmark.schema));
+	let actual = JSON.stringify(compiled(benchmark.payload()));
+	if (expected !== actual) {
+		console.error(`'${benchmark.name}': compiled results differ from shapeOf().is().`);
+		process.exit(1);
+	}
+
+	// Warm up both before measuring
+	measure(obj => validate(obj, benchmark.schema), benchmark.payload, duration);
+	measure(compiled, benchmark.payload, duration);
+	let interpretedOps = measure(obj => validate(obj, benchmark.schema), benchmark.payload, duration);
+	let compiledOps = measure(compiled, benchmark.payload, duration);
+
+	console.log(benchmark.name);
+	console.log(`  shapeOf().is()      ${format(interpretedOps).padStart(12)} ops/sec`);
+	console.log(`  shapeOf.compile()   ${format(compiledOps).padStart(12)} ops/sec   ${(compiledOps / interpretedOps).toFixed(2)}x`);
+});
@@ -0,0 +1,49 @@
+/*
+ * shapeOf
+ * Benchmark Measuring Functions
+ *
+ * Shared by the benchmark scripts within this directory.
+ */
+
+/**
+ * Measures how many times per second a function runs. Runs are timed in batches, with payloads
+ * built before each batch so building them isn't measured, and the median of the batches is used
+ * to lessen the effect of garbage collection and other noise.
+ *
+ * @param      {Function}  fn        The function, given a new payload on every run
+ * @param      {Function}  payload   Builds a payload
+ * @param      {number}    duration  The time to measure for, in seconds
+ * @return     {number}    The number of runs per second
+ */
+let measure = (fn, payload, duration) => {
+	duration *= 1e9;
+	let start = process.hrtime.bigint();
+	fn(payload());
+	let batchSize = Math.max(1, Math.floor(1e7 / Number(process.hrtime.bigint() - start)));
+
+	let rates = [];
+	let elapsed = 0;
+	while (elapsed < duration || rates.length < 5) {
+		let payloads = [];
+		for (let i = 0; i < batchSize; i++)
+			payloads.push(payload());
+		start = process.hrtime.bigint();
+		for (let i = 0; i < batchSize; i++)
+			fn(payloads[i]);
+		let batchTime = Number(process.hrtime.bigint() - start);
+		elapsed += batchTime;
+		rates.push(batchSize / (batchTime / 1e9));
+	}
+	rates.sort((a, b) => a - b);
+	return rates[Math.floor(rates.length / 2)];
+};
+
+/**
+ * Formats a number of runs per second.
+ *
+ * @param      {number}  n       The number of runs per second
+ * @return     {string}  The formatted number
+ */
+let format = (n) => n >= 100 ? Math.round(n).toLocaleString('en-US') : n.toFixed(1);
+
+module.exports = { measure, format };
@@ -0,0 +1,122 @@
+/*
+ * shapeOf
+ * Benchmark Script
+ *
+ * A small utility script measuring the validations, serializations, and deserializations of
+ * representative schemas (see bench/cases.js) in runs per second, and comparing them with those
+ * of a baseline to find performance regressions.
+ *
+ * Usage: node bench/run.js [options]
+ *
+ * Options:
+ *   --duration <seconds>    How long to measure each case for (default: 1)
+ *   --filter <text>         Only measure cases whose name includes the text
+ *   --output <file>         Write the results to a JSON file
+ *   --baseline <file>       The baseline results to compare with (default: bench/baseline.json)
+ *   --save                  Save the results as the baseline rather than comparing with it
+ *   --threshold <percent>   How much slower than the baseline a case may be before it's
+ *                           reported as a regression (default: 15)
+ *
+ * Exits with 1 if any case regressed. Results depend on the machine, so baselines should be
+ * saved and compared on the same machine, i.e. by saving one before making changes.
+ */
+const fs = require('fs');
+const path = require('path');
+const shapeOf = require('../index.js');
+const cases = require('./cases.js');
+const { measure, format } = require('./measure.js');
+
+const usage = 'Usage: node bench/run.js [--duration <seconds>] [--filter <text>] [--output <file>] ' +
+	'[--baseline <file>] [--save] [--threshold <percent>]';
+
+let options = {
+	duration: 1,
+	filter: '',
+	output: null,
+	baseline: path.join(__dirname, 'baseline.json'),
+	save: false,
+	threshold: 15
+};
+let args = process.argv.slice(2);
+for (let i = 0; i < args.length; i++) {
+	let name = args[i].replace(/^--/, '');
+	if (args[i] === '--save') {
+		options.save = true;
+	} else if (args[i].startsWith('--') && Object.prototype.hasOwnProperty.call(options, name) && i + 1 < args.length) {
+		options[name] = args[++i];
+	} else {
+		console.error(usage);
+		process.exit(1);
+	}
+}
+options.duration = Number(options.duration);
+options.threshold = Number(options.threshold);
+if (!(options.duration > 0) || !(options.threshold >= 0)) {
+	console.error(usage);
+	process.exit(1);
+}
+
+let baseline = null;
+if (!options.save && fs.existsSync(options.baseline)) {
+	baseline = JSON.parse(fs.readFileSync(options.baseline).toString());
+}
+
+let selected = cases.filter(benchmark => benchmark.name.includes(options.filter));
+if (selected.length === 0) {
+	console.error(`No cases match '${options.filter}'.`);
+	process.exit(1);
+}
+
+let results = {
+	version: shapeOf.version,
+	node: process.version,
+	platform: `${process.platform} ${process.arch}`,
+	date: new Date().toISOString(),
+	duration: options.duration,
+	results: {}
+};
+
+console.log(`shapeOf ${shapeOf.version} on Node.js ${process.version}`);
+if (baseline)
+	console.log(`Comparing with shapeOf ${baseline.version} on Node.js ${baseline.node} (${options.baseline}), ` +
+		`regression threshold ${options.threshold}%`);
+console.log('');
+
+let regressions = [];
+selected.forEach(benchmark => {
+	let payload = benchmark.payload || (() => undefined);
+	// Warm up before measuring
+	measure(benchmark.run, payload, options.duration / 4);
+	let ops = measure(benchmark.run, payload, options.duration);
+	results.results[benchmark.name] = {ops: Math.round(ops * 10) / 10};
+
+	let line = `${benchmark.name.padEnd(60)} ${format(ops).padStart(12)} ops/sec`;
+	let base = baseline && baseline.results[benchmark.name];
+	if (base) {
+		let change = (ops / base.ops - 1) * 100;
+		line += `   ${(change >= 0 ? '+' : '') + change.toFixed(1)}%`;
+		if (change < -options.threshold) {
+			line = line.padEnd(95) + 'REGRESSION';
+			regressions.push(benchmark.name);
+		}
+	} else if (baseline) {
+		line += '   (not in baseline)';
+	}
+	console.log(line);
+});
+
+if (options.output) {
+	fs.writeFileSync(options.output, JSON.stringify(results, null, 2) + '\n');
+	console.log(`\nWrote results to '${options.output}'.`);
+}
+if (options.save) {
+	fs.writeFileSync(options.baseline, JSON.stringify(results, null, 2) + '\n');
+	console.log(`\nSaved results as the baseline '${options.baseline}'.`);
+} else if (!baseline) {
+	console.log(`\nNo baseline found at '${options.baseline}'; save one using --save.`);
+}
+
+if (regressions.length > 0) {
+	console.error(`\n${regressions.length} case(s) ran more than ${options.threshold}% slower than the baseline.`);
+	process.exit(1);
+}
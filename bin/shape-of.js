@@ -0,0 +1,248 @@
+#!/usr/bin/env node
+/*
+ * shapeOf
+ * Command-Line Validator
+ *
+ * Validates JSON and NDJSON (newline-delimited JSON) inputs against a schema serialized using
+ * shapeOf.serialize(), printing the failures of every invalid record.
+ *
+ * Usage: shape-of <schema.json> [input ...] [options]
+ *
+ * Inputs are files, or '-' for stdin, which is also read when no input is given. Files ending in
+ * '.ndjson' or '.jsonl' are read as NDJSON, where every non-empty line is a record. Any other
+ * input is read as a single JSON record, unless it isn't valid JSON but its first line is, in
+ * which case it's read as NDJSON.
+ *
+ * Options:
+ *   --exact               Fail records with keys that aren't in the schema, like .isExactly()
+ *   --all-errors          Report every failure of a record, like .collectsAllErrors
+ *   --output <format>     'text' (default) or 'json'
+ *   --locale <locale>     The locale of failure messages (default: 'en')
+ *   --require <module>    Load a module registering custom validators before deserializing the
+ *                         schema; may be given more than once
+ *
+ * Exits with 0 when every record is valid, 1 when any record is invalid, and 2 when the schema or
+ * an input can't be read.
+ */
+const fs = require('fs');
+const readline = require('readline');
+const shapeOf = require('../index.js');
+
+const usage = 'Usage: shape-of <schema.json> [input ...] [--exact] [--all-errors] [--output json|text] ' +
+	'[--locale <locale>] [--require <module>]';
+
+/**
+ * Prints an error and exits.
+ *
+ * @param      {string}  message  The error message
+ */
+let fail = (message) => {
+	console.error(message);
+	process.exit(2);
+};
+
+let options = {
+	exact: false,
+	allErrors: false,
+	output: 'text',
+	locale: 'en',
+	require: []
+};
+let positionals = [];
+let args = process.argv.slice(2);
+for (let i = 0; i < args.length; i++) {
+	let arg = args[i];
+	let value = null;
+	if (arg.startsWith('--') && arg.indexOf('=') !== -1) {
+		value = arg.substr(arg.indexOf('=') + 1);
+		arg = arg.substr(0, arg.indexOf('='));
+	}
+	if (arg === '--help' || arg === '-h') {
+		console.log(usage);
+		process.exit(0);
+	} else if (arg === '--exact' || arg === '--all-errors') {
+		options[arg === '--exact' ? 'exact' : 'allErrors'] = true;
+	} else if (arg === '--output' || arg === '--locale' || arg === '--require') {
+		if (value === null) {
+			if (i + 1 >= args.length)
+				fail(usage);
+			value = args[++i];
+		}
+		if (arg === '--require')
+			options.require.push(value);
+		else
+			options[arg.substr(2)] = value;
+	} else if (arg.startsWith('--')) {
+		fail(`Unknown option '${arg}'.\n${usage}`);
+	} else {
+		positionals.push(arg);
+	}
+}
+if (positionals.length < 1)
+	fail(usage);
+if (options.output !== 'text' && options.output !== 'json')
+	fail(`The output format must be 'text' or 'json', not '${options.output}'.`);
+let schemaFile = positionals[0];
+let inputs = positionals.length > 1 ? positionals.slice(1) : ['-'];
+
+// Custom validators are registered before deserializing, since deserializing looks them up by
+// name. Modules may also export a function, which is given shapeOf, for when they'd otherwise
+// load a different copy of shapeOf than this script.
+options.require.forEach(name => {
+	let exported;
+	try {
+		exported = require(require.resolve(name, {paths: [process.cwd()]}));
+	} catch (e) {
+		fail(`Couldn't load '${name}': ${e.message.split('\n')[0]}`);
+	}
+	if (typeof exported === 'function' && !shapeOf.isValidator(exported))
+		exported(shapeOf);
+});
+
+let schema;
+try {
+	schema = shapeOf.deserialize(fs.readFileSync(schemaFile).toString());
+} catch (e) {
+	fail(`Couldn't read the schema '${schemaFile}': ${e.message}` +
+		(/Validator not found/.test(e.message) ? '\nCustom validators can be loaded using --require.' : ''));
+}
+
+let validate;
+try {
+	// Values are evaluated one at a time unless every failure is reported, since values evaluated
+	// concurrently are all evaluated, and logged, even once one has failed
+	validate = shapeOf.compile(schema, {
+		async: true,
+		returnsResults: true,
+		exact: options.exact,
+		collectsAllErrors: options.allErrors,
+		concurrency: options.allErrors ? undefined : 1,
+		locale: options.locale
+	});
+} catch (e) {
+	fail(e.message);
+}
+
+/**
+ * Parses a record.
+ *
+ * @param      {string}  text    The JSON text of the record
+ * @param      {string}  id      Describes where the record is, i.e. 'file.ndjson:3'
+ * @return     {Object}  The record's id, and either its value or the error parsing it
+ */
+let parseRecord = (text, id) => {
+	try {
+		return {id, value: JSON.parse(text)};
+	} catch (e) {
+		return {id, error: e.message};
+	}
+};
+
+/**
+ * Reads the records of an input.
+ *
+ * @param      {string}         input   The file, or '-' for stdin
+ * @return     {AsyncIterator}  The parsed records (see parseRecord())
+ */
+let readRecords = async function*(input) {
+	let name = input === '-' ? '<stdin>' : input;
+	let stream;
+	if (input === '-') {
+		stream = process.stdin;
+		stream.setEncoding('utf8');
+	} else {
+		stream = fs.createReadStream(input, 'utf8');
+	}
+
+	if (/\.(ndjson|jsonl)$/i.test(input)) {
+		// Read line by line, so large files aren't read into memory at once
+		let line = 0;
+		for await (let text of readline.createInterface({input: stream, crlfDelay: Infinity})) {
+			line++;
+			if (text.trim() !== '')
+				yield parseRecord(text, `${name}:${line}`);
+		}
+		return;
+	}
+
+	let text = '';
+	for await (let chunk of stream)
+		text += chunk;
+	let record = parseRecord(text, name);
+	if (!record.error) {
+		yield record;
+		return;
+	}
+	let records = text.split(/\r?\n/)
+		.map((line, i) => line.trim() === '' ? null : parseRecord(line, `${name}:${i + 1}`))
+		.filter(lineRecord => lineRecord !== null);
+	if (records.length > 1 && !records[0].error)
+		yield* records;
+	else
+		yield record;
+};
+
+/**
+ * Lists the failures of a record from the log of its results. Failures propagate up to every
+ * object and array containing the value that failed, so unless every failure is reported, only
+ * the first failure of each path without failures beneath it is listed. Otherwise, every failure
+ * is listed, other than repeats of the same failure.
+ *
+ * @param      {Object}  results  The results of validating the record
+ * @return     {Array}   The failures, with their path, code, validator, and message
+ */
+let findFailures = (results) => {
+	let failed = results.log.filter(entry => entry.code !== 'mutation' && entry.code !== 'validator_log');
+	let failures = [];
+	failed.forEach(entry => {
+		if (options.allErrors) {
+			if (failures.some(failure => failure.path === entry.path && failure.code === entry.code && failure.validator === entry.validator))
+				return;
+		} else {
+			if (failures.some(failure => failure.path === entry.path))
+				return;
+			if (failed.some(other => other.path.startsWith(entry.path + '/')))
+				return;
+		}
+		let failure = {path: entry.path, code: entry.code, message: entry.message};
+		if (entry.validator)
+			failure.validator = entry.validator;
+		failures.push(failure);
+	});
+	return failures;
+};
+
+(async () => {
+	let count = 0;
+	let failed = [];
+	for (let i = 0; i < inputs.length; i++) {
+		for await (let record of readRecords(inputs[i])) {
+			count++;
+			let failures;
+			if (record.error) {
+				failures = [{path: '', code: 'invalid_json', message: `Invalid JSON: ${record.error}`}];
+			} else {
+				let results = await validate(record.value);
+				if (results.success)
+					continue;
+				failures = findFailures(results);
+			}
+			failed.push({record: record.id, failures});
+			if (options.output === 'text') {
+				console.log(record.id);
+				failures.forEach(failure => console.log(`  ${failure.path || '(root)'}: ${failure.message}`));
+			}
+		}
+	}
+
+	if (options.output === 'json') {
+		console.log(JSON.stringify({valid: failed.length === 0, records: count, invalid: failed.length, failures: failed}, null, 2));
+	} else if (failed.length > 0) {
+		console.log(`\n${failed.length} of ${count} record(s) invalid.`);
+	} else {
+		console.log(`All ${count} record(s) valid.`);
+	}
+	process.exitCode = failed.length > 0 ? 1 : 0;
+})().catch(e => {
+	fail(e.code === 'ENOENT' ? `Couldn't read '${e.path}'.` : e.message);
+});
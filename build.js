@@ -0,0 +1,76 @@
+/*
+ * shapeOf
+ * Build Script
+ *
+ * A small utility script to generate the module entries from index.js:
+ *
+ *   index.min.js           Minified CommonJS module (package.json 'main')
+ *   index.mjs              ES module, with shapeOf as the default export along with named exports
+ *   index.browser.min.js   Minified browser script, which sets the global 'shapeOf' variable
+ */
+const fs = require('fs');
+
+let terser;
+try {
+	terser = require('terser');
+} catch (e) {
+	console.error("The 'terser' package is required to build. Run 'npm install' first.");
+	process.exit(1);
+}
+
+// Named exports of the ES module
+const namedExports = ['Validator', 'serialize', 'deserialize', 'ShapeOfError', 'ValidationError', 'SchemaDefinitionError', 'DeserializationError'];
+
+// Generated entries use LF line endings, regardless of those of index.js
+let source = fs.readFileSync('./index.js').toString().replace(/\r\n/g, '\n');
+let exportsIndex = source.indexOf('\n// NOTE: The following exports are replaced');
+if (exportsIndex === -1) {
+	console.error("Couldn't find the exports section of index.js.");
+	process.exit(1);
+}
+let header = source.substr(0, source.indexOf('*/') + 2) + '\n';
+let body = source.substr(0, exportsIndex).trim() + '\n';
+
+let builds = [
+	{
+		file: './index.min.js',
+		code: body + '\nmodule.exports = shapeOf;\n',
+		minify: true
+	},
+	{
+		file: './index.mjs',
+		// Aliased, since the error classes are already declared by name within the module
+		code: body + '\n\n\nexport default shapeOf;\n' +
+		      namedExports.map(name => `const _export_${name} = shapeOf.${name};`).join('\n') + '\n' +
+		      'export { ' + namedExports.map(name => `_export_${name} as ${name}`).join(', ') + ' };\n',
+		minify: false
+	},
+	{
+		file: './index.browser.min.js',
+		code: '(function(root) {\n' + body + '\nroot.shapeOf = shapeOf;\n' +
+		      "})(typeof globalThis !== 'undefined' ? globalThis : typeof self !== 'undefined' ? self : this);\n",
+		minify: true
+	}
+];
+
+(async () => {
+	for (let i = 0; i < builds.length; i++) {
+		let build = builds[i];
+		let code = build.code;
+		if (build.minify) {
+			let result = await terser.minify(code, {
+				module: false,
+				format: {
+					comments: false,
+					preamble: header.trim()
+				}
+			});
+			code = result.code + '\n';
+		}
+		fs.writeFileSync(build.file, code);
+		console.log(`Built ${build.file} (${code.length} bytes).`);
+	}
+})().catch(e => {
+	console.error(e);
+	process.exit(1);
+});
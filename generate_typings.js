@@ -0,0 +1,46 @@
+/*
+ * shapeOf
+ * TypeScript Declarations Generator Script
+ * 
+ * A small utility script to convert a file of serialized schemas into a TypeScript declarations
+ * file. The file of serialized schemas is a JSON object whose keys are type names and whose values
+ * are schemas serialized using shapeOf.serialize().
+ * 
+ * Usage: node generate_typings.js <schemas.json> [output.d.ts]
+ * 
+ * Declarations are written to the output file if given, and to stdout otherwise.
+ */
+const fs = require('fs');
+const shapeOf = require('./index.js');
+
+let args = process.argv.slice(2);
+if (args.length < 1 || args.length > 2) {
+	console.error('Usage: node generate_typings.js <schemas.json> [output.d.ts]');
+	process.exit(1);
+}
+
+let schemas = JSON.parse(fs.readFileSync(args[0]).toString());
+if (typeof schemas !== 'object' || schemas === null || Array.isArray(schemas)) {
+	console.error(`Expected '${args[0]}' to contain an object of serialized schemas.`);
+	process.exit(1);
+}
+
+// Declarations of schemas referenced by more than one type, such as those registered using
+// shapeOf.define(), are only included once
+let declarations = [];
+Object.keys(schemas).forEach(name => {
+	let schema = shapeOf.deserialize(schemas[name]);
+	shapeOf.toTypeScript(schema, {name}).trim().split('\n\n').forEach(declaration => {
+		if (declarations.indexOf(declaration) === -1)
+			declarations.push(declaration);
+	});
+});
+
+let output = '// Generated by shapeOf from ' + args[0].replace(/^.*[\\/]/, '') + '. Do not edit.\n\n' +
+	declarations.join('\n\n') + '\n';
+if (args.length > 1) {
+	fs.writeFileSync(args[1], output);
+	console.log(`Wrote ${Object.keys(schemas).length} type(s) to '${args[1]}'.`);
+} else {
+	process.stdout.write(output);
+}
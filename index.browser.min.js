@@ -0,0 +1,28 @@
+/*
+ * shapeOf
+ * Core Library
+ * 
+ * A lightweight schema validator for JSON endpoints.
+ * 
+ * 
+ * Copyright (c) 2021 Jeff Allen
+ * 
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ * 
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+!function(e){class t extends Error{constructor(e,t){super(e,t),this.name="ShapeOfError",t&&"cause"in t&&!Object.prototype.hasOwnProperty.call(this,"cause")&&Object.defineProperty(this,"cause",{value:t.cause,writable:!0,configurable:!0})}}class a extends t{constructor(e,t){super(e),this.name="ValidationError",t=t||{},this.path=t.path,this.log=t.log||[],this.messages=t.messages||[],this.schema=t.schema,this.value=t.value}}class r extends t{constructor(e,t){super(e,t),this.name="SchemaDefinitionError"}}class n extends t{constructor(e,t){super(e,t),this.name="DeserializationError"}}let o=function e(o,i,s){let l=function(e){return f(this,e)};l.ShapeOfError=t,l.ValidationError=a,l.SchemaDefinitionError=r,l.DeserializationError=n;let c=e=>{if(Array.isArray(e)){let t=[];for(let a=0;a<e.length;a++){let r=e[a];if(Array.isArray(r))for(let e=0;e<r.length;e++)t.push(r[e]);else t.push(r)}return t}return e},p=Number.isInteger||(e=>"number"==typeof e&&e==e&&e!==1/0&&e!==-1/0&&Math.floor(e)===e),f=(e,t,a)=>{let r={};(a=a||{}).baseObject&&(r=a.baseObject,delete a.baseObject),delete a.exclude,u(a);let n=a.exclude;return-1===n.indexOf("shouldBe")&&(r.shouldBe=x.bind(e,{obj:t,...a})),r.is=r.shouldBe,-1===n.indexOf("shouldBeExactly")&&(r.shouldBeExactly=r.isExactly=x.bind(e,{obj:t,exact:!0,...a})),-1===n.indexOf("shouldBeAsync")&&(r.shouldBeAsync=r.isAsync=A.bind(e,{obj:t,...a})),-1===n.indexOf("shouldBeExactlyAsync")&&(r.shouldBeExactlyAsync=r.isExactlyAsync=A.bind(e,{obj:t,exact:!0,...a})),-1===n.indexOf("returnsObject")&&h(r,"returnsObject",()=>y(e,{obj:t,...a})),-1===n.indexOf("returnsResults")&&h(r,"returnsResults",()=>g(e,{obj:t,...a})),-1===n.indexOf("collectsAllErrors")&&h(r,"collectsAllErrors",()=>O(e,{obj:t,...a})),-1===n.indexOf("immutable")&&h(r,"immutable",()=>b(e,{obj:t,...a})),-1===n.indexOf("shouldNotBe")&&(r.shouldNotBe=r.isNot=((e,t)=>!x(e,t)).bind(e,{obj:t,...a})),-1===n.indexOf("shouldNotBeAsync")&&(r.shouldNotBeAsync=r.isNotAsync=(async(e,t)=>!await A(e,t)).bind(e,{obj:t,...a})),-1===n.indexOf("throwsOnInvalid")&&h(r,"throwsOnInvalid",()=>d(e,t,a)),-1===n.indexOf("withConcurrency")&&(r.withConcurrency=v.bind(e,e,{obj:t,...a})),-1===n.indexOf("withMaxDepth")&&(r.withMaxDepth=j.bind(e,e,{obj:t,...a})),-1===n.indexOf("locale")&&(r.locale=w.bind(e,e,{obj:t,...a})),-1===n.indexOf("onInvalid")&&(r.onInvalid=_.bind(e,e,{obj:t,...a})),-1===n.indexOf("onValid")&&(r.onValid=k.bind(e,e,{obj:t,...a})),-1===n.indexOf("onComplete")&&(r.onComplete=S.bind(e,e,{obj:t,...a})),r},u=(e,...t)=>{e.exclude=e.exclude||[],(e.returnsObject||e.returnsResults)&&(t=(t=t.concat(["returnsObject"])).concat(["returnsResults"])),e.throwsOnInvalid&&(t=t.concat(["throwsOnInvalid"])),e.collectsAllErrors&&(t=t.concat(["collectsAllErrors"])),e.immutable&&(t=t.concat(["immutable"])),e.concurrency&&(t=t.concat(["withConcurrency"])),e.maxDepth&&(t=t.concat(["withMaxDepth"])),e.locale&&(t=t.concat(["locale"])),t.forEach(t=>{-1===e.exclude.indexOf(t)&&e.exclude.push(t)})},h=(e,t,a)=>{let r;Object.defineProperty(e,t,{configurable:!0,enumerable:!0,get:()=>(void 0===r&&(r=a()),r)})},d=(e,t,a)=>{let r={obj:t,throwsOnInvalid:!0,...a};return r.baseObject=m.bind(e,e,r),f(e,t,r)},m=(e,t,a)=>("function"==typeof a?t.errorFactory=a:a&&(t.errorObj=a),d(e,t.obj,t)),y=(e,t)=>{let a={obj:t.obj,returnsObject:!0,...t};return f(e,t.obj,a)},g=(e,t)=>{let a={obj:t.obj,returnsResults:!0,...t};return f(e,t.obj,a)},O=(e,t)=>{let a={obj:t.obj,collectsAllErrors:!0,...t};return f(e,t.obj,a)},b=(e,t)=>{let a={obj:t.obj,immutable:!0,...t};return f(e,t.obj,a)},v=(e,a,r)=>{if("number"!=typeof r||!(r>=1))throw new t("shapeOf().withConcurrency() requires a number of at least 1");return f(e,a.obj,{...a,concurrency:r})},j=(e,a,r)=>{if("number"!=typeof r||!(r>=1))throw new t("shapeOf().withMaxDepth() requires a number of at least 1");return f(e,a.obj,{...a,maxDepth:r})},w=(e,t,a)=>(Ye(a),f(e,t.obj,{...t,locale:a})),_=(e,t,a)=>{let r=t.onInvalid||[];return r.push(a),f(e,t.obj,{onInvalid:r,...t})},k=(e,t,a)=>{let r=t.onValid||[];return r.push(a),f(e,t.obj,{onValid:r,...t})},S=(e,t,a)=>{let r=t.onComplete||[];return r.push(a),f(e,t.obj,{onComplete:r,...t})},x=(e,t)=>{e=q(e);let a=V(P(e,t));return C(e,t,a)},A=async(e,t)=>{e=q({...e,async:!0});let a=await I(P(e,t));return C(e,t,a)},q=e=>{let t=e.log||[],a=e.path||[],r=e.copies||new Map,n=Boolean(e.returnsResults||e.throwsOnInvalid);return{log:t,path:a,copies:r,root:e.obj,locale:l._locale,recordsLog:n,obj:void 0,parent:void 0,exact:void 0,returnsObject:void 0,keyMessages:void 0,depth:void 0,...e}},$=e=>e.filter(e=>-1===["mutation","passed","validator_log"].indexOf(e.code))[0],C=(e,t,r)=>{let n=e.obj,o=e.returnsObject||!1,i=e.returnsResults||!1,s=void 0!==r,l=e.log.filter(e=>e.custom).map(e=>e.message);if(s&&!e.immutable&&(r=N(e.copies,r)),e.onInvalid&&!s&&e.onInvalid.forEach(e=>e(n,t,l)),e.onValid&&s&&e.onValid.forEach(e=>e(n,t)),e.throwsOnInvalid&&!s){if(e.errorObj)throw e.errorObj;if(e.errorFactory)throw e.errorFactory({success:!1,log:e.log,messages:l,obj:n},t);let r=$(e.log);throw new a(l.length>0?l.join("\n"):"Invalid shape detected",{path:r?r.path:"",log:e.log,messages:l,schema:t,value:n})}return e.onComplete&&e.onComplete.forEach(e=>e(n,t,l)),o?r:i?{success:s,log:e.log,messages:l,obj:s?r:n}:s},E=(e,t,a,r)=>{let n=t;return e.copies.has(t)||(n=Array.isArray(t)?t.slice():Object.assign(Object.create(Object.getPrototypeOf(t)),t),e.copies.set(n,t)),n[a]=r,n},N=(e,t)=>{if(!e.has(t))return t;let a=e.get(t),r=Object.keys(t);for(let n=0;n<r.length;n++){let o=r[n],i=N(e,t[o]);a[o]!==i&&(a[o]=i)}return a},V=e=>{let t=e.next();for(;!t.done;)t=e.next(t.value);return t.value},I=e=>new Promise((t,a)=>{let r=(n,o)=>{let i;try{i=e[n](o)}catch(e){return void a(e)}i.done?t(i.value):Promise.resolve(i.value).then(e=>r("next",e),e=>r("throw",e))};r("next")}),M=function*(e,t,a){let r=e.concurrency||1/0;if(!e.async||r<=1||t<2){for(let r=0;r<t&&(yield*a(r,e));r++);return}let n=[];yield((e,t,a)=>new Promise((r,n)=>{let o=0,i=0,s=!1,l=!1,c=()=>{if(!l)if((s||o>=e)&&0===i)r();else for(;!s&&i<t&&o<e;)i++,a(o++).then(e=>{i--,e||(s=!0),c()},e=>{l=!0,n(e)})};c()}))(t,r,t=>(n[t]=[],I(a(t,{...e,log:n[t]}))));for(let t=0;t<n.length;t++)for(let a=0;a<n[t].length;a++)e.log.push(n[t][a])},J=function*(e,a,r,n){let o;if(o=a instanceof T?yield*a.apply(e,r):a.apply(e,r),o&&"function"==typeof o.then){if(!e.async)throw new t(`Validator '${n}' returned a promise; use .isAsync() for asynchronous validators`);o=yield o}return o},T=Object.getPrototypeOf(function*(){}).constructor,P=function*(e,t){let a,r=e.obj,n=e.collectsAllErrors||!1;if(e.compiled&&null!==t&&("object"==typeof t||"function"==typeof t)){let a=st(e.compiled,t,!0);if(a)return yield*a(e)}if(l.isValidator(t))a=yield*z(e,t,ee(t));else if("function"==typeof t)a=yield*J(e,t,[r],t.name),void 0===a?L(e,{code:"validator_failed",message:`Failed: Validation using functional validator '${t.name}'`,validator:t.name},r):r!==a&&L(e,{code:"mutation",message:`Mutation: Functional validator '${t.name}'`,validator:t.name},r,a);else if(Array.isArray(t)){let o=t.length===r.length,i=r.length;o||(L(e,{code:"length_mismatch",message:`Failed: Array with length ${r.length}, expected length ${t.length}`,expected:t.length},r),i=Math.min(r.length,t.length)),(o||n)&&(yield*M(e,i,function*(a,i){let s=yield*P({...i,obj:r[a],path:e.path.concat([a]),parent:r,returnsObject:!0},t[a]);return void 0===s?(o=!1,L(i,{code:"invalid_element",message:`Failed: Array element at index ${a}`,key:a},r[a]),n):(s!==r[a]&&(L(i,{code:"mutation",message:`Mutation: Array element at index ${a}`,key:a},r[a],s),r=E(e,r,a,s)),!0)})),o?a=r:L(e,{code:"invalid_array",message:"Failed: Array"},r)}else"object"==typeof t?a=yield*F(e,t,B(t)):t===r?a=r:L(e,{code:"not_equal",message:"Failed: Strict equality",expected:t},r,a);return a},z=function*(e,t,a){let r=e.obj,n=yield*ae(t,r,e,a);return void 0!==n&&r!==n&&L(e,{code:"mutation",message:`Mutation: Validator '${t._name}'`,validator:t._name,args:t._thisCall.args},r,n),n},F=function*(e,t,a){let r=yield*D(e.obj,t,e,a);return void 0===r&&L(e,{code:"invalid_object",message:"Failed: Object"},e.obj),r},R=function*(e,t,a,r,n,o){let i,s=e.path||[],l=e.parent,c=[];void 0!==n&&(s=s.concat([n]),l=e.obj);for(let n=0;n<a.length;n++){let p=[],f=yield*P({...e,obj:t,path:s,parent:l,log:p,returnsObject:!0,exact:r},a[n]);if(void 0===f)c=c.concat(p);else{if(!o)return f;if(void 0!==i)return;i={rtn:f}}}if(void 0!==i)return i.rtn;if(e.log)for(let t=0;t<c.length;t++)e.log.push(c[t])},B=e=>{let t=Object.keys(e),a=[];for(let r=t.length-1;r>=0;r--){let n=t[r];a.push({key:n,expected:e[n],defaultValue:Y(e[n])})}return a},D=function*(e,t,a,r){if("object"!=typeof e||null===e)return;let n=a.exact||!1,o=a.collectsAllErrors||!1,i=a.keyMessages||{},s=!0;if(a={...a,returnsObject:!0,keyMessages:void 0},yield*M(a,r.length,function*(t,n){let l=r[t].key,c=r[t].expected,p=r[t].defaultValue;if(p&&(void 0===e[l]||null===e[l]&&p.whenNull)){let t=p.value;"function"==typeof t&&(t=t()),L(n,{code:"mutation",message:`Mutation: Default value for key '${l}'`,key:l,validator:"shapeOf.default",args:c._callChain.filter(e=>"shapeOf.default"===e.name).pop().args},e[l],t),e=E(a,e,l,t)}let f=Object.prototype.hasOwnProperty.call(i,l)?i[l]:void 0;if(void 0===e[l])return!!c._optional||(L(n,{code:"missing_key",message:f?te(f,{path:a.path.concat([l]),code:"missing_key"}):`Failed: Object with missing key '${l}'`,key:l,custom:Boolean(f)}),s=!1,o);let u=e[l];if(r[t].check&&r[t].check(u)===u)return!0;let h={...n,obj:u,path:a.path.concat([l]),parent:e};f&&(h.log=[]);let d=yield*P(h,c);return f&&h.log.filter(e=>void 0!==d||!e.custom).forEach(e=>n.log.push(e)),void 0===d?(L(n,{code:"invalid_key",message:f?te(f,{value:u,path:h.path,code:"invalid_key"}):`Failed: Object at key '${l}'`,key:l,custom:Boolean(f)},u),s=!1,o):(d!==e[l]&&(L(n,{code:"mutation",message:`Mutation: Object field '${l}'`,key:l},e[l],d),e=E(a,e,l,d)),!0)}),s||o){if(n){let r=Object.keys(e);for(let e=r.length-1;e>=0;e--)if(!Object.prototype.hasOwnProperty.call(t,r[e])){if(L(a,{code:"extraneous_key",message:`Failed: Object with extraneous key '${r[e]}'`,key:r[e]}),!o)return;s=!1}}return s?e:void 0}},L=(e,t,...a)=>{if("string"==typeof t&&(t={message:t}),!e.recordsLog&&!t.custom&&!e.locale)return;let r=e.log,n=e.path||[];void 0!==t.key&&(n=n.concat([t.key]));let o=t.message,i=t.custom;if(e.locale&&!i&&!1!==t.localize){let r=et(e.locale,t,n,a[0]);void 0!==r&&(o=r,i=!0)}if(!e.recordsLog&&!i)return;let s={message:o,code:t.code,path:U(n)};void 0!==t.validator&&(s.validator=t.validator,s.args=t.args||[]),i&&(s.custom=!0),a.length>0&&(1===a.length&&(a=a[0]),s.obj=a),r.push(s)},U=e=>{let t="";for(let a=0;a<e.length;a++)t+="/"+String(e[a]).replace(/~/g,"~0").replace(/\//g,"~1");return t},W=function(...e){if(e.length<this._requiredArgsCount)throw new r(`Validator '${this._name}' requires at least ${this._requiredArgsCount} arguments`);let t={...this};t._callChain=[].concat(this._callChain),t._callChain.pop(),t._thisCall=H(this._thisCall),t._thisCall.args=[].concat(e),t._callChain.push(t._thisCall);let a=Object.keys(t._subValidators);for(let e=a.length-1;e>=0;e--){let r=a[e],n=t._subValidators[r],o=G(n._name,n._callback,{...n._options,_callChain:t._callChain});o._subValidators=n._subValidators;let i=W.bind(o),s=Object.keys(o);for(let e=s.length-1;e>=0;e--){let t=s[e];i[t]=o[t]}t[r]=i}let n=W.bind(t),o=Object.keys(t);for(let e=o.length-1;e>=0;e--){let a=o[e];n[a]=t[a]}return X(n),n};(l.Validator=function(e,t,a){[e].concat((a=a||{}).aliases||[]).forEach(e=>{if(Object.prototype.hasOwnProperty.call(l.Validator._validators,e)&&!a.override)throw new r(`Validator '${e}' is already registered. Use the 'override' option to replace it.`)});let n=G(e,t,a),o=W.bind(n);return o=Object.assign(o,n),X(o),a.parent&&K(a.parent,o),n._aliases.forEach(e=>{l.Validator._validators[e]=o}),l.Validator._validators[n._name]=o,o})._validators={};let Z=s||{validator:"token"};l.createInstance=t=>{let a=e(l,t||{},Z);return a._versionCompatibilityHistory=l._versionCompatibilityHistory,a.version=l.version,a.compatibleSchemaVersion=l.compatibleSchemaVersion,a},l.isValidator=e=>Boolean(e&&e._validatorToken&&e._validatorToken===Z&&e._callback&&"function"==typeof e._callback&&e._callChain&&e._thisCall),l.define=(e,t)=>{if("string"!=typeof e||0===e.length)throw new r("shapeOf.define() requires a schema name");if(void 0===t)throw new r(`shapeOf.define() requires a schema for '${e}'`);return l._schemas[e]=t,t},l._schemas={},l.maxDepth=100;let H=(e,t,a)=>"object"==typeof e?{name:e.name,args:[].concat(e.args),_callback:e._callback,_contextual:e._contextual,_failureCode:e._failureCode,_options:e._options}:{name:e,args:t,_callback:a},G=(e,t,a,r)=>{r=r||{},a=a||{},a={...r,...a};let n={},o=[].concat(a._callChain||[]),i=H(e,[],t);return i._contextual=a.contextual||!1,i._failureCode=a.failureCode,i._options=a,o.push(i),n._name=e,n._thisCall=i,n._callChain=o,n._options=a,n._optional=a.optional||!1,n._requiredArgsCount=a.requiredArgsCount||Math.max(0,t.length-(a.contextual?2:1)),n._callback=t,n._aliases=a.aliases||[],n._subValidators={},n._validatorToken=Z,a.serialize&&(n._serialize=a.serialize),a.deserialize&&(n._deserialize=a.deserialize),"string"==typeof n._aliases&&(n._aliases=[n._aliases]),n},K=(e,t)=>{if("string"==typeof e){let t=e;if(!(e=l.Validator._validators[t]))throw new r("Unknown validator: "+t)}[t._name].concat(t._aliases).forEach(a=>{let r=a;r=r.replace(e._name,""),r=r.split("."),r=r[r.length-1];let n={},o=Object.keys(t);for(let e=o.length-1;e>=0;e--){let a=o[e];n[a]=t[a]}e._optional&&(n._optional=!0);let i=[].concat(e._callChain).concat(t._callChain);n._callChain=i;let s=W.bind(n);s=Object.assign(s,n),X(s),e[r]=s,e._subValidators[r]=s})},Q={},X=e=>{let t=Object.keys(Q);for(let a=t.length-1;a>=0;a--){let r=t[a],n=Q[r],o=G(n._name,n._callback,{...n._options,optional:e._optional,_callChain:e._callChain}),i=W.bind(o);e[r]=Object.assign(i,o)}},Y=e=>{if(!l.isValidator(e))return;let t=e._callChain;for(let e=t.length-1;e>=0;e--)if("shapeOf.default"===t[e].name){let a=t[e].args,r=a[1]||{};return{value:a[0],whenNull:Boolean(r.whenNull)}}},ee=e=>{if(!l.isValidator(e))return;let t=e._callChain;for(let e=t.length-1;e>=0;e--)if("shapeOf.message"===t[e].name){let a=e-1;for(;a>=0&&"shapeOf.message"===t[a].name;)a--;return{text:t[e].args[0],args:a>=0?t[a].args:[]}}},te=(e,t)=>{let a=t.path||[],r=t.args||[],n={value:t.value,path:U(a),key:a[a.length-1],args:r.join(", "),validator:t.validator,code:t.code,expected:t.expected};return"function"==typeof e?String(e({...n,args:r})):String(e).replace(/\{(\w+)\}/g,(e,t)=>{let a=/^[0-9]+$/.test(t)?r[Number(t)]:n[t];return void 0===a?e:String(a)})},ae=function*(e,t,a,n){let o=e._callChain,i=!0;for(let e=0;e<o.length;e++){let s=o[e];if(s.args.length<s._requiredArgsCount)throw new r("Missing required arguments for validator: "+s._name);let l,c=s.args.concat([t]);s._contextual&&(l=ne(a,s,t),c.push(l));let p=yield*J(a,s._callback,c,s.name);if(l&&l._failed&&(p=void 0),void 0===p){let r=Boolean(n&&i),p=Boolean(l&&l._failed)||re(s);if(!r&&p||L(a,{code:"validator_failed",message:r?te(n.text,{value:t,path:a.path,args:n.args,validator:s.name,code:"validator_failed"}):`Failed: Validator '${s.name}'`,validator:s.name,args:s.args,custom:r,reason:a.locale&&s._failureCode?s._failureCode(...c):void 0,localize:!p},t),!a.collectsAllErrors||!re(s)||!re(o[e+1]))return;i=!1;continue}t=p}if(i)return t},re=e=>Boolean(e&&e._options&&e._options.chainable),ne=(e,t,a)=>{let r=e.path||[],n={path:r.slice(),key:r[r.length-1],parent:e.parent,root:e.root,options:e,log:r=>{L(e,{code:"validator_log",message:r,validator:t.name,args:t.args},a)},fail:(r,o)=>{n._failed=!0,L(e,{code:r||"validator_failed",message:o||`Failed: Validator '${t.name}'`,validator:t.name,args:t.args},a)},_failed:!1};return n};l.serialize=(e,t)=>{let a=ce(),r={_shapeOfVersion:l.version,_shapeOfSchemaVersion:l.compatibleSchemaVersion,schema:ye(e,a)};return Object.keys(a.definitions).length>0&&(r.definitions=a.definitions),a.references.length>0&&(r.references=a.references),(t=t||{}).returnsObject?r:JSON.stringify(r)},l.deserialize=e=>{if("string"==typeof e)try{e=JSON.parse(e)}catch(e){throw new n("Error while deserializing schema:\n"+e.toString(),{cause:e})}if(!e._shapeOfVersion||!e._shapeOfSchemaVersion||!e.schema)throw new n("Object doesn't appear to be a valid shapeOf schema.");if(!((e,a)=>{if(e=e.split("."),a=a.split("."),3!==e.length||3!==a.length)throw new t("Bad version format");return e[0]=parseInt(e[0]),e[1]=parseInt(e[1]),e[2]=parseInt(e[2]),a[0]=parseInt(a[0]),a[1]=parseInt(a[1]),a[2]=parseInt(a[2]),e[0]>=a[0]&&(e[1]>=a[1]||e[0]>a[0])&&(e[2]>=a[2]||e[1]>a[1])})(l.compatibleSchemaVersion,e._shapeOfSchemaVersion))throw new n(`Incompatible schema versions, current version == ${l.compatibleSchemaVersion}, schema version == ${e._shapeOfSchemaVersion}`);let a={references:e.references||[],resolved:new Map},r=e.definitions||{},o={};return Object.keys(r).forEach(e=>{if(o[e]=ie(r[e],null,a),Object.prototype.hasOwnProperty.call(l._schemas,e)&&he(e,l._schemas[e])!==he(e,o[e]))throw new n(`A different schema is already registered as '${e}'`)}),Object.keys(o).forEach(e=>{Object.prototype.hasOwnProperty.call(l._schemas,e)||l.define(e,o[e])}),ie(e.schema,null,a)};let oe=e=>{let t;return e.forEach(e=>{let a=l.Validator._validators[e.name];if(void 0===a)throw new n("Validator not found: "+e.name);let r=e.name.split(".").pop();if(t&&!t[r])throw new n("Cannot find sub-validator "+e.name);t=e.args.length>0?t?t[r](...e.args):a(...e.args):t?t[r]:a}),t},ie=(e,t,a)=>{if(!e.type||"string"!=typeof e.type)throw new n("Object isn't a valid type: "+e.toString());if(void 0===e.value&&"validator"!==e.type)throw new n("Object missing value: "+e.toString());let r;if("object"===e.type){if(!Array.isArray(e.value))throw new n("Type 'object' value must be an array");r={},e.value.forEach(e=>{ie(e,r,a)})}else if("field"===e.type){if(!e.name||"string"!=typeof e.name)throw new n("Illegal/missing field name for object "+t.toString());if(!t)throw new n("No parent present for 'field' type");t[e.name]=ie(e.value,null,a)}else if("array"===e.type){if(!Array.isArray(e.value))throw new n("Type 'array' value must be array");r=[],e.value.forEach(e=>{r.push(ie(e,null,a))})}else if("primitive"===e.type)r=e.value;else if("validator"===e.type)r=((e,t)=>{if(!e.type||"validator"!==e.type)throw new n("Object isn't a validator type: "+e.toString());if(!e.callChain||!Array.isArray(e.callChain)||!e.name||"string"!=typeof e.name)throw new n("Malformed validator: "+e.toString());let a=e.callChain.map(a=>{if(!a.name||"string"!=typeof a.name||!a.args||!Array.isArray(a.args))throw new n("Malformed validator: "+e.toString());return{name:a.name,args:a.args.map(e=>ie(e,null,t))}});return oe(a)})(e,a);else if("reference"===e.type)r=se(e.value,a);else if("lazy"===e.type)r=()=>se(e.value,a);else if("factory"===e.type)r=()=>ie(e.value,null,a);else{if("regexp"!==e.type)throw new n("Unknown object type: "+e.type);if("string"!=typeof e.value||"string"!=typeof e.flags)throw new n("RegExp object missing required field");r=new RegExp(e.value,e.flags)}return r},se=(e,t)=>{if(!t||!t.references[e])throw new n("Reference not found: "+e);if(t.resolved.has(e)){let a=t.resolved.get(e);if(a===le)throw new n("Cannot deserialize cyclic reference: "+e);return a}let a=t.references[e],r=le;"object"===a.type?r={}:"array"===a.type&&(r=[]),t.resolved.set(e,r);let o=ie(a,null,t);return r===le?r=o:Object.assign(r,o),t.resolved.set(e,r),r},le={},ce=()=>({stack:[],refs:new Map,references:[],definitions:{}}),pe=(e,t)=>{let a=t.references.length;return t.references.push(null),t.refs.set(e,a),a},fe=(e,t)=>{let a=e(),r=ye(a,t);if("reference"!==r.type){let e=pe(a,t);t.references[e]=r,r={type:"reference",value:e}}return{type:"lazy",value:r.value}},ue=(e,t)=>{!Object.prototype.hasOwnProperty.call(t.definitions,e)&&Object.prototype.hasOwnProperty.call(l._schemas,e)&&(t.definitions[e]=null,t.definitions[e]=ye(l._schemas[e],t))},he=(e,t)=>{let a=ce();a.definitions[e]=null;let r=ye(t,a);return JSON.stringify([r,a.definitions,a.references])},de=(e,t,a)=>{let n=t();if(!me(n))throw new r(`Can't serialize the default value function of '${e._callChain[0].name}', which returns a value other than JSON data`);return{type:"factory",value:ye(n,a)}},me=e=>{if(null===e||"boolean"==typeof e||"string"==typeof e)return!0;if("number"==typeof e)return isFinite(e);if(Array.isArray(e))return e.every(me);if("object"!=typeof e)return!1;let t=Object.getPrototypeOf(e);return(t===Object.prototype||null===t)&&Object.keys(e).every(t=>me(e[t]))},ye=(e,t)=>{if(t=t||ce(),"object"!=typeof e&&"function"!=typeof e||null===e)return ge(e,t);if(t.refs.has(e))return{type:"reference",value:t.refs.get(e)};if(t.stack.indexOf(e)>-1)return{type:"reference",value:pe(e,t)};t.stack.push(e);let a=ge(e,t);if(t.stack.pop(),t.refs.has(e)){let r=t.refs.get(e);t.references[r]=a,a={type:"reference",value:r}}return a},ge=(e,t)=>{let a={type:"primitive"};if(null==e)a.value=e;else if(e.toJSON)a=e;else if(l.isValidator(e))a=((e,t)=>{let a={type:"validator",name:e._name};e._optional&&(a.optional=!0);let r=a.callChain=[],n=e._callChain;if(n&&n.length>0)for(let a=0;a<n.length;a++){let o=n[a],i=o.args,s=[],l={name:o.name,args:s};if(o._callback===Tt)s.push(fe(i[0],t));else if(o._callback===Rt&&"function"==typeof i[0]){s.push(de(e,i[0],t));for(let e=1;e<i.length;e++)s.push(ye(i[e],t))}else for(let e=0;e<i.length;e++)s.push(ye(i[e],t));o._callback===Pt&&ue(i[0],t),r.push(l)}return e._serialize&&(a={...a,...e._serialize()}),a})(e,t);else if(e.serialize&&"function"==typeof e.serialize)a={...a,...e.serialize()};else if(Array.isArray(e)){a.type="array";let r=a.value=[];for(let a=0;a<e.length;a++)r.push(ye(e[a],t))}else if(e instanceof RegExp){let t=e.toString().split("/"),r=t.pop();t.shift(),t=t.join("/"),a.type="regexp",a.value=t,a.flags=r}else if("object"==typeof e&&null!==e){a.type="object";let r=Object.keys(e),n=a.value=[];for(let a=0;a<r.length;a++){let o=r[a];n.push({type:"field",name:o,value:ye(e[o],t)})}}else a.value=e;return a};l.toJSONSchema=(e,t)=>{t=t||{};let a={stack:[],refs:new Map,defs:{},count:0,unrepresentable:[]},r={$schema:"https://json-schema.org/draft/2020-12/schema",...Oe(a,e,[],t.exact||!1)};return Object.keys(a.defs).length>0&&(r.$defs=a.defs),t.returnsReport?{schema:r,unrepresentable:a.unrepresentable}:r};let Oe=(e,t,a,r)=>{if("object"!=typeof t&&"function"!=typeof t||null===t)return be(e,t,a,r);if(e.refs.has(t))return je(e.refs.get(t));if(e.stack.indexOf(t)>-1){let a=Object.keys(l._schemas).filter(e=>l._schemas[e]===t)[0]||"schema"+e.count++;return e.refs.set(t,a),je(a)}e.stack.push(t);let n=be(e,t,a,r);if(e.stack.pop(),e.refs.has(t)){let a=e.refs.get(t);e.defs[a]=n,n=je(a)}return n},be=(e,t,a,r)=>{let n=(t,r)=>{e.unrepresentable.push({path:U(a),validator:r,reason:t})};if(l.isValidator(t)){let o={},i=t._callChain;for(let t=0;t<i.length;t++){let s,l=i[t],c=l._options&&l._options.toJSONSchema;if(c&&(s=c(l.args,{toJSONSchema:(t,n,o)=>Oe(e,t,a.concat(n||[]),"boolean"==typeof o?o:r),definition:(t,a)=>ve(e,t,a,r),report:e=>n(e,l.name),exact:r})),void 0!==s)we(o,s);else if(n(`Validator '${l.name}' has no JSON Schema equivalent`,l.name),0===t)break}return o}if("function"==typeof t)return n(`Functional validator '${t.name}' has no JSON Schema equivalent`,t.name),{};if(Array.isArray(t))return{type:"array",prefixItems:t.map((t,n)=>Oe(e,t,a.concat(["prefixItems",n]),r)),items:!1,minItems:t.length};if(t instanceof RegExp)return n("Regular expressions outside of shapeOf.string.pattern() have no JSON Schema equivalent"),{};if("object"==typeof t&&null!==t){let n={type:"object",properties:{},required:[]};return Object.keys(t).forEach(o=>{let i=t[o];n.properties[o]=Oe(e,i,a.concat(["properties",o]),r),i&&i._optional||Y(i)||n.required.push(o)}),0===n.required.length&&delete n.required,r&&(n.additionalProperties=!1),n}return void 0===t?(n("Undefined has no JSON Schema equivalent"),{}):{const:t}},ve=(e,t,a,r)=>{if(!Object.prototype.hasOwnProperty.call(e.defs,t)){let n=null!==a&&("object"==typeof a||"function"==typeof a);e.defs[t]={},n&&(e.refs.set(a,t),e.stack.push(a)),e.defs[t]=be(e,a,["$defs",t],r),n&&e.stack.pop()}return je(t)},je=e=>({$ref:"#"+U(["$defs",e])}),we=(e,t)=>(Object.keys(t).forEach(a=>{"allOf"===a&&e.allOf?e.allOf=e.allOf.concat(t.allOf):"required"===a&&e.required?e.required=e.required.concat(t.required.filter(t=>-1===e.required.indexOf(t))):e[a]=t[a]}),e),_e=e=>1===e.length?e[0]:{anyOf:e};l.fromJSONSchema=e=>{if("string"==typeof e)try{e=JSON.parse(e)}catch(e){throw new n("Error while parsing JSON Schema:\n"+e.toString(),{cause:e})}let t=[];if(xe(e,[],t,e),t.length>0)throw new n("Unsupported JSON Schema keywords:\n"+t.map(e=>`- ${e}`).join("\n"));return Ae({doc:e,resolved:{}},e)};let ke=["type","enum","const","minimum","maximum","minLength","maxLength","pattern","format","items","prefixItems","minItems","maxItems","properties","required","additionalProperties","dependentRequired","allOf","anyOf","oneOf","$ref","$defs","definitions","$schema","$id","$comment","title","description","examples","default","deprecated","readOnly","writeOnly"],Se={string:["minLength","maxLength","pattern","format"],number:["minimum","maximum"],array:["items","prefixItems","minItems","maxItems"],object:["properties","required","additionalProperties","dependentRequired"]},xe=(e,t,a,r)=>{if("boolean"==typeof e)return;if("object"!=typeof e||null===e||Array.isArray(e))return void a.push(`Schema at '${U(t)}' isn't an object or boolean`);let n=e=>`'${e}' at '${U(t)}'`;Object.keys(e).forEach(e=>{-1===ke.indexOf(e)&&a.push(n(e))}),void 0===e.$ref||"string"==typeof e.$ref&&/^#(\/(\$defs|definitions)\/[^/]+)?$/.test(e.$ref)?void 0!==e.$ref&&void 0===Ce(r,e.$ref)&&a.push(`${n("$ref")} (reference '${e.$ref}' not found)`):a.push(`${n("$ref")} (only references to '#' and '#/$defs/...' are supported)`),e.prefixItems&&!1!==e.items&&a.push(`${n("prefixItems")} (only supported along with 'items': false)`);let o=(e,n,...o)=>xe(n,t.concat([e],o),a,r);["items","additionalProperties"].forEach(t=>{void 0!==e[t]&&!1!==e[t]&&o(t,e[t])}),["prefixItems","allOf","anyOf","oneOf"].forEach(t=>{Array.isArray(e[t])&&e[t].forEach((e,a)=>o(t,e,a))}),["properties","$defs","definitions"].forEach(t=>{"object"==typeof e[t]&&null!==e[t]&&Object.keys(e[t]).forEach(a=>o(t,e[t][a],a))})},Ae=(e,t)=>{if(!0===t)return Ve();if(!1===t)return l.oneOf([]);let a=[];"string"==typeof t.$ref&&a.push(l.lazy(()=>$e(e,t.$ref)));let r=t.type;if("string"==typeof r&&(r=[r]),!Array.isArray(r)){r=Object.keys(Se).some(e=>Se[e].some(e=>void 0!==t[e]))?["string","number","boolean","null","array","object"]:[]}return r.length>0&&a.push(Ee(r.map(a=>qe(e,t,a)))),Array.isArray(t.enum)&&a.push(Ne(t.enum)),void 0!==t.const&&a.push(Ne([t.const])),Array.isArray(t.allOf)&&a.push(l.eachOf(t.allOf.map(t=>Ae(e,t)))),Array.isArray(t.anyOf)&&a.push(Ee(t.anyOf.map(t=>Ae(e,t)))),Array.isArray(t.oneOf)&&a.push(l.exactlyOneOfType(t.oneOf.map(t=>Ae(e,t)))),0===a.length?Ve():1===a.length?a[0]:l.eachOf(a)},qe=(e,t,a)=>{let r=[];if("string"===a)r.push(l.string),"number"!=typeof t.minLength&&"number"!=typeof t.maxLength||r.push(l.string.size(t.minLength||0,Ie(t.maxLength,1/0))),"string"==typeof t.pattern&&r.push(l.string.pattern(t.pattern,"u")),"email"===t.format?r.push(l.string.email):"ipv4"===t.format?r.push(l.string.IPv4):"ipv6"===t.format&&r.push(l.string.IPv6);else if("number"===a||"integer"===a){let e="number"===a?l.number:l.integer;"number"==typeof t.minimum&&"number"==typeof t.maximum?e=e.range(t.minimum,t.maximum):"number"==typeof t.minimum?e=e.min(t.minimum):"number"==typeof t.maximum&&(e=e.max(t.maximum)),r.push(e)}else if("boolean"===a)r.push(l.bool);else if("null"===a)r.push(l.null);else if("array"===a){let a="number"==typeof t.minItems||"number"==typeof t.maxItems,n=t.minItems||0,o=Ie(t.maxItems,1/0);if(Array.isArray(t.prefixItems))r.push(t.prefixItems.map(t=>Ae(e,t)));else if(void 0!==t.items){let i=l.arrayOf(Ae(e,t.items));a&&(i=i.size(Math.max(n,1),o)),r.push(n>0?i:l.oneOfType(l.array.size(0),i))}else r.push(a?l.array.size(n,o):l.array)}else{if("object"!==a)throw new n(`Unsupported JSON Schema type: '${a}'`);{let a=t.properties||{},n=t.required||[],o={};Object.keys(a).forEach(t=>{let r=Ae(e,a[t]);o[t]=n.indexOf(t)>-1?r:bt(r,!0)}),n.forEach(e=>{Object.prototype.hasOwnProperty.call(o,e)||(o[e]=Ve())});let i={exact:!1===t.additionalProperties};"object"==typeof t.additionalProperties&&null!==t.additionalProperties&&(i.additionalProperties=Ae(e,t.additionalProperties));let s=l.shape(o,i);"object"==typeof t.dependentRequired&&null!==t.dependentRequired&&(s=s.dependencies(t.dependentRequired)),r.push(s)}}return 1===r.length?r[0]:l.eachOf(r)},$e=(e,t)=>(Object.prototype.hasOwnProperty.call(e.resolved,t)||(e.resolved[t]=Ae(e,Ce(e.doc,t))),e.resolved[t]),Ce=(e,t)=>{let a=e;return t.substr(1).split("/").slice(1).forEach(e=>{e=e.replace(/~1/g,"/").replace(/~0/g,"~"),a="object"==typeof a&&null!==a&&Object.prototype.hasOwnProperty.call(a,e)?a[e]:void 0}),a},Ee=e=>1===e.length?e[0]:l.oneOfType(e),Ne=e=>e.every(e=>null===e||"object"!=typeof e)?l.oneOf(e):l.oneOfType(e.map(e=>null===e||"object"!=typeof e?l.oneOf([e]):e)),Ve=()=>l.oneOfType(l.primitive,l.object),Ie=(e,t)=>"number"==typeof e?e:t,Me=e=>()=>({type:e}),Je=e=>()=>({format:e}),Te=e=>({minimum:Math.min(e[0],e[1]),maximum:Math.max(e[0],e[1])}),Pe=e=>({minimum:e[0]}),ze=e=>({maximum:e[0]}),Fe=e=>t=>{let a={};return a["min"+e]=1===t.length?t[0]:Math.min(t[0],t[1]),a["max"+e]=1===t.length?t[0]:Math.max(t[0],t[1]),a};l.toTypeScript=(e,t)=>{let a=Ge((t=t||{}).name||"Schema"),r={name:a,stack:[],refs:new Map,declarations:{},count:0};return De(r,a,e),Object.keys(r.declarations).map(e=>r.declarations[e]).join("\n\n")+"\n"};let Re=(e,t)=>{if("object"!=typeof t&&"function"!=typeof t||null===t)return Be(e,t);if(e.refs.has(t))return e.refs.get(t);if(e.stack.indexOf(t)>-1){let a=Object.keys(l._schemas).filter(e=>l._schemas[e]===t)[0];return a=a?Ge(a):e.name+ ++e.count,e.refs.set(t,a),a}e.stack.push(t);let a=Be(e,t);if(e.stack.pop(),e.refs.has(t)){let r=e.refs.get(t);e.declarations[r]=Le(r,t,a),a=r}return a},Be=(e,t)=>{if(l.isValidator(t)){let a=t._callChain[0],r=a._options&&a._options.toTypeScript,n=r&&r(a.args,{toTypeScript:t=>Re(e,t),definition:(t,a)=>De(e,t,a)});return"string"==typeof n?n:"unknown"}return"function"==typeof t?"unknown":Array.isArray(t)?"["+t.map(t=>Re(e,t)).join(", ")+"]":t instanceof RegExp?"string":"object"==typeof t&&null!==t?Ue(Object.keys(t).map(a=>{let r=t[a],n=Boolean(r&&r._optional)&&!Y(r);return He(a)+(n?"?":"")+": "+Re(e,r)})):void 0===t?"undefined":"number"!=typeof t||isFinite(t)?JSON.stringify(t):"number"},De=(e,t,a)=>{if(t=Ge(t),!Object.prototype.hasOwnProperty.call(e.declarations,t)){let r=null!==a&&("object"==typeof a||"function"==typeof a);e.declarations[t]="",r&&(e.refs.set(a,t),e.stack.push(a)),e.declarations[t]=Le(t,a,Be(e,a)),r&&e.stack.pop()}return t},Le=(e,t,a)=>{let r=!("object"!=typeof t||null===t||Array.isArray(t)||t instanceof RegExp);if(l.isValidator(t)){let e=t._callChain[0];r=/^shapeOf(\.optional)?\.shape$/.test(e.name)&&!(e.args[1]&&e.args[1].additionalProperties)}return r&&"{"===a.charAt(0)?`export interface ${e} ${a}`:`export type ${e} = ${a};`},Ue=e=>0===e.length?"{}":"{\n"+e.map(e=>"    "+e.replace(/\n/g,"\n    ")+";").join("\n")+"\n}",We=(e,t)=>0===e.length?"|"===t?"never":"unknown":("&"===t&&(e=e.map(e=>Ze(e)?`(${e})`:e)),(e=e.filter((t,a)=>e.indexOf(t)===a)).join(` ${t} `)),Ze=e=>{let t=0;for(let a=0;a<e.length;a++){let r=e.charAt(a);if('"'===r)for(a++;a<e.length&&'"'!==e.charAt(a);a++)"\\"===e.charAt(a)&&a++;else if("{[(<".indexOf(r)>-1)t++;else if("}])>".indexOf(r)>-1)t--;else if("|"===r&&0===t)return!0}return!1},He=e=>/^[A-Za-z_$][A-Za-z0-9_$]*$/.test(e)?e:JSON.stringify(e),Ge=e=>{let t=String(e).replace(/[^A-Za-z0-9_$]+(.)?/g,(e,t)=>t?t.toUpperCase():"");return t=t.charAt(0).toUpperCase()+t.substr(1),/^[0-9]/.test(t)||""===t?"_"+t:t},Ke=e=>()=>e,Qe=(e,t)=>`Array<${We(c(e).map(e=>t.toTypeScript(e)),"|")}>`,Xe=(e,t)=>We(c(e).map(e=>t.toTypeScript(e)),"|");l.setLocale=e=>{null!=e?(Ye(e),l._locale=e):l._locale=void 0},l.addMessages=(e,a)=>{if("string"!=typeof e||0===e.length)throw new t("shapeOf.addMessages() requires a locale");if("object"!=typeof a||null===a)throw new t(`shapeOf.addMessages() requires an object of messages for '${e}'`);l._catalogs[e]={...l._catalogs[e]||{},...a}},l._catalogs={};let Ye=e=>{if("string"!=typeof e||0===e.length)throw new t("A locale must be a non-empty string");let a=e.split("-")[0];if("en"!==a&&!l._catalogs[e]&&!l._catalogs[a])throw new t(`No messages added for locale: '${e}'`)},et=(e,t,a,r)=>{let n=[],o="string"==typeof t.validator?t.validator.replace(/^shapeOf\.optional\./,"shapeOf."):void 0;"validator_failed"===t.code?(o&&t.reason&&n.push(o+"."+t.reason),o&&n.push(o)):t.code&&(o&&n.push(o+"."+t.code),n.push(t.code));let i=(e=>{let t=[e,e.split("-")[0],"en"];return t.filter((e,a)=>t.indexOf(e)===a)})(e);for(let e=0;e<i.length;e++){let o=l._catalogs[i[e]];if(o)for(let e=0;e<n.length;e++)if(Object.prototype.hasOwnProperty.call(o,n[e]))return te(o[n[e]],{value:r,path:a,args:t.args,validator:t.validator,code:t.code,expected:t.expected})}},tt=(...e)=>{let t=e[e.length-1];return 2===e.length?"wrongSize":t.length<Math.min(e[0],e[1])?"tooShort":"tooLong"},at=(e,t,a)=>a<Math.min(e,t)?"tooSmall":"tooLarge",rt=(...e)=>{let t=e[e.length-1];return"object"==typeof t&&null!==t?void 0:"notObject"},nt=(e,t)=>({[e+".size.wrongSize"]:`Must ${"characters"===t?"be":"contain"} exactly {0} ${t}`,[e+".size.tooShort"]:`Must ${"characters"===t?"be":"contain"} at least {0} ${t}`,[e+".size.tooLong"]:`Must ${"characters"===t?"be":"contain"} at most {1} ${t}`}),ot=e=>({[e+".range.tooSmall"]:"Must be at least {0}",[e+".range.tooLarge"]:"Must be at most {1}",[e+".min"]:"Must be at least {0}",[e+".max"]:"Must be at most {0}"});l.addMessages("en",{"shapeOf.number":"Must be a number",...ot("shapeOf.number"),"shapeOf.integer":"Must be an integer",...ot("shapeOf.integer"),"shapeOf.string":"Must be a string",...nt("shapeOf.string","characters"),"shapeOf.string.pattern":"Must match the expected format","shapeOf.string.email":"Must be a valid email address","shapeOf.string.IPv4":"Must be a valid IPv4 address","shapeOf.string.IPv6":"Must be a valid IPv6 address","shapeOf.array":"Must be an array",...nt("shapeOf.array","items"),"shapeOf.bool":"Must be true or false","shapeOf.object":"Must be an object","shapeOf.null":"Must be null","shapeOf.primitive":"Must be a string, number, boolean, or null","shapeOf.arrayOf.notArray":"Must be an array",...nt("shapeOf.arrayOf","items"),"shapeOf.objectOf.notObject":"Must be an object","shapeOf.oneOf":"Must be one of: {args}","shapeOf.shape.notObject":"Must be an object","shapeOf.union.notObject":"Must be an object","shapeOf.asNumber":"Must be a number",...ot("shapeOf.asNumber"),"shapeOf.asInteger":"Must be an integer",...ot("shapeOf.asInteger"),"shapeOf.asBool":"Must be true or false","shapeOf.asDate":"Must be a valid date",...nt("shapeOf.asArrayOf","items"),missing_key:"{key} is required",extraneous_key:"{key} isn't allowed",length_mismatch:"Must contain exactly {expected} items",not_equal:"Must be {expected}",mutually_exclusive:"Only one of {args} may be given",unknown_discriminator:"'{value}' isn't a valid {key}",max_depth:"Is nested too deeply"}),l.compile=(e,t)=>{let a=it(t=t||{}),r=new WeakMap;return null===e||"object"!=typeof e&&"function"!=typeof e||st(r,e,!0),t.async?t=>A({...a,obj:t,compiled:r},e):t=>x({...a,obj:t,compiled:r},e)};let it=e=>{let a={};return["exact","returnsObject","returnsResults","collectsAllErrors","immutable"].forEach(t=>{e[t]&&(a[t]=!0)}),e.throwsOnInvalid&&(a.throwsOnInvalid=!0,"function"==typeof e.throwsOnInvalid?a.errorFactory=e.throwsOnInvalid:!0!==e.throwsOnInvalid&&(a.errorObj=e.throwsOnInvalid)),["concurrency","maxDepth"].forEach(r=>{if(void 0!==e[r]){if("number"!=typeof e[r]||!(e[r]>=1))throw new t(`shapeOf.compile() requires the '${r}' option to be a number of at least 1`);a[r]=e[r]}}),void 0!==e.locale&&(Ye(e.locale),a.locale=e.locale),["onValid","onInvalid","onComplete"].forEach(t=>{e[t]&&(a[t]=[].concat(e[t]))}),a},st=(e,t,a)=>{if(e.has(t))return e.get(t);let r,n,o=[];if(l.isValidator(t)){let e=ee(t),a=lt(t);a?(r=function*(r){return a(r.obj)===r.obj?r.obj:yield*z(r,t,e)},r.check=a):r=a=>z(a,t,e),t._callChain.forEach(e=>o=o.concat(e.args))}else Array.isArray(t)?o=t:"object"==typeof t&&(n=B(t),r=e=>F(e,t,n),o=n.map(e=>e.expected));return e.set(t,r),a&&(o.forEach(t=>{null===t||"object"!=typeof t&&"function"!=typeof t||st(e,t,!0)}),n&&n.forEach(t=>{let a=e.get(t.expected);a&&a.check&&(t.check=a.check)})),r},lt=e=>{let t=e._callChain;for(let e=0;e<t.length;e++){if(!ct.has(t[e]._callback)||t[e]._contextual)return;if(t[e].args.some(e=>e instanceof RegExp&&(e.global||e.sticky)))return}return e=>{for(let a=0;a<t.length;a++)if(t[a]._callback(...t[a].args,e)!==e)return;return e}},ct=new WeakSet;l.validateEach=(e,t,a)=>{let r=ft("shapeOf.validateEach()",a=a||{}),n=pt(t,a);return async function*(){let a=0,o=0;for await(let i of e){let e={index:a++,...await n(i)};if(yield e,!e.success&&++o===r)throw ut(e,t,o)}}()},l.stream=(e,t)=>{let a=ft("shapeOf.stream()",t=t||{}),r=pt(e,t),n=0,o=0,i=new(ht().Transform)({objectMode:!0,transform:(s,l,c)=>{r(s).then(r=>{let s={index:n++,...r};if(i.emit("result",s),!s.success&&++o===a)return c(ut(s,e,o));t.returnsResults?c(null,s):s.success?c(null,s.obj):c()},c)}});return i};let pt=(e,t)=>l.compile(e,{...t,async:!0,returnsObject:!1,returnsResults:!0,throwsOnInvalid:!1}),ft=(e,a)=>{let r=a.maxFailures;if(!(void 0===r||"number"==typeof r&&r>=1))throw new t(`${e} requires the 'maxFailures' option to be a number of at least 1`);return r},ut=(e,t,r)=>{let n=$(e.log);return new a(`Aborted after ${r} invalid record(s); record ${e.index} is invalid`,{path:"/"+e.index+(n?n.path:""),log:e.log,messages:e.messages,schema:t,value:e.obj})},ht=()=>{if("object"==typeof process&&null!==process&&"function"==typeof process.getBuiltinModule)return process.getBuiltinModule("stream");if("object"==typeof module&&null!==module&&"function"==typeof module.require)return module.require("stream");if("object"==typeof process&&null!==process&&process.versions&&process.versions.node)throw new t("shapeOf.stream() requires Node.js 20.16, 22.3, or later unless loaded using require(); use shapeOf.validateEach() instead");throw new t("shapeOf.stream() requires Node.js; use shapeOf.validateEach() instead")};l.extend=(e,t)=>{let a=dt(e,"extend"),r=dt(t,"extend");return yt(mt(a,r),{...a.schema,...r.schema})},l.merge=(e,t)=>{let a=dt(e,"merge"),r=dt(t,"merge"),n={...a.schema};return Object.keys(r.schema).forEach(e=>{let t=r.schema[e];Object.prototype.hasOwnProperty.call(n,e)&&dt(n[e])&&dt(t)?n[e]=l.merge(n[e],t):n[e]=t}),yt(mt(a,r),n)},l.pick=(e,t)=>{let a=dt(e,"pick");t=c([t]);let r={};return Object.keys(a.schema).forEach(e=>{t.indexOf(e)>-1&&(r[e]=a.schema[e])}),yt(a,r)},l.omit=(e,t)=>{let a=dt(e,"omit");t=c([t]);let r={};return Object.keys(a.schema).forEach(e=>{-1===t.indexOf(e)&&(r[e]=a.schema[e])}),yt(a,r)},l.partial=(e,t)=>gt(e,!0,Boolean(t&&t.deep),"partial"),l.required=(e,t)=>gt(e,!1,Boolean(t&&t.deep),"required");let dt=(e,t)=>{if(l.isValidator(e)&&e._callChain[0]._callback===Jt){let t=e._callChain;return{name:t[0].name,schema:t[0].args[0],shapeOptions:t[0].args.slice(1),rules:t.slice(1)}}if(!("object"!=typeof e||null===e||Array.isArray(e)||e instanceof RegExp))return{name:null,schema:e,shapeOptions:[],rules:[]};if(t)throw new r(`shapeOf.${t}() requires an object schema or shapeOf.shape() validator`)},mt=(e,t)=>({name:e.name||t.name,shapeOptions:e.name?e.shapeOptions:t.shapeOptions,rules:e.rules.concat(t.rules)}),yt=(e,t)=>e.name||0!==e.rules.length?oe([{name:e.name||"shapeOf.shape",args:[t].concat(e.shapeOptions)}].concat(e.rules)):t,gt=(e,t,a,n)=>{let o=dt(e);if(!o){if(!l.isValidator(e))throw new r(`shapeOf.${n}() requires an object schema or validator`);return bt(a?Ot(e,t):e,t)}let i={};return Object.keys(o.schema).forEach(e=>{let r=o.schema[e];a&&(r=Ot(r,t)),i[e]=bt(r,t)}),yt(o,i)},Ot=(e,t)=>{if(dt(e))return gt(e,t,!0);if(!l.isValidator(e))return e;let a=e._callChain,r=a[0]._callback;if(r!==Ct&&r!==Et)return e;let n=a[0].args.map(e=>Array.isArray(e)?e.map(e=>Ot(e,t)):Ot(e,t));return oe([{name:a[0].name,args:n}].concat(a.slice(1)))},bt=(e,t)=>{if(!l.isValidator(e))return t?vt(e):e;if(e._optional===t)return e;let a=e._callChain;if(!t&&1===a.length){let e=a[0].args;if("shapeOf.optional.shape"===a[0].name&&1===e.length)return e[0];if("shapeOf.optional.eachOf"===a[0].name&&1===e.length&&Array.isArray(e[0])&&1===e[0].length)return e[0][0]}let n=l.Validator._validators[a[0].name];if(!n||n._callback!==a[0]._callback){if(t)return vt(e);throw new r(`Validator '${a[0].name}' isn't registered with this instance, and can't be made required`)}let o=a[0].name.split("."),i=t?[o[0],"optional"].concat(o.slice(1)).join("."):o.filter((e,t)=>1!==t||"optional"!==e).join(".");if(void 0===l.Validator._validators[i]){if(t)return vt(e);throw new r(`Validator '${a[0].name}' has no required equivalent`)}return oe([{name:i,args:a[0].args}].concat(a.slice(1)))},vt=e=>!l.isValidator(e)&&dt(e)?l.optional.shape(e):l.optional.eachOf([e]),jt=(e,t,a)=>{let r=Math.min(e,t);if(a<=Math.max(e,t)&&a>=r)return a},wt=(e,t)=>{if(t>=e)return t},_t=(e,t)=>{if(t<=e)return t},kt=(e,t)=>{let a=t+"/"+e,r=St.get(a);return r||(r=new RegExp(e,t),St.size>=1e3&&St.clear(),St.set(a,r)),r.lastIndex=0,r},St=new Map,xt=/^(([^<>()\[\]\\.,;:\s@"]+(\.[^<>()\[\]\\.,;:\s@"]+)*)|(".+"))@((\[((25[0-5]|(2[0-4]|1[0-9]|[1-9]|)[0-9])\.){3}(25[0-5]|(2[0-4]|1[0-9]|[1-9]|)[0-9])\])|(([a-zA-Z0-9][a-zA-Z\-0-9]+\.)+(?![wW][eE][bB])[a-zA-Z]{2,}))$/,At=/^((25[0-5]|(2[0-4]|1[0-9]|[1-9]|)[0-9])(\.(?!$)|$)){4}$/,qt="^\\s*(({{O0}}{7}([0-9A-Fa-f]{1,4}|:))|({{O0}}{6}(:[0-9A-Fa-f]{1,4}|({{O2}}(\\.{{O2}}){3})|:))|({{O0}}{5}(({{O1}}{1,2})|:({{O2}}(\\.{{O2}}){3})|:))|({{O0}}{4}(({{O1}}{1,3})|({{O1}}?:({{O2}}(\\.{{O2}}){3}))|:))|({{O0}}{3}(({{O1}}{1,4})|({{O1}}{0,2}:({{O2}}(\\.{{O2}}){3}))|:))|({{O0}}{2}(({{O1}}{1,5})|({{O1}}{0,3}:({{O2}}(\\.{{O2}}){3}))|:))|({{O0}}{1}(({{O1}}{1,6})|({{O1}}{0,4}:({{O2}}(\\.{{O2}}){3}))|:))|(:(({{O1}}{1,7})|({{O1}}{0,5}:({{O2}}(\\.{{O2}}){3}))|:)))(%.+)?\\s*$";qt=qt.replace(/\{\{O0\}\}/g,"([0-9A-Fa-f]{1,4}:)"),qt=qt.replace(/\{\{O1\}\}/g,"(:[0-9A-Fa-f]{1,4})"),qt=qt.replace(/\{\{O2\}\}/g,"(25[0-5]|2[0-4]\\d|1\\d\\d|[1-9]?\\d)"),qt=new RegExp(qt);let $t=(...e)=>{if(e.length<2||e.length>3)throw new r("Length validator requires between one and two arguments");let t=e[e.length-1];if(2===e.length){if(t.length===e[0])return t}else{let a=Math.min(e[0],e[1]),r=Math.max(e[0],e[1]);if(t.length>=a&&t.length<=r)return t}},Ct=function*(...e){if(e.length<2)throw new r("arrayOf validator requires at least one argument");let t,a=this,n=e.pop(),o=c(e),i=a.collectsAllErrors||!1;if(Array.isArray(n))return yield*M(a,n.length,function*(e,r){let s=n.length-1-e,l=yield*R(r,n[s],o,!1,s);return void 0===l?(L(r,{code:"invalid_element",message:`Failed: Validator 'shapeOf.arrayOf' -> index ${s}`,key:s,validator:"shapeOf.arrayOf",args:o},n[s]),t=!1,i):(l!==n[s]&&(n=E(a,n,s,l)),void 0===t&&(t=!0),!0)}),t?n:void 0},Et=function*(...e){if(e.length<2)throw new r("objectOf validator requires at least one argument");let t,a=this,n=e.pop(),o=c(e),i=a.collectsAllErrors||!1;if("object"!=typeof n||null===n)return;let s=Object.keys(n);return yield*M(a,s.length,function*(e,r){let l=s[s.length-1-e],c=n[l],p=yield*R(r,c,o,!1,l);return void 0===p?(L(r,{code:"invalid_key",message:`Failed: Validator 'shapeOf.objectOf' -> key '${l}'`,key:l,validator:"shapeOf.objectOf",args:o},c),t=!1,i):(p!==c&&(n=E(a,n,l,p)),void 0===t&&(t=!0),!0)}),t?n:void 0},Nt=e=>{if("number"==typeof e)return e;if("string"==typeof e&&Vt.test(e.trim())){let t=Number(e);if(isFinite(t))return t}},Vt=/^[+-]?([0-9]+\.?[0-9]*|\.[0-9]+)(e[+-]?[0-9]+)?$/i,It=["true","1","on","yes"],Mt=["false","0","off","no"],Jt=function*(...e){let t=e.pop(),[a,n]=e;if("object"!=typeof a||null===a||Array.isArray(a)||l.isValidator(a))throw new r("shape validator requires an object schema");n=n||{};let o={...this,obj:t,returnsObject:!0,keyMessages:n.messages},i=n.additionalProperties;"boolean"==typeof n.exact&&(o.exact=n.exact),void 0!==i&&(o.exact=!1);let s=yield*P(o,a);if(void 0===s||void 0===i)return s;let c=o.path||[],p=Object.keys(s).filter(e=>!Object.prototype.hasOwnProperty.call(a,e)),f=!0;return yield*M(o,p.length,function*(e,t){let a=p[e],r=s[a],n=yield*P({...t,obj:r,path:c.concat([a]),returnsObject:!0},i);return void 0===n?(L(t,{code:"invalid_key",message:`Failed: Object at key '${a}'`,key:a},r),f=!1,o.collectsAllErrors||!1):(n!==r&&(s=E(o,s,a,n)),!0)}),f?s:void 0},Tt=function*(e,t){if("function"!=typeof e)throw new r("lazy validator requires a function returning a schema");return yield*zt(this,e(),t,"shapeOf.lazy",[e])},Pt=function*(e,t){if(!Object.prototype.hasOwnProperty.call(l._schemas,e))throw new r(`Schema not defined: '${e}'`);return yield*zt(this,l._schemas[e],t,"shapeOf.ref",[e])},zt=function*(e,t,a,r,n){let o=(e.depth||0)+1,i=e.maxDepth||l.maxDepth;if(!(o>i))return yield*P({...e,obj:a,depth:o,returnsObject:!0},t);L(e,{code:"max_depth",message:`Failed: Validator '${r}' exceeded the maximum depth of ${i}`,validator:r,args:n},a)},Ft=[{name:"shapeOf.number",callback:e=>{if("number"==typeof e)return e},options:{toJSONSchema:Me("number"),toTypeScript:Ke("number")}},{name:"shapeOf.number.range",callback:jt,options:{parent:"shapeOf.number",requiredArgsCount:2,failureCode:at,toJSONSchema:Te}},{name:"shapeOf.number.min",callback:wt,options:{parent:"shapeOf.number",aliases:"shapeOf.number.greaterThanOrEqualTo",requiredArgsCount:1,toJSONSchema:Pe}},{name:"shapeOf.number.max",callback:_t,options:{parent:"shapeOf.number",aliases:"shapeOf.number.lessThanOrEqualTo",requiredArgsCount:1,toJSONSchema:ze}},{name:"shapeOf.integer",callback:e=>{if(p(e))return e},options:{toJSONSchema:Me("integer"),toTypeScript:Ke("number")}},{name:"shapeOf.integer.range",callback:jt,options:{parent:"shapeOf.integer",requiredArgsCount:2,failureCode:at,toJSONSchema:Te}},{name:"shapeOf.integer.min",callback:wt,options:{parent:"shapeOf.integer",aliases:"shapeOf.integer.greaterThanOrEqualTo",requiredArgsCount:1,toJSONSchema:Pe}},{name:"shapeOf.integer.max",callback:_t,options:{parent:"shapeOf.integer",aliases:"shapeOf.integer.lessThanOrEqualTo",requiredArgsCount:1,toJSONSchema:ze}},{name:"shapeOf.string",callback:e=>{if("string"==typeof e)return e},options:{toJSONSchema:Me("string"),toTypeScript:Ke("string")}},{name:"shapeOf.string.size",callback:$t,options:{parent:"shapeOf.string",aliases:"shapeOf.string.ofSize",requiredArgsCount:1,failureCode:tt,toJSONSchema:Fe("Length")}},{name:"shapeOf.string.pattern",callback:(...e)=>{let t,a="",n="";if(e.length<2||e.length>3)throw new r("String pattern validator requires between one and two arguments");if(n=e[0],2===e.length?t=e[1]:(a=e[1],t=e[2]),"string"==typeof n)n=kt(n,a);else{if(!(n instanceof RegExp))throw new r("shapeOf.string.pattern() only accepts strings and RegExp objects as an argument");3===e.length&&(n=kt(n.source,a))}if(n.test(t))return t},options:{parent:"shapeOf.string",aliases:"shapeOf.string.matching",requiredArgsCount:1,toJSONSchema:(e,t)=>{let a=e[0],r=e.length>1?e[1]:a instanceof RegExp?a.flags:"";return a instanceof RegExp&&(a=a.source),/[^gu]/.test(r)&&t.report(`Regular expression flags '${r}' have no JSON Schema equivalent`),{pattern:a}}}},{name:"shapeOf.string.email",callback:e=>{if(xt.test(e))return e},options:{parent:"shapeOf.string",aliases:"shapeOf.string.ofEmail",toJSONSchema:Je("email")}},{name:"shapeOf.string.IPv4",callback:e=>{if(At.test(e))return e},options:{parent:"shapeOf.string",aliases:["shapeOf.string.ofIPv4","shapeOf.string.ipv4"],toJSONSchema:Je("ipv4")}},{name:"shapeOf.string.IPv6",callback:e=>{if(qt.test(e))return e},options:{parent:"shapeOf.string",aliases:["shapeOf.string.ofIPv6","shapeOf.string.ipv6"],toJSONSchema:Je("ipv6")}},{name:"shapeOf.array",callback:e=>{if(Array.isArray(e))return e},options:{toJSONSchema:Me("array"),toTypeScript:Ke("unknown[]")}},{name:"shapeOf.array.size",callback:$t,options:{parent:"shapeOf.array",aliases:"shapeOf.array.ofSize",requiredArgsCount:1,failureCode:tt,toJSONSchema:Fe("Items")}},{name:"shapeOf.bool",callback:e=>{if("boolean"==typeof e)return e},options:{aliases:"shapeOf.boolean",toJSONSchema:Me("boolean"),toTypeScript:Ke("boolean")}},{name:"shapeOf.object",callback:e=>{if("object"==typeof e&&null!==e)return e},options:{toJSONSchema:Me("object"),toTypeScript:Ke("object")}},{name:"shapeOf.null",callback:e=>{if(null===e)return e},options:{toJSONSchema:Me("null"),toTypeScript:Ke("null")}},{name:"shapeOf.primitive",callback:e=>{if(null===e||"string"==typeof e||"boolean"==typeof e||"number"==typeof e)return e},options:{toJSONSchema:()=>({type:["string","boolean","number","null"]}),toTypeScript:Ke("string | number | boolean | null")}},{name:"shapeOf.arrayOf",callback:Ct,options:{failureCode:(...e)=>Array.isArray(e[e.length-1])?void 0:"notArray",toJSONSchema:(e,t)=>({type:"array",items:_e(c(e).map((e,a,r)=>t.toJSONSchema(e,1===r.length?["items"]:["items","anyOf",a],!1))),minItems:1}),toTypeScript:Qe}},{name:"shapeOf.arrayOf.size",callback:$t,options:{parent:"shapeOf.arrayOf",aliases:"shapeOf.arrayOf.ofSize",requiredArgsCount:1,failureCode:tt,toJSONSchema:Fe("Items")}},{name:"shapeOf.objectOf",callback:Et,options:{failureCode:rt,toJSONSchema:(e,t)=>({type:"object",additionalProperties:_e(c(e).map((e,a,r)=>t.toJSONSchema(e,1===r.length?["additionalProperties"]:["additionalProperties","anyOf",a],!1))),minProperties:1}),toTypeScript:(e,t)=>`Record<string, ${We(c(e).map(e=>t.toTypeScript(e)),"|")}>`}},{name:"shapeOf.oneOf",callback:(...e)=>{if(e.length<2)throw new r("oneOf validator requires at least one argument");let t=e.pop(),a=c(e);for(let e=a.length-1;e>=0;e--)if(a[e]===t)return t},options:{requiredArgsCount:1,toJSONSchema:e=>({enum:c(e)}),toTypeScript:e=>We(c(e).map(e=>"number"!=typeof e||isFinite(e)?JSON.stringify(e):"number"),"|")}},{name:"shapeOf.oneOfType",callback:function*(...e){if(e.length<2)throw new r("oneOfType validator requires at least one argument");let t=e.pop(),a=c(e);return yield*R(this,t,a,!0)},options:{requiredArgsCount:1,toJSONSchema:(e,t)=>({anyOf:c(e).map((e,a)=>t.toJSONSchema(e,["anyOf",a],!0))}),toTypeScript:Xe}},{name:"shapeOf.exactlyOneOfType",callback:function*(...e){if(e.length<2)throw new r("exactlyOneOfType validator requires at least one argument");let t=e.pop(),a=c(e);return yield*R(this,t,a,!0,void 0,!0)},options:{requiredArgsCount:1,toJSONSchema:(e,t)=>({oneOf:c(e).map((e,a)=>t.toJSONSchema(e,["oneOf",a],!0))}),toTypeScript:Xe}},{name:"shapeOf.eachOf",callback:function*(...e){if(e.length<2)throw new r("eachOfType validator requires at least one argument");let t=e.pop(),a=c(e),n=this,o=!0;for(let e=0;e<a.length;e++){let r=yield*P({...n,obj:t,returnsObject:!0,exact:!0},a[e]);if(void 0!==r)t=r;else{let r=l.isValidator(a[e])?`Failed: Validator 'shapeOf.eachOf' -> '${a[e]._name}'`:`Failed: Validator 'shapeOf.eachOf' -> index ${e}`;if(L(n,{code:"invalid_branch",message:r,validator:"shapeOf.eachOf",args:a},t),o=!1,!n.collectsAllErrors)return}}if(o)return L(n,{code:"passed",message:'Passed: Validator "shapeOf.eachOf"',validator:"shapeOf.eachOf",args:a},t),t},options:{aliases:"shapeOf.each",requiredArgsCount:1,toJSONSchema:(e,t)=>({allOf:c(e).map((e,a)=>t.toJSONSchema(e,["allOf",a],!0))}),toTypeScript:(e,t)=>We(c(e).map(e=>t.toTypeScript(e)),"&")}},{name:"shapeOf.shape",callback:Jt,options:{requiredArgsCount:1,failureCode:rt,toJSONSchema:(e,t)=>{let a=e[1]||{},r=a.additionalProperties,n=void 0===r&&a.exact,o=t.toJSONSchema(e[0],[],n);return void 0!==r?o.additionalProperties=t.toJSONSchema(r,["additionalProperties"]):!1===n&&delete o.additionalProperties,o},toTypeScript:(e,t)=>{let a=e[1]||{},r=t.toTypeScript(e[0]);return void 0!==a.additionalProperties&&(r=We([r,"Record<string, unknown>"],"&")),r}}},{name:"shapeOf.shape.refine",callback:function(...e){let t=e.pop(),[a,n,o]=e;if("function"!=typeof a)throw new r("refine sub-validator requires a function");if(a(t))return t;let i=o&&o.keys||[void 0];"string"==typeof i&&(i=[i]);for(let a=0;a<i.length;a++)L(this,{code:"refinement_failed",message:n||"Failed: Validator 'shapeOf.shape.refine'",key:i[a],validator:"shapeOf.shape.refine",args:e},t)},options:{parent:"shapeOf.shape",chainable:!0,requiredArgsCount:1,toJSONSchema:(e,t)=>(t.report("Rules given to shapeOf.shape().refine() have no JSON Schema equivalent"),{})}},{name:"shapeOf.shape.requiredWhen",callback:function(e,t,a){let n;if("function"==typeof t)n=t(a);else{if("object"!=typeof t||null===t)throw new r("requiredWhen sub-validator requires a key and a condition");n=Object.keys(t).every(e=>a[e]===t[e])}if(!n||void 0!==a[e])return a;L(this,{code:"missing_key",message:`Failed: Object with missing key '${e}', required by validator 'shapeOf.shape.requiredWhen'`,key:e,validator:"shapeOf.shape.requiredWhen",args:[e,t]})},options:{parent:"shapeOf.shape",chainable:!0,requiredArgsCount:2,toJSONSchema:(e,t)=>{let a=e[1];if("function"==typeof a)return t.report("Functions given to shapeOf.shape().requiredWhen() have no JSON Schema equivalent"),{};let r={};return Object.keys(a).forEach(e=>r[e]={const:a[e]}),{allOf:[{if:{properties:r,required:Object.keys(a)},then:{required:[e[0]]}}]}}}},{name:"shapeOf.shape.mutuallyExclusive",callback:function(...e){let t=e.pop(),a=c(e);if(a.length<2)throw new r("mutuallyExclusive sub-validator requires at least two keys");let n=a.filter(e=>void 0!==t[e]);if(n.length<=1)return t;for(let e=1;e<n.length&&(L(this,{code:"mutually_exclusive",message:`Failed: Object with key '${n[e]}', which excludes key '${n[0]}'`,key:n[e],validator:"shapeOf.shape.mutuallyExclusive",args:a},t[n[e]]),this.collectsAllErrors);e++);},options:{parent:"shapeOf.shape",chainable:!0,requiredArgsCount:1,toJSONSchema:e=>{let t=c(e),a=[];for(let e=0;e<t.length;e++)for(let r=e+1;r<t.length;r++)a.push({not:{required:[t[e],t[r]]}});return{allOf:a}}}},{name:"shapeOf.shape.dependencies",callback:function(e,t){if("object"!=typeof e||null===e)throw new r("dependencies sub-validator requires an object of dependencies");let a=!0,n=Object.keys(e);for(let r=0;r<n.length&&(a||this.collectsAllErrors);r++){if(void 0===t[n[r]])continue;let o=c([e[n[r]]]);for(let i=0;i<o.length&&(a||this.collectsAllErrors);i++)void 0===t[o[i]]&&(L(this,{code:"missing_key",message:`Failed: Object with missing key '${o[i]}', required by key '${n[r]}'`,key:o[i],validator:"shapeOf.shape.dependencies",args:[e]}),a=!1)}if(a)return t},options:{parent:"shapeOf.shape",chainable:!0,requiredArgsCount:1,toJSONSchema:e=>{let t={};return Object.keys(e[0]).forEach(a=>t[a]=c([e[0][a]])),{dependentRequired:t}}}},{name:"shapeOf.union",callback:function*(e,t,a){if("string"!=typeof e||"object"!=typeof t||null===t)throw new r("union validator requires a discriminator key and an object of schemas");let n=this;if("object"!=typeof a||null===a)return;let o=a[e];if(void 0===o)return void L(n,{code:"missing_key",message:`Failed: Object with missing key '${e}', required by validator 'shapeOf.union'`,key:e,validator:"shapeOf.union",args:[e,t]});if(!Object.prototype.hasOwnProperty.call(t,o))return void L(n,{code:"unknown_discriminator",message:`Failed: Validator 'shapeOf.union' -> unknown discriminator '${o}' at key '${e}'`,key:e,validator:"shapeOf.union",args:[e,t]},o);let i=yield*P({...n,obj:a,returnsObject:!0},t[o]);return void 0===i&&L(n,{code:"invalid_branch",message:`Failed: Validator 'shapeOf.union' -> branch '${o}'`,validator:"shapeOf.union",args:[e,t]},a),i},options:{requiredArgsCount:2,failureCode:rt,toJSONSchema:(e,t)=>{let a=e[0],r=e[1];return{type:"object",required:[a],oneOf:Object.keys(r).map((e,n)=>({allOf:[{properties:{[a]:{const:e}}},t.toJSONSchema(r[e],["oneOf",n,"allOf",1])]}))}},toTypeScript:(e,t)=>{let a=e[0],r=e[1];return We(Object.keys(r).map(e=>We([Ue([`${He(a)}: ${JSON.stringify(e)}`]),t.toTypeScript(r[e])],"&")),"|")}}},{name:"shapeOf.lazy",callback:Tt,options:{requiredArgsCount:1,toJSONSchema:(e,t)=>t.toJSONSchema(e[0]()),toTypeScript:(e,t)=>t.toTypeScript(e[0]())}},{name:"shapeOf.ref",callback:Pt,options:{requiredArgsCount:1,toJSONSchema:(e,t)=>Object.prototype.hasOwnProperty.call(l._schemas,e[0])?t.definition(e[0],l._schemas[e[0]]):(t.report(`Schema not defined: '${e[0]}'`),{}),toTypeScript:(e,t)=>Object.prototype.hasOwnProperty.call(l._schemas,e[0])?t.definition(e[0],l._schemas[e[0]]):"unknown"}},{name:"shapeOf.asNumber",callback:Nt,options:{toTypeScript:Ke("number")}},{name:"shapeOf.asNumber.range",callback:jt,options:{parent:"shapeOf.asNumber",requiredArgsCount:2,failureCode:at}},{name:"shapeOf.asNumber.min",callback:wt,options:{parent:"shapeOf.asNumber",aliases:"shapeOf.asNumber.greaterThanOrEqualTo",requiredArgsCount:1}},{name:"shapeOf.asNumber.max",callback:_t,options:{parent:"shapeOf.asNumber",aliases:"shapeOf.asNumber.lessThanOrEqualTo",requiredArgsCount:1}},{name:"shapeOf.asInteger",callback:e=>{let t=Nt(e);if(p(t))return t},options:{toTypeScript:Ke("number")}},{name:"shapeOf.asInteger.range",callback:jt,options:{parent:"shapeOf.asInteger",requiredArgsCount:2,failureCode:at}},{name:"shapeOf.asInteger.min",callback:wt,options:{parent:"shapeOf.asInteger",aliases:"shapeOf.asInteger.greaterThanOrEqualTo",requiredArgsCount:1}},{name:"shapeOf.asInteger.max",callback:_t,options:{parent:"shapeOf.asInteger",aliases:"shapeOf.asInteger.lessThanOrEqualTo",requiredArgsCount:1}},{name:"shapeOf.asBool",callback:e=>{if("boolean"==typeof e)return e;if(1===e||0===e)return 1===e;if("string"==typeof e){let t=e.trim().toLowerCase();if(It.indexOf(t)>-1)return!0;if(Mt.indexOf(t)>-1)return!1}},options:{aliases:"shapeOf.asBoolean",toTypeScript:Ke("boolean")}},{name:"shapeOf.asDate",callback:e=>{let t;if(e instanceof Date?t=e:("string"==typeof e&&""!==e.trim()||"number"==typeof e&&isFinite(e))&&(t=new Date(e)),t&&!isNaN(t.getTime()))return t},options:{toTypeScript:Ke("Date")}},{name:"shapeOf.asArrayOf",callback:function*(...e){if(e.length<2)throw new r("asArrayOf validator requires at least one argument");let t=e.pop();return"string"==typeof t?t=""===t.trim()?[]:t.split(",").map(e=>e.trim()):Array.isArray(t)||void 0===t||(t=[t]),yield*Ct.apply(this,e.concat([t]))},options:{toTypeScript:Qe}},{name:"shapeOf.asArrayOf.size",callback:$t,options:{parent:"shapeOf.asArrayOf",aliases:"shapeOf.asArrayOf.ofSize",requiredArgsCount:1,failureCode:tt}}],Rt=(...e)=>{if(e.length<2||e.length>3)throw new r("Default validator requires between one and two arguments");return e[e.length-1]};Q.default=l.Validator("shapeOf.default",Rt,{requiredArgsCount:1,toJSONSchema:e=>"function"==typeof e[0]?{}:{default:e[0]}});let Bt=(...e)=>{if(2!==e.length||"string"!=typeof e[0]&&"function"!=typeof e[0])throw new r("Message validator requires a message string or function");return e[1]};Q.message=l.Validator("shapeOf.message",Bt,{requiredArgsCount:1,toJSONSchema:()=>({})}),l.optional={};let Dt={};if(ct.add(Rt),ct.add(Bt),Ft.forEach(e=>{e.callback instanceof T||e.options&&e.options.chainable||ct.add(e.callback);let t=l.Validator(e.name,e.callback,e.options),a=e.options||{},r=e.name.split("."),n=(a.parent||"").split("."),o={...e.options,optional:!0},i=r[0]+".optional."+r.filter((e,t)=>t>0).join(".");if(o.parent){let e=n[0]+".optional."+n.filter((e,t)=>t>0).join(".");o.parent=e}o.aliases&&(o.aliases=[].concat(o.aliases).map(e=>{let t=e.split(".");return t[0]+".optional."+t.filter((e,t)=>t>0).join(".")}));let s=l.Validator(i,e.callback,o);a.chainable&&(Dt[a.parent]=Dt[a.parent]||[],Dt[a.parent].push(t,s)),"shapeOf"===r[0]&&2===r.length&&(l[r[1]]=t,l.optional[r[1]]=s);let c=a.aliases||"";"string"==typeof c&&(c=[c]),c.forEach(e=>{let a=e.split(".");"shapeOf"===a[0]&&2===a.length&&(l[a[1]]=t,l.optional[a[1]]=s)})}),Object.keys(Dt).forEach(e=>{let t=Dt[e];t.forEach(e=>{t.filter(t=>t._optional===e._optional).forEach(t=>K(e,t))})}),o&&i.inherit){let e=o.Validator._validators,t=l.Validator._validators;Object.keys(e).forEach(a=>{if(Object.prototype.hasOwnProperty.call(t,a))return;let r=e[a];t[a]=r,r._options.parent&&r._name===a&&K(r._options.parent,r)}),Object.keys(o._schemas).forEach(e=>{l._schemas[e]=o._schemas[e]}),Object.keys(o._catalogs).forEach(e=>{l._catalogs[e]={...o._catalogs[e]}}),l._locale=o._locale,l.maxDepth=o.maxDepth}return l}();o._versionCompatibilityHistory={"0.0.7":"0.0.7","0.0.6":"0.0.6","0.0.8":"0.0.8","0.0.9":"0.0.8","0.0.5":"0.0.5"},o.version="0.0.9",o.compatibleSchemaVersion="0.0.8",e.shapeOf=o}("undefined"!=typeof globalThis?globalThis:"undefined"!=typeof self?self:this);
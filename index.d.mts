@@ -0,0 +1,32 @@
+/*
+ * shapeOf
+ * TypeScript Declarations (ES Module)
+ *
+ * Type declarations for index.mjs. See index.d.ts for the declarations themselves.
+ */
+
+import shapeOf from './index.js';
+
+export default shapeOf;
+
+export declare const Validator: shapeOf.ShapeOf['Validator'];
+export declare const serialize: shapeOf.ShapeOf['serialize'];
+export declare const deserialize: shapeOf.ShapeOf['deserialize'];
+export declare const ShapeOfError: shapeOf.ShapeOf['ShapeOfError'];
+export declare const ValidationError: shapeOf.ShapeOf['ValidationError'];
+export declare const SchemaDefinitionError: shapeOf.ShapeOf['SchemaDefinitionError'];
+export declare const DeserializationError: shapeOf.ShapeOf['DeserializationError'];
+
+export type Infer<S> = shapeOf.Infer<S>;
+export type Schema = shapeOf.Schema;
+export type Validator<T = unknown, O extends boolean = boolean> = shapeOf.Validator<T, O>;
+export type Results<T = any> = shapeOf.Results<T>;
+export type LogEntry = shapeOf.LogEntry;
+export type ValidationContext = shapeOf.ValidationContext;
+export type CallbackContext = shapeOf.CallbackContext;
+export type Message = shapeOf.Message;
+export type Catalog = shapeOf.Catalog;
+export type ShapeOfError = shapeOf.ShapeOfError;
+export type ValidationError = shapeOf.ValidationError;
+export type SchemaDefinitionError = shapeOf.SchemaDefinitionError;
+export type DeserializationError = shapeOf.DeserializationError;
@@ -0,0 +1,590 @@
+/// <reference lib="es2015.iterable" />
+/// <reference lib="es2018.asyncgenerator" />
+/*
+ * shapeOf
+ * TypeScript Declarations
+ *
+ * Type declarations for the shapeOf library, including Infer<typeof schema>, which derives the
+ * type of a validated object from a schema built from core validators.
+ */
+
+declare const _inferred: unique symbol;
+
+declare const shapeOf: shapeOf.ShapeOf;
+
+declare namespace shapeOf {
+	/**
+	 * Values allowed by shapeOf.oneOf().
+	 */
+	export type Primitive = string | number | boolean | null;
+
+	/**
+	 * A functional validator, returning the object (or a mutation of it) if valid, undefined otherwise.
+	 */
+	export type ValidatorFunction<T = any> = (this: ValidationContext, obj: any) => T | undefined;
+
+	/**
+	 * Anything that can be used as a schema.
+	 */
+	export type Schema =
+		| Validator<any, boolean>
+		| ValidatorFunction
+		| Primitive
+		| RegExp
+		| readonly Schema[]
+		| { readonly [key: string]: Schema };
+
+	/**
+	 * An object schema, being either an object whose values are schemas or a shapeOf.shape() validator.
+	 */
+	export type ObjectSchema = { readonly [key: string]: Schema } | ShapeValidator<any, any, any>;
+
+	/**
+	 * Derives the type of a validated object from a schema.
+	 *
+	 *   const user = {'name': shapeOf.string, 'age': shapeOf.optional.integer};
+	 *   type User = Infer<typeof user>;   // { name: string; age?: number }
+	 */
+	export type Infer<S> =
+		S extends Validator<infer T, any> ? T :
+		S extends RegExp ? string :
+		S extends ValidatorFunction<infer T> ? Exclude<T, undefined> :
+		S extends Primitive ? S :
+		S extends readonly any[] ? { -readonly [K in keyof S]: Infer<S[K]> } :
+		S extends object ? InferObject<S> :
+		unknown;
+
+	/**
+	 * Keys of an object schema whose validators are optional.
+	 */
+	type OptionalKeys<S> = { [K in keyof S]: S[K] extends Validator<any, true> ? K : never }[keyof S];
+
+	/**
+	 * Flattens an intersection of object types into a single object type.
+	 */
+	type Simplify<T> = { [K in keyof T]: T[K] } & {};
+
+	/**
+	 * Derives the type of a validated object from an object schema.
+	 */
+	type InferObject<S> = Simplify<
+		{ -readonly [K in Exclude<keyof S, OptionalKeys<S>>]: Infer<S[K]> } &
+		{ -readonly [K in OptionalKeys<S>]?: Infer<S[K]> }
+	>;
+
+	/**
+	 * Converts a union to an intersection, used by shapeOf.eachOf().
+	 */
+	type UnionToIntersection<U> = (U extends any ? (arg: U) => void : never) extends (arg: infer I) => void ? I : never;
+
+	/**
+	 * The object schema of an object schema or shapeOf.shape() validator.
+	 */
+	type SchemaOf<S> = S extends ShapeValidator<any, any, infer R> ? R : S;
+
+	/**
+	 * The result of a composition function, being a shapeOf.shape() validator if given one.
+	 */
+	type Composed<S, R> = S extends ShapeValidator<any, infer O, any> ? ShapeValidator<InferObject<R>, O, R> : R;
+
+	/**
+	 * A schema made optional or required.
+	 */
+	type WithOptional<S, O extends boolean> = S extends Validator<infer T, any> ? Validator<T, O> : Validator<Infer<S>, O>;
+
+	/**
+	 * A validator, tracking the type of object it validates and whether or not it's optional.
+	 */
+	export interface Validator<T = unknown, O extends boolean = boolean> {
+		readonly [_inferred]?: T;
+		readonly _name: string;
+		readonly _optional: O;
+		readonly _callChain: ReadonlyArray<{ name: string; args: any[] }>;
+
+		/**
+		 * Fills in the value when absent from an object, making the key present once validated.
+		 */
+		default(value: T | (() => T), options?: { whenNull?: boolean }): Validator<T, O extends true ? false : O>;
+
+		/**
+		 * Replaces the logged message when the validator fails.
+		 */
+		message(message: Message): Validator<T, O>;
+	}
+
+	/**
+	 * A custom failure message, either a string with template variables such as {value}, or a function.
+	 */
+	export type Message = string | ((vars: MessageVariables) => string);
+
+	/**
+	 * Messages keyed by validator name, validator name and failure code, or log entry code.
+	 */
+	export type Catalog = { [key: string]: Message };
+
+	/**
+	 * The template variables of a custom failure message.
+	 */
+	export interface MessageVariables {
+		value: any;
+		path: string;
+		key: string | number | undefined;
+		args: any[];
+		validator: string | undefined;
+		code: string;
+		expected?: any;
+	}
+
+	export interface NumberValidator<O extends boolean = false> extends Validator<number, O> {
+		range(min: number, max: number): NumberValidator<O>;
+		min(min: number): NumberValidator<O>;
+		max(max: number): NumberValidator<O>;
+		greaterThanOrEqualTo(min: number): NumberValidator<O>;
+		lessThanOrEqualTo(max: number): NumberValidator<O>;
+	}
+
+	export interface StringValidator<O extends boolean = false> extends Validator<string, O> {
+		size(length: number): StringValidator<O>;
+		size(min: number, max: number): StringValidator<O>;
+		ofSize(length: number): StringValidator<O>;
+		ofSize(min: number, max: number): StringValidator<O>;
+		pattern(pattern: RegExp | string, flags?: string): StringValidator<O>;
+		matching(pattern: RegExp | string, flags?: string): StringValidator<O>;
+		readonly email: StringValidator<O>;
+		readonly ofEmail: StringValidator<O>;
+		readonly IPv4: StringValidator<O>;
+		readonly ofIPv4: StringValidator<O>;
+		readonly ipv4: StringValidator<O>;
+		readonly IPv6: StringValidator<O>;
+		readonly ofIPv6: StringValidator<O>;
+		readonly ipv6: StringValidator<O>;
+	}
+
+	export interface ArrayValidator<T extends any[] = unknown[], O extends boolean = false> extends Validator<T, O> {
+		size(length: number): ArrayValidator<T, O>;
+		size(min: number, max: number): ArrayValidator<T, O>;
+		ofSize(length: number): ArrayValidator<T, O>;
+		ofSize(min: number, max: number): ArrayValidator<T, O>;
+	}
+
+	export interface ShapeValidator<T = unknown, O extends boolean = false, S = unknown> extends Validator<T, O> {
+		readonly [_inferred]?: T;
+
+		/**
+		 * Validates if fn(obj) returns a truthy value.
+		 */
+		refine(fn: (obj: T) => any, message?: string, options?: { keys?: string[] }): ShapeValidator<T, O, S>;
+
+		/**
+		 * Requires a key when a condition is met, being either a function given the object, or an
+		 * object whose values the object's values must strictly equal.
+		 */
+		requiredWhen(key: string, condition: ((obj: T) => any) | { [key: string]: any }): ShapeValidator<T, O, S>;
+
+		/**
+		 * Validates if no more than one of the keys is present.
+		 */
+		mutuallyExclusive(...keys: Array<string | string[]>): ShapeValidator<T, O, S>;
+
+		/**
+		 * Requires the keys listed for each key whenever that key is present.
+		 */
+		dependencies(dependencies: { [key: string]: string | string[] }): ShapeValidator<T, O, S>;
+	}
+
+	export interface ShapeOptions {
+		/** Whether or not the object must match its schema exactly, overriding .isExactly(). */
+		exact?: boolean;
+		/** A schema that keys beyond those of the object schema must match. */
+		additionalProperties?: Schema;
+		/** Custom messages for keys that are missing or invalid. */
+		messages?: { [key: string]: Message };
+	}
+
+	/**
+	 * The core validators, either required (shapeOf.*) or optional (shapeOf.optional.*).
+	 */
+	export interface CoreValidators<O extends boolean> {
+		readonly number: NumberValidator<O>;
+		readonly integer: NumberValidator<O>;
+		readonly string: StringValidator<O>;
+		readonly array: ArrayValidator<unknown[], O>;
+		readonly bool: Validator<boolean, O>;
+		readonly boolean: Validator<boolean, O>;
+		readonly object: Validator<object, O>;
+		readonly null: Validator<null, O>;
+		readonly primitive: Validator<Primitive, O>;
+
+		arrayOf<S extends Schema[]>(...schemas: S): ArrayValidator<Array<Infer<S[number]>>, O>;
+		arrayOf<S extends Schema[]>(schemas: S): ArrayValidator<Array<Infer<S[number]>>, O>;
+		objectOf<S extends Schema[]>(...schemas: S): Validator<Record<string, Infer<S[number]>>, O>;
+		objectOf<S extends Schema[]>(schemas: S): Validator<Record<string, Infer<S[number]>>, O>;
+		oneOf<V extends Primitive>(...values: V[]): Validator<V, O>;
+		oneOf<V extends Primitive>(values: V[]): Validator<V, O>;
+		oneOfType<S extends Schema[]>(...schemas: S): Validator<Infer<S[number]>, O>;
+		oneOfType<S extends Schema[]>(schemas: S): Validator<Infer<S[number]>, O>;
+		exactlyOneOfType<S extends Schema[]>(...schemas: S): Validator<Infer<S[number]>, O>;
+		exactlyOneOfType<S extends Schema[]>(schemas: S): Validator<Infer<S[number]>, O>;
+		eachOf<S extends Schema[]>(...schemas: S): Validator<UnionToIntersection<Infer<S[number]>>, O>;
+		eachOf<S extends Schema[]>(schemas: S): Validator<UnionToIntersection<Infer<S[number]>>, O>;
+		each<S extends Schema[]>(...schemas: S): Validator<UnionToIntersection<Infer<S[number]>>, O>;
+		each<S extends Schema[]>(schemas: S): Validator<UnionToIntersection<Infer<S[number]>>, O>;
+		shape<S extends { readonly [key: string]: Schema }>(schema: S, options?: ShapeOptions): ShapeValidator<InferObject<S>, O, S>;
+		union<K extends string, B extends { readonly [tag: string]: Schema }>(key: K, branches: B): Validator<
+			{ [Tag in keyof B & string]: { [P in K]: Tag } & Omit<Infer<B[Tag]>, K> }[keyof B & string], O>;
+
+		/**
+		 * References a schema that's only retrieved once needed, allowing schemas to reference
+		 * themselves. TypeScript can't infer the type of a schema that references itself, so the
+		 * type is given explicitly, along with the getter's return type, i.e.
+		 * shapeOf.lazy<Comment>((): shapeOf.Schema => comment).
+		 */
+		lazy<T = any>(getter: () => Schema): Validator<T, O>;
+
+		/**
+		 * References a schema registered using shapeOf.define(). The type may be given explicitly,
+		 * i.e. shapeOf.ref<Comment>('Comment').
+		 */
+		ref<T = any>(name: string): Validator<T, O>;
+
+		readonly asNumber: NumberValidator<O>;
+		readonly asInteger: NumberValidator<O>;
+		readonly asBool: Validator<boolean, O>;
+		readonly asBoolean: Validator<boolean, O>;
+		readonly asDate: Validator<Date, O>;
+		asArrayOf<S extends Schema[]>(...schemas: S): ArrayValidator<Array<Infer<S[number]>>, O>;
+		asArrayOf<S extends Schema[]>(schemas: S): ArrayValidator<Array<Infer<S[number]>>, O>;
+	}
+
+	/**
+	 * The context of the validation in progress, bound as 'this' within validator callbacks.
+	 */
+	export interface ValidationContext {
+		obj: any;
+		path: Array<string | number>;
+		parent?: any;
+		root: any;
+		log: LogEntry[];
+		exact?: boolean;
+		async?: boolean;
+		collectsAllErrors?: boolean;
+		returnsResults?: boolean;
+		[option: string]: any;
+	}
+
+	/**
+	 * The context given to callbacks of validators registered with the 'contextual' option.
+	 */
+	export interface CallbackContext {
+		path: Array<string | number>;
+		key: string | number | undefined;
+		parent: any;
+		root: any;
+		options: ValidationContext;
+		/** Records a log entry with the code 'validator_log'. */
+		log(message: string): void;
+		/** Records a log entry with the given code and fails the validator. */
+		fail(code?: string, message?: string): undefined;
+	}
+
+	/**
+	 * An entry within the log of a .returnsResults validation.
+	 */
+	export interface LogEntry {
+		message: string;
+		code: string;
+		path: string;
+		validator?: string;
+		args?: any[];
+		custom?: boolean;
+		obj: any;
+	}
+
+	/**
+	 * The results of a .returnsResults validation.
+	 */
+	export interface Results<T = any> {
+		success: boolean;
+		log: LogEntry[];
+		messages: string[];
+		obj: T;
+	}
+
+	/**
+	 * How a validation returns: a boolean by default, the object with .returnsObject, or results
+	 * with .returnsResults.
+	 */
+	type ReturnMode = 'boolean' | 'object' | 'results';
+
+	type Returned<M extends ReturnMode, T> =
+		M extends 'object' ? T | undefined :
+		M extends 'results' ? Results<T> :
+		boolean;
+
+	/**
+	 * Callback given to .onValid(), .onInvalid(), and .onComplete().
+	 */
+	export type EventCallback = (obj: any, schema: Schema, messages: string[]) => void;
+
+	/**
+	 * The chained calls available after shapeOf(obj).
+	 */
+	export interface Actions<M extends ReturnMode = 'boolean'> {
+		shouldBe<S extends Schema>(schema: S): Returned<M, Infer<S>>;
+		is<S extends Schema>(schema: S): Returned<M, Infer<S>>;
+		shouldBeExactly<S extends Schema>(schema: S): Returned<M, Infer<S>>;
+		isExactly<S extends Schema>(schema: S): Returned<M, Infer<S>>;
+		shouldNotBe(schema: Schema): boolean;
+		isNot(schema: Schema): boolean;
+
+		shouldBeAsync<S extends Schema>(schema: S): Promise<Returned<M, Infer<S>>>;
+		isAsync<S extends Schema>(schema: S): Promise<Returned<M, Infer<S>>>;
+		shouldBeExactlyAsync<S extends Schema>(schema: S): Promise<Returned<M, Infer<S>>>;
+		isExactlyAsync<S extends Schema>(schema: S): Promise<Returned<M, Infer<S>>>;
+		shouldNotBeAsync(schema: Schema): Promise<boolean>;
+		isNotAsync(schema: Schema): Promise<boolean>;
+
+		readonly returnsObject: Actions<'object'>;
+		readonly returnsResults: Actions<'results'>;
+		readonly collectsAllErrors: Actions<M>;
+		readonly immutable: Actions<M>;
+		readonly throwsOnInvalid: ThrowsOnInvalidActions<M>;
+
+		withConcurrency(limit: number): Actions<M>;
+		withMaxDepth(limit: number): Actions<M>;
+		locale(locale: string): Actions<M>;
+
+		onValid(callback: EventCallback): Actions<M>;
+		onInvalid(callback: EventCallback): Actions<M>;
+		onComplete(callback: EventCallback): Actions<M>;
+	}
+
+	/**
+	 * The .throwsOnInvalid toggle, which may also be called with the error to throw.
+	 */
+	export interface ThrowsOnInvalidActions<M extends ReturnMode> extends Actions<M> {
+		/**
+		 * Throws the given error, or the error returned by the given function, rather than a ValidationError.
+		 */
+		(errorFactory: (results: Results, schema: Schema) => any): Actions<M>;
+		(error?: any): Actions<M>;
+	}
+
+	/**
+	 * Options of shapeOf.compile(), which are equivalent to the chain calls of the same names.
+	 */
+	export interface CompileOptions {
+		exact?: boolean;
+		async?: boolean;
+		returnsObject?: boolean;
+		returnsResults?: boolean;
+		collectsAllErrors?: boolean;
+		immutable?: boolean;
+		throwsOnInvalid?: boolean | ((results: Results, schema: Schema) => any) | object;
+		concurrency?: number;
+		maxDepth?: number;
+		locale?: string;
+		onValid?: EventCallback | EventCallback[];
+		onInvalid?: EventCallback | EventCallback[];
+		onComplete?: EventCallback | EventCallback[];
+	}
+
+	/**
+	 * A validation function returned by shapeOf.compile().
+	 */
+	export type Compiled<R> = (obj: any) => R;
+
+	/**
+	 * Options of shapeOf.validateEach().
+	 */
+	export interface EachOptions extends Omit<CompileOptions, 'async' | 'returnsObject' | 'returnsResults' | 'throwsOnInvalid'> {
+		/** Aborts with a ValidationError after the given number of invalid records. */
+		maxFailures?: number;
+	}
+
+	/**
+	 * Options of shapeOf.stream().
+	 */
+	export interface StreamOptions extends EachOptions {
+		/** Passes on the results of every record rather than the valid records. */
+		returnsResults?: boolean;
+	}
+
+	/**
+	 * The results of a record validated by shapeOf.validateEach() or shapeOf.stream().
+	 */
+	export interface RecordResults<T = any> extends Results<T> {
+		index: number;
+	}
+
+	/**
+	 * The Node.js Transform stream returned by shapeOf.stream(), in object mode.
+	 */
+	export interface ValidationStream<T = any> {
+		write(record: any, callback?: (error?: Error | null) => void): boolean;
+		end(callback?: () => void): this;
+		pipe<D extends { write(chunk: any): any }>(destination: D, options?: { end?: boolean }): D;
+		destroy(error?: Error): this;
+		on(event: 'result', listener: (result: RecordResults<T>) => void): this;
+		on(event: 'error', listener: (error: Error) => void): this;
+		on(event: string | symbol, listener: (...args: any[]) => void): this;
+		[Symbol.asyncIterator](): AsyncIterableIterator<any>;
+	}
+
+	/**
+	 * The base class of errors thrown by shapeOf.
+	 */
+	export interface ShapeOfError extends Error {}
+
+	/**
+	 * Thrown by .throwsOnInvalid when validation fails.
+	 */
+	export interface ValidationError extends ShapeOfError {
+		/** The JSON Pointer of the first failure logged. */
+		path: string | undefined;
+		log: LogEntry[];
+		messages: string[];
+		schema: Schema;
+		value: any;
+	}
+
+	/**
+	 * Thrown when a schema is defined incorrectly.
+	 */
+	export interface SchemaDefinitionError extends ShapeOfError {}
+
+	/**
+	 * Thrown when a serialized schema or JSON Schema document can't be converted to a schema.
+	 */
+	export interface DeserializationError extends ShapeOfError {}
+
+	export interface ErrorConstructor<E extends ShapeOfError, D = { cause?: unknown }> {
+		new (message?: string, details?: D): E;
+		readonly prototype: E;
+	}
+
+	/**
+	 * Options given to shapeOf.Validator().
+	 */
+	export interface ValidatorOptions {
+		/** The name of the validator this validator is attached to as a sub-validator. */
+		parent?: string;
+		/** Alternative names for the validator. */
+		aliases?: string | string[];
+		/** Marks the validator as optional. */
+		optional?: boolean;
+		/** The minimum number of required arguments. */
+		requiredArgsCount?: number;
+		/** Replaces any validator already registered under the same name or aliases. */
+		override?: boolean;
+		/** Whether or not the sub-validator can be chained after its siblings. */
+		chainable?: boolean;
+		/** Passes a CallbackContext to the callback as the last argument, after the object in question. */
+		contextual?: boolean;
+		/** Returns a code describing why the validator failed, used to look up localized messages. */
+		failureCode?: (...args: any[]) => string | undefined;
+		/** Converts the validator to JSON Schema keywords when using shapeOf.toJSONSchema(). */
+		toJSONSchema?: (args: any[], context: {
+			toJSONSchema(schema: Schema, path?: Array<string | number>, exact?: boolean): object;
+			definition(name: string, schema: Schema): object;
+			report(reason: string): void;
+			exact: boolean;
+		}) => object | undefined;
+		/** Converts the validator to a type when using shapeOf.toTypeScript(). */
+		toTypeScript?: (args: any[], context: {
+			toTypeScript(schema: Schema): string;
+			definition(name: string, schema: Schema): string;
+		}) => string | undefined;
+	}
+
+	/**
+	 * A custom validator created using shapeOf.Validator(), which may be called with arguments.
+	 */
+	export interface CustomValidator<T = unknown, O extends boolean = boolean> extends Validator<T, O> {
+		(...args: any[]): CustomValidator<T, O>;
+		readonly [subValidator: string]: any;
+	}
+
+	export interface JSONSchemaReport {
+		schema: object;
+		unrepresentable: Array<{ path: string; validator?: string; reason: string }>;
+	}
+
+	export interface ShapeOf extends CoreValidators<false> {
+		/**
+		 * Begins a validation of an object.
+		 */
+		(obj: any): Actions;
+
+		readonly optional: CoreValidators<true>;
+
+		/**
+		 * Creates a validator. The type of object it validates may be given explicitly.
+		 */
+		Validator<T = unknown>(name: string, callback: (this: ValidationContext, ...args: any[]) => any, options?: ValidatorOptions): CustomValidator<T>;
+		isValidator(obj: any): obj is Validator<unknown>;
+
+		/**
+		 * Creates an independent shapeOf instance with its own validator registry.
+		 */
+		createInstance(options?: { inherit?: boolean }): ShapeOf;
+
+		/**
+		 * Compiles a schema into a reusable validation function.
+		 */
+		compile<S extends Schema>(schema: S, options: CompileOptions & { returnsObject: true; async: true }): Compiled<Promise<Infer<S> | undefined>>;
+		compile<S extends Schema>(schema: S, options: CompileOptions & { returnsObject: true }): Compiled<Infer<S> | undefined>;
+		compile<S extends Schema>(schema: S, options: CompileOptions & { returnsResults: true; async: true }): Compiled<Promise<Results<Infer<S>>>>;
+		compile<S extends Schema>(schema: S, options: CompileOptions & { returnsResults: true }): Compiled<Results<Infer<S>>>;
+		compile<S extends Schema>(schema: S, options: CompileOptions & { async: true }): Compiled<Promise<boolean>>;
+		compile<S extends Schema>(schema: S, options?: CompileOptions): Compiled<boolean>;
+
+		/**
+		 * Validates the records of an iterable or async iterable one at a time.
+		 */
+		validateEach<S extends Schema>(records: Iterable<any> | AsyncIterable<any>, schema: S, options?: EachOptions): AsyncGenerator<RecordResults<Infer<S>>, void, undefined>;
+		/**
+		 * Creates a Node.js Transform stream validating the records written to it one at a time.
+		 * Unless shapeOf is loaded using require(), this requires Node.js 20.16, 22.3, or later.
+		 */
+		stream<S extends Schema>(schema: S, options?: StreamOptions): ValidationStream<Infer<S>>;
+
+		define<S extends Schema>(name: string, schema: S): S;
+		maxDepth: number;
+
+		ShapeOfError: ErrorConstructor<ShapeOfError>;
+		ValidationError: ErrorConstructor<ValidationError, Partial<Pick<ValidationError, 'path' | 'log' | 'messages' | 'schema' | 'value'>>>;
+		SchemaDefinitionError: ErrorConstructor<SchemaDefinitionError>;
+		DeserializationError: ErrorConstructor<DeserializationError>;
+
+		/**
+		 * Sets the locale of failure messages for every validation, or restores the default log messages with null.
+		 */
+		setLocale(locale: string | null): void;
+		/**
+		 * Adds messages to the catalog of a locale.
+		 */
+		addMessages(locale: string, messages: Catalog): void;
+
+		serialize(schema: Schema, options?: { returnsObject?: false }): string;
+		serialize(schema: Schema, options: { returnsObject: true }): object;
+		deserialize<T = any>(serializedSchema: string | object): Validator<T> | Schema;
+
+		toJSONSchema(schema: Schema, options?: { exact?: boolean; returnsReport?: false }): object;
+		toJSONSchema(schema: Schema, options: { exact?: boolean; returnsReport: true }): JSONSchemaReport;
+		fromJSONSchema(doc: object | boolean | string): Schema;
+		toTypeScript(schema: Schema, options?: { name?: string }): string;
+
+		extend<A extends ObjectSchema, B extends ObjectSchema>(base: A, extra: B): Composed<A, Simplify<Omit<SchemaOf<A>, keyof SchemaOf<B>> & SchemaOf<B>>>;
+		merge<A extends ObjectSchema, B extends ObjectSchema>(a: A, b: B): Composed<A, Simplify<Omit<SchemaOf<A>, keyof SchemaOf<B>> & SchemaOf<B>>>;
+		pick<S extends ObjectSchema, K extends keyof SchemaOf<S>>(schema: S, keys: K | K[]): Composed<S, Pick<SchemaOf<S>, K>>;
+		omit<S extends ObjectSchema, K extends keyof SchemaOf<S>>(schema: S, keys: K | K[]): Composed<S, Omit<SchemaOf<S>, K>>;
+		partial<S extends ObjectSchema>(schema: S, options?: { deep?: boolean }): Composed<S, { [K in keyof SchemaOf<S>]: WithOptional<SchemaOf<S>[K], true> }>;
+		required<S extends ObjectSchema>(schema: S, options?: { deep?: boolean }): Composed<S, { [K in keyof SchemaOf<S>]: WithOptional<SchemaOf<S>[K], false> }>;
+
+		readonly version: string;
+		readonly compatibleSchemaVersion: string;
+	}
+}
+
+export = shapeOf;
@@ -1 +1,28 @@
-let shapeOf;!function(){shapeOf=function(e){return r(this,e)};let e=e=>{if(!Array.isArray(e))return e;{let a=[];for(let t=0;t<e.length;t++){let r=e[t];if(Array.isArray(r))for(let l=0;l<r.length;l++)a.push(r[l]);else a.push(r)}return a}},a=Number.isInteger||(e=>"number"==typeof e&&e==e&&e!==1/0&&e!==-1/0&&Math.floor(e)===e),t=(e,a)=>{if(e=e.split("."),a=a.split("."),3!==e.length||3!==a.length)throw"Bad version format";return e[0]=parseInt(e[0]),e[1]=parseInt(e[1]),e[2]=parseInt(e[2]),a[0]=parseInt(a[0]),a[1]=parseInt(a[1]),a[2]=parseInt(a[2]),e[0]>=a[0]&&(e[1]>=a[1]||e[0]>a[0])&&(e[2]>=a[2]||e[1]>a[1])},r=(e,a,t)=>{let r={};(t=t||{}).baseObject&&(r=t.baseObject,delete t.baseObject),delete t.exclude,l(t);let i=t.exclude;return -1===i.indexOf("shouldBe")&&(r.shouldBe=u.bind(e,{obj:a,...t})),r.is=r.shouldBe,-1===i.indexOf("shouldBeExactly")&&(r.shouldBeExactly=r.isExactly=u.bind(e,{obj:a,exact:!0,...t})),-1===i.indexOf("returnsObject")&&(r.returnsObject=s(e,{obj:a,...t})),-1===i.indexOf("returnsResults")&&(r.returnsResults=o(e,{obj:a,...t})),-1===i.indexOf("shouldNotBe")&&(r.shouldNotBe=r.isNot=((e,a)=>!u(e,a)).bind(e,{obj:a,...t})),-1===i.indexOf("throwsOnInvalid")&&(r.throwsOnInvalid=n(e,a,t)),-1===i.indexOf("onInvalid")&&(r.onInvalid=f.bind(e,e,{obj:a,...t})),-1===i.indexOf("onValid")&&(r.onValid=h.bind(e,e,{obj:a,...t})),-1===i.indexOf("onComplete")&&(r.onComplete=p.bind(e,e,{obj:a,...t})),r},l=(e,...a)=>{e.exclude=e.exclude||[],(e.returnsObject||e.returnsResults)&&(a=(a=a.concat(["returnsObject"])).concat(["returnsResults"])),e.throwsOnInvalid&&(a=a.concat(["throwsOnInvalid"])),a.forEach(a=>{-1===e.exclude.indexOf(a)&&e.exclude.push(a)})},n=(e,a,t)=>{let l={obj:a,throwsOnInvalid:!0,...t};return l.baseObject=i.bind(e,e,l),r(e,a,l)},i=(e,a,t)=>(t&&(a.errorObj=t),n(e,a.obj,a)),s=(e,a)=>{let t={obj:a.obj,returnsObject:!0,...a};return r(e,a.obj,t)},o=(e,a)=>{let t={obj:a.obj,returnsResults:!0,...a};return r(e,a.obj,t)},f=(e,a,t)=>{let l=a.onInvalid||[];return l.push(t),r(e,a.obj,{onInvalid:l,...a})},h=(e,a,t)=>{let l=a.onValid||[];return l.push(t),r(e,a.obj,{onValid:l,...a})},p=(e,a,t)=>{let l=a.onComplete||[];return l.push(t),r(e,a.obj,{onComplete:l,...a})},u=(e,a)=>{let t=e.obj,r=e.returnsObject||!1,l=e.returnsResults||!1,n,i=!1,s=e.log||[];if(e={log:s,...e},shapeOf._shouldBeOptionsChain||(shapeOf._shouldBeOptionsChain=[]),shapeOf._lastShouldBeOptions=e,shapeOf._shouldBeOptionsChain.push(e),shapeOf.isValidator(a))void 0===(n=y(a,t))?O(e,`Failed: Validator '${a._name}'`,t):t!==n&&O(e,`Mutation: Validator '${a._name}'`,t,n);else if("function"==typeof a)void 0===(n=a(t))?O(e,`Failed: Validation using functional validator '${a.name}'`,t):t!==n&&O(e,`Mutation: Functional validator '${a.name}'`,t,n);else if(Array.isArray(a)){let o=a.length===t.length;for(let f=0;f<t.length&&o;f++){let h=u({...e,obj:t[f],returnsObject:!0},a[f]);(o=o&&void 0!==h)||O(e,`Failed: Array element at index ${f}`,t[f]),h!==t[f]&&o&&(O(e,`Mutation: Array element at index ${f}`,t[f],h),t[f]=h)}o?n=t:O(e,"Failed: Array",t)}else"object"==typeof a?void 0===(n=c(t,a,e))&&O(e,"Failed: Object",t):a===t?n=t:O(e,"Failed: Strict equality",t,n);if(i=void 0!==n,e.onInvalid&&!i&&e.onInvalid.forEach(e=>e(t,a)),e.onValid&&i&&e.onValid.forEach(e=>e(t,a)),e.throwsOnInvalid&&!i){if(e.errorObj)throw e.errorObj;throw"Invalid shape detected"}return(e.onComplete&&e.onComplete.forEach(e=>e(t,a)),shapeOf._lastShouldBeOptions=shapeOf._shouldBeOptionsChain.pop(),r)?n:l?{success:i,log:s,obj:t}:i},c=(e,a,t)=>{if("object"!=typeof e||null===e)return;let r=t.returnsObject||!1,l=t.exact||!1;t={...t,returnsObject:!0};let n=Object.keys(a);for(let i=n.length-1;i>=0;i--){let s=n[i],o=a[s];if(void 0===e[s]){if(o._optional)continue;O(t,`Failed: Object with missing key '${s}'`);return}let f=e[s],h=u({...t,obj:f},o);if(void 0===h){O(t,`Failed: Object at key '${s}'`,f);return}h!==e[s]&&(O(t,`Mutation: Object field '${s}'`,e[s],h),e[s]=h)}if(l){let p=Object.keys(e);for(let c=p.length-1;c>=0;c--)if(-1===n.indexOf(p[c])){O(t,`Failed: Object with extraneous key '${p[c]}'`);return}}return!r||e},O=(e,a,...t)=>{if(e?"string"==typeof e&&(void 0!==a&&t.push(a),a=e,e=shapeOf._lastShouldBeOptions):e=shapeOf._lastShouldBeOptions,!e.returnsResults)return;let r=e.log,l={message:a};t.length>0&&(1===t.length&&(t=t[0]),l.obj=t),r.push(l)},d=function(...e){if(e.length<this._requiredArgsCount)throw`Validator '${this._name}' requires at least ${this._requiredArgsCount} arguments`;let a={...this};a._callChain=[].concat(this._callChain),a._callChain.pop(),a._thisCall=b(this._thisCall),a._thisCall.args=[].concat(e),a._callChain.push(a._thisCall);let t=Object.keys(a._subValidators);for(let r=t.length-1;r>=0;r--){let l=t[r],n=a._subValidators[l],i=m(n._name,n._callback,{...n._options,_callChain:a._callChain}),s=d.bind(i),o=Object.keys(i);for(let f=o.length-1;f>=0;f--){let h=o[f];s[h]=a[h]}a[l]=s}let p=d.bind(a),u=Object.keys(a);for(let c=u.length-1;c>=0;c--){let O=u[c];p[O]=a[O]}return p};shapeOf.Validator=function(e,a,t){t=t||{};let r=m(e,a,t),l=d.bind(r);return l=Object.assign(l,r),t.parent&&$(t.parent,l),r._aliases.forEach(e=>{shapeOf.Validator._validators[e]=l}),shapeOf.Validator._validators[r._name]=l,l},shapeOf.Validator._validators={};let g={validator:"token"};shapeOf.isValidator=e=>Boolean(e&&e._validatorToken&&e._validatorToken===g&&e._callback&&"function"==typeof e._callback&&e._callChain&&e._thisCall);let b=(e,a,t)=>"object"==typeof e?{name:e.name,args:[].concat(e.args),_callback:e._callback}:{name:e,args:a,_callback:t},m=(e,a,t,r)=>{t=t||{};let l={},n=[].concat((t={...r=r||{},...t})._callChain||[]),i=b(e,[],a);return n.push(i),l._name=e,l._thisCall=i,l._callChain=n,l._options=t,l._optional=t.optional||!1,l._requiredArgsCount=t.requiredArgsCount||Math.max(0,a.length-1),l._callback=a,l._aliases=t.aliases||[],l._subValidators={},l._validatorToken=g,t.serialize&&(l._serialize=t.serialize),t.deserialize&&(l._deserialize=t.deserialize),"string"==typeof l._aliases&&(l._aliases=[l._aliases]),l},$=(e,a)=>{if("string"==typeof e&&!(e=shapeOf.Validator._validators[e]))throw"Unknown validator: "+e;[a._name].concat(a._aliases).forEach(t=>{let r=t;r=(r=(r=r.replace(e._name,"")).split("."))[r.length-1];let l={},n=Object.keys(a);for(let i=n.length-1;i>=0;i--){let s=n[i];l[s]=a[s]}e._optional&&(l._optional=!0);let o=[].concat(e._callChain).concat(a._callChain);l._callChain=o;let f=d.bind(l);f=Object.assign(f,l),e[r]=f,e._subValidators[r]=f})},y=(e,a)=>{let t=e._callChain;for(let r=0;r<t.length;r++){let l=t[r];if(l.args.length<l._requiredArgsCount)throw"Missing required arguments for validator: "+l._name;let n=l.args.concat([a]);if(void 0===(a=l._callback(...n)))break}return a};shapeOf.serialize=(e,a)=>{let t={_shapeOfVersion:shapeOf.version,_shapeOfSchemaVersion:shapeOf.compatibleSchemaVersion,schema:k(e)};return(a=a||{}).returnsObject?t:JSON.stringify(t)},shapeOf.deserialize=e=>{if("string"==typeof e)try{e=JSON.parse(e)}catch(a){throw"Error while deserializing schema:\n"+a.toString()}if(!e._shapeOfVersion||!e._shapeOfSchemaVersion||!e.schema)throw"Object doesn't appear to be a valid shapeOf schema.";if(!t(shapeOf.compatibleSchemaVersion,e._shapeOfSchemaVersion))throw`Incompatible schema versions, current version == ${shapeOf.compatibleSchemaVersion}, schema version == ${e._shapeOfSchemaVersion}`;return v(e.schema)};let _=e=>{if(!e.type||"validator"!==e.type)throw"Object isn't a validator type: "+e.toString();if(!e.callChain||!Array.isArray(e.callChain)||!e.name||"string"!=typeof e.name)throw"Malformed validator: "+e.toString();let a=!1;e.optional&&"boolean"==typeof e.optional&&(a=!0);let t;return e.callChain.forEach(a=>{if(!a.name||"string"!=typeof a.name||!a.args||!Array.isArray(a.args))throw"Malformed validator: "+e.toString();let r=shapeOf.Validator._validators[a.name];if(void 0===r)throw"Validator not found: "+a.name;let l=a.name.split(".").pop();if(t&&!t[l])throw"Cannot find sub-validator "+a.name;if(a.args.length>0){let n=[];a.args.forEach(e=>n.push(v(e))),t=t?t[l](...n):r(...n)}else t=t?t[l]:r}),t},v=(e,a)=>{if(!e.type||"string"!=typeof e.type)throw"Object isn't a valid type: "+e.toString();if(void 0===e.value&&"validator"!==e.type)throw"Object missing value: "+e.toString();let t;if("object"===e.type){if(!Array.isArray(e.value))throw"Type 'object' value must be an array";t={},e.value.forEach(e=>{v(e,t)})}else if("field"===e.type){if(!e.name||"string"!=typeof e.name)throw"Illegal/missing field name for object "+a.toString();if(!a)throw"No parent present for 'field' type";a[e.name]=v(e.value)}else if("array"===e.type){if(!Array.isArray(e.value))throw"Type 'array' value must be array";t=[],e.value.forEach(e=>{t.push(v(e))})}else if("primitive"===e.type)t=e.value;else if("validator"===e.type)t=_(e);else if("regexp"===e.type){if("string"!=typeof e.value||"string"!=typeof e.flags)throw"RegExp object missing required field";t=RegExp(e.value,e.flags)}else throw"Unknown object type: "+e.type;return t},j=e=>{let a={type:"validator",name:e._name};e._optional&&(a.optional=!0);let t=a.callChain=[],r=e._callChain;if(r&&r.length>0)for(let l=0;l<r.length;l++){let n=r[l],i=n.args,s=[],o={name:n.name,args:s};for(let f=0;f<i.length;f++)s.push(k(i[f]));t.push(o)}return e._serialize&&(a={...a,...e._serialize()}),a},k=e=>{let a={type:"primitive"};if(e.toJSON)a=e;else if(shapeOf.isValidator(e))a=j(e);else if(e.serialize&&"function"==typeof e.serialize)a={...a,...e.serialize()};else if(Array.isArray(e)){a.type="array";let t=a.value=[];for(let r=0;r<e.length;r++)t.push(k(e[r]))}else if(e instanceof RegExp){let l=e.toString().split("/"),n=l.pop();l.shift(),l=l.join("/"),a.type="regexp",a.value=l,a.flags=n}else if("object"==typeof e&&null!==e){a.type="object";let i=Object.keys(e),s=a.value=[];for(let o=0;o<i.length;o++){let f=i[o];s.push({type:"field",name:f,value:k(e[f])})}}else a.value=e;return a},C=e=>{if("number"==typeof e)return e},w=(e,a,t)=>{if(t<=Math.max(e,a)&&t>=Math.min(e,a))return t},V=(e,a)=>{if(a>=e)return a},x=(e,a)=>{if(a<=e)return a},A=e=>{if(a(e))return e},q=e=>{if("string"==typeof e)return e},E=(...e)=>{let a="",t="",r;if(e.length<2||e.length>3)throw"String pattern validator requires between one and two arguments";if(t=e[0],2===e.length?r=e[1]:(a=e[1],r=e[2]),"string"==typeof t)t=RegExp(t,a);else if(t instanceof RegExp)3===e.length&&(t=RegExp(t,a));else throw"shapeOf.string.pattern() only accepts strings and RegExp objects as an argument";if(t.test(r))return r},S=e=>{if(z.test(e))return e},z=/^(([^<>()\[\]\\.,;:\s@"]+(\.[^<>()\[\]\\.,;:\s@"]+)*)|(".+"))@((\[((25[0-5]|(2[0-4]|1[0-9]|[1-9]|)[0-9])\.){3}(25[0-5]|(2[0-4]|1[0-9]|[1-9]|)[0-9])\])|(([a-zA-Z0-9][a-zA-Z\-0-9]+\.)+(?![wW][eE][bB])[a-zA-Z]{2,}))$/,B=e=>{if(I.test(e))return e},I=/^((25[0-5]|(2[0-4]|1[0-9]|[1-9]|)[0-9])(\.(?!$)|$)){4}$/,F=e=>{if(T.test(e))return e},T="^\\s*(({{O0}}{7}([0-9A-Fa-f]{1,4}|:))|({{O0}}{6}(:[0-9A-Fa-f]{1,4}|({{O2}}(\\.{{O2}}){3})|:))|({{O0}}{5}(({{O1}}{1,2})|:({{O2}}(\\.{{O2}}){3})|:))|({{O0}}{4}(({{O1}}{1,3})|({{O1}}?:({{O2}}(\\.{{O2}}){3}))|:))|({{O0}}{3}(({{O1}}{1,4})|({{O1}}{0,2}:({{O2}}(\\.{{O2}}){3}))|:))|({{O0}}{2}(({{O1}}{1,5})|({{O1}}{0,3}:({{O2}}(\\.{{O2}}){3}))|:))|({{O0}}{1}(({{O1}}{1,6})|({{O1}}{0,4}:({{O2}}(\\.{{O2}}){3}))|:))|(:(({{O1}}{1,7})|({{O1}}{0,5}:({{O2}}(\\.{{O2}}){3}))|:)))(%.+)?\\s*$";T=RegExp(T=(T=(T=T.replace(/\{\{O0\}\}/g,"([0-9A-Fa-f]{1,4}:)")).replace(/\{\{O1\}\}/g,"(:[0-9A-Fa-f]{1,4})")).replace(/\{\{O2\}\}/g,"(25[0-5]|2[0-4]\\d|1\\d\\d|[1-9]?\\d)"));let R=(...e)=>{if(e.length<2||e.length>3)throw"Length validator requires between one and two arguments";let a=e[e.length-1];if(2===e.length){if(a.length===e[0])return a}else{let t=Math.min(e[0],e[1]),r=Math.max(e[0],e[1]);if(a.length>=t&&a.length<=r)return a}},M=e=>{if(Array.isArray(e))return e},N=e=>{if("boolean"==typeof e)return e},P=e=>{if("object"==typeof e&&null!==e)return e},Z=e=>{if(null===e)return e},U=e=>q(e)||N(e)||C(e)||Z(e),H=(...a)=>{if(a.length<2)throw"arrayOf validator requires at least one argument";let t=a.pop(),r=e(a),l;if(Array.isArray(t)){for(let n=t.length-1;n>=0;n--){l=!1;for(let i=r.length-1;i>=0;i--){let s=shapeOf(t[n]).returnsObject.shouldBe(r[i]);if(l=l||void 0!==s){s!==t[n]&&(t[n]=s);break}}if(!l)break}if(l)return t}},J=(...a)=>{if(a.length<2)throw"objectOf validator requires at least one argument";let t=a.pop(),r=e(a),l;if("object"!=typeof t||null===t)return;let n=Object.keys(t);for(let i=n.length-1;i>=0;i--){let s=t[n[i]];l=!1;for(let o=r.length-1;o>=0;o--){let f=shapeOf(s).returnsObject.shouldBe(r[o]);if(l=l||void 0!==f){f!==s&&(t[n[i]]=f);break}}if(!l)break}if(l)return t},L=(...a)=>{if(a.length<2)throw"oneOf validator requires at least one argument";let t=a.pop(),r=e(a);for(let l=r.length-1;l>=0;l--)if(r[l]===t)return t},W=(...a)=>{if(a.length<2)throw"oneOfType validator requires at least one argument";let t=a.pop(),r=e(a);for(let l=0;l<r.length;l++)if(shapeOf(t).shouldBeExactly(r[l]))return t},D=(...a)=>{if(a.length<2)throw"eachOfType validator requires at least one argument";let t=a.pop(),r=e(a);for(let l=0;l<r.length;l++)if(!shapeOf(t).shouldBeExactly(r[l])){shapeOf.isValidator(r[l])?O(`Failed: Validator 'shapeOf.eachOf' -> '${r[l]._name}'`,t):O(`Failed: Validator 'shapeOf.eachOf' -> index ${l}`,t);return}return O('Passed: Validator "shapeOf.eachOf"',t),t};shapeOf.optional={},[{name:"shapeOf.number",callback:C},{name:"shapeOf.number.range",callback:w,options:{parent:"shapeOf.number",requiredArgsCount:2}},{name:"shapeOf.number.min",callback:V,options:{parent:"shapeOf.number",aliases:"shapeOf.number.greaterThanOrEqualTo",requiredArgsCount:1}},{name:"shapeOf.number.max",callback:x,options:{parent:"shapeOf.number",aliases:"shapeOf.number.lessThanOrEqualTo",requiredArgsCount:1}},{name:"shapeOf.integer",callback:A},{name:"shapeOf.integer.range",callback:w,options:{parent:"shapeOf.integer",requiredArgsCount:2}},{name:"shapeOf.integer.min",callback:V,options:{parent:"shapeOf.integer",aliases:"shapeOf.integer.greaterThanOrEqualTo",requiredArgsCount:1}},{name:"shapeOf.integer.max",callback:x,options:{parent:"shapeOf.integer",aliases:"shapeOf.integer.lessThanOrEqualTo",requiredArgsCount:1}},{name:"shapeOf.string",callback:q},{name:"shapeOf.string.size",callback:R,options:{parent:"shapeOf.string",aliases:"shapeOf.string.ofSize",requiredArgsCount:1}},{name:"shapeOf.string.pattern",callback:E,options:{parent:"shapeOf.string",aliases:"shapeOf.string.matching",requiredArgsCount:1}},{name:"shapeOf.string.email",callback:S,options:{parent:"shapeOf.string",aliases:"shapeOf.string.ofEmail"}},{name:"shapeOf.string.IPv4",callback:B,options:{parent:"shapeOf.string",aliases:["shapeOf.string.ofIPv4","shapeOf.string.ipv4",]}},{name:"shapeOf.string.IPv6",callback:F,options:{parent:"shapeOf.string",aliases:["shapeOf.string.ofIPv6","shapeOf.string.ipv6",]}},{name:"shapeOf.array",callback:M},{name:"shapeOf.array.size",callback:R,options:{parent:"shapeOf.array",aliases:"shapeOf.array.ofSize",requiredArgsCount:1}},{name:"shapeOf.bool",callback:N,options:{aliases:"shapeOf.boolean"}},{name:"shapeOf.object",callback:P},{name:"shapeOf.null",callback:Z},{name:"shapeOf.primitive",callback:U},{name:"shapeOf.arrayOf",callback:H},{name:"shapeOf.arrayOf.size",callback:R,options:{parent:"shapeOf.arrayOf",aliases:"shapeOf.arrayOf.ofSize",requiredArgsCount:1}},{name:"shapeOf.objectOf",callback:J},{name:"shapeOf.oneOf",callback:L,options:{requiredArgsCount:1}},{name:"shapeOf.oneOfType",callback:W,options:{requiredArgsCount:1}},{name:"shapeOf.eachOf",callback:D,options:{aliases:"shapeOf.each",requiredArgsCount:1}},].forEach(e=>{let a=shapeOf.Validator(e.name,e.callback,e.options),t=e.options||{},r=e.name.split("."),l=(t.parent||"").split("."),n={...e.options,optional:!0},i=r[0]+".optional."+r.filter((e,a)=>a>0).join(".");if(n.parent){let s=l[0]+".optional."+l.filter((e,a)=>a>0).join(".");n.parent=s}let o=shapeOf.Validator(i,e.callback,n);"shapeOf"===r[0]&&2===r.length&&(shapeOf[r[1]]=a,shapeOf.optional[r[1]]=o);let f=t.aliases||"";"string"==typeof f&&(f=[f]),f.forEach(e=>{let t=e.split(".");"shapeOf"===t[0]&&2===t.length&&(shapeOf[t[1]]=a,shapeOf.optional[t[1]]=o)})})}(),shapeOf._versionCompatibilityHistory={"0.0.7":"0.0.7","0.0.6":"0.0.6","0.0.8":"0.0.8","0.0.9":"0.0.8","0.0.5":"0.0.5"},shapeOf.version="0.0.9",shapeOf.compatibleSchemaVersion="0.0.8",module.exports=shapeOf;
\ No newline at end of file
+/*
+ * shapeOf
+ * Core Library
+ * 
+ * A lightweight schema validator for JSON endpoints.
+ * 
+ * 
+ * Copyright (c) 2021 Jeff Allen
+ * 
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ * 
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+class ShapeOfError extends Error{constructor(e,t){super(e,t),this.name="ShapeOfError",t&&"cause"in t&&!Object.prototype.hasOwnProperty.call(this,"cause")&&Object.defineProperty(this,"cause",{value:t.cause,writable:!0,configurable:!0})}}class ValidationError extends ShapeOfError{constructor(e,t){super(e),this.name="ValidationError",t=t||{},this.path=t.path,this.log=t.log||[],this.messages=t.messages||[],this.schema=t.schema,this.value=t.value}}class SchemaDefinitionError extends ShapeOfError{constructor(e,t){super(e,t),this.name="SchemaDefinitionError"}}class DeserializationError extends ShapeOfError{constructor(e,t){super(e,t),this.name="DeserializationError"}}let shapeOf=function e(t,a,r){let n=function(e){return s(this,e)};n.ShapeOfError=ShapeOfError,n.ValidationError=ValidationError,n.SchemaDefinitionError=SchemaDefinitionError,n.DeserializationError=DeserializationError;let o=e=>{if(Array.isArray(e)){let t=[];for(let a=0;a<e.length;a++){let r=e[a];if(Array.isArray(r))for(let e=0;e<r.length;e++)t.push(r[e]);else t.push(r)}return t}return e},i=Number.isInteger||(e=>"number"==typeof e&&e==e&&e!==1/0&&e!==-1/0&&Math.floor(e)===e),s=(e,t,a)=>{let r={};(a=a||{}).baseObject&&(r=a.baseObject,delete a.baseObject),delete a.exclude,l(a);let n=a.exclude;return-1===n.indexOf("shouldBe")&&(r.shouldBe=S.bind(e,{obj:t,...a})),r.is=r.shouldBe,-1===n.indexOf("shouldBeExactly")&&(r.shouldBeExactly=r.isExactly=S.bind(e,{obj:t,exact:!0,...a})),-1===n.indexOf("shouldBeAsync")&&(r.shouldBeAsync=r.isAsync=w.bind(e,{obj:t,...a})),-1===n.indexOf("shouldBeExactlyAsync")&&(r.shouldBeExactlyAsync=r.isExactlyAsync=w.bind(e,{obj:t,exact:!0,...a})),-1===n.indexOf("returnsObject")&&c(r,"returnsObject",()=>h(e,{obj:t,...a})),-1===n.indexOf("returnsResults")&&c(r,"returnsResults",()=>u(e,{obj:t,...a})),-1===n.indexOf("collectsAllErrors")&&c(r,"collectsAllErrors",()=>d(e,{obj:t,...a})),-1===n.indexOf("immutable")&&c(r,"immutable",()=>m(e,{obj:t,...a})),-1===n.indexOf("shouldNotBe")&&(r.shouldNotBe=r.isNot=((e,t)=>!S(e,t)).bind(e,{obj:t,...a})),-1===n.indexOf("shouldNotBeAsync")&&(r.shouldNotBeAsync=r.isNotAsync=(async(e,t)=>!await w(e,t)).bind(e,{obj:t,...a})),-1===n.indexOf("throwsOnInvalid")&&c(r,"throwsOnInvalid",()=>f(e,t,a)),-1===n.indexOf("withConcurrency")&&(r.withConcurrency=y.bind(e,e,{obj:t,...a})),-1===n.indexOf("withMaxDepth")&&(r.withMaxDepth=O.bind(e,e,{obj:t,...a})),-1===n.indexOf("locale")&&(r.locale=g.bind(e,e,{obj:t,...a})),-1===n.indexOf("onInvalid")&&(r.onInvalid=b.bind(e,e,{obj:t,...a})),-1===n.indexOf("onValid")&&(r.onValid=v.bind(e,e,{obj:t,...a})),-1===n.indexOf("onComplete")&&(r.onComplete=j.bind(e,e,{obj:t,...a})),r},l=(e,...t)=>{e.exclude=e.exclude||[],(e.returnsObject||e.returnsResults)&&(t=(t=t.concat(["returnsObject"])).concat(["returnsResults"])),e.throwsOnInvalid&&(t=t.concat(["throwsOnInvalid"])),e.collectsAllErrors&&(t=t.concat(["collectsAllErrors"])),e.immutable&&(t=t.concat(["immutable"])),e.concurrency&&(t=t.concat(["withConcurrency"])),e.maxDepth&&(t=t.concat(["withMaxDepth"])),e.locale&&(t=t.concat(["locale"])),t.forEach(t=>{-1===e.exclude.indexOf(t)&&e.exclude.push(t)})},c=(e,t,a)=>{let r;Object.defineProperty(e,t,{configurable:!0,enumerable:!0,get:()=>(void 0===r&&(r=a()),r)})},f=(e,t,a)=>{let r={obj:t,throwsOnInvalid:!0,...a};return r.baseObject=p.bind(e,e,r),s(e,t,r)},p=(e,t,a)=>("function"==typeof a?t.errorFactory=a:a&&(t.errorObj=a),f(e,t.obj,t)),h=(e,t)=>{let a={obj:t.obj,returnsObject:!0,...t};return s(e,t.obj,a)},u=(e,t)=>{let a={obj:t.obj,returnsResults:!0,...t};return s(e,t.obj,a)},d=(e,t)=>{let a={obj:t.obj,collectsAllErrors:!0,...t};return s(e,t.obj,a)},m=(e,t)=>{let a={obj:t.obj,immutable:!0,...t};return s(e,t.obj,a)},y=(e,t,a)=>{if("number"!=typeof a||!(a>=1))throw new ShapeOfError("shapeOf().withConcurrency() requires a number of at least 1");return s(e,t.obj,{...t,concurrency:a})},O=(e,t,a)=>{if("number"!=typeof a||!(a>=1))throw new ShapeOfError("shapeOf().withMaxDepth() requires a number of at least 1");return s(e,t.obj,{...t,maxDepth:a})},g=(e,t,a)=>(Ge(a),s(e,t.obj,{...t,locale:a})),b=(e,t,a)=>{let r=t.onInvalid||[];return r.push(a),s(e,t.obj,{onInvalid:r,...t})},v=(e,t,a)=>{let r=t.onValid||[];return r.push(a),s(e,t.obj,{onValid:r,...t})},j=(e,t,a)=>{let r=t.onComplete||[];return r.push(a),s(e,t.obj,{onComplete:r,...t})},S=(e,t)=>{e=_(e);let a=q(D(e,t));return x(e,t,a)},w=async(e,t)=>{e=_({...e,async:!0});let a=await $(D(e,t));return x(e,t,a)},_=e=>{let t=e.log||[],a=e.path||[],r=e.copies||new Map,o=Boolean(e.returnsResults||e.throwsOnInvalid);return{log:t,path:a,copies:r,root:e.obj,locale:n._locale,recordsLog:o,obj:void 0,parent:void 0,exact:void 0,returnsObject:void 0,keyMessages:void 0,depth:void 0,...e}},k=e=>e.filter(e=>-1===["mutation","passed","validator_log"].indexOf(e.code))[0],x=(e,t,a)=>{let r=e.obj,n=e.returnsObject||!1,o=e.returnsResults||!1,i=void 0!==a,s=e.log.filter(e=>e.custom).map(e=>e.message);if(i&&!e.immutable&&(a=A(e.copies,a)),e.onInvalid&&!i&&e.onInvalid.forEach(e=>e(r,t,s)),e.onValid&&i&&e.onValid.forEach(e=>e(r,t)),e.throwsOnInvalid&&!i){if(e.errorObj)throw e.errorObj;if(e.errorFactory)throw e.errorFactory({success:!1,log:e.log,messages:s,obj:r},t);let a=k(e.log);throw new ValidationError(s.length>0?s.join("\n"):"Invalid shape detected",{path:a?a.path:"",log:e.log,messages:s,schema:t,value:r})}return e.onComplete&&e.onComplete.forEach(e=>e(r,t,s)),n?a:o?{success:i,log:e.log,messages:s,obj:i?a:r}:i},E=(e,t,a,r)=>{let n=t;return e.copies.has(t)||(n=Array.isArray(t)?t.slice():Object.assign(Object.create(Object.getPrototypeOf(t)),t),e.copies.set(n,t)),n[a]=r,n},A=(e,t)=>{if(!e.has(t))return t;let a=e.get(t),r=Object.keys(t);for(let n=0;n<r.length;n++){let o=r[n],i=A(e,t[o]);a[o]!==i&&(a[o]=i)}return a},q=e=>{let t=e.next();for(;!t.done;)t=e.next(t.value);return t.value},$=e=>new Promise((t,a)=>{let r=(n,o)=>{let i;try{i=e[n](o)}catch(e){return void a(e)}i.done?t(i.value):Promise.resolve(i.value).then(e=>r("next",e),e=>r("throw",e))};r("next")}),C=function*(e,t,a){let r=e.concurrency||1/0;if(!e.async||r<=1||t<2){for(let r=0;r<t&&(yield*a(r,e));r++);return}let n=[];yield((e,t,a)=>new Promise((r,n)=>{let o=0,i=0,s=!1,l=!1,c=()=>{if(!l)if((s||o>=e)&&0===i)r();else for(;!s&&i<t&&o<e;)i++,a(o++).then(e=>{i--,e||(s=!0),c()},e=>{l=!0,n(e)})};c()}))(t,r,t=>(n[t]=[],$(a(t,{...e,log:n[t]}))));for(let t=0;t<n.length;t++)for(let a=0;a<n[t].length;a++)e.log.push(n[t][a])},N=function*(e,t,a,r){let n;if(n=t instanceof V?yield*t.apply(e,a):t.apply(e,a),n&&"function"==typeof n.then){if(!e.async)throw new ShapeOfError(`Validator '${r}' returned a promise; use .isAsync() for asynchronous validators`);n=yield n}return n},V=Object.getPrototypeOf(function*(){}).constructor,D=function*(e,t){let a,r=e.obj,o=e.collectsAllErrors||!1;if(e.compiled&&null!==t&&("object"==typeof t||"function"==typeof t)){let a=rt(e.compiled,t,!0);if(a)return yield*a(e)}if(n.isValidator(t))a=yield*I(e,t,K(t));else if("function"==typeof t)a=yield*N(e,t,[r],t.name),void 0===a?P(e,{code:"validator_failed",message:`Failed: Validation using functional validator '${t.name}'`,validator:t.name},r):r!==a&&P(e,{code:"mutation",message:`Mutation: Functional validator '${t.name}'`,validator:t.name},r,a);else if(Array.isArray(t)){let n=t.length===r.length,i=r.length;n||(P(e,{code:"length_mismatch",message:`Failed: Array with length ${r.length}, expected length ${t.length}`,expected:t.length},r),i=Math.min(r.length,t.length)),(n||o)&&(yield*C(e,i,function*(a,i){let s=yield*D({...i,obj:r[a],path:e.path.concat([a]),parent:r,returnsObject:!0},t[a]);return void 0===s?(n=!1,P(i,{code:"invalid_element",message:`Failed: Array element at index ${a}`,key:a},r[a]),o):(s!==r[a]&&(P(i,{code:"mutation",message:`Mutation: Array element at index ${a}`,key:a},r[a],s),r=E(e,r,a,s)),!0)})),n?a=r:P(e,{code:"invalid_array",message:"Failed: Array"},r)}else"object"==typeof t?a=yield*M(e,t,J(t)):t===r?a=r:P(e,{code:"not_equal",message:"Failed: Strict equality",expected:t},r,a);return a},I=function*(e,t,a){let r=e.obj,n=yield*X(t,r,e,a);return void 0!==n&&r!==n&&P(e,{code:"mutation",message:`Mutation: Validator '${t._name}'`,validator:t._name,args:t._thisCall.args},r,n),n},M=function*(e,t,a){let r=yield*T(e.obj,t,e,a);return void 0===r&&P(e,{code:"invalid_object",message:"Failed: Object"},e.obj),r},z=function*(e,t,a,r,n,o){let i,s=e.path||[],l=e.parent,c=[];void 0!==n&&(s=s.concat([n]),l=e.obj);for(let n=0;n<a.length;n++){let f=[],p=yield*D({...e,obj:t,path:s,parent:l,log:f,returnsObject:!0,exact:r},a[n]);if(void 0===p)c=c.concat(f);else{if(!o)return p;if(void 0!==i)return;i={rtn:p}}}if(void 0!==i)return i.rtn;if(e.log)for(let t=0;t<c.length;t++)e.log.push(c[t])},J=e=>{let t=Object.keys(e),a=[];for(let r=t.length-1;r>=0;r--){let n=t[r];a.push({key:n,expected:e[n],defaultValue:G(e[n])})}return a},T=function*(e,t,a,r){if("object"!=typeof e||null===e)return;let n=a.exact||!1,o=a.collectsAllErrors||!1,i=a.keyMessages||{},s=!0;if(a={...a,returnsObject:!0,keyMessages:void 0},yield*C(a,r.length,function*(t,n){let l=r[t].key,c=r[t].expected,f=r[t].defaultValue;if(f&&(void 0===e[l]||null===e[l]&&f.whenNull)){let t=f.value;"function"==typeof t&&(t=t()),P(n,{code:"mutation",message:`Mutation: Default value for key '${l}'`,key:l,validator:"shapeOf.default",args:c._callChain.filter(e=>"shapeOf.default"===e.name).pop().args},e[l],t),e=E(a,e,l,t)}let p=Object.prototype.hasOwnProperty.call(i,l)?i[l]:void 0;if(void 0===e[l])return!!c._optional||(P(n,{code:"missing_key",message:p?Q(p,{path:a.path.concat([l]),code:"missing_key"}):`Failed: Object with missing key '${l}'`,key:l,custom:Boolean(p)}),s=!1,o);let h=e[l];if(r[t].check&&r[t].check(h)===h)return!0;let u={...n,obj:h,path:a.path.concat([l]),parent:e};p&&(u.log=[]);let d=yield*D(u,c);return p&&u.log.filter(e=>void 0!==d||!e.custom).forEach(e=>n.log.push(e)),void 0===d?(P(n,{code:"invalid_key",message:p?Q(p,{value:h,path:u.path,code:"invalid_key"}):`Failed: Object at key '${l}'`,key:l,custom:Boolean(p)},h),s=!1,o):(d!==e[l]&&(P(n,{code:"mutation",message:`Mutation: Object field '${l}'`,key:l},e[l],d),e=E(a,e,l,d)),!0)}),s||o){if(n){let r=Object.keys(e);for(let e=r.length-1;e>=0;e--)if(!Object.prototype.hasOwnProperty.call(t,r[e])){if(P(a,{code:"extraneous_key",message:`Failed: Object with extraneous key '${r[e]}'`,key:r[e]}),!o)return;s=!1}}return s?e:void 0}},P=(e,t,...a)=>{if("string"==typeof t&&(t={message:t}),!e.recordsLog&&!t.custom&&!e.locale)return;let r=e.log,n=e.path||[];void 0!==t.key&&(n=n.concat([t.key]));let o=t.message,i=t.custom;if(e.locale&&!i&&!1!==t.localize){let r=Ke(e.locale,t,n,a[0]);void 0!==r&&(o=r,i=!0)}if(!e.recordsLog&&!i)return;let s={message:o,code:t.code,path:F(n)};void 0!==t.validator&&(s.validator=t.validator,s.args=t.args||[]),i&&(s.custom=!0),a.length>0&&(1===a.length&&(a=a[0]),s.obj=a),r.push(s)},F=e=>{let t="";for(let a=0;a<e.length;a++)t+="/"+String(e[a]).replace(/~/g,"~0").replace(/\//g,"~1");return t},R=function(...e){if(e.length<this._requiredArgsCount)throw new SchemaDefinitionError(`Validator '${this._name}' requires at least ${this._requiredArgsCount} arguments`);let t={...this};t._callChain=[].concat(this._callChain),t._callChain.pop(),t._thisCall=L(this._thisCall),t._thisCall.args=[].concat(e),t._callChain.push(t._thisCall);let a=Object.keys(t._subValidators);for(let e=a.length-1;e>=0;e--){let r=a[e],n=t._subValidators[r],o=U(n._name,n._callback,{...n._options,_callChain:t._callChain});o._subValidators=n._subValidators;let i=R.bind(o),s=Object.keys(o);for(let e=s.length-1;e>=0;e--){let t=s[e];i[t]=o[t]}t[r]=i}let r=R.bind(t),n=Object.keys(t);for(let e=n.length-1;e>=0;e--){let a=n[e];r[a]=t[a]}return H(r),r};(n.Validator=function(e,t,a){[e].concat((a=a||{}).aliases||[]).forEach(e=>{if(Object.prototype.hasOwnProperty.call(n.Validator._validators,e)&&!a.override)throw new SchemaDefinitionError(`Validator '${e}' is already registered. Use the 'override' option to replace it.`)});let r=U(e,t,a),o=R.bind(r);return o=Object.assign(o,r),H(o),a.parent&&W(a.parent,o),r._aliases.forEach(e=>{n.Validator._validators[e]=o}),n.Validator._validators[r._name]=o,o})._validators={};let B=r||{validator:"token"};n.createInstance=t=>{let a=e(n,t||{},B);return a._versionCompatibilityHistory=n._versionCompatibilityHistory,a.version=n.version,a.compatibleSchemaVersion=n.compatibleSchemaVersion,a},n.isValidator=e=>Boolean(e&&e._validatorToken&&e._validatorToken===B&&e._callback&&"function"==typeof e._callback&&e._callChain&&e._thisCall),n.define=(e,t)=>{if("string"!=typeof e||0===e.length)throw new SchemaDefinitionError("shapeOf.define() requires a schema name");if(void 0===t)throw new SchemaDefinitionError(`shapeOf.define() requires a schema for '${e}'`);return n._schemas[e]=t,t},n._schemas={},n.maxDepth=100;let L=(e,t,a)=>"object"==typeof e?{name:e.name,args:[].concat(e.args),_callback:e._callback,_contextual:e._contextual,_failureCode:e._failureCode,_options:e._options}:{name:e,args:t,_callback:a},U=(e,t,a,r)=>{r=r||{},a=a||{},a={...r,...a};let n={},o=[].concat(a._callChain||[]),i=L(e,[],t);return i._contextual=a.contextual||!1,i._failureCode=a.failureCode,i._options=a,o.push(i),n._name=e,n._thisCall=i,n._callChain=o,n._options=a,n._optional=a.optional||!1,n._requiredArgsCount=a.requiredArgsCount||Math.max(0,t.length-(a.contextual?2:1)),n._callback=t,n._aliases=a.aliases||[],n._subValidators={},n._validatorToken=B,a.serialize&&(n._serialize=a.serialize),a.deserialize&&(n._deserialize=a.deserialize),"string"==typeof n._aliases&&(n._aliases=[n._aliases]),n},W=(e,t)=>{if("string"==typeof e){let t=e;if(!(e=n.Validator._validators[t]))throw new SchemaDefinitionError("Unknown validator: "+t)}[t._name].concat(t._aliases).forEach(a=>{let r=a;r=r.replace(e._name,""),r=r.split("."),r=r[r.length-1];let n={},o=Object.keys(t);for(let e=o.length-1;e>=0;e--){let a=o[e];n[a]=t[a]}e._optional&&(n._optional=!0);let i=[].concat(e._callChain).concat(t._callChain);n._callChain=i;let s=R.bind(n);s=Object.assign(s,n),H(s),e[r]=s,e._subValidators[r]=s})},Z={},H=e=>{let t=Object.keys(Z);for(let a=t.length-1;a>=0;a--){let r=t[a],n=Z[r],o=U(n._name,n._callback,{...n._options,optional:e._optional,_callChain:e._callChain}),i=R.bind(o);e[r]=Object.assign(i,o)}},G=e=>{if(!n.isValidator(e))return;let t=e._callChain;for(let e=t.length-1;e>=0;e--)if("shapeOf.default"===t[e].name){let a=t[e].args,r=a[1]||{};return{value:a[0],whenNull:Boolean(r.whenNull)}}},K=e=>{if(!n.isValidator(e))return;let t=e._callChain;for(let e=t.length-1;e>=0;e--)if("shapeOf.message"===t[e].name){let a=e-1;for(;a>=0&&"shapeOf.message"===t[a].name;)a--;return{text:t[e].args[0],args:a>=0?t[a].args:[]}}},Q=(e,t)=>{let a=t.path||[],r=t.args||[],n={value:t.value,path:F(a),key:a[a.length-1],args:r.join(", "),validator:t.validator,code:t.code,expected:t.expected};return"function"==typeof e?String(e({...n,args:r})):String(e).replace(/\{(\w+)\}/g,(e,t)=>{let a=/^[0-9]+$/.test(t)?r[Number(t)]:n[t];return void 0===a?e:String(a)})},X=function*(e,t,a,r){let n=e._callChain,o=!0;for(let e=0;e<n.length;e++){let i=n[e];if(i.args.length<i._requiredArgsCount)throw new SchemaDefinitionError("Missing required arguments for validator: "+i._name);let s,l=i.args.concat([t]);i._contextual&&(s=ee(a,i,t),l.push(s));let c=yield*N(a,i._callback,l,i.name);if(s&&s._failed&&(c=void 0),void 0===c){let c=Boolean(r&&o),f=Boolean(s&&s._failed)||Y(i);if(!c&&f||P(a,{code:"validator_failed",message:c?Q(r.text,{value:t,path:a.path,args:r.args,validator:i.name,code:"validator_failed"}):`Failed: Validator '${i.name}'`,validator:i.name,args:i.args,custom:c,reason:a.locale&&i._failureCode?i._failureCode(...l):void 0,localize:!f},t),!a.collectsAllErrors||!Y(i)||!Y(n[e+1]))return;o=!1;continue}t=c}if(o)return t},Y=e=>Boolean(e&&e._options&&e._options.chainable),ee=(e,t,a)=>{let r=e.path||[],n={path:r.slice(),key:r[r.length-1],parent:e.parent,root:e.root,options:e,log:r=>{P(e,{code:"validator_log",message:r,validator:t.name,args:t.args},a)},fail:(r,o)=>{n._failed=!0,P(e,{code:r||"validator_failed",message:o||`Failed: Validator '${t.name}'`,validator:t.name,args:t.args},a)},_failed:!1};return n};n.serialize=(e,t)=>{let a=oe(),r={_shapeOfVersion:n.version,_shapeOfSchemaVersion:n.compatibleSchemaVersion,schema:he(e,a)};return Object.keys(a.definitions).length>0&&(r.definitions=a.definitions),a.references.length>0&&(r.references=a.references),(t=t||{}).returnsObject?r:JSON.stringify(r)},n.deserialize=e=>{if("string"==typeof e)try{e=JSON.parse(e)}catch(e){throw new DeserializationError("Error while deserializing schema:\n"+e.toString(),{cause:e})}if(!e._shapeOfVersion||!e._shapeOfSchemaVersion||!e.schema)throw new DeserializationError("Object doesn't appear to be a valid shapeOf schema.");if(!((e,t)=>{if(e=e.split("."),t=t.split("."),3!==e.length||3!==t.length)throw new ShapeOfError("Bad version format");return e[0]=parseInt(e[0]),e[1]=parseInt(e[1]),e[2]=parseInt(e[2]),t[0]=parseInt(t[0]),t[1]=parseInt(t[1]),t[2]=parseInt(t[2]),e[0]>=t[0]&&(e[1]>=t[1]||e[0]>t[0])&&(e[2]>=t[2]||e[1]>t[1])})(n.compatibleSchemaVersion,e._shapeOfSchemaVersion))throw new DeserializationError(`Incompatible schema versions, current version == ${n.compatibleSchemaVersion}, schema version == ${e._shapeOfSchemaVersion}`);let t={references:e.references||[],resolved:new Map},a=e.definitions||{},r={};return Object.keys(a).forEach(e=>{if(r[e]=ae(a[e],null,t),Object.prototype.hasOwnProperty.call(n._schemas,e)&&ce(e,n._schemas[e])!==ce(e,r[e]))throw new DeserializationError(`A different schema is already registered as '${e}'`)}),Object.keys(r).forEach(e=>{Object.prototype.hasOwnProperty.call(n._schemas,e)||n.define(e,r[e])}),ae(e.schema,null,t)};let te=e=>{let t;return e.forEach(e=>{let a=n.Validator._validators[e.name];if(void 0===a)throw new DeserializationError("Validator not found: "+e.name);let r=e.name.split(".").pop();if(t&&!t[r])throw new DeserializationError("Cannot find sub-validator "+e.name);t=e.args.length>0?t?t[r](...e.args):a(...e.args):t?t[r]:a}),t},ae=(e,t,a)=>{if(!e.type||"string"!=typeof e.type)throw new DeserializationError("Object isn't a valid type: "+e.toString());if(void 0===e.value&&"validator"!==e.type)throw new DeserializationError("Object missing value: "+e.toString());let r;if("object"===e.type){if(!Array.isArray(e.value))throw new DeserializationError("Type 'object' value must be an array");r={},e.value.forEach(e=>{ae(e,r,a)})}else if("field"===e.type){if(!e.name||"string"!=typeof e.name)throw new DeserializationError("Illegal/missing field name for object "+t.toString());if(!t)throw new DeserializationError("No parent present for 'field' type");t[e.name]=ae(e.value,null,a)}else if("array"===e.type){if(!Array.isArray(e.value))throw new DeserializationError("Type 'array' value must be array");r=[],e.value.forEach(e=>{r.push(ae(e,null,a))})}else if("primitive"===e.type)r=e.value;else if("validator"===e.type)r=((e,t)=>{if(!e.type||"validator"!==e.type)throw new DeserializationError("Object isn't a validator type: "+e.toString());if(!e.callChain||!Array.isArray(e.callChain)||!e.name||"string"!=typeof e.name)throw new DeserializationError("Malformed validator: "+e.toString());let a=e.callChain.map(a=>{if(!a.name||"string"!=typeof a.name||!a.args||!Array.isArray(a.args))throw new DeserializationError("Malformed validator: "+e.toString());return{name:a.name,args:a.args.map(e=>ae(e,null,t))}});return te(a)})(e,a);else if("reference"===e.type)r=re(e.value,a);else if("lazy"===e.type)r=()=>re(e.value,a);else if("factory"===e.type)r=()=>ae(e.value,null,a);else{if("regexp"!==e.type)throw new DeserializationError("Unknown object type: "+e.type);if("string"!=typeof e.value||"string"!=typeof e.flags)throw new DeserializationError("RegExp object missing required field");r=new RegExp(e.value,e.flags)}return r},re=(e,t)=>{if(!t||!t.references[e])throw new DeserializationError("Reference not found: "+e);if(t.resolved.has(e)){let a=t.resolved.get(e);if(a===ne)throw new DeserializationError("Cannot deserialize cyclic reference: "+e);return a}let a=t.references[e],r=ne;"object"===a.type?r={}:"array"===a.type&&(r=[]),t.resolved.set(e,r);let n=ae(a,null,t);return r===ne?r=n:Object.assign(r,n),t.resolved.set(e,r),r},ne={},oe=()=>({stack:[],refs:new Map,references:[],definitions:{}}),ie=(e,t)=>{let a=t.references.length;return t.references.push(null),t.refs.set(e,a),a},se=(e,t)=>{let a=e(),r=he(a,t);if("reference"!==r.type){let e=ie(a,t);t.references[e]=r,r={type:"reference",value:e}}return{type:"lazy",value:r.value}},le=(e,t)=>{!Object.prototype.hasOwnProperty.call(t.definitions,e)&&Object.prototype.hasOwnProperty.call(n._schemas,e)&&(t.definitions[e]=null,t.definitions[e]=he(n._schemas[e],t))},ce=(e,t)=>{let a=oe();a.definitions[e]=null;let r=he(t,a);return JSON.stringify([r,a.definitions,a.references])},fe=(e,t,a)=>{let r=t();if(!pe(r))throw new SchemaDefinitionError(`Can't serialize the default value function of '${e._callChain[0].name}', which returns a value other than JSON data`);return{type:"factory",value:he(r,a)}},pe=e=>{if(null===e||"boolean"==typeof e||"string"==typeof e)return!0;if("number"==typeof e)return isFinite(e);if(Array.isArray(e))return e.every(pe);if("object"!=typeof e)return!1;let t=Object.getPrototypeOf(e);return(t===Object.prototype||null===t)&&Object.keys(e).every(t=>pe(e[t]))},he=(e,t)=>{if(t=t||oe(),"object"!=typeof e&&"function"!=typeof e||null===e)return ue(e,t);if(t.refs.has(e))return{type:"reference",value:t.refs.get(e)};if(t.stack.indexOf(e)>-1)return{type:"reference",value:ie(e,t)};t.stack.push(e);let a=ue(e,t);if(t.stack.pop(),t.refs.has(e)){let r=t.refs.get(e);t.references[r]=a,a={type:"reference",value:r}}return a},ue=(e,t)=>{let a={type:"primitive"};if(null==e)a.value=e;else if(e.toJSON)a=e;else if(n.isValidator(e))a=((e,t)=>{let a={type:"validator",name:e._name};e._optional&&(a.optional=!0);let r=a.callChain=[],n=e._callChain;if(n&&n.length>0)for(let a=0;a<n.length;a++){let o=n[a],i=o.args,s=[],l={name:o.name,args:s};if(o._callback===Vt)s.push(se(i[0],t));else if(o._callback===zt&&"function"==typeof i[0]){s.push(fe(e,i[0],t));for(let e=1;e<i.length;e++)s.push(he(i[e],t))}else for(let e=0;e<i.length;e++)s.push(he(i[e],t));o._callback===Dt&&le(i[0],t),r.push(l)}return e._serialize&&(a={...a,...e._serialize()}),a})(e,t);else if(e.serialize&&"function"==typeof e.serialize)a={...a,...e.serialize()};else if(Array.isArray(e)){a.type="array";let r=a.value=[];for(let a=0;a<e.length;a++)r.push(he(e[a],t))}else if(e instanceof RegExp){let t=e.toString().split("/"),r=t.pop();t.shift(),t=t.join("/"),a.type="regexp",a.value=t,a.flags=r}else if("object"==typeof e&&null!==e){a.type="object";let r=Object.keys(e),n=a.value=[];for(let a=0;a<r.length;a++){let o=r[a];n.push({type:"field",name:o,value:he(e[o],t)})}}else a.value=e;return a};n.toJSONSchema=(e,t)=>{t=t||{};let a={stack:[],refs:new Map,defs:{},count:0,unrepresentable:[]},r={$schema:"https://json-schema.org/draft/2020-12/schema",...de(a,e,[],t.exact||!1)};return Object.keys(a.defs).length>0&&(r.$defs=a.defs),t.returnsReport?{schema:r,unrepresentable:a.unrepresentable}:r};let de=(e,t,a,r)=>{if("object"!=typeof t&&"function"!=typeof t||null===t)return me(e,t,a,r);if(e.refs.has(t))return Oe(e.refs.get(t));if(e.stack.indexOf(t)>-1){let a=Object.keys(n._schemas).filter(e=>n._schemas[e]===t)[0]||"schema"+e.count++;return e.refs.set(t,a),Oe(a)}e.stack.push(t);let o=me(e,t,a,r);if(e.stack.pop(),e.refs.has(t)){let a=e.refs.get(t);e.defs[a]=o,o=Oe(a)}return o},me=(e,t,a,r)=>{let o=(t,r)=>{e.unrepresentable.push({path:F(a),validator:r,reason:t})};if(n.isValidator(t)){let n={},i=t._callChain;for(let t=0;t<i.length;t++){let s,l=i[t],c=l._options&&l._options.toJSONSchema;if(c&&(s=c(l.args,{toJSONSchema:(t,n,o)=>de(e,t,a.concat(n||[]),"boolean"==typeof o?o:r),definition:(t,a)=>ye(e,t,a,r),report:e=>o(e,l.name),exact:r})),void 0!==s)ge(n,s);else if(o(`Validator '${l.name}' has no JSON Schema equivalent`,l.name),0===t)break}return n}if("function"==typeof t)return o(`Functional validator '${t.name}' has no JSON Schema equivalent`,t.name),{};if(Array.isArray(t))return{type:"array",prefixItems:t.map((t,n)=>de(e,t,a.concat(["prefixItems",n]),r)),items:!1,minItems:t.length};if(t instanceof RegExp)return o("Regular expressions outside of shapeOf.string.pattern() have no JSON Schema equivalent"),{};if("object"==typeof t&&null!==t){let n={type:"object",properties:{},required:[]};return Object.keys(t).forEach(o=>{let i=t[o];n.properties[o]=de(e,i,a.concat(["properties",o]),r),i&&i._optional||G(i)||n.required.push(o)}),0===n.required.length&&delete n.required,r&&(n.additionalProperties=!1),n}return void 0===t?(o("Undefined has no JSON Schema equivalent"),{}):{const:t}},ye=(e,t,a,r)=>{if(!Object.prototype.hasOwnProperty.call(e.defs,t)){let n=null!==a&&("object"==typeof a||"function"==typeof a);e.defs[t]={},n&&(e.refs.set(a,t),e.stack.push(a)),e.defs[t]=me(e,a,["$defs",t],r),n&&e.stack.pop()}return Oe(t)},Oe=e=>({$ref:"#"+F(["$defs",e])}),ge=(e,t)=>(Object.keys(t).forEach(a=>{"allOf"===a&&e.allOf?e.allOf=e.allOf.concat(t.allOf):"required"===a&&e.required?e.required=e.required.concat(t.required.filter(t=>-1===e.required.indexOf(t))):e[a]=t[a]}),e),be=e=>1===e.length?e[0]:{anyOf:e};n.fromJSONSchema=e=>{if("string"==typeof e)try{e=JSON.parse(e)}catch(e){throw new DeserializationError("Error while parsing JSON Schema:\n"+e.toString(),{cause:e})}let t=[];if(Se(e,[],t,e),t.length>0)throw new DeserializationError("Unsupported JSON Schema keywords:\n"+t.map(e=>`- ${e}`).join("\n"));return we({doc:e,resolved:{}},e)};let ve=["type","enum","const","minimum","maximum","minLength","maxLength","pattern","format","items","prefixItems","minItems","maxItems","properties","required","additionalProperties","dependentRequired","allOf","anyOf","oneOf","$ref","$defs","definitions","$schema","$id","$comment","title","description","examples","default","deprecated","readOnly","writeOnly"],je={string:["minLength","maxLength","pattern","format"],number:["minimum","maximum"],array:["items","prefixItems","minItems","maxItems"],object:["properties","required","additionalProperties","dependentRequired"]},Se=(e,t,a,r)=>{if("boolean"==typeof e)return;if("object"!=typeof e||null===e||Array.isArray(e))return void a.push(`Schema at '${F(t)}' isn't an object or boolean`);let n=e=>`'${e}' at '${F(t)}'`;Object.keys(e).forEach(e=>{-1===ve.indexOf(e)&&a.push(n(e))}),void 0===e.$ref||"string"==typeof e.$ref&&/^#(\/(\$defs|definitions)\/[^/]+)?$/.test(e.$ref)?void 0!==e.$ref&&void 0===xe(r,e.$ref)&&a.push(`${n("$ref")} (reference '${e.$ref}' not found)`):a.push(`${n("$ref")} (only references to '#' and '#/$defs/...' are supported)`),e.prefixItems&&!1!==e.items&&a.push(`${n("prefixItems")} (only supported along with 'items': false)`);let o=(e,n,...o)=>Se(n,t.concat([e],o),a,r);["items","additionalProperties"].forEach(t=>{void 0!==e[t]&&!1!==e[t]&&o(t,e[t])}),["prefixItems","allOf","anyOf","oneOf"].forEach(t=>{Array.isArray(e[t])&&e[t].forEach((e,a)=>o(t,e,a))}),["properties","$defs","definitions"].forEach(t=>{"object"==typeof e[t]&&null!==e[t]&&Object.keys(e[t]).forEach(a=>o(t,e[t][a],a))})},we=(e,t)=>{if(!0===t)return qe();if(!1===t)return n.oneOf([]);let a=[];"string"==typeof t.$ref&&a.push(n.lazy(()=>ke(e,t.$ref)));let r=t.type;if("string"==typeof r&&(r=[r]),!Array.isArray(r)){r=Object.keys(je).some(e=>je[e].some(e=>void 0!==t[e]))?["string","number","boolean","null","array","object"]:[]}return r.length>0&&a.push(Ee(r.map(a=>_e(e,t,a)))),Array.isArray(t.enum)&&a.push(Ae(t.enum)),void 0!==t.const&&a.push(Ae([t.const])),Array.isArray(t.allOf)&&a.push(n.eachOf(t.allOf.map(t=>we(e,t)))),Array.isArray(t.anyOf)&&a.push(Ee(t.anyOf.map(t=>we(e,t)))),Array.isArray(t.oneOf)&&a.push(n.exactlyOneOfType(t.oneOf.map(t=>we(e,t)))),0===a.length?qe():1===a.length?a[0]:n.eachOf(a)},_e=(e,t,a)=>{let r=[];if("string"===a)r.push(n.string),"number"!=typeof t.minLength&&"number"!=typeof t.maxLength||r.push(n.string.size(t.minLength||0,$e(t.maxLength,1/0))),"string"==typeof t.pattern&&r.push(n.string.pattern(t.pattern,"u")),"email"===t.format?r.push(n.string.email):"ipv4"===t.format?r.push(n.string.IPv4):"ipv6"===t.format&&r.push(n.string.IPv6);else if("number"===a||"integer"===a){let e="number"===a?n.number:n.integer;"number"==typeof t.minimum&&"number"==typeof t.maximum?e=e.range(t.minimum,t.maximum):"number"==typeof t.minimum?e=e.min(t.minimum):"number"==typeof t.maximum&&(e=e.max(t.maximum)),r.push(e)}else if("boolean"===a)r.push(n.bool);else if("null"===a)r.push(n.null);else if("array"===a){let a="number"==typeof t.minItems||"number"==typeof t.maxItems,o=t.minItems||0,i=$e(t.maxItems,1/0);if(Array.isArray(t.prefixItems))r.push(t.prefixItems.map(t=>we(e,t)));else if(void 0!==t.items){let s=n.arrayOf(we(e,t.items));a&&(s=s.size(Math.max(o,1),i)),r.push(o>0?s:n.oneOfType(n.array.size(0),s))}else r.push(a?n.array.size(o,i):n.array)}else{if("object"!==a)throw new DeserializationError(`Unsupported JSON Schema type: '${a}'`);{let a=t.properties||{},o=t.required||[],i={};Object.keys(a).forEach(t=>{let r=we(e,a[t]);i[t]=o.indexOf(t)>-1?r:mt(r,!0)}),o.forEach(e=>{Object.prototype.hasOwnProperty.call(i,e)||(i[e]=qe())});let s={exact:!1===t.additionalProperties};"object"==typeof t.additionalProperties&&null!==t.additionalProperties&&(s.additionalProperties=we(e,t.additionalProperties));let l=n.shape(i,s);"object"==typeof t.dependentRequired&&null!==t.dependentRequired&&(l=l.dependencies(t.dependentRequired)),r.push(l)}}return 1===r.length?r[0]:n.eachOf(r)},ke=(e,t)=>(Object.prototype.hasOwnProperty.call(e.resolved,t)||(e.resolved[t]=we(e,xe(e.doc,t))),e.resolved[t]),xe=(e,t)=>{let a=e;return t.substr(1).split("/").slice(1).forEach(e=>{e=e.replace(/~1/g,"/").replace(/~0/g,"~"),a="object"==typeof a&&null!==a&&Object.prototype.hasOwnProperty.call(a,e)?a[e]:void 0}),a},Ee=e=>1===e.length?e[0]:n.oneOfType(e),Ae=e=>e.every(e=>null===e||"object"!=typeof e)?n.oneOf(e):n.oneOfType(e.map(e=>null===e||"object"!=typeof e?n.oneOf([e]):e)),qe=()=>n.oneOfType(n.primitive,n.object),$e=(e,t)=>"number"==typeof e?e:t,Ce=e=>()=>({type:e}),Ne=e=>()=>({format:e}),Ve=e=>({minimum:Math.min(e[0],e[1]),maximum:Math.max(e[0],e[1])}),De=e=>({minimum:e[0]}),Ie=e=>({maximum:e[0]}),Me=e=>t=>{let a={};return a["min"+e]=1===t.length?t[0]:Math.min(t[0],t[1]),a["max"+e]=1===t.length?t[0]:Math.max(t[0],t[1]),a};n.toTypeScript=(e,t)=>{let a=Ue((t=t||{}).name||"Schema"),r={name:a,stack:[],refs:new Map,declarations:{},count:0};return Te(r,a,e),Object.keys(r.declarations).map(e=>r.declarations[e]).join("\n\n")+"\n"};let ze=(e,t)=>{if("object"!=typeof t&&"function"!=typeof t||null===t)return Je(e,t);if(e.refs.has(t))return e.refs.get(t);if(e.stack.indexOf(t)>-1){let a=Object.keys(n._schemas).filter(e=>n._schemas[e]===t)[0];return a=a?Ue(a):e.name+ ++e.count,e.refs.set(t,a),a}e.stack.push(t);let a=Je(e,t);if(e.stack.pop(),e.refs.has(t)){let r=e.refs.get(t);e.declarations[r]=Pe(r,t,a),a=r}return a},Je=(e,t)=>{if(n.isValidator(t)){let a=t._callChain[0],r=a._options&&a._options.toTypeScript,n=r&&r(a.args,{toTypeScript:t=>ze(e,t),definition:(t,a)=>Te(e,t,a)});return"string"==typeof n?n:"unknown"}return"function"==typeof t?"unknown":Array.isArray(t)?"["+t.map(t=>ze(e,t)).join(", ")+"]":t instanceof RegExp?"string":"object"==typeof t&&null!==t?Fe(Object.keys(t).map(a=>{let r=t[a],n=Boolean(r&&r._optional)&&!G(r);return Le(a)+(n?"?":"")+": "+ze(e,r)})):void 0===t?"undefined":"number"!=typeof t||isFinite(t)?JSON.stringify(t):"number"},Te=(e,t,a)=>{if(t=Ue(t),!Object.prototype.hasOwnProperty.call(e.declarations,t)){let r=null!==a&&("object"==typeof a||"function"==typeof a);e.declarations[t]="",r&&(e.refs.set(a,t),e.stack.push(a)),e.declarations[t]=Pe(t,a,Je(e,a)),r&&e.stack.pop()}return t},Pe=(e,t,a)=>{let r=!("object"!=typeof t||null===t||Array.isArray(t)||t instanceof RegExp);if(n.isValidator(t)){let e=t._callChain[0];r=/^shapeOf(\.optional)?\.shape$/.test(e.name)&&!(e.args[1]&&e.args[1].additionalProperties)}return r&&"{"===a.charAt(0)?`export interface ${e} ${a}`:`export type ${e} = ${a};`},Fe=e=>0===e.length?"{}":"{\n"+e.map(e=>"    "+e.replace(/\n/g,"\n    ")+";").join("\n")+"\n}",Re=(e,t)=>0===e.length?"|"===t?"never":"unknown":("&"===t&&(e=e.map(e=>Be(e)?`(${e})`:e)),(e=e.filter((t,a)=>e.indexOf(t)===a)).join(` ${t} `)),Be=e=>{let t=0;for(let a=0;a<e.length;a++){let r=e.charAt(a);if('"'===r)for(a++;a<e.length&&'"'!==e.charAt(a);a++)"\\"===e.charAt(a)&&a++;else if("{[(<".indexOf(r)>-1)t++;else if("}])>".indexOf(r)>-1)t--;else if("|"===r&&0===t)return!0}return!1},Le=e=>/^[A-Za-z_$][A-Za-z0-9_$]*$/.test(e)?e:JSON.stringify(e),Ue=e=>{let t=String(e).replace(/[^A-Za-z0-9_$]+(.)?/g,(e,t)=>t?t.toUpperCase():"");return t=t.charAt(0).toUpperCase()+t.substr(1),/^[0-9]/.test(t)||""===t?"_"+t:t},We=e=>()=>e,Ze=(e,t)=>`Array<${Re(o(e).map(e=>t.toTypeScript(e)),"|")}>`,He=(e,t)=>Re(o(e).map(e=>t.toTypeScript(e)),"|");n.setLocale=e=>{null!=e?(Ge(e),n._locale=e):n._locale=void 0},n.addMessages=(e,t)=>{if("string"!=typeof e||0===e.length)throw new ShapeOfError("shapeOf.addMessages() requires a locale");if("object"!=typeof t||null===t)throw new ShapeOfError(`shapeOf.addMessages() requires an object of messages for '${e}'`);n._catalogs[e]={...n._catalogs[e]||{},...t}},n._catalogs={};let Ge=e=>{if("string"!=typeof e||0===e.length)throw new ShapeOfError("A locale must be a non-empty string");let t=e.split("-")[0];if("en"!==t&&!n._catalogs[e]&&!n._catalogs[t])throw new ShapeOfError(`No messages added for locale: '${e}'`)},Ke=(e,t,a,r)=>{let o=[],i="string"==typeof t.validator?t.validator.replace(/^shapeOf\.optional\./,"shapeOf."):void 0;"validator_failed"===t.code?(i&&t.reason&&o.push(i+"."+t.reason),i&&o.push(i)):t.code&&(i&&o.push(i+"."+t.code),o.push(t.code));let s=(e=>{let t=[e,e.split("-")[0],"en"];return t.filter((e,a)=>t.indexOf(e)===a)})(e);for(let e=0;e<s.length;e++){let i=n._catalogs[s[e]];if(i)for(let e=0;e<o.length;e++)if(Object.prototype.hasOwnProperty.call(i,o[e]))return Q(i[o[e]],{value:r,path:a,args:t.args,validator:t.validator,code:t.code,expected:t.expected})}},Qe=(...e)=>{let t=e[e.length-1];return 2===e.length?"wrongSize":t.length<Math.min(e[0],e[1])?"tooShort":"tooLong"},Xe=(e,t,a)=>a<Math.min(e,t)?"tooSmall":"tooLarge",Ye=(...e)=>{let t=e[e.length-1];return"object"==typeof t&&null!==t?void 0:"notObject"},et=(e,t)=>({[e+".size.wrongSize"]:`Must ${"characters"===t?"be":"contain"} exactly {0} ${t}`,[e+".size.tooShort"]:`Must ${"characters"===t?"be":"contain"} at least {0} ${t}`,[e+".size.tooLong"]:`Must ${"characters"===t?"be":"contain"} at most {1} ${t}`}),tt=e=>({[e+".range.tooSmall"]:"Must be at least {0}",[e+".range.tooLarge"]:"Must be at most {1}",[e+".min"]:"Must be at least {0}",[e+".max"]:"Must be at most {0}"});n.addMessages("en",{"shapeOf.number":"Must be a number",...tt("shapeOf.number"),"shapeOf.integer":"Must be an integer",...tt("shapeOf.integer"),"shapeOf.string":"Must be a string",...et("shapeOf.string","characters"),"shapeOf.string.pattern":"Must match the expected format","shapeOf.string.email":"Must be a valid email address","shapeOf.string.IPv4":"Must be a valid IPv4 address","shapeOf.string.IPv6":"Must be a valid IPv6 address","shapeOf.array":"Must be an array",...et("shapeOf.array","items"),"shapeOf.bool":"Must be true or false","shapeOf.object":"Must be an object","shapeOf.null":"Must be null","shapeOf.primitive":"Must be a string, number, boolean, or null","shapeOf.arrayOf.notArray":"Must be an array",...et("shapeOf.arrayOf","items"),"shapeOf.objectOf.notObject":"Must be an object","shapeOf.oneOf":"Must be one of: {args}","shapeOf.shape.notObject":"Must be an object","shapeOf.union.notObject":"Must be an object","shapeOf.asNumber":"Must be a number",...tt("shapeOf.asNumber"),"shapeOf.asInteger":"Must be an integer",...tt("shapeOf.asInteger"),"shapeOf.asBool":"Must be true or false","shapeOf.asDate":"Must be a valid date",...et("shapeOf.asArrayOf","items"),missing_key:"{key} is required",extraneous_key:"{key} isn't allowed",length_mismatch:"Must contain exactly {expected} items",not_equal:"Must be {expected}",mutually_exclusive:"Only one of {args} may be given",unknown_discriminator:"'{value}' isn't a valid {key}",max_depth:"Is nested too deeply"}),n.compile=(e,t)=>{let a=at(t=t||{}),r=new WeakMap;return null===e||"object"!=typeof e&&"function"!=typeof e||rt(r,e,!0),t.async?t=>w({...a,obj:t,compiled:r},e):t=>S({...a,obj:t,compiled:r},e)};let at=e=>{let t={};return["exact","returnsObject","returnsResults","collectsAllErrors","immutable"].forEach(a=>{e[a]&&(t[a]=!0)}),e.throwsOnInvalid&&(t.throwsOnInvalid=!0,"function"==typeof e.throwsOnInvalid?t.errorFactory=e.throwsOnInvalid:!0!==e.throwsOnInvalid&&(t.errorObj=e.throwsOnInvalid)),["concurrency","maxDepth"].forEach(a=>{if(void 0!==e[a]){if("number"!=typeof e[a]||!(e[a]>=1))throw new ShapeOfError(`shapeOf.compile() requires the '${a}' option to be a number of at least 1`);t[a]=e[a]}}),void 0!==e.locale&&(Ge(e.locale),t.locale=e.locale),["onValid","onInvalid","onComplete"].forEach(a=>{e[a]&&(t[a]=[].concat(e[a]))}),t},rt=(e,t,a)=>{if(e.has(t))return e.get(t);let r,o,i=[];if(n.isValidator(t)){let e=K(t),a=nt(t);a?(r=function*(r){return a(r.obj)===r.obj?r.obj:yield*I(r,t,e)},r.check=a):r=a=>I(a,t,e),t._callChain.forEach(e=>i=i.concat(e.args))}else Array.isArray(t)?i=t:"object"==typeof t&&(o=J(t),r=e=>M(e,t,o),i=o.map(e=>e.expected));return e.set(t,r),a&&(i.forEach(t=>{null===t||"object"!=typeof t&&"function"!=typeof t||rt(e,t,!0)}),o&&o.forEach(t=>{let a=e.get(t.expected);a&&a.check&&(t.check=a.check)})),r},nt=e=>{let t=e._callChain;for(let e=0;e<t.length;e++){if(!ot.has(t[e]._callback)||t[e]._contextual)return;if(t[e].args.some(e=>e instanceof RegExp&&(e.global||e.sticky)))return}return e=>{for(let a=0;a<t.length;a++)if(t[a]._callback(...t[a].args,e)!==e)return;return e}},ot=new WeakSet;n.validateEach=(e,t,a)=>{let r=st("shapeOf.validateEach()",a=a||{}),n=it(t,a);return async function*(){let a=0,o=0;for await(let i of e){let e={index:a++,...await n(i)};if(yield e,!e.success&&++o===r)throw lt(e,t,o)}}()},n.stream=(e,t)=>{let a=st("shapeOf.stream()",t=t||{}),r=it(e,t),n=0,o=0,i=new(ct().Transform)({objectMode:!0,transform:(s,l,c)=>{r(s).then(r=>{let s={index:n++,...r};if(i.emit("result",s),!s.success&&++o===a)return c(lt(s,e,o));t.returnsResults?c(null,s):s.success?c(null,s.obj):c()},c)}});return i};let it=(e,t)=>n.compile(e,{...t,async:!0,returnsObject:!1,returnsResults:!0,throwsOnInvalid:!1}),st=(e,t)=>{let a=t.maxFailures;if(!(void 0===a||"number"==typeof a&&a>=1))throw new ShapeOfError(`${e} requires the 'maxFailures' option to be a number of at least 1`);return a},lt=(e,t,a)=>{let r=k(e.log);return new ValidationError(`Aborted after ${a} invalid record(s); record ${e.index} is invalid`,{path:"/"+e.index+(r?r.path:""),log:e.log,messages:e.messages,schema:t,value:e.obj})},ct=()=>{if("object"==typeof process&&null!==process&&"function"==typeof process.getBuiltinModule)return process.getBuiltinModule("stream");if("object"==typeof module&&null!==module&&"function"==typeof module.require)return module.require("stream");if("object"==typeof process&&null!==process&&process.versions&&process.versions.node)throw new ShapeOfError("shapeOf.stream() requires Node.js 20.16, 22.3, or later unless loaded using require(); use shapeOf.validateEach() instead");throw new ShapeOfError("shapeOf.stream() requires Node.js; use shapeOf.validateEach() instead")};n.extend=(e,t)=>{let a=ft(e,"extend"),r=ft(t,"extend");return ht(pt(a,r),{...a.schema,...r.schema})},n.merge=(e,t)=>{let a=ft(e,"merge"),r=ft(t,"merge"),o={...a.schema};return Object.keys(r.schema).forEach(e=>{let t=r.schema[e];Object.prototype.hasOwnProperty.call(o,e)&&ft(o[e])&&ft(t)?o[e]=n.merge(o[e],t):o[e]=t}),ht(pt(a,r),o)},n.pick=(e,t)=>{let a=ft(e,"pick");t=o([t]);let r={};return Object.keys(a.schema).forEach(e=>{t.indexOf(e)>-1&&(r[e]=a.schema[e])}),ht(a,r)},n.omit=(e,t)=>{let a=ft(e,"omit");t=o([t]);let r={};return Object.keys(a.schema).forEach(e=>{-1===t.indexOf(e)&&(r[e]=a.schema[e])}),ht(a,r)},n.partial=(e,t)=>ut(e,!0,Boolean(t&&t.deep),"partial"),n.required=(e,t)=>ut(e,!1,Boolean(t&&t.deep),"required");let ft=(e,t)=>{if(n.isValidator(e)&&e._callChain[0]._callback===Nt){let t=e._callChain;return{name:t[0].name,schema:t[0].args[0],shapeOptions:t[0].args.slice(1),rules:t.slice(1)}}if(!("object"!=typeof e||null===e||Array.isArray(e)||e instanceof RegExp))return{name:null,schema:e,shapeOptions:[],rules:[]};if(t)throw new SchemaDefinitionError(`shapeOf.${t}() requires an object schema or shapeOf.shape() validator`)},pt=(e,t)=>({name:e.name||t.name,shapeOptions:e.name?e.shapeOptions:t.shapeOptions,rules:e.rules.concat(t.rules)}),ht=(e,t)=>e.name||0!==e.rules.length?te([{name:e.name||"shapeOf.shape",args:[t].concat(e.shapeOptions)}].concat(e.rules)):t,ut=(e,t,a,r)=>{let o=ft(e);if(!o){if(!n.isValidator(e))throw new SchemaDefinitionError(`shapeOf.${r}() requires an object schema or validator`);return mt(a?dt(e,t):e,t)}let i={};return Object.keys(o.schema).forEach(e=>{let r=o.schema[e];a&&(r=dt(r,t)),i[e]=mt(r,t)}),ht(o,i)},dt=(e,t)=>{if(ft(e))return ut(e,t,!0);if(!n.isValidator(e))return e;let a=e._callChain,r=a[0]._callback;if(r!==xt&&r!==Et)return e;let o=a[0].args.map(e=>Array.isArray(e)?e.map(e=>dt(e,t)):dt(e,t));return te([{name:a[0].name,args:o}].concat(a.slice(1)))},mt=(e,t)=>{if(!n.isValidator(e))return t?yt(e):e;if(e._optional===t)return e;let a=e._callChain;if(!t&&1===a.length){let e=a[0].args;if("shapeOf.optional.shape"===a[0].name&&1===e.length)return e[0];if("shapeOf.optional.eachOf"===a[0].name&&1===e.length&&Array.isArray(e[0])&&1===e[0].length)return e[0][0]}let r=n.Validator._validators[a[0].name];if(!r||r._callback!==a[0]._callback){if(t)return yt(e);throw new SchemaDefinitionError(`Validator '${a[0].name}' isn't registered with this instance, and can't be made required`)}let o=a[0].name.split("."),i=t?[o[0],"optional"].concat(o.slice(1)).join("."):o.filter((e,t)=>1!==t||"optional"!==e).join(".");if(void 0===n.Validator._validators[i]){if(t)return yt(e);throw new SchemaDefinitionError(`Validator '${a[0].name}' has no required equivalent`)}return te([{name:i,args:a[0].args}].concat(a.slice(1)))},yt=e=>!n.isValidator(e)&&ft(e)?n.optional.shape(e):n.optional.eachOf([e]),Ot=(e,t,a)=>{let r=Math.min(e,t);if(a<=Math.max(e,t)&&a>=r)return a},gt=(e,t)=>{if(t>=e)return t},bt=(e,t)=>{if(t<=e)return t},vt=(e,t)=>{let a=t+"/"+e,r=jt.get(a);return r||(r=new RegExp(e,t),jt.size>=1e3&&jt.clear(),jt.set(a,r)),r.lastIndex=0,r},jt=new Map,St=/^(([^<>()\[\]\\.,;:\s@"]+(\.[^<>()\[\]\\.,;:\s@"]+)*)|(".+"))@((\[((25[0-5]|(2[0-4]|1[0-9]|[1-9]|)[0-9])\.){3}(25[0-5]|(2[0-4]|1[0-9]|[1-9]|)[0-9])\])|(([a-zA-Z0-9][a-zA-Z\-0-9]+\.)+(?![wW][eE][bB])[a-zA-Z]{2,}))$/,wt=/^((25[0-5]|(2[0-4]|1[0-9]|[1-9]|)[0-9])(\.(?!$)|$)){4}$/,_t="^\\s*(({{O0}}{7}([0-9A-Fa-f]{1,4}|:))|({{O0}}{6}(:[0-9A-Fa-f]{1,4}|({{O2}}(\\.{{O2}}){3})|:))|({{O0}}{5}(({{O1}}{1,2})|:({{O2}}(\\.{{O2}}){3})|:))|({{O0}}{4}(({{O1}}{1,3})|({{O1}}?:({{O2}}(\\.{{O2}}){3}))|:))|({{O0}}{3}(({{O1}}{1,4})|({{O1}}{0,2}:({{O2}}(\\.{{O2}}){3}))|:))|({{O0}}{2}(({{O1}}{1,5})|({{O1}}{0,3}:({{O2}}(\\.{{O2}}){3}))|:))|({{O0}}{1}(({{O1}}{1,6})|({{O1}}{0,4}:({{O2}}(\\.{{O2}}){3}))|:))|(:(({{O1}}{1,7})|({{O1}}{0,5}:({{O2}}(\\.{{O2}}){3}))|:)))(%.+)?\\s*$";_t=_t.replace(/\{\{O0\}\}/g,"([0-9A-Fa-f]{1,4}:)"),_t=_t.replace(/\{\{O1\}\}/g,"(:[0-9A-Fa-f]{1,4})"),_t=_t.replace(/\{\{O2\}\}/g,"(25[0-5]|2[0-4]\\d|1\\d\\d|[1-9]?\\d)"),_t=new RegExp(_t);let kt=(...e)=>{if(e.length<2||e.length>3)throw new SchemaDefinitionError("Length validator requires between one and two arguments");let t=e[e.length-1];if(2===e.length){if(t.length===e[0])return t}else{let a=Math.min(e[0],e[1]),r=Math.max(e[0],e[1]);if(t.length>=a&&t.length<=r)return t}},xt=function*(...e){if(e.length<2)throw new SchemaDefinitionError("arrayOf validator requires at least one argument");let t,a=this,r=e.pop(),n=o(e),i=a.collectsAllErrors||!1;if(Array.isArray(r))return yield*C(a,r.length,function*(e,o){let s=r.length-1-e,l=yield*z(o,r[s],n,!1,s);return void 0===l?(P(o,{code:"invalid_element",message:`Failed: Validator 'shapeOf.arrayOf' -> index ${s}`,key:s,validator:"shapeOf.arrayOf",args:n},r[s]),t=!1,i):(l!==r[s]&&(r=E(a,r,s,l)),void 0===t&&(t=!0),!0)}),t?r:void 0},Et=function*(...e){if(e.length<2)throw new SchemaDefinitionError("objectOf validator requires at least one argument");let t,a=this,r=e.pop(),n=o(e),i=a.collectsAllErrors||!1;if("object"!=typeof r||null===r)return;let s=Object.keys(r);return yield*C(a,s.length,function*(e,o){let l=s[s.length-1-e],c=r[l],f=yield*z(o,c,n,!1,l);return void 0===f?(P(o,{code:"invalid_key",message:`Failed: Validator 'shapeOf.objectOf' -> key '${l}'`,key:l,validator:"shapeOf.objectOf",args:n},c),t=!1,i):(f!==c&&(r=E(a,r,l,f)),void 0===t&&(t=!0),!0)}),t?r:void 0},At=e=>{if("number"==typeof e)return e;if("string"==typeof e&&qt.test(e.trim())){let t=Number(e);if(isFinite(t))return t}},qt=/^[+-]?([0-9]+\.?[0-9]*|\.[0-9]+)(e[+-]?[0-9]+)?$/i,$t=["true","1","on","yes"],Ct=["false","0","off","no"],Nt=function*(...e){let t=e.pop(),[a,r]=e;if("object"!=typeof a||null===a||Array.isArray(a)||n.isValidator(a))throw new SchemaDefinitionError("shape validator requires an object schema");r=r||{};let o={...this,obj:t,returnsObject:!0,keyMessages:r.messages},i=r.additionalProperties;"boolean"==typeof r.exact&&(o.exact=r.exact),void 0!==i&&(o.exact=!1);let s=yield*D(o,a);if(void 0===s||void 0===i)return s;let l=o.path||[],c=Object.keys(s).filter(e=>!Object.prototype.hasOwnProperty.call(a,e)),f=!0;return yield*C(o,c.length,function*(e,t){let a=c[e],r=s[a],n=yield*D({...t,obj:r,path:l.concat([a]),returnsObject:!0},i);return void 0===n?(P(t,{code:"invalid_key",message:`Failed: Object at key '${a}'`,key:a},r),f=!1,o.collectsAllErrors||!1):(n!==r&&(s=E(o,s,a,n)),!0)}),f?s:void 0},Vt=function*(e,t){if("function"!=typeof e)throw new SchemaDefinitionError("lazy validator requires a function returning a schema");return yield*It(this,e(),t,"shapeOf.lazy",[e])},Dt=function*(e,t){if(!Object.prototype.hasOwnProperty.call(n._schemas,e))throw new SchemaDefinitionError(`Schema not defined: '${e}'`);return yield*It(this,n._schemas[e],t,"shapeOf.ref",[e])},It=function*(e,t,a,r,o){let i=(e.depth||0)+1,s=e.maxDepth||n.maxDepth;if(!(i>s))return yield*D({...e,obj:a,depth:i,returnsObject:!0},t);P(e,{code:"max_depth",message:`Failed: Validator '${r}' exceeded the maximum depth of ${s}`,validator:r,args:o},a)},Mt=[{name:"shapeOf.number",callback:e=>{if("number"==typeof e)return e},options:{toJSONSchema:Ce("number"),toTypeScript:We("number")}},{name:"shapeOf.number.range",callback:Ot,options:{parent:"shapeOf.number",requiredArgsCount:2,failureCode:Xe,toJSONSchema:Ve}},{name:"shapeOf.number.min",callback:gt,options:{parent:"shapeOf.number",aliases:"shapeOf.number.greaterThanOrEqualTo",requiredArgsCount:1,toJSONSchema:De}},{name:"shapeOf.number.max",callback:bt,options:{parent:"shapeOf.number",aliases:"shapeOf.number.lessThanOrEqualTo",requiredArgsCount:1,toJSONSchema:Ie}},{name:"shapeOf.integer",callback:e=>{if(i(e))return e},options:{toJSONSchema:Ce("integer"),toTypeScript:We("number")}},{name:"shapeOf.integer.range",callback:Ot,options:{parent:"shapeOf.integer",requiredArgsCount:2,failureCode:Xe,toJSONSchema:Ve}},{name:"shapeOf.integer.min",callback:gt,options:{parent:"shapeOf.integer",aliases:"shapeOf.integer.greaterThanOrEqualTo",requiredArgsCount:1,toJSONSchema:De}},{name:"shapeOf.integer.max",callback:bt,options:{parent:"shapeOf.integer",aliases:"shapeOf.integer.lessThanOrEqualTo",requiredArgsCount:1,toJSONSchema:Ie}},{name:"shapeOf.string",callback:e=>{if("string"==typeof e)return e},options:{toJSONSchema:Ce("string"),toTypeScript:We("string")}},{name:"shapeOf.string.size",callback:kt,options:{parent:"shapeOf.string",aliases:"shapeOf.string.ofSize",requiredArgsCount:1,failureCode:Qe,toJSONSchema:Me("Length")}},{name:"shapeOf.string.pattern",callback:(...e)=>{let t,a="",r="";if(e.length<2||e.length>3)throw new SchemaDefinitionError("String pattern validator requires between one and two arguments");if(r=e[0],2===e.length?t=e[1]:(a=e[1],t=e[2]),"string"==typeof r)r=vt(r,a);else{if(!(r instanceof RegExp))throw new SchemaDefinitionError("shapeOf.string.pattern() only accepts strings and RegExp objects as an argument");3===e.length&&(r=vt(r.source,a))}if(r.test(t))return t},options:{parent:"shapeOf.string",aliases:"shapeOf.string.matching",requiredArgsCount:1,toJSONSchema:(e,t)=>{let a=e[0],r=e.length>1?e[1]:a instanceof RegExp?a.flags:"";return a instanceof RegExp&&(a=a.source),/[^gu]/.test(r)&&t.report(`Regular expression flags '${r}' have no JSON Schema equivalent`),{pattern:a}}}},{name:"shapeOf.string.email",callback:e=>{if(St.test(e))return e},options:{parent:"shapeOf.string",aliases:"shapeOf.string.ofEmail",toJSONSchema:Ne("email")}},{name:"shapeOf.string.IPv4",callback:e=>{if(wt.test(e))return e},options:{parent:"shapeOf.string",aliases:["shapeOf.string.ofIPv4","shapeOf.string.ipv4"],toJSONSchema:Ne("ipv4")}},{name:"shapeOf.string.IPv6",callback:e=>{if(_t.test(e))return e},options:{parent:"shapeOf.string",aliases:["shapeOf.string.ofIPv6","shapeOf.string.ipv6"],toJSONSchema:Ne("ipv6")}},{name:"shapeOf.array",callback:e=>{if(Array.isArray(e))return e},options:{toJSONSchema:Ce("array"),toTypeScript:We("unknown[]")}},{name:"shapeOf.array.size",callback:kt,options:{parent:"shapeOf.array",aliases:"shapeOf.array.ofSize",requiredArgsCount:1,failureCode:Qe,toJSONSchema:Me("Items")}},{name:"shapeOf.bool",callback:e=>{if("boolean"==typeof e)return e},options:{aliases:"shapeOf.boolean",toJSONSchema:Ce("boolean"),toTypeScript:We("boolean")}},{name:"shapeOf.object",callback:e=>{if("object"==typeof e&&null!==e)return e},options:{toJSONSchema:Ce("object"),toTypeScript:We("object")}},{name:"shapeOf.null",callback:e=>{if(null===e)return e},options:{toJSONSchema:Ce("null"),toTypeScript:We("null")}},{name:"shapeOf.primitive",callback:e=>{if(null===e||"string"==typeof e||"boolean"==typeof e||"number"==typeof e)return e},options:{toJSONSchema:()=>({type:["string","boolean","number","null"]}),toTypeScript:We("string | number | boolean | null")}},{name:"shapeOf.arrayOf",callback:xt,options:{failureCode:(...e)=>Array.isArray(e[e.length-1])?void 0:"notArray",toJSONSchema:(e,t)=>({type:"array",items:be(o(e).map((e,a,r)=>t.toJSONSchema(e,1===r.length?["items"]:["items","anyOf",a],!1))),minItems:1}),toTypeScript:Ze}},{name:"shapeOf.arrayOf.size",callback:kt,options:{parent:"shapeOf.arrayOf",aliases:"shapeOf.arrayOf.ofSize",requiredArgsCount:1,failureCode:Qe,toJSONSchema:Me("Items")}},{name:"shapeOf.objectOf",callback:Et,options:{failureCode:Ye,toJSONSchema:(e,t)=>({type:"object",additionalProperties:be(o(e).map((e,a,r)=>t.toJSONSchema(e,1===r.length?["additionalProperties"]:["additionalProperties","anyOf",a],!1))),minProperties:1}),toTypeScript:(e,t)=>`Record<string, ${Re(o(e).map(e=>t.toTypeScript(e)),"|")}>`}},{name:"shapeOf.oneOf",callback:(...e)=>{if(e.length<2)throw new SchemaDefinitionError("oneOf validator requires at least one argument");let t=e.pop(),a=o(e);for(let e=a.length-1;e>=0;e--)if(a[e]===t)return t},options:{requiredArgsCount:1,toJSONSchema:e=>({enum:o(e)}),toTypeScript:e=>Re(o(e).map(e=>"number"!=typeof e||isFinite(e)?JSON.stringify(e):"number"),"|")}},{name:"shapeOf.oneOfType",callback:function*(...e){if(e.length<2)throw new SchemaDefinitionError("oneOfType validator requires at least one argument");let t=e.pop(),a=o(e);return yield*z(this,t,a,!0)},options:{requiredArgsCount:1,toJSONSchema:(e,t)=>({anyOf:o(e).map((e,a)=>t.toJSONSchema(e,["anyOf",a],!0))}),toTypeScript:He}},{name:"shapeOf.exactlyOneOfType",callback:function*(...e){if(e.length<2)throw new SchemaDefinitionError("exactlyOneOfType validator requires at least one argument");let t=e.pop(),a=o(e);return yield*z(this,t,a,!0,void 0,!0)},options:{requiredArgsCount:1,toJSONSchema:(e,t)=>({oneOf:o(e).map((e,a)=>t.toJSONSchema(e,["oneOf",a],!0))}),toTypeScript:He}},{name:"shapeOf.eachOf",callback:function*(...e){if(e.length<2)throw new SchemaDefinitionError("eachOfType validator requires at least one argument");let t=e.pop(),a=o(e),r=this,i=!0;for(let e=0;e<a.length;e++){let o=yield*D({...r,obj:t,returnsObject:!0,exact:!0},a[e]);if(void 0!==o)t=o;else{let o=n.isValidator(a[e])?`Failed: Validator 'shapeOf.eachOf' -> '${a[e]._name}'`:`Failed: Validator 'shapeOf.eachOf' -> index ${e}`;if(P(r,{code:"invalid_branch",message:o,validator:"shapeOf.eachOf",args:a},t),i=!1,!r.collectsAllErrors)return}}if(i)return P(r,{code:"passed",message:'Passed: Validator "shapeOf.eachOf"',validator:"shapeOf.eachOf",args:a},t),t},options:{aliases:"shapeOf.each",requiredArgsCount:1,toJSONSchema:(e,t)=>({allOf:o(e).map((e,a)=>t.toJSONSchema(e,["allOf",a],!0))}),toTypeScript:(e,t)=>Re(o(e).map(e=>t.toTypeScript(e)),"&")}},{name:"shapeOf.shape",callback:Nt,options:{requiredArgsCount:1,failureCode:Ye,toJSONSchema:(e,t)=>{let a=e[1]||{},r=a.additionalProperties,n=void 0===r&&a.exact,o=t.toJSONSchema(e[0],[],n);return void 0!==r?o.additionalProperties=t.toJSONSchema(r,["additionalProperties"]):!1===n&&delete o.additionalProperties,o},toTypeScript:(e,t)=>{let a=e[1]||{},r=t.toTypeScript(e[0]);return void 0!==a.additionalProperties&&(r=Re([r,"Record<string, unknown>"],"&")),r}}},{name:"shapeOf.shape.refine",callback:function(...e){let t=e.pop(),[a,r,n]=e;if("function"!=typeof a)throw new SchemaDefinitionError("refine sub-validator requires a function");if(a(t))return t;let o=n&&n.keys||[void 0];"string"==typeof o&&(o=[o]);for(let a=0;a<o.length;a++)P(this,{code:"refinement_failed",message:r||"Failed: Validator 'shapeOf.shape.refine'",key:o[a],validator:"shapeOf.shape.refine",args:e},t)},options:{parent:"shapeOf.shape",chainable:!0,requiredArgsCount:1,toJSONSchema:(e,t)=>(t.report("Rules given to shapeOf.shape().refine() have no JSON Schema equivalent"),{})}},{name:"shapeOf.shape.requiredWhen",callback:function(e,t,a){let r;if("function"==typeof t)r=t(a);else{if("object"!=typeof t||null===t)throw new SchemaDefinitionError("requiredWhen sub-validator requires a key and a condition");r=Object.keys(t).every(e=>a[e]===t[e])}if(!r||void 0!==a[e])return a;P(this,{code:"missing_key",message:`Failed: Object with missing key '${e}', required by validator 'shapeOf.shape.requiredWhen'`,key:e,validator:"shapeOf.shape.requiredWhen",args:[e,t]})},options:{parent:"shapeOf.shape",chainable:!0,requiredArgsCount:2,toJSONSchema:(e,t)=>{let a=e[1];if("function"==typeof a)return t.report("Functions given to shapeOf.shape().requiredWhen() have no JSON Schema equivalent"),{};let r={};return Object.keys(a).forEach(e=>r[e]={const:a[e]}),{allOf:[{if:{properties:r,required:Object.keys(a)},then:{required:[e[0]]}}]}}}},{name:"shapeOf.shape.mutuallyExclusive",callback:function(...e){let t=e.pop(),a=o(e);if(a.length<2)throw new SchemaDefinitionError("mutuallyExclusive sub-validator requires at least two keys");let r=a.filter(e=>void 0!==t[e]);if(r.length<=1)return t;for(let e=1;e<r.length&&(P(this,{code:"mutually_exclusive",message:`Failed: Object with key '${r[e]}', which excludes key '${r[0]}'`,key:r[e],validator:"shapeOf.shape.mutuallyExclusive",args:a},t[r[e]]),this.collectsAllErrors);e++);},options:{parent:"shapeOf.shape",chainable:!0,requiredArgsCount:1,toJSONSchema:e=>{let t=o(e),a=[];for(let e=0;e<t.length;e++)for(let r=e+1;r<t.length;r++)a.push({not:{required:[t[e],t[r]]}});return{allOf:a}}}},{name:"shapeOf.shape.dependencies",callback:function(e,t){if("object"!=typeof e||null===e)throw new SchemaDefinitionError("dependencies sub-validator requires an object of dependencies");let a=!0,r=Object.keys(e);for(let n=0;n<r.length&&(a||this.collectsAllErrors);n++){if(void 0===t[r[n]])continue;let i=o([e[r[n]]]);for(let o=0;o<i.length&&(a||this.collectsAllErrors);o++)void 0===t[i[o]]&&(P(this,{code:"missing_key",message:`Failed: Object with missing key '${i[o]}', required by key '${r[n]}'`,key:i[o],validator:"shapeOf.shape.dependencies",args:[e]}),a=!1)}if(a)return t},options:{parent:"shapeOf.shape",chainable:!0,requiredArgsCount:1,toJSONSchema:e=>{let t={};return Object.keys(e[0]).forEach(a=>t[a]=o([e[0][a]])),{dependentRequired:t}}}},{name:"shapeOf.union",callback:function*(e,t,a){if("string"!=typeof e||"object"!=typeof t||null===t)throw new SchemaDefinitionError("union validator requires a discriminator key and an object of schemas");let r=this;if("object"!=typeof a||null===a)return;let n=a[e];if(void 0===n)return void P(r,{code:"missing_key",message:`Failed: Object with missing key '${e}', required by validator 'shapeOf.union'`,key:e,validator:"shapeOf.union",args:[e,t]});if(!Object.prototype.hasOwnProperty.call(t,n))return void P(r,{code:"unknown_discriminator",message:`Failed: Validator 'shapeOf.union' -> unknown discriminator '${n}' at key '${e}'`,key:e,validator:"shapeOf.union",args:[e,t]},n);let o=yield*D({...r,obj:a,returnsObject:!0},t[n]);return void 0===o&&P(r,{code:"invalid_branch",message:`Failed: Validator 'shapeOf.union' -> branch '${n}'`,validator:"shapeOf.union",args:[e,t]},a),o},options:{requiredArgsCount:2,failureCode:Ye,toJSONSchema:(e,t)=>{let a=e[0],r=e[1];return{type:"object",required:[a],oneOf:Object.keys(r).map((e,n)=>({allOf:[{properties:{[a]:{const:e}}},t.toJSONSchema(r[e],["oneOf",n,"allOf",1])]}))}},toTypeScript:(e,t)=>{let a=e[0],r=e[1];return Re(Object.keys(r).map(e=>Re([Fe([`${Le(a)}: ${JSON.stringify(e)}`]),t.toTypeScript(r[e])],"&")),"|")}}},{name:"shapeOf.lazy",callback:Vt,options:{requiredArgsCount:1,toJSONSchema:(e,t)=>t.toJSONSchema(e[0]()),toTypeScript:(e,t)=>t.toTypeScript(e[0]())}},{name:"shapeOf.ref",callback:Dt,options:{requiredArgsCount:1,toJSONSchema:(e,t)=>Object.prototype.hasOwnProperty.call(n._schemas,e[0])?t.definition(e[0],n._schemas[e[0]]):(t.report(`Schema not defined: '${e[0]}'`),{}),toTypeScript:(e,t)=>Object.prototype.hasOwnProperty.call(n._schemas,e[0])?t.definition(e[0],n._schemas[e[0]]):"unknown"}},{name:"shapeOf.asNumber",callback:At,options:{toTypeScript:We("number")}},{name:"shapeOf.asNumber.range",callback:Ot,options:{parent:"shapeOf.asNumber",requiredArgsCount:2,failureCode:Xe}},{name:"shapeOf.asNumber.min",callback:gt,options:{parent:"shapeOf.asNumber",aliases:"shapeOf.asNumber.greaterThanOrEqualTo",requiredArgsCount:1}},{name:"shapeOf.asNumber.max",callback:bt,options:{parent:"shapeOf.asNumber",aliases:"shapeOf.asNumber.lessThanOrEqualTo",requiredArgsCount:1}},{name:"shapeOf.asInteger",callback:e=>{let t=At(e);if(i(t))return t},options:{toTypeScript:We("number")}},{name:"shapeOf.asInteger.range",callback:Ot,options:{parent:"shapeOf.asInteger",requiredArgsCount:2,failureCode:Xe}},{name:"shapeOf.asInteger.min",callback:gt,options:{parent:"shapeOf.asInteger",aliases:"shapeOf.asInteger.greaterThanOrEqualTo",requiredArgsCount:1}},{name:"shapeOf.asInteger.max",callback:bt,options:{parent:"shapeOf.asInteger",aliases:"shapeOf.asInteger.lessThanOrEqualTo",requiredArgsCount:1}},{name:"shapeOf.asBool",callback:e=>{if("boolean"==typeof e)return e;if(1===e||0===e)return 1===e;if("string"==typeof e){let t=e.trim().toLowerCase();if($t.indexOf(t)>-1)return!0;if(Ct.indexOf(t)>-1)return!1}},options:{aliases:"shapeOf.asBoolean",toTypeScript:We("boolean")}},{name:"shapeOf.asDate",callback:e=>{let t;if(e instanceof Date?t=e:("string"==typeof e&&""!==e.trim()||"number"==typeof e&&isFinite(e))&&(t=new Date(e)),t&&!isNaN(t.getTime()))return t},options:{toTypeScript:We("Date")}},{name:"shapeOf.asArrayOf",callback:function*(...e){if(e.length<2)throw new SchemaDefinitionError("asArrayOf validator requires at least one argument");let t=e.pop();return"string"==typeof t?t=""===t.trim()?[]:t.split(",").map(e=>e.trim()):Array.isArray(t)||void 0===t||(t=[t]),yield*xt.apply(this,e.concat([t]))},options:{toTypeScript:Ze}},{name:"shapeOf.asArrayOf.size",callback:kt,options:{parent:"shapeOf.asArrayOf",aliases:"shapeOf.asArrayOf.ofSize",requiredArgsCount:1,failureCode:Qe}}],zt=(...e)=>{if(e.length<2||e.length>3)throw new SchemaDefinitionError("Default validator requires between one and two arguments");return e[e.length-1]};Z.default=n.Validator("shapeOf.default",zt,{requiredArgsCount:1,toJSONSchema:e=>"function"==typeof e[0]?{}:{default:e[0]}});let Jt=(...e)=>{if(2!==e.length||"string"!=typeof e[0]&&"function"!=typeof e[0])throw new SchemaDefinitionError("Message validator requires a message string or function");return e[1]};Z.message=n.Validator("shapeOf.message",Jt,{requiredArgsCount:1,toJSONSchema:()=>({})}),n.optional={};let Tt={};if(ot.add(zt),ot.add(Jt),Mt.forEach(e=>{e.callback instanceof V||e.options&&e.options.chainable||ot.add(e.callback);let t=n.Validator(e.name,e.callback,e.options),a=e.options||{},r=e.name.split("."),o=(a.parent||"").split("."),i={...e.options,optional:!0},s=r[0]+".optional."+r.filter((e,t)=>t>0).join(".");if(i.parent){let e=o[0]+".optional."+o.filter((e,t)=>t>0).join(".");i.parent=e}i.aliases&&(i.aliases=[].concat(i.aliases).map(e=>{let t=e.split(".");return t[0]+".optional."+t.filter((e,t)=>t>0).join(".")}));let l=n.Validator(s,e.callback,i);a.chainable&&(Tt[a.parent]=Tt[a.parent]||[],Tt[a.parent].push(t,l)),"shapeOf"===r[0]&&2===r.length&&(n[r[1]]=t,n.optional[r[1]]=l);let c=a.aliases||"";"string"==typeof c&&(c=[c]),c.forEach(e=>{let a=e.split(".");"shapeOf"===a[0]&&2===a.length&&(n[a[1]]=t,n.optional[a[1]]=l)})}),Object.keys(Tt).forEach(e=>{let t=Tt[e];t.forEach(e=>{t.filter(t=>t._optional===e._optional).forEach(t=>W(e,t))})}),t&&a.inherit){let e=t.Validator._validators,a=n.Validator._validators;Object.keys(e).forEach(t=>{if(Object.prototype.hasOwnProperty.call(a,t))return;let r=e[t];a[t]=r,r._options.parent&&r._name===t&&W(r._options.parent,r)}),Object.keys(t._schemas).forEach(e=>{n._schemas[e]=t._schemas[e]}),Object.keys(t._catalogs).forEach(e=>{n._catalogs[e]={...t._catalogs[e]}}),n._locale=t._locale,n.maxDepth=t.maxDepth}return n}();shapeOf._versionCompatibilityHistory={"0.0.7":"0.0.7","0.0.6":"0.0.6","0.0.8":"0.0.8","0.0.9":"0.0.8","0.0.5":"0.0.5"},shapeOf.version="0.0.9",shapeOf.compatibleSchemaVersion="0.0.8",module.exports=shapeOf;
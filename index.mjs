@@ -0,0 +1,5641 @@
+/*
+ * shapeOf
+ * Core Library
+ * 
+ * A lightweight schema validator for JSON endpoints.
+ * 
+ * 
+ * Copyright (c) 2021 Jeff Allen
+ * 
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ * 
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * The base class of errors thrown by shapeOf. Error classes are shared by every instance created
+ * using shapeOf.createInstance(), so instanceof checks work regardless of the instance involved.
+ *
+ * @param      {string}  message  The message
+ * @param      {Object}  options  Optional. Error options, i.e. {cause}
+ */
+;class ShapeOfError extends Error {
+	constructor(message, options) {
+		super(message, options);
+		this.name = 'ShapeOfError';
+		// Versions of Node.js prior to 16.9 ignore the options of Error
+		if (options && 'cause' in options && !Object.prototype.hasOwnProperty.call(this, 'cause'))
+			Object.defineProperty(this, 'cause', {value: options.cause, writable: true, configurable: true});
+	}
+}
+
+/**
+ * Thrown by .throwsOnInvalid when validation fails. Details include:
+ * - path      The JSON Pointer of the first failure logged, i.e. '/address/zip'
+ * - log       The log entries of the validation, the same as when using .returnsResults
+ * - messages  The custom and localized messages of the validation
+ * - schema    The schema validated against
+ * - value     The object in question
+ *
+ * @param      {string}  message  The message
+ * @param      {Object}  details  The details of the failed validation, as described above
+ */
+class ValidationError extends ShapeOfError {
+	constructor(message, details) {
+		super(message);
+		this.name = 'ValidationError';
+		details = details || {};
+		this.path = details.path;
+		this.log = details.log || [];
+		this.messages = details.messages || [];
+		this.schema = details.schema;
+		this.value = details.value;
+	}
+}
+
+/**
+ * Thrown when a schema is defined incorrectly, such as a validator given the wrong arguments,
+ * a validator name that's already registered, or a reference to a schema that isn't defined.
+ *
+ * @param      {string}  message  The message
+ * @param      {Object}  options  Optional. Error options, i.e. {cause}
+ */
+class SchemaDefinitionError extends ShapeOfError {
+	constructor(message, options) {
+		super(message, options);
+		this.name = 'SchemaDefinitionError';
+	}
+}
+
+/**
+ * Thrown when a serialized schema, or a JSON Schema document, can't be converted to a schema.
+ *
+ * @param      {string}  message  The message
+ * @param      {Object}  options  Optional. Error options, i.e. {cause}
+ */
+class DeserializationError extends ShapeOfError {
+	constructor(message, options) {
+		super(message, options);
+		this.name = 'DeserializationError';
+	}
+}
+
+let shapeOf = (function _createShapeOf(parentInstance, instanceOptions, validatorToken) {
+
+let shapeOf = function(obj) {
+	return _buildActions(this, obj);
+};
+
+/*
+ * Error classes (see ShapeOfError)
+ */
+shapeOf.ShapeOfError = ShapeOfError;
+shapeOf.ValidationError = ValidationError;
+shapeOf.SchemaDefinitionError = SchemaDefinitionError;
+shapeOf.DeserializationError = DeserializationError;
+
+/**
+ * Flatterns a set of variadic arguments that are passed as arrays themselves
+ * into a single array.
+ *
+ * @param      {Array}  argsList  The arguments list
+ * @return     {Array}  A flattened list of arguments.
+ */
+let _flattenArgs = (argsList) => {
+	if (Array.isArray(argsList)) {
+		let rtn = [];
+		for (let i = 0; i < argsList.length; i++) {
+			let arg = argsList[i];
+			if (Array.isArray(arg)) {
+				for (let j = 0; j < arg.length; j++) {
+					rtn.push(arg[j]);
+				}
+			} else {
+				rtn.push(arg);
+			}
+		}
+		return rtn;
+	} else {
+		return argsList;
+	}
+};
+
+/**
+ * Determines whether the specified value is an integer. Polyfill for Number.isInteger().
+ *
+ * @param      {number}   val     The value
+ * @return     {boolean}  True if the specified value is an integer, False otherwise.
+ */
+let _isInteger = Number.isInteger || ((val) => {
+	return typeof val === 'number' && val === val && val !== Infinity && val !== -Infinity && Math.floor(val) === val;
+});
+
+/**
+ * Determines if the current version of something is equal to or greater than the compatible version.
+ *
+ * @param      {String}  currentVer     The current version
+ * @param      {String}  compatibleVer  The compatible version
+ * @return     {boolean}  True if compatibile version, False otherwise.
+ */
+let _isCompatibileVersion = (currentVer, compatibleVer) => {
+	currentVer = currentVer.split('.');
+	compatibleVer = compatibleVer.split('.');
+	if (currentVer.length !== 3 || compatibleVer.length !== 3)
+		throw new ShapeOfError('Bad version format');
+	currentVer[0] = parseInt(currentVer[0]);
+	currentVer[1] = parseInt(currentVer[1]);
+	currentVer[2] = parseInt(currentVer[2]);
+	compatibleVer[0] = parseInt(compatibleVer[0]);
+	compatibleVer[1] = parseInt(compatibleVer[1]);
+	compatibleVer[2] = parseInt(compatibleVer[2]);
+	return currentVer[0] >= compatibleVer[0] && 
+	       (currentVer[1] >= compatibleVer[1] || currentVer[0] > compatibleVer[0]) &&
+	       (currentVer[2] >= compatibleVer[2] || currentVer[1] > compatibleVer[1]);
+};
+
+/**
+ * Create an object that returns after using one of the following:
+ * 
+ *  - returnsObject
+ *  - returnsResults
+ *  - collectsAllErrors
+ *  - immutable
+ *  - throwsOnInvalid
+ *  - withConcurrency
+ *  - withMaxDepth
+ *  - locale
+ *  - onValid
+ *  - onInvalid
+ *  - onComplete
+ *  
+ * These allow for chained calls directly after an initial shapeOf() call.
+ *
+ * @param      {Object}  thisObj  The 'this' object, which is the shapeOf function
+ * @param      {Object}  obj      The object who's schema is in question
+ * @param      {Object}  options  The accumulated options from the shapeOf chain calls
+ * @return     {Object}  An object for making chained calls
+ */
+let _buildActions = (thisObj, obj, options) => {
+	options = options || {};
+	let rtn = {};
+
+	if (options.baseObject) {
+		rtn = options.baseObject;
+		delete options.baseObject;
+	}
+
+	// Refresh excluded options
+	delete options.exclude;
+	_buildExclusions(options);
+	let exclude = options.exclude;
+
+	if (exclude.indexOf('shouldBe') === -1)
+		rtn.shouldBe = _shouldBe.bind(thisObj, { obj, ...options });
+		rtn.is = rtn.shouldBe;
+
+	if (exclude.indexOf('shouldBeExactly') === -1)
+		rtn.shouldBeExactly = rtn.isExactly = _shouldBe.bind(thisObj, { obj, exact: true, ...options });
+
+	if (exclude.indexOf('shouldBeAsync') === -1)
+		rtn.shouldBeAsync = rtn.isAsync = _shouldBeAsync.bind(thisObj, { obj, ...options });
+
+	if (exclude.indexOf('shouldBeExactlyAsync') === -1)
+		rtn.shouldBeExactlyAsync = rtn.isExactlyAsync = _shouldBeAsync.bind(thisObj, { obj, exact: true, ...options });
+
+	if (exclude.indexOf('returnsObject') === -1)
+		_defineLazyAction(rtn, 'returnsObject', () => _returnsObject(thisObj, { obj, ...options }));
+
+	if (exclude.indexOf('returnsResults') === -1)
+		_defineLazyAction(rtn, 'returnsResults', () => _returnsResults(thisObj, { obj, ...options }));
+
+	if (exclude.indexOf('collectsAllErrors') === -1)
+		_defineLazyAction(rtn, 'collectsAllErrors', () => _collectsAllErrors(thisObj, { obj, ...options }));
+
+	if (exclude.indexOf('immutable') === -1)
+		_defineLazyAction(rtn, 'immutable', () => _immutable(thisObj, { obj, ...options }));
+
+	if (exclude.indexOf('shouldNotBe') === -1)
+		rtn.shouldNotBe = rtn.isNot = ((obj, schema) => !_shouldBe(obj, schema)).bind(thisObj, { obj, ...options });
+
+	if (exclude.indexOf('shouldNotBeAsync') === -1)
+		rtn.shouldNotBeAsync = rtn.isNotAsync = (async (obj, schema) => !(await _shouldBeAsync(obj, schema))).bind(thisObj, { obj, ...options });
+
+	if (exclude.indexOf('throwsOnInvalid') === -1)
+		_defineLazyAction(rtn, 'throwsOnInvalid', () => _buildThrowsOnExceptionActions(thisObj, obj, options));
+
+	if (exclude.indexOf('withConcurrency') === -1)
+		rtn.withConcurrency = _withConcurrency.bind(thisObj, thisObj, { obj, ...options });
+
+	if (exclude.indexOf('withMaxDepth') === -1)
+		rtn.withMaxDepth = _withMaxDepth.bind(thisObj, thisObj, { obj, ...options });
+
+	if (exclude.indexOf('locale') === -1)
+		rtn.locale = _withLocale.bind(thisObj, thisObj, { obj, ...options });
+
+	if (exclude.indexOf('onInvalid') === -1)
+		rtn.onInvalid = _onInvalid.bind(thisObj, thisObj, { obj, ...options });
+
+	if (exclude.indexOf('onValid') === -1)
+		rtn.onValid = _onValid.bind(thisObj, thisObj, { obj, ...options });
+
+	if (exclude.indexOf('onComplete') === -1)
+		rtn.onComplete = _onComplete.bind(thisObj, thisObj, { obj, ...options });
+
+	return rtn;
+};
+
+/**
+ * Builds an array of actions to exclude from the next successive chain call
+ * after shapeOf(obj) or any action thereafter.
+ *
+ * @param      {Object}  options   The options built throughout the chain
+ * @param      {Array}   excludes  Additional excluded actions
+ */
+let _buildExclusions = (options, ...excludes) => {
+	options.exclude = options.exclude || [];
+	if (options.returnsObject || options.returnsResults) {
+		excludes = excludes.concat(['returnsObject']);
+		excludes = excludes.concat(['returnsResults']);
+	}
+	if (options.throwsOnInvalid) {
+		excludes = excludes.concat(['throwsOnInvalid']);
+	}
+	if (options.collectsAllErrors) {
+		excludes = excludes.concat(['collectsAllErrors']);
+	}
+	if (options.immutable) {
+		excludes = excludes.concat(['immutable']);
+	}
+	if (options.concurrency) {
+		excludes = excludes.concat(['withConcurrency']);
+	}
+	if (options.maxDepth) {
+		excludes = excludes.concat(['withMaxDepth']);
+	}
+	if (options.locale) {
+		excludes = excludes.concat(['locale']);
+	}
+	excludes.forEach(exclude => {
+		if (options.exclude.indexOf(exclude) === -1)
+			options.exclude.push(exclude);
+	});
+};
+
+/**
+ * Defines a chained action that is only built once accessed. Toggles that don't take
+ * arguments are built this way to avoid eagerly building every combination of toggles.
+ *
+ * @param      {Object}    actions  The object for making chained calls
+ * @param      {string}    name     The name of the action
+ * @param      {Function}  builder  Builds the action upon first access
+ */
+let _defineLazyAction = (actions, name, builder) => {
+	let action;
+	Object.defineProperty(actions, name, {
+		configurable: true,
+		enumerable: true,
+		get: () => {
+			if (typeof action === 'undefined')
+				action = builder();
+			return action;
+		}
+	});
+};
+
+/**
+ * Builds actions specifically for the .throwsOnException/.throwsOnException() fields.
+ *
+ * @param      {Object}  thisObj  The 'this' object, which is the shapeOf function
+ * @param      {Object}  options  The options
+ * @param      {Object}  options  The accumulated options from the shapeOf chain calls
+ * @return     {Function}  The .throwsOnException actions.
+ */
+let _buildThrowsOnExceptionActions = (thisObj, obj, options) => {
+	let extOptions = {
+		obj,
+		throwsOnInvalid: true,
+		...options
+	};
+	extOptions.baseObject = _throwsOnInvalid.bind(thisObj, thisObj, extOptions);
+	return _buildActions(thisObj, obj, extOptions);
+};
+
+/**
+ * Builds the actions on a shapeOf().throwsOnInvalid() call and toggles the validation
+ * process to throw an error upon an invalid shape.
+ * 
+ * Rather than an error object, a function can be given that builds the error to throw. It's
+ * called with the results of the validation (the same as when using .returnsResults) and the
+ * schema validated against.
+ *
+ * @param      {Object}  thisObj  The 'this' object, which is the shapeOf function
+ * @param      {Object}  options  The accumulated options from the shapeOf chain calls
+ * @param      {Object|Function}  errorObj  The error object to throw if validation fails, or a function returning one
+ * @return     {Object}  An object for making chained calls
+ */
+let _throwsOnInvalid = (thisObj, options, errorObj) => {
+	if (typeof errorObj === 'function') {
+		options.errorFactory = errorObj;
+	} else if (errorObj) {
+		options.errorObj = errorObj;
+	}
+	return _buildThrowsOnExceptionActions(thisObj, options.obj, options);
+};
+
+/**
+ * Builds the actions of a shapeOf().returnsObject call.
+ *
+ * @param      {Object}  thisObj  The 'this' object, which is the shapeOf function
+ * @param      {Object}  options  The accumulated options from the shapeOf chain calls
+ * @return     {Object}  An object for making chained calls
+ */
+let _returnsObject = (thisObj, options) => {
+	let extOptions = {
+		obj: options.obj,
+		returnsObject: true,
+		...options
+	};
+	return _buildActions(thisObj, options.obj, extOptions);
+};
+
+/**
+ * Builds the actions of a shapeOf().returnsResults call.
+ *
+ * @param      {Object}  thisObj  The 'this' object, which is the shapeOf function
+ * @param      {Object}  options  The accumulated options from the shapeOf chain calls
+ * @return     {Object}  An object for making chained calls
+ */
+let _returnsResults = (thisObj, options) => {
+	let extOptions = {
+		obj: options.obj,
+		returnsResults: true,
+		...options
+	};
+	return _buildActions(thisObj, options.obj, extOptions);
+};
+
+/**
+ * Builds the actions of a shapeOf().collectsAllErrors call. Rather than stopping at the
+ * first failure, validation continues through every object key, array element, and
+ * composite validator entry so that all failures are recorded.
+ *
+ * @param      {Object}  thisObj  The 'this' object, which is the shapeOf function
+ * @param      {Object}  options  The accumulated options from the shapeOf chain calls
+ * @return     {Object}  An object for making chained calls
+ */
+let _collectsAllErrors = (thisObj, options) => {
+	let extOptions = {
+		obj: options.obj,
+		collectsAllErrors: true,
+		...options
+	};
+	return _buildActions(thisObj, options.obj, extOptions);
+};
+
+/**
+ * Builds the actions of a shapeOf().immutable call. The object in question is left untouched,
+ * and a copy containing any mutations is returned instead (see _setValue()). Copies share any
+ * values that didn't mutate with the object in question.
+ *
+ * @param      {Object}  thisObj  The 'this' object, which is the shapeOf function
+ * @param      {Object}  options  The accumulated options from the shapeOf chain calls
+ * @return     {Object}  An object for making chained calls
+ */
+let _immutable = (thisObj, options) => {
+	let extOptions = {
+		obj: options.obj,
+		immutable: true,
+		...options
+	};
+	return _buildActions(thisObj, options.obj, extOptions);
+};
+
+/**
+ * Builds the actions on a shapeOf().withConcurrency() call, which limits how many object keys,
+ * array elements, or composite validator entries are evaluated at once during asynchronous
+ * validations. By default, there's no limit.
+ *
+ * @param      {Object}  thisObj  The 'this' object, which is the shapeOf function
+ * @param      {Object}  options  The accumulated options from the shapeOf chain calls
+ * @param      {number}  limit    The maximum number of concurrent evaluations, with 1 evaluating one at a time
+ * @return     {Object}  An object for making chained calls
+ */
+let _withConcurrency = (thisObj, options, limit) => {
+	if (typeof limit !== 'number' || !(limit >= 1))
+		throw new ShapeOfError('shapeOf().withConcurrency() requires a number of at least 1');
+	return _buildActions(thisObj, options.obj, {...options, concurrency: limit});
+};
+
+/**
+ * Builds the actions on a shapeOf().withMaxDepth() call, which limits how many shapeOf.lazy()
+ * and shapeOf.ref() references may be resolved along a single path. Defaults to shapeOf.maxDepth.
+ *
+ * @param      {Object}  thisObj  The 'this' object, which is the shapeOf function
+ * @param      {Object}  options  The accumulated options from the shapeOf chain calls
+ * @param      {number}  limit    The maximum depth
+ * @return     {Object}  An object for making chained calls
+ */
+let _withMaxDepth = (thisObj, options, limit) => {
+	if (typeof limit !== 'number' || !(limit >= 1))
+		throw new ShapeOfError('shapeOf().withMaxDepth() requires a number of at least 1');
+	return _buildActions(thisObj, options.obj, {...options, maxDepth: limit});
+};
+
+/**
+ * Builds the actions on a shapeOf().locale() call, which sets the locale of failure messages
+ * for the validation, overriding shapeOf.setLocale().
+ *
+ * @param      {Object}  thisObj  The 'this' object, which is the shapeOf function
+ * @param      {Object}  options  The accumulated options from the shapeOf chain calls
+ * @param      {string}  locale   The locale, i.e. 'de'
+ * @return     {Object}  An object for making chained calls
+ */
+let _withLocale = (thisObj, options, locale) => {
+	_assertLocale(locale);
+	return _buildActions(thisObj, options.obj, {...options, locale});
+};
+
+/**
+ * Builds the actions on a shapeOf().onInvalid() call and adds a callback to the onInvalid list.
+ * 
+ * @param      {Object}  thisObj  The 'this' object, which is the shapeOf function
+ * @param      {Object}  options  The accumulated options from the shapeOf chain calls
+ * @param      {Function}  callback  The callback to execute on an invalid evaluation
+ * @return     {Object}  An object for making chained calls
+ */
+let _onInvalid = (thisObj, options, callback) => {
+	let callbacks = options.onInvalid || [];
+	callbacks.push(callback);
+	return _buildActions(thisObj, options.obj, {onInvalid: callbacks, ...options});
+};
+
+/**
+ * Builds the actions on a shapeOf().onValid() call and adds a callback to the onValid list.
+ * 
+ * @param      {Object}  thisObj  The 'this' object, which is the shapeOf function
+ * @param      {Object}  options  The accumulated options from the shapeOf chain calls
+ * @param      {Function}  callback  The callback to execute on a valid evaluation
+ * @return     {Object}  An object for making chained calls
+ */
+let _onValid = (thisObj, options, callback) => {
+	let callbacks = options.onValid || [];
+	callbacks.push(callback);
+	return _buildActions(thisObj, options.obj, {onValid: callbacks, ...options});
+};
+
+/**
+ * Builds the actions on a shapeOf().onComplete() call and adds a callback to the onComplete list.
+ * 
+ * NOTE: If .throwsOnInvalid has been toggled and an invalid evaluation occurs, the onComplete callbacks
+ *       don't execute.
+ *  
+ * @param      {Object}  thisObj  The 'this' object, which is the shapeOf function
+ * @param      {Object}  options  The accumulated options from the shapeOf chain calls
+ * @param      {Function}  callback  The callback to execute after a valid evaluation, or an invalid evaluation without a .throwsOnInvalid toggle
+ * @return     {Object}  An object for making chained calls
+ */
+let _onComplete = (thisObj, options, callback) => {
+	let callbacks = options.onComplete || [];
+	callbacks.push(callback);
+	return _buildActions(thisObj, options.obj, {onComplete: callbacks, ...options});
+};
+
+/**
+ * Called whenever shapeOf().shouldBe is called.
+ *
+ * @param      {Object}   options  The accumulated options from the shapeOf chain calls
+ * @param      {Object}   schema   The schema supplied by the .shouldBe() call
+ * @return     {boolean}  True if object in question follows provided schema
+ */
+let _shouldBe = (options, schema) => {
+	options = _createValidationContext(options);
+
+	// Evaluate object.
+	let rtn = _runSync(_evaluate(options, schema));
+
+	return _completeShouldBe(options, schema, rtn);
+};
+
+/**
+ * Called whenever shapeOf().shouldBeAsync is called. Asynchronous validators are awaited
+ * throughout the validation.
+ *
+ * @param      {Object}   options  The accumulated options from the shapeOf chain calls
+ * @param      {Object}   schema   The schema supplied by the .shouldBeAsync() call
+ * @return     {Promise}  A promise resolving with the same value .shouldBe() would return
+ */
+let _shouldBeAsync = async (options, schema) => {
+	options = _createValidationContext({...options, async: true});
+
+	// Evaluate object.
+	let rtn = await _runAsync(_evaluate(options, schema));
+
+	return _completeShouldBe(options, schema, rtn);
+};
+
+/**
+ * Creates the validation context of a single .shouldBe() call. The context is passed explicitly
+ * through the whole evaluation, including every validator, rather than kept in any shared state,
+ * so nested and concurrent validations can't interfere with one another.
+ * 
+ * Nested evaluations receive a copy of the context with their own 'obj' and 'path', sharing
+ * the rest with the validation in progress. The context contains:
+ * - obj                The object in question
+ * - path               The keys and indices leading to the object in question
+ * - parent             The object or array containing the object in question, if any
+ * - root               The object given to shapeOf()
+ * - log                The log entries recorded so far (see _validationLog())
+ * - copies             Copies of objects containing mutations (see _setValue())
+ * - exact              Whether or not object schemas are evaluated as exact
+ * - async              Whether or not the validation is asynchronous
+ * - collectsAllErrors  Whether or not validation continues after the first failure
+ * - returnsResults     Whether or not results are returned
+ * - recordsLog         Whether or not log entries are recorded, which is the case when using
+ *                      .returnsResults or .throwsOnInvalid
+ * - locale             The locale of failure messages, if any (see _localizeMessage())
+ * - compiled           The compiled schemas, when using a function returned by shapeOf.compile()
+ *                      (see _compileSchema())
+ * 
+ * Along with any other options accumulated from the shapeOf chain calls.
+ *
+ * @param      {Object}  options  The accumulated options from the shapeOf chain calls
+ * @return     {Object}  The validation context
+ */
+let _createValidationContext = (options) => {
+	let log = options.log || [];
+	let path = options.path || [];
+	let copies = options.copies || new Map();
+
+	let recordsLog = Boolean(options.returnsResults || options.throwsOnInvalid);
+
+	// Fields set by nested evaluations are declared up front, so that copies of the context share
+	// the same layout rather than each adding fields in a different order; this keeps reading
+	// the context fast.
+	return {
+		log, path, copies, root: options.obj, locale: shapeOf._locale, recordsLog,
+		obj: undefined, parent: undefined, exact: undefined, returnsObject: undefined, keyMessages: undefined, depth: undefined,
+		...options
+	};
+};
+
+/**
+ * Finds the first failure within the log of a validation, which is the failure of the deepest
+ * value, since failures are logged as they propagate outwards.
+ *
+ * @param      {Array}   log     The log entries of the validation
+ * @return     {Object}  The log entry, or undefined if there are no failures
+ */
+let _findFailure = (log) => log.filter(entry => ['mutation', 'passed', 'validator_log'].indexOf(entry.code) === -1)[0];
+
+/**
+ * Executes callbacks and builds the return value once a .shouldBe() evaluation completes.
+ *
+ * @param      {Object}  options  The validation context (see _createValidationContext())
+ * @param      {Object}  schema   The schema supplied by the .shouldBe() call
+ * @param      {Object}  rtn      The resulting object from the evaluation, undefined if invalid
+ * @return     {Object}  The value to return from the .shouldBe() call
+ */
+let _completeShouldBe = (options, schema, rtn) => {
+	let obj = options.obj;
+	let returnsObject = options.returnsObject || false;
+	let returnsResults = options.returnsResults || false;
+
+	// Prepare to return results and execute callbacks.
+	let result = typeof rtn !== 'undefined';
+	let messages = options.log.filter(entry => entry.custom).map(entry => entry.message);
+
+	// Apply mutations to the object in question, unless validation failed or .immutable was used.
+	if (result && !options.immutable)
+		rtn = _applyMutations(options.copies, rtn);
+
+	if (options.onInvalid && !result) {
+		options.onInvalid.forEach(callback => callback(obj, schema, messages));
+	}
+	if (options.onValid && result) {
+		options.onValid.forEach(callback => callback(obj, schema));
+	}
+	if (options.throwsOnInvalid && !result) {
+		if (options.errorObj)
+			throw options.errorObj;
+		if (options.errorFactory)
+			throw options.errorFactory({success: false, log: options.log, messages, obj}, schema);
+		let failure = _findFailure(options.log);
+		throw new ValidationError(messages.length > 0 ? messages.join('\n') : 'Invalid shape detected', {
+			path: failure ? failure.path : '',
+			log: options.log,
+			messages,
+			schema,
+			value: obj
+		});
+	}
+	if (options.onComplete) {
+		options.onComplete.forEach(callback => callback(obj, schema, messages));
+	}
+
+	// Return based on options
+	if (returnsObject) {
+		return rtn;
+	} else if (returnsResults) {
+		return {
+			success: result,
+			log: options.log,
+			messages,
+			obj: result ? rtn : obj,
+		};
+	} else {
+		return result;
+	}
+};
+
+/**
+ * Sets a value within an object or array during validation. Objects and arrays being validated
+ * are never written to directly; instead, a shallow copy is made upon the first change and the
+ * value is set on the copy. The copy is returned and should replace the object from then on.
+ * 
+ * This ensures a failed validation never leaves the object in question partially mutated. Once
+ * validation passes, _applyMutations() applies the changes to the object in question, unless
+ * .immutable was used.
+ *
+ * @param      {Object}         options  The validation context (see _createValidationContext())
+ * @param      {Object|Array}   obj      The object or array to set the value within
+ * @param      {string|number}  key      The key or index
+ * @param      {Object}         value    The value
+ * @return     {Object|Array}   The copy of the object or array containing the value
+ */
+let _setValue = (options, obj, key, value) => {
+	let copy = obj;
+	if (!options.copies.has(obj)) {
+		if (Array.isArray(obj))
+			copy = obj.slice();
+		else
+			copy = Object.assign(Object.create(Object.getPrototypeOf(obj)), obj);
+		options.copies.set(copy, obj);
+	}
+	copy[key] = value;
+	return copy;
+};
+
+/**
+ * Applies the changes within copies made by _setValue() to their original objects.
+ *
+ * @param      {Map}     copies  A map of copies to their original objects
+ * @param      {Object}  obj     The resulting object of a validation, which may be a copy
+ * @return     {Object}  The resulting object, which is the original object if obj was a copy
+ */
+let _applyMutations = (copies, obj) => {
+	if (!copies.has(obj))
+		return obj;
+	let original = copies.get(obj);
+	let keys = Object.keys(obj);
+	for (let i = 0; i < keys.length; i++) {
+		let key = keys[i];
+		let val = _applyMutations(copies, obj[key]);
+		if (original[key] !== val)
+			original[key] = val;
+	}
+	return original;
+};
+
+/**
+ * Runs an evaluation generator (see _evaluate()) to completion synchronously.
+ *
+ * @param      {Generator}  generator  The evaluation generator
+ * @return     {Object}     The value returned by the generator
+ */
+let _runSync = (generator) => {
+	let step = generator.next();
+	while (!step.done) {
+		step = generator.next(step.value);
+	}
+	return step.value;
+};
+
+/**
+ * Runs an evaluation generator (see _evaluate()) to completion asynchronously. Any
+ * promise yielded by the generator is awaited, and its result is passed back into
+ * the generator.
+ *
+ * @param      {Generator}  generator  The evaluation generator
+ * @return     {Promise}    A promise resolving with the value returned by the generator
+ */
+let _runAsync = (generator) => {
+	return new Promise((resolve, reject) => {
+		let step = (method, value) => {
+			let next;
+			try {
+				next = generator[method](value);
+			} catch (e) {
+				reject(e);
+				return;
+			}
+			if (next.done) {
+				resolve(next.value);
+			} else {
+				Promise.resolve(next.value).then(
+					val => step('next', val),
+					err => step('throw', err)
+				);
+			}
+		};
+		step('next');
+	});
+};
+
+/**
+ * Starts a number of asynchronous tasks, keeping no more than a given number of tasks
+ * running at once. Each task resolves with false to prevent any remaining tasks from
+ * starting.
+ *
+ * @param      {number}    count  The number of tasks
+ * @param      {number}    limit  The maximum number of tasks to run at once
+ * @param      {Function}  start  Starts the task at a given index, returning a promise
+ * @return     {Promise}   A promise resolving once all started tasks have completed
+ */
+let _runConcurrently = (count, limit, start) => {
+	return new Promise((resolve, reject) => {
+		let next = 0;
+		let running = 0;
+		let stopped = false;
+		let failed = false;
+		let launch = () => {
+			if (failed)
+				return;
+			if ((stopped || next >= count) && running === 0) {
+				resolve();
+				return;
+			}
+			while (!stopped && running < limit && next < count) {
+				running++;
+				start(next++).then(proceed => {
+					running--;
+					if (!proceed)
+						stopped = true;
+					launch();
+				}, err => {
+					failed = true;
+					reject(err);
+				});
+			}
+		};
+		launch();
+	});
+};
+
+/**
+ * Evaluates a number of entries, such as the keys of an object or the elements of an array.
+ * Each entry is evaluated by a task, which is a generator function that receives the index
+ * of the entry and the options to use while evaluating it. A task returns false to prevent
+ * any remaining entries from being evaluated.
+ * 
+ * During asynchronous validations, tasks run concurrently up to the concurrency limit set
+ * by .withConcurrency(). Each concurrent task logs separately, and logs are then combined
+ * in order of the entries.
+ *
+ * @param      {Object}    options  The validation context (see _createValidationContext())
+ * @param      {number}    count    The number of entries
+ * @param      {Function}  task     The generator function evaluating an entry
+ */
+let _evaluateEntries = function*(options, count, task) {
+	let concurrency = options.concurrency || Infinity;
+	if (!options.async || concurrency <= 1 || count < 2) {
+		for (let i = 0; i < count; i++) {
+			if (!(yield* task(i, options)))
+				break;
+		}
+		return;
+	}
+
+	let logs = [];
+	yield _runConcurrently(count, concurrency, (i) => {
+		logs[i] = [];
+		return _runAsync(task(i, {...options, log: logs[i]}));
+	});
+	for (let i = 0; i < logs.length; i++) {
+		for (let j = 0; j < logs[i].length; j++) {
+			options.log.push(logs[i][j]);
+		}
+	}
+};
+
+/**
+ * Calls a validator callback, bound to the validation context. Callbacks written as generator
+ * functions are evaluated as part of the evaluation in progress (see _evaluate()), which is how
+ * composite validators such as shapeOf.arrayOf() evaluate nested schemas.
+ * 
+ * Promises returned by callbacks are awaited during asynchronous validations.
+ *
+ * @param      {Object}    options   The validation context (see _createValidationContext())
+ * @param      {Function}  callback  The callback
+ * @param      {Array}     args      The arguments, the last being the object in question
+ * @param      {string}    name      The name of the validator
+ * @return     {Object}    The object returned by the callback
+ */
+let _callValidator = function*(options, callback, args, name) {
+	let rtn;
+	if (callback instanceof _GeneratorFunction)
+		rtn = yield* callback.apply(options, args);
+	else
+		rtn = callback.apply(options, args);
+
+	if (rtn && typeof rtn.then === 'function') {
+		if (!options.async)
+			throw new ShapeOfError(`Validator '${name}' returned a promise; use .isAsync() for asynchronous validators`);
+		rtn = yield rtn;
+	}
+
+	return rtn;
+};
+let _GeneratorFunction = Object.getPrototypeOf(function*() {}).constructor;
+
+/**
+ * Evaluates an object against a schema. Unlike _shouldBe(), this doesn't execute any
+ * callbacks or throw on an invalid shape, which allows nested values to be evaluated
+ * as part of a single validation.
+ * 
+ * Evaluation is written as a generator so the same evaluation can be run synchronously
+ * with _runSync() or asynchronously with _runAsync(). Promises are only yielded during
+ * asynchronous validations.
+ *
+ * @param      {Object}  options  The validation context (see _createValidationContext())
+ * @param      {Object}  schema   The schema to evaluate against
+ * @return     {Object}  The resulting object if valid, undefined otherwise
+ */
+let _evaluate = function*(options, schema) {
+	let obj = options.obj;
+	let collectsAllErrors = options.collectsAllErrors || false;
+	let rtn;
+
+	if (options.compiled && schema !== null && (typeof schema === 'object' || typeof schema === 'function')) {
+		// Compiled validation (see shapeOf.compile())
+		let compiled = _compileSchema(options.compiled, schema, true);
+		if (compiled)
+			return yield* compiled(options);
+	}
+
+	if (shapeOf.isValidator(schema)) {
+		rtn = yield* _evaluateValidator(options, schema, _findMessage(schema));
+	} else if (typeof schema === 'function') {
+		// Function isn't wrapped as a validator; make a direct call to the function.
+		rtn = yield* _callValidator(options, schema, [obj], schema.name);
+		if (typeof rtn === 'undefined') {
+			_validationLog(options, {
+				code: 'validator_failed',
+				message: `Failed: Validation using functional validator '${schema.name}'`,
+				validator: schema.name
+			}, obj);
+		} else {
+			if (obj !== rtn) {
+				// Value has mutated
+				_validationLog(options, {
+					code: 'mutation',
+					message: `Mutation: Functional validator '${schema.name}'`,
+					validator: schema.name
+				}, obj, rtn);
+			}
+		}
+	} else if (Array.isArray(schema)) {
+		// Array; expect matching lengths and elements
+		let arrayResult = schema.length === obj.length;
+		let elemCount = obj.length;
+		if (!arrayResult) {
+			_validationLog(options, {
+				code: 'length_mismatch',
+				message: `Failed: Array with length ${obj.length}, expected length ${schema.length}`,
+				expected: schema.length
+			}, obj);
+			// Continue evaluating the elements both arrays have in common
+			elemCount = Math.min(obj.length, schema.length);
+		}
+		if (arrayResult || collectsAllErrors) {
+			yield* _evaluateEntries(options, elemCount, function*(i, entryOptions) {
+				let elemResult = yield* _evaluate({...entryOptions, obj: obj[i], path: options.path.concat([i]), parent: obj, returnsObject: true}, schema[i]);
+				if (typeof elemResult === 'undefined') {
+					arrayResult = false;
+					_validationLog(entryOptions, {
+						code: 'invalid_element',
+						message: `Failed: Array element at index ${i}`,
+						key: i
+					}, obj[i]);
+					return collectsAllErrors;
+				} else if (elemResult !== obj[i]) {
+					// Value has mutated; change within array
+					_validationLog(entryOptions, {
+						code: 'mutation',
+						message: `Mutation: Array element at index ${i}`,
+						key: i
+					}, obj[i], elemResult);
+					obj = _setValue(options, obj, i, elemResult);
+				}
+				return true;
+			});
+		}
+		if (arrayResult) {
+			rtn = obj;
+		} else {
+			_validationLog(options, {code: 'invalid_array', message: "Failed: Array"}, obj);
+		}
+	} else if (typeof schema === 'object') {
+		rtn = yield* _evaluateObject(options, schema, _planObject(schema));
+	} else {
+		if (schema === obj)
+			rtn = obj;
+		else
+			_validationLog(options, {code: 'not_equal', message: "Failed: Strict equality", expected: schema}, obj, rtn);
+	}
+
+	return rtn;
+};
+
+/**
+ * Evaluates an object against a validator, logging any mutation. Part of _evaluate().
+ *
+ * @param      {Object}  options    The validation context (see _createValidationContext())
+ * @param      {Object}  validator  The validator
+ * @param      {Object}  message    The custom message of the validator, if any (see _findMessage())
+ * @return     {Object}  The resulting object if valid, undefined otherwise
+ */
+let _evaluateValidator = function*(options, validator, message) {
+	let obj = options.obj;
+	let rtn = yield* _executeValidator(validator, obj, options, message);
+	if (typeof rtn !== 'undefined' && obj !== rtn) {
+		// Value has mutated
+		_validationLog(options, {
+			code: 'mutation',
+			message: `Mutation: Validator '${validator._name}'`,
+			validator: validator._name,
+			args: validator._thisCall.args
+		}, obj, rtn);
+	}
+	return rtn;
+};
+
+/**
+ * Evaluates an object against a schema described as an object, logging the failure of the
+ * object as a whole. Part of _evaluate().
+ *
+ * @param      {Object}  options  The validation context (see _createValidationContext())
+ * @param      {Object}  schema   The schema described as an object
+ * @param      {Array}   plan     The keys of the schema (see _planObject())
+ * @return     {Object}  The resulting object if valid, undefined otherwise
+ */
+let _evaluateObject = function*(options, schema, plan) {
+	let rtn = yield* _object(options.obj, schema, options, plan);
+	if (typeof rtn === 'undefined')
+		_validationLog(options, {code: 'invalid_object', message: "Failed: Object"}, options.obj);
+	return rtn;
+};
+
+/**
+ * Evaluates an object against a list of candidate schemas on behalf of a composite validator,
+ * such as shapeOf.arrayOf(). Evaluation happens within the validation currently in progress,
+ * and logs from failing candidates are only kept if none of the candidates pass.
+ * 
+ * When exclusive, every candidate is evaluated, and the object only passes if exactly one of
+ * them passes.
+ *
+ * @param      {Object}   options     The options of the validation in progress
+ * @param      {Object}   obj         The object in question
+ * @param      {Array}    candidates  The candidate schemas
+ * @param      {boolean}  exact       Whether or not candidates are evaluated as exact schemas
+ * @param      {string|number}  key   Optional. The key or index of the object within the object being validated
+ * @param      {boolean}  exclusive   Optional. Whether or not only one candidate may pass
+ * @return     {Object}   The resulting object of the first passing candidate, undefined otherwise
+ */
+let _evaluateCandidates = function*(options, obj, candidates, exact, key, exclusive) {
+	let path = options.path || [];
+	let parent = options.parent;
+	let log = [];
+	let passed;
+	if (typeof key !== 'undefined') {
+		path = path.concat([key]);
+		parent = options.obj;
+	}
+	for (let i = 0; i < candidates.length; i++) {
+		let candidateLog = [];
+		let rtn = yield* _evaluate({...options, obj, path, parent, log: candidateLog, returnsObject: true, exact}, candidates[i]);
+		if (typeof rtn !== 'undefined') {
+			if (!exclusive)
+				return rtn;
+			if (typeof passed !== 'undefined')
+				return;
+			passed = {rtn};
+			continue;
+		}
+		log = log.concat(candidateLog);
+	}
+	if (typeof passed !== 'undefined')
+		return passed.rtn;
+	if (options.log) {
+		for (let i = 0; i < log.length; i++) {
+			options.log.push(log[i]);
+		}
+	}
+};
+
+/**
+ * Lists the keys of a schema described as an object, in the order they're evaluated, along
+ * with what's needed to evaluate each key:
+ * - key           The key
+ * - expected      The schema of the key
+ * - defaultValue  The default value of the key, if any (see _findDefault())
+ * 
+ * Compiled schemas also include a 'check' of the key, if possible (see _compileSchema()).
+ *
+ * @param      {Object}  schema  The schema described as an object
+ * @return     {Array}   The keys of the schema
+ */
+let _planObject = (schema) => {
+	let schemaKeys = Object.keys(schema);
+	let rtn = [];
+	for (let i = schemaKeys.length - 1; i >= 0; i--) {
+		let key = schemaKeys[i];
+		rtn.push({key, expected: schema[key], defaultValue: _findDefault(schema[key])});
+	}
+	return rtn;
+};
+
+/**
+ * Handles evaluating an object describing a schema provided with a .shouldBe() call.
+ *
+ * @param      {Object}   obj     The object in question
+ * @param      {Object}   schema  The schema described as an object
+ * @param      {Object}   options  The accumulated options from the shapeOf chain calls
+ * @param      {Array}    plan     The keys of the schema (see _planObject())
+ * @return     {Object}   The resulting object if valid, undefined otherwise
+ */
+let _object = function*(obj, schema, options, plan) {
+	if (typeof obj !== 'object' || obj === null)
+		return;
+
+	let exact = options.exact || false;
+	let collectsAllErrors = options.collectsAllErrors || false;
+	let keyMessages = options.keyMessages || {};
+	let valid = true;
+
+	// Messages maps only apply to the keys of this object, not those of nested objects
+	options = {...options, returnsObject: true, keyMessages: undefined};
+
+	// Run through schema and ensure that 1) all required fields are present and 2) are valid
+	yield* _evaluateEntries(options, plan.length, function*(i, entryOptions) {
+		let schemaKey = plan[i].key;
+		let expected = plan[i].expected;
+		let defaultValue = plan[i].defaultValue;
+		if (defaultValue && (typeof obj[schemaKey] === 'undefined' || (obj[schemaKey] === null && defaultValue.whenNull))) {
+			// Insert the default value in place of the absent value, which is then validated like
+			// any value given
+			let val = defaultValue.value;
+			if (typeof val === 'function')
+				val = val();
+			_validationLog(entryOptions, {
+				code: 'mutation',
+				message: `Mutation: Default value for key '${schemaKey}'`,
+				key: schemaKey,
+				validator: 'shapeOf.default',
+				args: expected._callChain.filter(link => link.name === 'shapeOf.default').pop().args
+			}, obj[schemaKey], val);
+			obj = _setValue(options, obj, schemaKey, val);
+		}
+		let keyMessage = Object.prototype.hasOwnProperty.call(keyMessages, schemaKey) ? keyMessages[schemaKey] : undefined;
+		if (typeof obj[schemaKey] === 'undefined') {
+			if (!expected._optional){
+				_validationLog(entryOptions, {
+					code: 'missing_key',
+					message: keyMessage ?
+						_formatMessage(keyMessage, {path: options.path.concat([schemaKey]), code: 'missing_key'}) :
+						`Failed: Object with missing key '${schemaKey}'`,
+					key: schemaKey,
+					custom: Boolean(keyMessage)
+				});
+				valid = false;
+				return collectsAllErrors;
+			}
+			return true;
+		}
+		let valInQuestion = obj[schemaKey];
+		if (plan[i].check && plan[i].check(valInQuestion) === valInQuestion) {
+			// Compiled validator passing the value as-is (see _compileSchema())
+			return true;
+		}
+		let keyOptions = {...entryOptions, obj: valInQuestion, path: options.path.concat([schemaKey]), parent: obj};
+		if (keyMessage)
+			keyOptions.log = [];
+		let rtn = yield* _evaluate(keyOptions, expected);
+		if (keyMessage) {
+			// The key's message replaces any custom messages from within the key
+			keyOptions.log
+				.filter(entry => typeof rtn !== 'undefined' || !entry.custom)
+				.forEach(entry => entryOptions.log.push(entry));
+		}
+		if (typeof rtn === 'undefined') {
+			_validationLog(entryOptions, {
+				code: 'invalid_key',
+				message: keyMessage ?
+					_formatMessage(keyMessage, {value: valInQuestion, path: keyOptions.path, code: 'invalid_key'}) :
+					`Failed: Object at key '${schemaKey}'`,
+				key: schemaKey,
+				custom: Boolean(keyMessage)
+			}, valInQuestion);
+			valid = false;
+			return collectsAllErrors;
+		}
+		if (rtn !== obj[schemaKey]) {
+			// Value has mutated; change within object
+			_validationLog(entryOptions, {
+				code: 'mutation',
+				message: `Mutation: Object field '${schemaKey}'`,
+				key: schemaKey
+			}, obj[schemaKey], rtn);
+			obj = _setValue(options, obj, schemaKey, rtn);
+		}
+		return true;
+	});
+
+	if (!valid && !collectsAllErrors)
+		return;
+
+	if (exact) {
+		// Exact schema - ensure no extraneous fields are present
+		let objKeys = Object.keys(obj);
+		for (let i = objKeys.length - 1; i >= 0; i--) {
+			if (!Object.prototype.hasOwnProperty.call(schema, objKeys[i])) {
+				_validationLog(options, {
+					code: 'extraneous_key',
+					message: `Failed: Object with extraneous key '${objKeys[i]}'`,
+					key: objKeys[i]
+				});
+				if (!collectsAllErrors)
+					return;
+				valid = false;
+			}
+		}
+	}
+
+	if (valid)
+		return obj;
+};
+
+/**
+ * Records a log during validation process.
+ * 
+ * The entry can either be a message, or an object with the following fields:
+ * - message    The human-readable message
+ * - code       A stable, machine-readable code, i.e. 'missing_key'
+ * - key        Optional. A key or index to append to the current path
+ * - validator  Optional. The name of the validator involved
+ * - args       Optional. The call-chain arguments of the validator involved
+ * - custom     Optional. Whether or not the message was given using .message() or a messages
+ *              map; these entries are always recorded, as they're needed for thrown exceptions
+ *              and event callbacks (see _completeShouldBe())
+ * - reason     Optional. The failure code of a failed validator, i.e. 'tooShort'
+ * - expected   Optional. The expected value, for use within localized messages
+ * - localize   Optional. Whether or not the message may be localized. Defaults to true.
+ * 
+ * When a locale is set, messages found within the locale's catalog replace the message and
+ * are treated as custom messages (see _localizeMessage()).
+ *
+ * @param      {Object}  context  The validation context (see _createValidationContext())
+ * @param      {string|Object}  entry    The message, or an object describing the entry
+ * @param      {Object}  obj      Extra objects/data to attach
+ */
+let _validationLog = (context, entry, ...obj) => {
+	if (typeof entry === 'string')
+		entry = { message: entry };
+
+	if (!context.recordsLog && !entry.custom && !context.locale)
+		return;
+
+	let log = context.log;
+	let path = context.path || [];
+	if (typeof entry.key !== 'undefined')
+		path = path.concat([entry.key]);
+
+	let message = entry.message;
+	let custom = entry.custom;
+	if (context.locale && !custom && entry.localize !== false) {
+		let localized = _localizeMessage(context.locale, entry, path, obj[0]);
+		if (typeof localized !== 'undefined') {
+			message = localized;
+			custom = true;
+		}
+	}
+	if (!context.recordsLog && !custom)
+		return;
+
+	let rtn = {
+		message,
+		code: entry.code,
+		path: _toJSONPointer(path)
+	};
+
+	if (typeof entry.validator !== 'undefined') {
+		rtn.validator = entry.validator;
+		rtn.args = entry.args || [];
+	}
+
+	if (custom)
+		rtn.custom = true;
+
+	if (obj.length > 0) {
+		if (obj.length === 1)
+			obj = obj[0];
+		rtn.obj = obj;
+	}
+
+	log.push(rtn);
+};
+
+/**
+ * Converts a list of keys and indices into a JSON Pointer (RFC 6901), i.e. ['items', 3]
+ * becomes '/items/3'. An empty list refers to the whole object and becomes ''.
+ *
+ * @param      {Array}   path    The keys and indices
+ * @return     {string}  The JSON Pointer
+ */
+let _toJSONPointer = (path) => {
+	let rtn = '';
+	for (let i = 0; i < path.length; i++) {
+		rtn += '/' + String(path[i]).replace(/~/g, '~0').replace(/\//g, '~1');
+	}
+	return rtn;
+};
+
+/**
+ * Base function that attaches arguments to itself when executed.
+ * Expected to be bound to a validator.
+ *
+ * @param      {Array}   args    The arguments
+ * @return     {Object}  Validator
+ */
+let _validatorArgHandler = function(...args) {
+	if (args.length < this._requiredArgsCount)
+		throw new SchemaDefinitionError(`Validator '${this._name}' requires at least ${this._requiredArgsCount} arguments`);
+
+	// Copy bindings from original validator.
+	let bindings = { ...this };
+
+	bindings._callChain = [].concat(this._callChain);
+	bindings._callChain.pop();  // remove old _thisCall with empty arguments
+
+	// Generate a new set of arguments on the call chain
+	bindings._thisCall = _generateValidatorCallSignature(this._thisCall);
+	bindings._thisCall.args = [].concat(args);
+	bindings._callChain.push(bindings._thisCall);  // add updated _thisCall to _callChain
+
+	// (Re)attach sub-validators to 'this' object.
+	let subKeys = Object.keys(bindings._subValidators);
+	for (let i = subKeys.length - 1; i >= 0; i--) {
+		let key = subKeys[i];
+		let subValidator = bindings._subValidators[key];
+		let subValidatorProps = _makeValidatorProperties(
+			subValidator._name,
+			subValidator._callback,
+			{
+				...subValidator._options,
+				_callChain: bindings._callChain
+			}
+		);
+		subValidatorProps._subValidators = subValidator._subValidators;  // keep chainable sub-validators
+		let newSubValidator = _validatorArgHandler.bind(subValidatorProps);
+		let extKeys = Object.keys(subValidatorProps);
+		for (let i = extKeys.length - 1; i >= 0; i--) {
+			let subKey = extKeys[i];
+			newSubValidator[subKey] = subValidatorProps[subKey];
+		}
+
+		bindings[key] = newSubValidator;
+	}
+
+	// Copy over bindings to public-facing.
+	let rtn = _validatorArgHandler.bind(bindings);
+	let extKeys = Object.keys(bindings);
+	for (let i = extKeys.length - 1; i >= 0; i--) {
+		let key = extKeys[i];
+		rtn[key] = bindings[key];
+	}
+	_attachUniversalSubValidators(rtn);
+
+	return rtn;
+};
+
+/**
+ * Validator factory. This has the following responsibilities:
+ * 
+ * - This serves as a wrapper to the core validator function
+ * - Retains the state of the validator chain by storing ordered validator calls/arguments.
+ *
+ * @class      Validator Validator wrapper
+ * @param      {Function}  callback  The core validator callback
+ * @param      {Object}    options   The options
+ */
+shapeOf.Validator = function(name, callback, options) {
+	options = options || {};
+
+	// Names and aliases may only be registered once, unless overridden
+	let names = [name].concat(options.aliases || []);
+	names.forEach(n => {
+		if (Object.prototype.hasOwnProperty.call(shapeOf.Validator._validators, n) && !options.override)
+			throw new SchemaDefinitionError(`Validator '${n}' is already registered. Use the 'override' option to replace it.`);
+	});
+
+	let validatorOptions = _makeValidatorProperties(name, callback, options);
+
+	// Create a binding.
+	let validator = _validatorArgHandler.bind(validatorOptions);
+
+	// Duplicate bound options to the object iself to make them externally accessible as well.
+	validator = Object.assign(validator, validatorOptions);
+	_attachUniversalSubValidators(validator);
+
+	// Attach to parent validator (if present).
+	if (options.parent) {
+		_attachSubValidator(options.parent, validator);
+	}
+
+	// Store validators.
+	validatorOptions._aliases.forEach(alias => {
+		shapeOf.Validator._validators[alias] = validator;
+	});
+	shapeOf.Validator._validators[validatorOptions._name] = validator;
+
+	return validator;
+};
+
+/**
+ * A key-value set of validator names to validator objects.
+ */
+shapeOf.Validator._validators = {};
+
+/**
+ * A token shared by validators to verify as validators since they aren't
+ * sub-classes of shapeOf.Validator. Instances created using shapeOf.createInstance()
+ * share the token, so validators of one instance can be used within the schemas of another.
+ *
+ * @type       {Object}
+ */
+let _validatorToken = validatorToken || {validator: 'token'};
+
+/**
+ * Creates an independent shapeOf instance with its own validator registry, core validators
+ * (including their optional variants), and schemas registered using shapeOf.define(). Validators
+ * and schemas registered with one instance aren't visible to another, including when deserializing.
+ * 
+ * Options include:
+ * - inherit: Whether or not the instance starts with the custom validators, registered schemas,
+ *            message catalogs, locale, and maxDepth of this instance. Anything registered
+ *            afterwards isn't shared.
+ *            Defaults to false.
+ * 
+ *   let myShapeOf = shapeOf.createInstance({inherit: true});
+ *
+ * @param      {Object}    options  Optional. Options to use
+ * @return     {Function}  The shapeOf instance
+ */
+shapeOf.createInstance = (options) => {
+	let instance = _createShapeOf(shapeOf, options || {}, _validatorToken);
+	instance._versionCompatibilityHistory = shapeOf._versionCompatibilityHistory;
+	instance.version = shapeOf.version;
+	instance.compatibleSchemaVersion = shapeOf.compatibleSchemaVersion;
+	return instance;
+};
+
+/**
+ * Determines whether the specified object is a validator.
+ *
+ * @param      {Object}   obj     The object
+ * @return     {boolean}  True if the specified object is a validator, False otherwise.
+ */
+shapeOf.isValidator = (obj) => {
+	return Boolean(
+		   obj &&
+		   obj._validatorToken &&
+		   obj._validatorToken === _validatorToken &&
+		   obj._callback &&
+	       typeof obj._callback === 'function' &&
+	       obj._callChain &&
+	       obj._thisCall
+	);
+};
+
+/**
+ * Registers a schema by name, to be referenced using shapeOf.ref(). Registering a schema under
+ * an existing name replaces it.
+ * 
+ *   shapeOf.define('Comment', {
+ *       'text': shapeOf.string,
+ *       'replies': shapeOf.optional.arrayOf(shapeOf.ref('Comment'))
+ *   });
+ *
+ * @param      {string}  name    The name of the schema
+ * @param      {Object}  schema  The schema
+ * @return     {Object}  The schema
+ */
+shapeOf.define = (name, schema) => {
+	if (typeof name !== 'string' || name.length === 0)
+		throw new SchemaDefinitionError('shapeOf.define() requires a schema name');
+	if (typeof schema === 'undefined')
+		throw new SchemaDefinitionError(`shapeOf.define() requires a schema for '${name}'`);
+	shapeOf._schemas[name] = schema;
+	return schema;
+};
+
+/**
+ * Schemas registered using shapeOf.define().
+ *
+ * @type       {Object}
+ */
+shapeOf._schemas = {};
+
+/**
+ * The default maximum number of shapeOf.lazy() and shapeOf.ref() references that may be
+ * resolved along a single path before validation fails.
+ *
+ * @type       {number}
+ */
+shapeOf.maxDepth = 100;
+
+/**
+ * Generates a call signature for an individual validator.
+ * 
+ * If validatorName is set to a previous call signature object, a duplicate of the 
+ * link is generated.
+ *
+ * @param      {string|Object}  validatorName  The validator name or previous call signature object
+ * @param      {Array}     argsList       The arguments list
+ * @param      {Function}  callback       The callback to execute
+ * @return     {Object}  The call signature object
+ */
+let _generateValidatorCallSignature = (validatorName, argsList, callback) => {
+	if (typeof validatorName === 'object') {
+		return {
+			name: validatorName.name,
+			args: [].concat(validatorName.args),
+			_callback: validatorName._callback,
+			_contextual: validatorName._contextual,
+			_failureCode: validatorName._failureCode,
+			_options: validatorName._options
+		}
+	} else {
+		return {
+			name: validatorName,
+			args: argsList,
+			_callback: callback
+		};
+	}
+};
+
+/**
+ * Generates options for a given validator.
+ *
+ * @param      {string}    name             The name of the validator
+ * @param      {Function}  callback         The callback
+ * @param      {Object}    options          New options to swap for current
+ * @param      {Object}    existingOptions  The existing options
+ * @return     {Object}    A set of new validator options
+ */
+let _makeValidatorProperties = (name, callback, options, existingOptions) => {
+	existingOptions = existingOptions || {};
+	options = options || {};
+	options = {...existingOptions, ...options};
+	let rtn = {};
+
+	let callChain = [].concat(options._callChain || []);
+	let thisCall = _generateValidatorCallSignature(name, [], callback)
+	thisCall._contextual = options.contextual || false;
+	thisCall._failureCode = options.failureCode;
+	thisCall._options = options;              // Options of the validator that made the call, regardless of its instance
+	callChain.push(thisCall);
+
+	rtn._name = name;
+	rtn._thisCall = thisCall;
+	rtn._callChain = callChain;               // An ordered list of validator calls
+	rtn._options = options;
+	rtn._optional = options.optional || false;
+	rtn._requiredArgsCount = options.requiredArgsCount || Math.max(0, callback.length - (options.contextual ? 2 : 1));
+	rtn._callback = callback;
+	rtn._aliases = options.aliases || [];
+	rtn._subValidators = {};
+	rtn._validatorToken = _validatorToken;
+	// rtn.toJSON = _serializeValidator.bind(null, rtn);
+
+	if (options.serialize)
+		rtn._serialize = options.serialize;
+
+	if (options.deserialize)
+		rtn._deserialize = options.deserialize;
+
+	if (typeof rtn._aliases === 'string')
+		rtn._aliases = [rtn._aliases];
+
+	return rtn;
+};
+
+/**
+ * Attaches a sub-validator to a given parent.
+ *
+ * @param      {Object}  parent  The parent
+ * @param      {Object}  child   The child
+ */
+let _attachSubValidator = (parent, child) => {
+	// Convert parents if needed.
+	if (typeof parent === 'string') {
+		let parentName = parent;
+		parent = shapeOf.Validator._validators[parentName];
+
+		if (!parent)
+			throw new SchemaDefinitionError('Unknown validator: ' + parentName);
+	}
+
+	let names = [child._name].concat(child._aliases);
+
+	names.forEach(name => {
+		// Curate name as needed.
+		let childName = name;
+		childName = childName.replace(parent._name, '');
+		childName = childName.split('.');
+		childName = childName[childName.length - 1];
+
+		// Copy over sub-validator attributes to bound validator.
+		let subValidatorOptions = {};
+		let validatorKeys = Object.keys(child);
+		for (let j = validatorKeys.length - 1; j >= 0; j--) {
+			let valKey = validatorKeys[j];
+			subValidatorOptions[valKey] = child[valKey];
+		}
+
+		// Toggle to optional if parent is optional.
+		if (parent._optional) {
+			subValidatorOptions._optional = true;
+		}
+
+		// Adjust the call chain on the cloned sub-validator.
+		let newCallChain = [].concat(parent._callChain).concat(child._callChain);
+		subValidatorOptions._callChain = newCallChain;
+
+		// Bind a new sub-validator.
+		let subValidator = _validatorArgHandler.bind(subValidatorOptions);
+		subValidator = Object.assign(subValidator, subValidatorOptions);
+		_attachUniversalSubValidators(subValidator);
+
+		// Attach to parent validator.
+		parent[childName] = subValidator;
+		parent._subValidators[childName] = subValidator;
+	});
+
+};
+
+/**
+ * Sub-validators that are attached to every validator, keyed by the name they're accessed by.
+ * Rather than belonging to a single parent, these are appended to the call chain of whichever
+ * validator they're accessed from, i.e. shapeOf.string.size(3).default('foo').
+ *
+ * @type       {Object}
+ */
+let _universalSubValidators = {};
+
+/**
+ * Attaches universal sub-validators (see _universalSubValidators) to a validator.
+ *
+ * @param      {Object}  validator  The validator
+ */
+let _attachUniversalSubValidators = (validator) => {
+	let keys = Object.keys(_universalSubValidators);
+	for (let i = keys.length - 1; i >= 0; i--) {
+		let key = keys[i];
+		let universal = _universalSubValidators[key];
+		let subValidatorProps = _makeValidatorProperties(
+			universal._name,
+			universal._callback,
+			{
+				...universal._options,
+				optional: validator._optional,
+				_callChain: validator._callChain
+			}
+		);
+		let subValidator = _validatorArgHandler.bind(subValidatorProps);
+		validator[key] = Object.assign(subValidator, subValidatorProps);
+	}
+};
+
+/**
+ * Finds the default value of a validator, as set by the .default() sub-validator. If
+ * .default() was used more than once within the call chain, the last is used.
+ *
+ * @param      {Object}  schema  The schema, which may be a validator
+ * @return     {Object}  An object with 'value' and 'whenNull' fields, or undefined if no default is set
+ */
+let _findDefault = (schema) => {
+	if (!shapeOf.isValidator(schema))
+		return;
+	let callChain = schema._callChain;
+	for (let i = callChain.length - 1; i >= 0; i--) {
+		if (callChain[i].name === 'shapeOf.default') {
+			let args = callChain[i].args;
+			let defaultOptions = args[1] || {};
+			return {
+				value: args[0],
+				whenNull: Boolean(defaultOptions.whenNull)
+			};
+		}
+	}
+};
+
+/**
+ * Finds the custom message of a validator, as set by the .message() sub-validator. If .message()
+ * was used more than once within the call chain, the last is used.
+ *
+ * @param      {Object}  schema  The schema, which may be a validator
+ * @return     {Object}  An object with 'text' and 'args' fields, args being the arguments of the
+ *                       link .message() follows, or undefined if no message is set
+ */
+let _findMessage = (schema) => {
+	if (!shapeOf.isValidator(schema))
+		return;
+	let callChain = schema._callChain;
+	for (let i = callChain.length - 1; i >= 0; i--) {
+		if (callChain[i].name === 'shapeOf.message') {
+			let j = i - 1;
+			while (j >= 0 && callChain[j].name === 'shapeOf.message')
+				j--;
+			return {
+				text: callChain[i].args[0],
+				args: j >= 0 ? callChain[j].args : []
+			};
+		}
+	}
+};
+
+/**
+ * Formats a custom message given by .message() or a messages map. Messages may either be a
+ * function, called with the template variables and returning the message, or a string with
+ * template variables enclosed in braces:
+ * - {value}      The value in question
+ * - {path}       The JSON Pointer to the value in question
+ * - {key}        The key or index of the value in question
+ * - {args}       The comma-delimited arguments of the validator
+ * - {0}, {1}...  An individual argument of the validator
+ * - {validator}  The name of the validator, or link within its call chain, that failed
+ * - {code}       The code of the failure, i.e. 'missing_key'
+ * - {expected}   The expected value, for failures such as 'not_equal'
+ * 
+ * Unknown template variables are left as-is.
+ *
+ * @param      {string|Function}  message  The message
+ * @param      {Object}           vars     The values of the template variables, with 'path' as a list of keys and indices
+ * @return     {string}  The formatted message
+ */
+let _formatMessage = (message, vars) => {
+	let path = vars.path || [];
+	let args = vars.args || [];
+	let values = {
+		value: vars.value,
+		path: _toJSONPointer(path),
+		key: path[path.length - 1],
+		args: args.join(', '),
+		validator: vars.validator,
+		code: vars.code,
+		expected: vars.expected
+	};
+	if (typeof message === 'function')
+		return String(message({...values, args}));
+
+	return String(message).replace(/\{(\w+)\}/g, (match, name) => {
+		let value = /^[0-9]+$/.test(name) ? args[Number(name)] : values[name];
+		return typeof value === 'undefined' ? match : String(value);
+	});
+};
+
+/**
+ * Executes a validator based on a call chain. If a link within the call chain fails,
+ * the failure is logged against that link.
+ *
+ * @param      {Object}  validator  The validator call chain object
+ * @param      {Object}  obj        The object in question
+ * @param      {Object}  options    The validation context (see _createValidationContext())
+ * @param      {Object}  message    The custom message of the validator, if any (see _findMessage())
+ * @return     {Object}             Object resulting from validation
+ */
+let _executeValidator = function*(validator, obj, options, message) {
+	// Run through call chain.
+	let callChain = validator._callChain;
+	let valid = true;
+	for (let i = 0; i < callChain.length; i++) {
+		let link = callChain[i];
+		if (link.args.length < link._requiredArgsCount)
+			throw new SchemaDefinitionError('Missing required arguments for validator: ' + link._name);
+		let args = link.args.concat([obj]);
+		let callbackContext;
+		if (link._contextual) {
+			callbackContext = _createCallbackContext(options, link, obj);
+			args.push(callbackContext);
+		}
+		let rtn = yield* _callValidator(options, link._callback, args, link.name);
+		if (callbackContext && callbackContext._failed)
+			rtn = undefined;
+		if (typeof rtn === 'undefined') {
+			// Only the first failure uses the custom message, if any
+			let custom = Boolean(message && valid);
+			// Failures logged by the validator itself, using fail() or as an object-level rule,
+			// aren't logged again unless there's a custom message
+			let logged = Boolean(callbackContext && callbackContext._failed) || _isChainableLink(link);
+			if (custom || !logged) {
+				_validationLog(options, {
+					code: 'validator_failed',
+					message: custom ?
+						_formatMessage(message.text, {value: obj, path: options.path, args: message.args, validator: link.name, code: 'validator_failed'}) :
+						`Failed: Validator '${link.name}'`,
+					validator: link.name,
+					args: link.args,
+					custom,
+					reason: options.locale && link._failureCode ? link._failureCode(...args) : undefined,
+					localize: !logged
+				}, obj);
+			}
+			if (!options.collectsAllErrors || !_isChainableLink(link) || !_isChainableLink(callChain[i + 1]))
+				return;
+			// Continue through the remaining chainable sub-validators, i.e. object-level rules,
+			// to record their failures as well
+			valid = false;
+			continue;
+		}
+		obj = rtn;
+	}
+	if (valid)
+		return obj;
+};
+
+/**
+ * Determines whether a link within a validator's call chain is a chainable sub-validator,
+ * such as shapeOf.shape().refine().
+ *
+ * @param      {Object}   link    The link
+ * @return     {boolean}  True if the link is chainable, False otherwise.
+ */
+let _isChainableLink = (link) => {
+	return Boolean(link && link._options && link._options.chainable);
+};
+
+/**
+ * Creates the context given as the last argument to callbacks of validators registered with
+ * the 'contextual' option. The context contains:
+ * - path     The keys and indices leading to the object in question
+ * - key      The key or index of the object in question within its parent, if any
+ * - parent   The object or array containing the object in question, if any
+ * - root     The object given to shapeOf()
+ * - options  The validation context (see _createValidationContext())
+ * - log(message)         Records a log entry with the code 'validator_log'
+ * - fail(code, message)  Records a log entry with the given code and fails the validator,
+ *                        regardless of what the callback returns
+ *
+ * @param      {Object}  options  The validation context (see _createValidationContext())
+ * @param      {Object}  link     The link within the validator's call chain being called
+ * @param      {Object}  obj      The object in question
+ * @return     {Object}  The callback context
+ */
+let _createCallbackContext = (options, link, obj) => {
+	let path = options.path || [];
+	let context = {
+		path: path.slice(),
+		key: path[path.length - 1],
+		parent: options.parent,
+		root: options.root,
+		options,
+		log: (message) => {
+			_validationLog(options, {
+				code: 'validator_log',
+				message,
+				validator: link.name,
+				args: link.args
+			}, obj);
+		},
+		fail: (code, message) => {
+			context._failed = true;
+			_validationLog(options, {
+				code: code || 'validator_failed',
+				message: message || `Failed: Validator '${link.name}'`,
+				validator: link.name,
+				args: link.args
+			}, obj);
+		},
+		_failed: false
+	};
+	return context;
+};
+
+/**
+ * Serializes a schema and returns as a JSON-encoded string or an object equivalent.
+ * 
+ * Options include:
+ * - returnsObject
+ *
+ * @param      {Object}  schema         The schema
+ * @param      {Object}  options        Options to use when serializing
+ * @return     {Object|String}  JSON-encoded string of schema or object equivalent
+ */
+shapeOf.serialize = (schema, options) => {
+	let state = _serializeState();
+	let rtn = {
+		'_shapeOfVersion': shapeOf.version,
+		'_shapeOfSchemaVersion': shapeOf.compatibleSchemaVersion,
+		'schema': _serialize(schema, state)
+	};
+
+	// Include any registered schemas referenced with shapeOf.ref(), and any schemas referenced
+	// more than once due to cycles or shapeOf.lazy()
+	if (Object.keys(state.definitions).length > 0)
+		rtn.definitions = state.definitions;
+	if (state.references.length > 0)
+		rtn.references = state.references;
+
+	options = options || {};
+
+	if (!options.returnsObject)
+		return JSON.stringify(rtn);
+	else
+		return rtn;
+};
+
+/**
+ * Deserializes a schema and returns the schema object. Any registered schemas included
+ * with the serialized schema are registered using shapeOf.define(), unless a schema is already
+ * registered under the same name. Throws if that schema differs from the one included.
+ *
+ * @param      {String|Object}  serializedSchema  The serialized schema
+ * @return     {Object}   Schema object
+ */
+shapeOf.deserialize = (serializedSchema) => {
+	if (typeof serializedSchema === 'string') {
+		try {
+			serializedSchema = JSON.parse(serializedSchema);
+		} catch (e) {
+			throw new DeserializationError("Error while deserializing schema:\n" + e.toString(), {cause: e});
+		}
+	}
+	if (!serializedSchema._shapeOfVersion || !serializedSchema._shapeOfSchemaVersion || !serializedSchema.schema) {
+		throw new DeserializationError("Object doesn't appear to be a valid shapeOf schema.");
+	}
+	if (!_isCompatibileVersion(shapeOf.compatibleSchemaVersion, serializedSchema._shapeOfSchemaVersion)) {
+		throw new DeserializationError(`Incompatible schema versions, current version == ${shapeOf.compatibleSchemaVersion}, schema version == ${serializedSchema._shapeOfSchemaVersion}`);
+	}
+
+	let state = {
+		references: serializedSchema.references || [],
+		resolved: new Map()
+	};
+	// Included schemas are only registered once every one of them is known not to clash with a
+	// schema already registered under the same name, which is left as is
+	let definitions = serializedSchema.definitions || {};
+	let defined = {};
+	Object.keys(definitions).forEach(name => {
+		defined[name] = _deserialize(definitions[name], null, state);
+		if (Object.prototype.hasOwnProperty.call(shapeOf._schemas, name) &&
+			_serializeDefined(name, shapeOf._schemas[name]) !== _serializeDefined(name, defined[name]))
+			throw new DeserializationError(`A different schema is already registered as '${name}'`);
+	});
+	Object.keys(defined).forEach(name => {
+		if (!Object.prototype.hasOwnProperty.call(shapeOf._schemas, name))
+			shapeOf.define(name, defined[name]);
+	});
+
+	return _deserialize(serializedSchema.schema, null, state);
+};
+
+/**
+ * Deserializes a validator from a serialized schema.
+ *
+ * @param      {Object}  obj     The serialized validator
+ * @param      {Object}  state   The deserialization state
+ * @return     {Validator}   Validator object
+ */
+let _deserializeValidator = (obj, state) => {
+	if (!obj.type || obj.type !== 'validator')
+		throw new DeserializationError("Object isn't a validator type: " + obj.toString());
+	if (!obj.callChain || !Array.isArray(obj.callChain) ||
+		!obj.name || typeof obj.name !== 'string')
+		throw new DeserializationError("Malformed validator: " + obj.toString());
+
+	// Deserialize the arguments of each link within the call chain.
+	let links = obj.callChain.map(link => {
+		if (!link.name || typeof link.name !== 'string' ||
+			!link.args || !Array.isArray(link.args))
+			throw new DeserializationError("Malformed validator: " + obj.toString());
+
+		return {
+			name: link.name,
+			args: link.args.map(arg => _deserialize(arg, null, state))
+		};
+	});
+
+	return _buildValidator(links);
+};
+
+/**
+ * Builds a validator from a call chain, regenerating validators along the way.
+ *
+ * @param      {Array}   links   The links of the call chain, each with a name and arguments
+ * @return     {Validator}  Validator object
+ */
+let _buildValidator = (links) => {
+	let rtn;
+	links.forEach(link => {
+		let validator = shapeOf.Validator._validators[link.name];
+		if (typeof validator === 'undefined')
+			throw new DeserializationError("Validator not found: " + link.name);
+
+		let simpleName = link.name.split('.').pop();
+		
+		if (rtn) {
+			if (!rtn[simpleName])
+				throw new DeserializationError("Cannot find sub-validator " + link.name);
+		}
+
+		if (link.args.length > 0) {
+			// Set arguments for validator
+			if (rtn)
+				rtn = rtn[simpleName](...link.args);
+			else
+				rtn = validator(...link.args);
+		} else {
+			// No arguments for validator needed
+			if (rtn)
+				rtn = rtn[simpleName];
+			else
+				rtn = validator;
+		}
+	});
+
+	return rtn;
+};
+
+/**
+ * Deserializes a part of a serialized schema.
+ *
+ * @param      {Object}    obj     The object to deserialize
+ * @param      {Object}    parent  Optional. The parent object for 'field' types.
+ * @param      {Object}    state   The deserialization state
+ * @return     {Object}    Deserialized object.
+ */
+let _deserialize = (obj, parent, state) => {
+	if (!obj.type || typeof obj.type !== 'string')
+		throw new DeserializationError("Object isn't a valid type: " + obj.toString());
+	if (typeof obj.value === 'undefined' && obj.type !== 'validator')
+		throw new DeserializationError("Object missing value: " + obj.toString());
+
+	let rtn;
+
+	// Objects
+	if (obj.type === 'object') {
+
+		if (!Array.isArray(obj.value))
+			throw new DeserializationError("Type 'object' value must be an array");
+		rtn = {};
+		obj.value.forEach(field => {
+			_deserialize(field, rtn, state);
+		});
+
+	// Object fields
+	} else if (obj.type === 'field') {
+
+		if (!obj.name || typeof obj.name !== 'string')
+			throw new DeserializationError("Illegal/missing field name for object " + parent.toString());
+		if (!parent)
+			throw new DeserializationError("No parent present for 'field' type");
+		parent[obj.name] = _deserialize(obj.value, null, state);
+
+	// Arrays
+	} else if (obj.type === 'array') {
+
+		if (!Array.isArray(obj.value))
+			throw new DeserializationError("Type 'array' value must be array");
+		rtn = [];
+		obj.value.forEach(elem => {
+			rtn.push(_deserialize(elem, null, state));
+		});
+
+	// Primitives
+	} else if (obj.type === 'primitive') {
+
+		rtn = obj.value;
+
+	// Validators
+	} else if (obj.type === 'validator') {
+
+		rtn = _deserializeValidator(obj, state);
+
+	// References to schemas that appear more than once
+	} else if (obj.type === 'reference') {
+
+		rtn = _deserializeReference(obj.value, state);
+
+	// Schemas returned by shapeOf.lazy()
+	} else if (obj.type === 'lazy') {
+
+		rtn = () => _deserializeReference(obj.value, state);
+
+	// Functions creating default values (see _serializeFactory())
+	} else if (obj.type === 'factory') {
+
+		rtn = () => _deserialize(obj.value, null, state);
+
+	// Regular expressions
+	} else if (obj.type === 'regexp') {
+
+		if (typeof obj.value !== 'string' || typeof obj.flags !== 'string')
+			throw new DeserializationError('RegExp object missing required field');
+
+		rtn = new RegExp(obj.value, obj.flags);
+
+	} else {
+		throw new DeserializationError("Unknown object type: " + obj.type);
+	}
+
+	return rtn;
+};
+
+/**
+ * Deserializes a schema referenced from within a serialized schema, only doing so once.
+ * Objects and arrays are resolved before their contents, allowing them to reference
+ * themselves.
+ *
+ * @param      {number}  index   The index of the referenced schema
+ * @param      {Object}  state   The deserialization state
+ * @return     {Object}  Deserialized object.
+ */
+let _deserializeReference = (index, state) => {
+	if (!state || !state.references[index])
+		throw new DeserializationError("Reference not found: " + index);
+	if (state.resolved.has(index)) {
+		let rtn = state.resolved.get(index);
+		if (rtn === _deserializeReference_pending)
+			throw new DeserializationError("Cannot deserialize cyclic reference: " + index);
+		return rtn;
+	}
+
+	let obj = state.references[index];
+	let rtn = _deserializeReference_pending;
+	if (obj.type === 'object')
+		rtn = {};
+	else if (obj.type === 'array')
+		rtn = [];
+	state.resolved.set(index, rtn);
+
+	let value = _deserialize(obj, null, state);
+	if (rtn === _deserializeReference_pending)
+		rtn = value;
+	else
+		Object.assign(rtn, value);
+	state.resolved.set(index, rtn);
+	return rtn;
+};
+let _deserializeReference_pending = {};
+
+/**
+ * Creates the state used to track schemas referenced more than once while serializing.
+ *
+ * @return     {Object}  The serialization state
+ */
+let _serializeState = () => {
+	return {
+		stack: [],
+		refs: new Map(),
+		references: [],
+		definitions: {}
+	};
+};
+
+/**
+ * Reserves an index within the references of a serialized schema for a schema.
+ *
+ * @param      {Object}  obj     The schema
+ * @param      {Object}  state   The serialization state
+ * @return     {number}  The index of the reference
+ */
+let _reserveReference = (obj, state) => {
+	let index = state.references.length;
+	state.references.push(null);
+	state.refs.set(obj, index);
+	return index;
+};
+
+/**
+ * Creates a serializable version of the schema returned by a shapeOf.lazy() getter. The schema
+ * is always serialized as a reference, since it may reference itself.
+ *
+ * @param      {Function}  getter  The getter passed to shapeOf.lazy()
+ * @param      {Object}    state   The serialization state
+ * @return     {Object}    Serializable version of the getter
+ */
+let _serializeLazy = (getter, state) => {
+	let schema = getter();
+	let rtn = _serialize(schema, state);
+	if (rtn.type !== 'reference') {
+		let index = _reserveReference(schema, state);
+		state.references[index] = rtn;
+		rtn = {type: 'reference', value: index};
+	}
+	return {type: 'lazy', value: rtn.value};
+};
+
+/**
+ * Creates a serializable version of a validator.
+ *
+ * @param      {Object}  validator  The validator
+ * @param      {Object}  state      The serialization state
+ * @return     {Object}  Serializable version of validator.
+ */
+let _serializeValidator = (validator, state) => {
+	// Create core descriptor
+	let rtn = {
+		"type": "validator",
+		"name": validator._name,
+	};
+
+	if (validator._optional)
+		rtn.optional = true;
+
+	// Build parameter values
+	let callChain = rtn.callChain = [];
+	let links = validator._callChain;
+	if (links && links.length > 0) {
+		for (let i = 0; i < links.length; i++) {
+			let link = links[i];
+			let args = link.args;
+			let sargs = [];
+			let slink = {
+				'name': link.name,
+				'args': sargs
+			};
+			if (link._callback === _shapeOf_lazy) {
+				sargs.push(_serializeLazy(args[0], state));
+			} else if (link._callback === _shapeOf_default && typeof args[0] === 'function') {
+				sargs.push(_serializeFactory(validator, args[0], state));
+				for (let j = 1; j < args.length; j++) {
+					sargs.push(_serialize(args[j], state));
+				}
+			} else {
+				for (let j = 0; j < args.length; j++) {
+					sargs.push(_serialize(args[j], state));
+				}
+			}
+			if (link._callback === _shapeOf_ref)
+				_serializeDefinition(args[0], state);
+			callChain.push(slink);
+		}
+	}
+
+	// If an extended serializer function is found, execute it
+	if (validator._serialize) {
+		rtn = {
+			...rtn,
+			...validator._serialize()
+		};
+	}
+
+	return rtn;
+};
+
+/**
+ * Adds a serializable version of a schema registered using shapeOf.define() to the
+ * definitions of a serialized schema.
+ *
+ * @param      {string}  name    The name of the registered schema
+ * @param      {Object}  state   The serialization state
+ */
+let _serializeDefinition = (name, state) => {
+	if (Object.prototype.hasOwnProperty.call(state.definitions, name) ||
+		!Object.prototype.hasOwnProperty.call(shapeOf._schemas, name))
+		return;
+	state.definitions[name] = null;
+	state.definitions[name] = _serialize(shapeOf._schemas[name], state);
+};
+
+/**
+ * Serializes a schema registered under a name, or to be registered under it, for comparing
+ * with another schema of the same name. References to the name itself aren't followed, so
+ * schemas referencing themselves serialize the same whether registered or not.
+ *
+ * @param      {string}  name    The name of the schema
+ * @param      {Object}  schema  The schema
+ * @return     {string}  The JSON-encoded serialized schema
+ */
+let _serializeDefined = (name, schema) => {
+	let state = _serializeState();
+	state.definitions[name] = null;
+	let rtn = _serialize(schema, state);
+	return JSON.stringify([rtn, state.definitions, state.references]);
+};
+
+/**
+ * Creates a serializable version of a function given to .default(), which creates a new default
+ * value each time it's called. The function itself can't be serialized, so the value it returns
+ * is, and is deserialized as a function deserializing a new copy of that value each time it's
+ * called. The value must be JSON data, i.e. [] rather than a Date.
+ *
+ * @param      {Object}    validator  The validator
+ * @param      {Function}  factory    The function
+ * @param      {Object}    state      The serialization state
+ * @return     {Object}    Serializable version of the function
+ */
+let _serializeFactory = (validator, factory, state) => {
+	let value = factory();
+	if (!_isJSONData(value))
+		throw new SchemaDefinitionError(`Can't serialize the default value function of '${validator._callChain[0].name}', which returns a value other than JSON data`);
+	return {type: 'factory', value: _serialize(value, state)};
+};
+
+/**
+ * Determines whether a value is JSON data, being null, a boolean, string, or finite number, or an
+ * array or plain object containing only JSON data.
+ *
+ * @param      {Object}   val     The value
+ * @return     {boolean}  True if JSON data, False otherwise.
+ */
+let _isJSONData = (val) => {
+	if (val === null || typeof val === 'boolean' || typeof val === 'string')
+		return true;
+	if (typeof val === 'number')
+		return isFinite(val);
+	if (Array.isArray(val))
+		return val.every(_isJSONData);
+	if (typeof val !== 'object')
+		return false;
+	let proto = Object.getPrototypeOf(val);
+	if (proto !== Object.prototype && proto !== null)
+		return false;
+	return Object.keys(val).every(key => _isJSONData(val[key]));
+};
+
+/**
+ * Creates a serializable version of an object from a schema. Objects, arrays, and validators
+ * that reference themselves are serialized once and referenced by index thereafter.
+ *
+ * @param      {Array}   obj     The argument
+ * @param      {Object}  state   Optional. The serialization state
+ * @return     {Object}  Serializable version of the object.
+ */
+let _serialize = (obj, state) => {
+	state = state || _serializeState();
+	if ((typeof obj !== 'object' && typeof obj !== 'function') || obj === null)
+		return _serializeValue(obj, state);
+
+	if (state.refs.has(obj))
+		return {type: 'reference', value: state.refs.get(obj)};
+	if (state.stack.indexOf(obj) > -1)
+		return {type: 'reference', value: _reserveReference(obj, state)};
+
+	state.stack.push(obj);
+	let rtn = _serializeValue(obj, state);
+	state.stack.pop();
+
+	if (state.refs.has(obj)) {
+		// The object referenced itself while being serialized
+		let index = state.refs.get(obj);
+		state.references[index] = rtn;
+		rtn = {type: 'reference', value: index};
+	}
+	return rtn;
+};
+
+/**
+ * Creates a serializable version of a single value from a schema.
+ *
+ * @param      {Array}   obj     The argument
+ * @param      {Object}  state   The serialization state
+ * @return     {Object}  Serializable version of the value.
+ */
+let _serializeValue = (obj, state) => {
+	let rtn = {
+		type: 'primitive',
+	};
+	if (obj === null || typeof obj === 'undefined') {
+		rtn.value = obj;
+	} else if (obj.toJSON) {
+		rtn = obj;
+	} else if (shapeOf.isValidator(obj)) {
+		rtn = _serializeValidator(obj, state);
+	} else if (obj.serialize && typeof obj.serialize === 'function') {
+		rtn = {
+			...rtn,
+			...obj.serialize()
+		};
+	} else if (Array.isArray(obj)) {
+		rtn.type = 'array';
+		let val = rtn.value = [];
+		for (let i = 0; i < obj.length; i++) {
+			val.push(_serialize(obj[i], state));
+		}
+	} else if (obj instanceof RegExp) {
+		let expr = obj.toString().split('/');
+		let flags = expr.pop();
+		expr.shift();
+		expr = expr.join('/');
+		rtn.type = 'regexp';
+		rtn.value = expr;
+		rtn.flags = flags;
+	} else if (typeof obj === 'object' && obj !== null) {
+		rtn.type = 'object';
+		let keys = Object.keys(obj);
+		let fields = rtn.value = [];
+		for (let i = 0; i < keys.length; i++) {
+			let key = keys[i];
+			fields.push({
+				type: 'field',
+				name: key,
+				value: _serialize(obj[key], state)
+			});
+		}
+	} else {
+		rtn.value = obj;
+	}
+
+	return rtn;
+};
+let _serialize_regexExpr = /^\/(.*)\/([a-zA-Z]*)$/g;
+
+
+/*
+ * JSON Schema Functions
+ */
+
+
+
+/**
+ * Converts a schema to a JSON Schema (draft 2020-12) document. Validators are converted using
+ * the toJSONSchema option given to shapeOf.Validator(), which is called with the validator's
+ * arguments and a context object, and returns the JSON Schema keywords describing the validator:
+ * 
+ *   shapeOf.Validator('myapp.uuid', callback, {
+ *       toJSONSchema: (args, context) => ({type: 'string', format: 'uuid'})
+ *   });
+ * 
+ * The context object contains:
+ * - toJSONSchema(schema, path, exact): Converts a nested schema, with path being the location of
+ *   the nested schema relative to the validator's keywords, i.e. ['items']
+ * - definition(name, schema): Adds a schema to $defs by name, returning a $ref to it
+ * - report(reason): Reports part of the validator as unrepresentable
+ * - exact: Whether or not object schemas are evaluated as exact
+ * 
+ * Anything that can't be represented, such as validators without a toJSONSchema option,
+ * functional validators, and coercion, is reported and accepts any value within the document.
+ * 
+ * Options include:
+ * - exact: Whether or not object schemas disallow additional properties, as with .isExactly()
+ * - returnsReport: Returns {schema, unrepresentable} rather than only the document, where
+ *                  unrepresentable is a list of {path, validator, reason} entries
+ *
+ * @param      {Object}  schema   The schema
+ * @param      {Object}  options  Optional. Options to use
+ * @return     {Object}  The JSON Schema document, or report if using returnsReport
+ */
+shapeOf.toJSONSchema = (schema, options) => {
+	options = options || {};
+	let state = {
+		stack: [],
+		refs: new Map(),
+		defs: {},
+		count: 0,
+		unrepresentable: []
+	};
+	let rtn = {
+		'$schema': 'https://json-schema.org/draft/2020-12/schema',
+		..._toJSONSchema(state, schema, [], options.exact || false)
+	};
+	if (Object.keys(state.defs).length > 0)
+		rtn.$defs = state.defs;
+
+	if (options.returnsReport) {
+		return {
+			schema: rtn,
+			unrepresentable: state.unrepresentable
+		};
+	}
+	return rtn;
+};
+
+/**
+ * Converts part of a schema to JSON Schema. Objects, arrays, and validators that reference
+ * themselves are added to $defs and referenced using $ref.
+ *
+ * @param      {Object}   state   The conversion state
+ * @param      {Object}   schema  The schema
+ * @param      {Array}    path    The location within the JSON Schema document
+ * @param      {boolean}  exact   Whether or not object schemas are evaluated as exact
+ * @return     {Object}   The JSON Schema keywords
+ */
+let _toJSONSchema = (state, schema, path, exact) => {
+	if ((typeof schema !== 'object' && typeof schema !== 'function') || schema === null)
+		return _toJSONSchemaValue(state, schema, path, exact);
+
+	if (state.refs.has(schema))
+		return _jsonSchemaRef(state.refs.get(schema));
+	if (state.stack.indexOf(schema) > -1) {
+		let name = Object.keys(shapeOf._schemas).filter(key => shapeOf._schemas[key] === schema)[0] ||
+			'schema' + (state.count++);
+		state.refs.set(schema, name);
+		return _jsonSchemaRef(name);
+	}
+
+	state.stack.push(schema);
+	let rtn = _toJSONSchemaValue(state, schema, path, exact);
+	state.stack.pop();
+
+	if (state.refs.has(schema)) {
+		// The schema referenced itself while being converted
+		let name = state.refs.get(schema);
+		state.defs[name] = rtn;
+		rtn = _jsonSchemaRef(name);
+	}
+	return rtn;
+};
+
+/**
+ * Converts a single value of a schema to JSON Schema.
+ *
+ * @param      {Object}   state   The conversion state
+ * @param      {Object}   schema  The schema
+ * @param      {Array}    path    The location within the JSON Schema document
+ * @param      {boolean}  exact   Whether or not object schemas are evaluated as exact
+ * @return     {Object}   The JSON Schema keywords
+ */
+let _toJSONSchemaValue = (state, schema, path, exact) => {
+	let report = (reason, validator) => {
+		state.unrepresentable.push({path: _toJSONPointer(path), validator, reason});
+	};
+
+	if (shapeOf.isValidator(schema)) {
+		let rtn = {};
+		let links = schema._callChain;
+		for (let i = 0; i < links.length; i++) {
+			let link = links[i];
+			let mapping = link._options && link._options.toJSONSchema;
+			let fragment;
+			if (mapping) {
+				fragment = mapping(link.args, {
+					toJSONSchema: (nested, nestedPath, nestedExact) => _toJSONSchema(
+						state,
+						nested,
+						path.concat(nestedPath || []),
+						typeof nestedExact === 'boolean' ? nestedExact : exact
+					),
+					definition: (name, nested) => _jsonSchemaDefinition(state, name, nested, exact),
+					report: (reason) => report(reason, link.name),
+					exact
+				});
+			}
+			if (typeof fragment === 'undefined') {
+				report(`Validator '${link.name}' has no JSON Schema equivalent`, link.name);
+				if (i === 0)
+					break;
+				continue;
+			}
+			_mergeJSONSchema(rtn, fragment);
+		}
+		return rtn;
+	}
+	if (typeof schema === 'function') {
+		report(`Functional validator '${schema.name}' has no JSON Schema equivalent`, schema.name);
+		return {};
+	}
+	if (Array.isArray(schema)) {
+		return {
+			type: 'array',
+			prefixItems: schema.map((elem, i) => _toJSONSchema(state, elem, path.concat(['prefixItems', i]), exact)),
+			items: false,
+			minItems: schema.length
+		};
+	}
+	if (schema instanceof RegExp) {
+		report('Regular expressions outside of shapeOf.string.pattern() have no JSON Schema equivalent');
+		return {};
+	}
+	if (typeof schema === 'object' && schema !== null) {
+		let rtn = {
+			type: 'object',
+			properties: {},
+			required: []
+		};
+		Object.keys(schema).forEach(key => {
+			let expected = schema[key];
+			rtn.properties[key] = _toJSONSchema(state, expected, path.concat(['properties', key]), exact);
+			if (!(expected && expected._optional) && !_findDefault(expected))
+				rtn.required.push(key);
+		});
+		if (rtn.required.length === 0)
+			delete rtn.required;
+		if (exact)
+			rtn.additionalProperties = false;
+		return rtn;
+	}
+	if (typeof schema === 'undefined') {
+		report('Undefined has no JSON Schema equivalent');
+		return {};
+	}
+	return {const: schema};
+};
+
+/**
+ * Adds a schema to the $defs of a JSON Schema document by name, such as a schema registered
+ * using shapeOf.define().
+ *
+ * @param      {Object}   state   The conversion state
+ * @param      {string}   name    The name of the schema
+ * @param      {Object}   schema  The schema
+ * @param      {boolean}  exact   Whether or not object schemas are evaluated as exact
+ * @return     {Object}   A $ref to the schema
+ */
+let _jsonSchemaDefinition = (state, name, schema, exact) => {
+	if (!Object.prototype.hasOwnProperty.call(state.defs, name)) {
+		let isObject = schema !== null && (typeof schema === 'object' || typeof schema === 'function');
+		state.defs[name] = {};
+		if (isObject) {
+			state.refs.set(schema, name);
+			state.stack.push(schema);
+		}
+		state.defs[name] = _toJSONSchemaValue(state, schema, ['$defs', name], exact);
+		if (isObject)
+			state.stack.pop();
+	}
+	return _jsonSchemaRef(name);
+};
+
+/**
+ * Creates a $ref to a schema within the $defs of a JSON Schema document.
+ *
+ * @param      {string}  name    The name of the schema
+ * @return     {Object}  The $ref
+ */
+let _jsonSchemaRef = (name) => {
+	return {'$ref': '#' + _toJSONPointer(['$defs', name])};
+};
+
+/**
+ * Merges JSON Schema keywords into another set of keywords. The allOf and required keywords
+ * are combined, while others are replaced.
+ *
+ * @param      {Object}  target  The keywords to merge into
+ * @param      {Object}  source  The keywords to merge
+ * @return     {Object}  The target keywords
+ */
+let _mergeJSONSchema = (target, source) => {
+	Object.keys(source).forEach(key => {
+		if (key === 'allOf' && target.allOf) {
+			target.allOf = target.allOf.concat(source.allOf);
+		} else if (key === 'required' && target.required) {
+			target.required = target.required.concat(source.required.filter(k => target.required.indexOf(k) === -1));
+		} else {
+			target[key] = source[key];
+		}
+	});
+	return target;
+};
+
+/**
+ * Creates JSON Schema keywords for a list of schemas, using anyOf when there's more than one.
+ *
+ * @param      {Array}   schemas  The JSON Schema keywords of each schema
+ * @return     {Object}  The JSON Schema keywords
+ */
+let _jsonSchemaAnyOf = (schemas) => {
+	return schemas.length === 1 ? schemas[0] : {anyOf: schemas};
+};
+
+/**
+ * Converts a JSON Schema document to a schema built from core validators. Supports the type, enum,
+ * const, minimum, maximum, minLength, maxLength, pattern, format (email, ipv4, and ipv6),
+ * items, prefixItems, minItems, maxItems, properties, required, additionalProperties,
+ * dependentRequired, allOf, anyOf, oneOf, $ref, and $defs keywords, along with annotations such
+ * as title and description, which are ignored.
+ * 
+ * Some things to note:
+ * - Keywords specific to a type only apply to values of that type when the type keyword is absent.
+ * - Only local references within the document ('#', '#/$defs/...', '#/definitions/...') are supported.
+ * 
+ * Throws if the document contains any unsupported keywords, or references to definitions that
+ * don't exist, listing each along with its location.
+ * 
+ *   let schema = shapeOf.fromJSONSchema({type: 'object', properties: {name: {type: 'string'}}});
+ *
+ * @param      {Object|boolean|string}  doc     The JSON Schema document, or JSON-encoded string of it
+ * @return     {Object}  The schema
+ */
+shapeOf.fromJSONSchema = (doc) => {
+	if (typeof doc === 'string') {
+		try {
+			doc = JSON.parse(doc);
+		} catch (e) {
+			throw new DeserializationError("Error while parsing JSON Schema:\n" + e.toString(), {cause: e});
+		}
+	}
+
+	let unsupported = [];
+	_findUnsupportedJSONSchema(doc, [], unsupported, doc);
+	if (unsupported.length > 0)
+		throw new DeserializationError("Unsupported JSON Schema keywords:\n" + unsupported.map(entry => `- ${entry}`).join('\n'));
+
+	let state = {
+		doc,
+		resolved: {}
+	};
+	return _fromJSONSchema(state, doc);
+};
+
+/**
+ * JSON Schema keywords supported by shapeOf.fromJSONSchema(), and annotations it ignores.
+ *
+ * @type       {Array}
+ */
+let _fromJSONSchema_keywords = [
+	'type', 'enum', 'const', 'minimum', 'maximum', 'minLength', 'maxLength', 'pattern', 'format',
+	'items', 'prefixItems', 'minItems', 'maxItems', 'properties', 'required', 'additionalProperties',
+	'dependentRequired', 'allOf', 'anyOf', 'oneOf', '$ref', '$defs', 'definitions',
+	'$schema', '$id', '$comment', 'title', 'description', 'examples', 'default', 'deprecated',
+	'readOnly', 'writeOnly'
+];
+
+/**
+ * Keywords of JSON Schema that only apply to a single type.
+ *
+ * @type       {Object}
+ */
+let _fromJSONSchema_typeKeywords = {
+	'string': ['minLength', 'maxLength', 'pattern', 'format'],
+	'number': ['minimum', 'maximum'],
+	'array': ['items', 'prefixItems', 'minItems', 'maxItems'],
+	'object': ['properties', 'required', 'additionalProperties', 'dependentRequired']
+};
+
+/**
+ * Finds keywords within a JSON Schema document unsupported by shapeOf.fromJSONSchema(), along
+ * with references whose targets don't exist.
+ *
+ * @param      {Object}  doc          The JSON Schema (or part of it)
+ * @param      {Array}   path         The location within the document
+ * @param      {Array}   unsupported  The list of unsupported keywords found so far
+ * @param      {Object}  root         The JSON Schema document
+ */
+let _findUnsupportedJSONSchema = (doc, path, unsupported, root) => {
+	if (typeof doc === 'boolean')
+		return;
+	if (typeof doc !== 'object' || doc === null || Array.isArray(doc)) {
+		unsupported.push(`Schema at '${_toJSONPointer(path)}' isn't an object or boolean`);
+		return;
+	}
+	let at = (keyword) => `'${keyword}' at '${_toJSONPointer(path)}'`;
+	Object.keys(doc).forEach(keyword => {
+		if (_fromJSONSchema_keywords.indexOf(keyword) === -1)
+			unsupported.push(at(keyword));
+	});
+	if (typeof doc.$ref !== 'undefined' && (typeof doc.$ref !== 'string' || !/^#(\/(\$defs|definitions)\/[^/]+)?$/.test(doc.$ref)))
+		unsupported.push(`${at('$ref')} (only references to '#' and '#/$defs/...' are supported)`);
+	else if (typeof doc.$ref !== 'undefined' && typeof _resolveJSONSchemaRef(root, doc.$ref) === 'undefined')
+		unsupported.push(`${at('$ref')} (reference '${doc.$ref}' not found)`);
+	if (doc.prefixItems && doc.items !== false)
+		unsupported.push(`${at('prefixItems')} (only supported along with 'items': false)`);
+
+	let nested = (keyword, schema, ...segments) => _findUnsupportedJSONSchema(schema, path.concat([keyword], segments), unsupported, root);
+	['items', 'additionalProperties'].forEach(keyword => {
+		if (typeof doc[keyword] !== 'undefined' && doc[keyword] !== false)
+			nested(keyword, doc[keyword]);
+	});
+	['prefixItems', 'allOf', 'anyOf', 'oneOf'].forEach(keyword => {
+		if (Array.isArray(doc[keyword]))
+			doc[keyword].forEach((schema, i) => nested(keyword, schema, i));
+	});
+	['properties', '$defs', 'definitions'].forEach(keyword => {
+		if (typeof doc[keyword] === 'object' && doc[keyword] !== null)
+			Object.keys(doc[keyword]).forEach(key => nested(keyword, doc[keyword][key], key));
+	});
+};
+
+/**
+ * Converts part of a JSON Schema document to a schema.
+ *
+ * @param      {Object}  state   The conversion state
+ * @param      {Object}  doc     The JSON Schema (or part of it)
+ * @return     {Object}  The schema
+ */
+let _fromJSONSchema = (state, doc) => {
+	if (doc === true)
+		return _fromJSONSchema_any();
+	if (doc === false)
+		return shapeOf.oneOf([]);
+
+	let parts = [];
+	if (typeof doc.$ref === 'string')
+		parts.push(shapeOf.lazy(() => _fromJSONSchemaRef(state, doc.$ref)));
+
+	// Determine types. When absent, type-specific keywords only apply to values of their type,
+	// so values of any type are accepted, as long as they pass the keywords of their type.
+	let types = doc.type;
+	if (typeof types === 'string')
+		types = [types];
+	if (!Array.isArray(types)) {
+		let keywords = Object.keys(_fromJSONSchema_typeKeywords).some(type =>
+			_fromJSONSchema_typeKeywords[type].some(keyword => typeof doc[keyword] !== 'undefined'));
+		types = keywords ? ['string', 'number', 'boolean', 'null', 'array', 'object'] : [];
+	}
+	if (types.length > 0)
+		parts.push(_fromJSONSchemaAnyOf(types.map(type => _fromJSONSchemaType(state, doc, type))));
+
+	if (Array.isArray(doc.enum))
+		parts.push(_fromJSONSchemaEnum(doc.enum));
+	if (typeof doc.const !== 'undefined')
+		parts.push(_fromJSONSchemaEnum([doc.const]));
+	if (Array.isArray(doc.allOf))
+		parts.push(shapeOf.eachOf(doc.allOf.map(schema => _fromJSONSchema(state, schema))));
+	if (Array.isArray(doc.anyOf))
+		parts.push(_fromJSONSchemaAnyOf(doc.anyOf.map(schema => _fromJSONSchema(state, schema))));
+	if (Array.isArray(doc.oneOf))
+		parts.push(shapeOf.exactlyOneOfType(doc.oneOf.map(schema => _fromJSONSchema(state, schema))));
+
+	if (parts.length === 0)
+		return _fromJSONSchema_any();
+	return parts.length === 1 ? parts[0] : shapeOf.eachOf(parts);
+};
+
+/**
+ * Converts the keywords of a JSON Schema for a single type to a schema.
+ *
+ * @param      {Object}  state   The conversion state
+ * @param      {Object}  doc     The JSON Schema
+ * @param      {string}  type    The type
+ * @return     {Object}  The schema
+ */
+let _fromJSONSchemaType = (state, doc, type) => {
+	let parts = [];
+	if (type === 'string') {
+		parts.push(shapeOf.string);
+		if (typeof doc.minLength === 'number' || typeof doc.maxLength === 'number')
+			parts.push(shapeOf.string.size(doc.minLength || 0, _fromJSONSchema_number(doc.maxLength, Infinity)));
+		if (typeof doc.pattern === 'string')
+			parts.push(shapeOf.string.pattern(doc.pattern, 'u'));
+		if (doc.format === 'email')
+			parts.push(shapeOf.string.email);
+		else if (doc.format === 'ipv4')
+			parts.push(shapeOf.string.IPv4);
+		else if (doc.format === 'ipv6')
+			parts.push(shapeOf.string.IPv6);
+	} else if (type === 'number' || type === 'integer') {
+		let validator = type === 'number' ? shapeOf.number : shapeOf.integer;
+		if (typeof doc.minimum === 'number' && typeof doc.maximum === 'number')
+			validator = validator.range(doc.minimum, doc.maximum);
+		else if (typeof doc.minimum === 'number')
+			validator = validator.min(doc.minimum);
+		else if (typeof doc.maximum === 'number')
+			validator = validator.max(doc.maximum);
+		parts.push(validator);
+	} else if (type === 'boolean') {
+		parts.push(shapeOf.bool);
+	} else if (type === 'null') {
+		parts.push(shapeOf.null);
+	} else if (type === 'array') {
+		let hasSize = typeof doc.minItems === 'number' || typeof doc.maxItems === 'number';
+		let min = doc.minItems || 0;
+		let max = _fromJSONSchema_number(doc.maxItems, Infinity);
+		if (Array.isArray(doc.prefixItems)) {
+			// Tuples
+			parts.push(doc.prefixItems.map(schema => _fromJSONSchema(state, schema)));
+		} else if (typeof doc.items !== 'undefined') {
+			let items = shapeOf.arrayOf(_fromJSONSchema(state, doc.items));
+			if (hasSize)
+				items = items.size(Math.max(min, 1), max);
+			// shapeOf.arrayOf() requires at least one element
+			parts.push(min > 0 ? items : shapeOf.oneOfType(shapeOf.array.size(0), items));
+		} else {
+			parts.push(hasSize ? shapeOf.array.size(min, max) : shapeOf.array);
+		}
+	} else if (type === 'object') {
+		let properties = doc.properties || {};
+		let required = doc.required || [];
+		let schema = {};
+		Object.keys(properties).forEach(key => {
+			let property = _fromJSONSchema(state, properties[key]);
+			schema[key] = required.indexOf(key) > -1 ? property : _setOptional(property, true);
+		});
+		required.forEach(key => {
+			if (!Object.prototype.hasOwnProperty.call(schema, key))
+				schema[key] = _fromJSONSchema_any();
+		});
+		let shapeOptions = {exact: doc.additionalProperties === false};
+		if (typeof doc.additionalProperties === 'object' && doc.additionalProperties !== null)
+			shapeOptions.additionalProperties = _fromJSONSchema(state, doc.additionalProperties);
+		let validator = shapeOf.shape(schema, shapeOptions);
+		if (typeof doc.dependentRequired === 'object' && doc.dependentRequired !== null)
+			validator = validator.dependencies(doc.dependentRequired);
+		parts.push(validator);
+	} else {
+		throw new DeserializationError(`Unsupported JSON Schema type: '${type}'`);
+	}
+	return parts.length === 1 ? parts[0] : shapeOf.eachOf(parts);
+};
+
+/**
+ * Resolves a local $ref within a JSON Schema document, only converting it once. References are
+ * checked by _findUnsupportedJSONSchema() beforehand, so their targets exist.
+ *
+ * @param      {Object}  state   The conversion state
+ * @param      {string}  ref     The reference
+ * @return     {Object}  The schema
+ */
+let _fromJSONSchemaRef = (state, ref) => {
+	if (!Object.prototype.hasOwnProperty.call(state.resolved, ref))
+		state.resolved[ref] = _fromJSONSchema(state, _resolveJSONSchemaRef(state.doc, ref));
+	return state.resolved[ref];
+};
+
+/**
+ * Finds the target of a local $ref within a JSON Schema document.
+ *
+ * @param      {Object}  root    The JSON Schema document
+ * @param      {string}  ref     The reference, i.e. '#/$defs/comment'
+ * @return     {Object}  The JSON Schema referenced, undefined if not found
+ */
+let _resolveJSONSchemaRef = (root, ref) => {
+	let doc = root;
+	ref.substr(1).split('/').slice(1).forEach(segment => {
+		segment = segment.replace(/~1/g, '/').replace(/~0/g, '~');
+		doc = (typeof doc === 'object' && doc !== null && Object.prototype.hasOwnProperty.call(doc, segment)) ? doc[segment] : undefined;
+	});
+	return doc;
+};
+
+/**
+ * Creates a schema from a list of schemas, passing if any of them pass.
+ *
+ * @param      {Array}   schemas  The schemas
+ * @return     {Object}  The schema
+ */
+let _fromJSONSchemaAnyOf = (schemas) => {
+	return schemas.length === 1 ? schemas[0] : shapeOf.oneOfType(schemas);
+};
+
+/**
+ * Creates a schema from the values of an enum or const keyword. Objects and arrays are
+ * compared by their contents.
+ *
+ * @param      {Array}   values  The values
+ * @return     {Object}  The schema
+ */
+let _fromJSONSchemaEnum = (values) => {
+	if (values.every(value => value === null || typeof value !== 'object'))
+		return shapeOf.oneOf(values);
+	return shapeOf.oneOfType(values.map(value =>
+		(value === null || typeof value !== 'object') ? shapeOf.oneOf([value]) : value));
+};
+
+/**
+ * Creates a schema accepting any JSON value.
+ *
+ * @return     {Object}  The schema
+ */
+let _fromJSONSchema_any = () => shapeOf.oneOfType(shapeOf.primitive, shapeOf.object);
+
+/**
+ * Returns a number, or a fallback if not a number.
+ *
+ * @param      {Object}  val       The value
+ * @param      {number}  fallback  The fallback
+ * @return     {number}  The number
+ */
+let _fromJSONSchema_number = (val, fallback) => typeof val === 'number' ? val : fallback;
+
+// JSON Schema mappings of core validators (see shapeOf.toJSONSchema())
+let _jsonSchema_type = (type) => () => ({type});
+let _jsonSchema_format = (format) => () => ({format});
+let _jsonSchema_range = (args) => ({minimum: Math.min(args[0], args[1]), maximum: Math.max(args[0], args[1])});
+let _jsonSchema_min = (args) => ({minimum: args[0]});
+let _jsonSchema_max = (args) => ({maximum: args[0]});
+let _jsonSchema_length = (keyword) => (args) => {
+	let rtn = {};
+	rtn['min' + keyword] = args.length === 1 ? args[0] : Math.min(args[0], args[1]);
+	rtn['max' + keyword] = args.length === 1 ? args[0] : Math.max(args[0], args[1]);
+	return rtn;
+};
+let _jsonSchema_pattern = (args, context) => {
+	let pattern = args[0];
+	let flags = args.length > 1 ? args[1] : (pattern instanceof RegExp ? pattern.flags : '');
+	if (pattern instanceof RegExp)
+		pattern = pattern.source;
+	if (/[^gu]/.test(flags))
+		context.report(`Regular expression flags '${flags}' have no JSON Schema equivalent`);
+	return {pattern};
+};
+let _jsonSchema_primitive = () => ({type: ['string', 'boolean', 'number', 'null']});
+let _jsonSchema_arrayOf = (args, context) => ({
+	type: 'array',
+	items: _jsonSchemaAnyOf(_flattenArgs(args).map((type, i, types) =>
+		context.toJSONSchema(type, types.length === 1 ? ['items'] : ['items', 'anyOf', i], false))),
+	minItems: 1
+});
+let _jsonSchema_objectOf = (args, context) => ({
+	type: 'object',
+	additionalProperties: _jsonSchemaAnyOf(_flattenArgs(args).map((type, i, types) =>
+		context.toJSONSchema(type, types.length === 1 ? ['additionalProperties'] : ['additionalProperties', 'anyOf', i], false))),
+	minProperties: 1
+});
+let _jsonSchema_oneOf = (args) => ({enum: _flattenArgs(args)});
+let _jsonSchema_oneOfType = (args, context) => ({
+	anyOf: _flattenArgs(args).map((type, i) => context.toJSONSchema(type, ['anyOf', i], true))
+});
+let _jsonSchema_exactlyOneOfType = (args, context) => ({
+	oneOf: _flattenArgs(args).map((type, i) => context.toJSONSchema(type, ['oneOf', i], true))
+});
+let _jsonSchema_eachOf = (args, context) => ({
+	allOf: _flattenArgs(args).map((type, i) => context.toJSONSchema(type, ['allOf', i], true))
+});
+let _jsonSchema_shape = (args, context) => {
+	let shapeOptions = args[1] || {};
+	let extra = shapeOptions.additionalProperties;
+	let exact = typeof extra !== 'undefined' ? false : shapeOptions.exact;
+	let rtn = context.toJSONSchema(args[0], [], exact);
+	if (typeof extra !== 'undefined')
+		rtn.additionalProperties = context.toJSONSchema(extra, ['additionalProperties']);
+	else if (exact === false)
+		delete rtn.additionalProperties;
+	return rtn;
+};
+let _jsonSchema_refine = (args, context) => {
+	context.report('Rules given to shapeOf.shape().refine() have no JSON Schema equivalent');
+	return {};
+};
+let _jsonSchema_requiredWhen = (args, context) => {
+	let condition = args[1];
+	if (typeof condition === 'function') {
+		context.report('Functions given to shapeOf.shape().requiredWhen() have no JSON Schema equivalent');
+		return {};
+	}
+	let properties = {};
+	Object.keys(condition).forEach(key => properties[key] = {const: condition[key]});
+	return {allOf: [{
+		if: {properties, required: Object.keys(condition)},
+		then: {required: [args[0]]}
+	}]};
+};
+let _jsonSchema_mutuallyExclusive = (args) => {
+	let keys = _flattenArgs(args);
+	let allOf = [];
+	for (let i = 0; i < keys.length; i++) {
+		for (let j = i + 1; j < keys.length; j++) {
+			allOf.push({not: {required: [keys[i], keys[j]]}});
+		}
+	}
+	return {allOf};
+};
+let _jsonSchema_dependencies = (args) => {
+	let dependentRequired = {};
+	Object.keys(args[0]).forEach(key => dependentRequired[key] = _flattenArgs([args[0][key]]));
+	return {dependentRequired};
+};
+let _jsonSchema_union = (args, context) => {
+	let key = args[0];
+	let branches = args[1];
+	return {
+		type: 'object',
+		required: [key],
+		oneOf: Object.keys(branches).map((tag, i) => ({allOf: [
+			{properties: {[key]: {const: tag}}},
+			context.toJSONSchema(branches[tag], ['oneOf', i, 'allOf', 1])
+		]}))
+	};
+};
+let _jsonSchema_lazy = (args, context) => context.toJSONSchema(args[0]());
+let _jsonSchema_ref = (args, context) => {
+	if (!Object.prototype.hasOwnProperty.call(shapeOf._schemas, args[0])) {
+		context.report(`Schema not defined: '${args[0]}'`);
+		return {};
+	}
+	return context.definition(args[0], shapeOf._schemas[args[0]]);
+};
+let _jsonSchema_default = (args) => typeof args[0] === 'function' ? {} : {default: args[0]};
+
+
+
+/*
+ * TypeScript Functions
+ */
+
+
+
+/**
+ * Converts a schema to TypeScript type declarations (.d.ts text). Object schemas become
+ * interfaces, while anything else becomes a type alias. Validators are converted using the
+ * toTypeScript option given to shapeOf.Validator(), which is called with the arguments of the
+ * first link within the validator's call chain and a context object, and returns the type:
+ * 
+ *   shapeOf.Validator('myapp.uuid', callback, {
+ *       toTypeScript: (args, context) => 'string'
+ *   });
+ * 
+ * The context object contains:
+ * - toTypeScript(schema): Converts a nested schema to a type
+ * - definition(name, schema): Adds a declaration for a schema by name, returning the type name
+ * 
+ * Validators without a toTypeScript option and functional validators become 'unknown'. Keys of
+ * optional validators without a default value become optional properties. Schemas registered
+ * using shapeOf.define() and referenced using shapeOf.ref(), along with schemas that reference
+ * themselves, are declared separately and referenced by name.
+ * 
+ * Options include:
+ * - name: The name of the declared type (defaults to 'Schema')
+ *
+ * @param      {Object}  schema   The schema
+ * @param      {Object}  options  Optional. Options to use
+ * @return     {string}  The type declarations
+ */
+shapeOf.toTypeScript = (schema, options) => {
+	options = options || {};
+	let name = _typeScriptName(options.name || 'Schema');
+	let state = {
+		name,
+		stack: [],
+		refs: new Map(),
+		declarations: {},
+		count: 0
+	};
+	_typeScriptDefinition(state, name, schema);
+	return Object.keys(state.declarations).map(key => state.declarations[key]).join('\n\n') + '\n';
+};
+
+/**
+ * Converts part of a schema to a TypeScript type. Objects, arrays, and validators that reference
+ * themselves are declared separately and referenced by name.
+ *
+ * @param      {Object}  state   The conversion state
+ * @param      {Object}  schema  The schema
+ * @return     {string}  The type
+ */
+let _toTypeScript = (state, schema) => {
+	if ((typeof schema !== 'object' && typeof schema !== 'function') || schema === null)
+		return _toTypeScriptValue(state, schema);
+
+	if (state.refs.has(schema))
+		return state.refs.get(schema);
+	if (state.stack.indexOf(schema) > -1) {
+		let name = Object.keys(shapeOf._schemas).filter(key => shapeOf._schemas[key] === schema)[0];
+		name = name ? _typeScriptName(name) : state.name + (++state.count);
+		state.refs.set(schema, name);
+		return name;
+	}
+
+	state.stack.push(schema);
+	let rtn = _toTypeScriptValue(state, schema);
+	state.stack.pop();
+
+	if (state.refs.has(schema)) {
+		// The schema referenced itself while being converted
+		let name = state.refs.get(schema);
+		state.declarations[name] = _typeScriptDeclaration(name, schema, rtn);
+		rtn = name;
+	}
+	return rtn;
+};
+
+/**
+ * Converts a single value of a schema to a TypeScript type.
+ *
+ * @param      {Object}  state   The conversion state
+ * @param      {Object}  schema  The schema
+ * @return     {string}  The type
+ */
+let _toTypeScriptValue = (state, schema) => {
+	if (shapeOf.isValidator(schema)) {
+		let link = schema._callChain[0];
+		let mapping = link._options && link._options.toTypeScript;
+		let rtn = mapping && mapping(link.args, {
+			toTypeScript: (nested) => _toTypeScript(state, nested),
+			definition: (name, nested) => _typeScriptDefinition(state, name, nested)
+		});
+		return typeof rtn === 'string' ? rtn : 'unknown';
+	}
+	if (typeof schema === 'function')
+		return 'unknown';
+	if (Array.isArray(schema))
+		return '[' + schema.map(elem => _toTypeScript(state, elem)).join(', ') + ']';
+	if (schema instanceof RegExp)
+		return 'string';
+	if (typeof schema === 'object' && schema !== null) {
+		return _typeScriptObject(Object.keys(schema).map(key => {
+			let expected = schema[key];
+			let optional = Boolean(expected && expected._optional) && !_findDefault(expected);
+			return _typeScriptKey(key) + (optional ? '?' : '') + ': ' + _toTypeScript(state, expected);
+		}));
+	}
+	if (typeof schema === 'undefined')
+		return 'undefined';
+	if (typeof schema === 'number' && !isFinite(schema))
+		return 'number';
+	return JSON.stringify(schema);
+};
+
+/**
+ * Adds a declaration for a schema by name, such as a schema registered using shapeOf.define().
+ *
+ * @param      {Object}  state   The conversion state
+ * @param      {string}  name    The name of the schema
+ * @param      {Object}  schema  The schema
+ * @return     {string}  The type name
+ */
+let _typeScriptDefinition = (state, name, schema) => {
+	name = _typeScriptName(name);
+	if (!Object.prototype.hasOwnProperty.call(state.declarations, name)) {
+		let isObject = schema !== null && (typeof schema === 'object' || typeof schema === 'function');
+		state.declarations[name] = '';
+		if (isObject) {
+			state.refs.set(schema, name);
+			state.stack.push(schema);
+		}
+		state.declarations[name] = _typeScriptDeclaration(name, schema, _toTypeScriptValue(state, schema));
+		if (isObject)
+			state.stack.pop();
+	}
+	return name;
+};
+
+/**
+ * Creates the declaration of a type, being an interface for object schemas and a type alias
+ * otherwise.
+ *
+ * @param      {string}  name    The type name
+ * @param      {Object}  schema  The schema
+ * @param      {string}  type    The type
+ * @return     {string}  The declaration
+ */
+let _typeScriptDeclaration = (name, schema, type) => {
+	let isObject = typeof schema === 'object' && schema !== null && !Array.isArray(schema) && !(schema instanceof RegExp);
+	if (shapeOf.isValidator(schema)) {
+		let link = schema._callChain[0];
+		isObject = /^shapeOf(\.optional)?\.shape$/.test(link.name) && !(link.args[1] && link.args[1].additionalProperties);
+	}
+	if (isObject && type.charAt(0) === '{')
+		return `export interface ${name} ${type}`;
+	return `export type ${name} = ${type};`;
+};
+
+/**
+ * Creates an object type from a list of property declarations.
+ *
+ * @param      {Array}   properties  The property declarations, i.e. 'name?: string'
+ * @return     {string}  The type
+ */
+let _typeScriptObject = (properties) => {
+	if (properties.length === 0)
+		return '{}';
+	return '{\n' + properties.map(property => '    ' + property.replace(/\n/g, '\n    ') + ';').join('\n') + '\n}';
+};
+
+/**
+ * Combines a list of types into a union or intersection, wrapping unions within an
+ * intersection in parentheses.
+ *
+ * @param      {Array}   types      The types
+ * @param      {string}  separator  Either '|' or '&'
+ * @return     {string}  The type
+ */
+let _typeScriptGroup = (types, separator) => {
+	if (types.length === 0)
+		return separator === '|' ? 'never' : 'unknown';
+	if (separator === '&')
+		types = types.map(type => _typeScriptIsUnion(type) ? `(${type})` : type);
+	types = types.filter((type, i) => types.indexOf(type) === i);
+	return types.join(` ${separator} `);
+};
+
+/**
+ * Determines whether a type is a union at its top level, outside of any brackets or string literals.
+ *
+ * @param      {string}   type    The type
+ * @return     {boolean}  True if a union, False otherwise.
+ */
+let _typeScriptIsUnion = (type) => {
+	let depth = 0;
+	for (let i = 0; i < type.length; i++) {
+		let c = type.charAt(i);
+		if (c === '"') {
+			// Skip string literals, which are JSON-encoded
+			for (i++; i < type.length && type.charAt(i) !== '"'; i++) {
+				if (type.charAt(i) === '\\')
+					i++;
+			}
+		} else if ('{[(<'.indexOf(c) > -1) {
+			depth++;
+		} else if ('}])>'.indexOf(c) > -1) {
+			depth--;
+		} else if (c === '|' && depth === 0) {
+			return true;
+		}
+	}
+	return false;
+};
+
+/**
+ * Formats an object key as a property name, quoting it if it isn't a valid identifier.
+ *
+ * @param      {string}  key     The key
+ * @return     {string}  The property name
+ */
+let _typeScriptKey = (key) => /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(key) ? key : JSON.stringify(key);
+
+/**
+ * Converts a schema name to a valid type name, i.e. 'blog.comment' becomes 'BlogComment'.
+ *
+ * @param      {string}  name    The name
+ * @return     {string}  The type name
+ */
+let _typeScriptName = (name) => {
+	let rtn = String(name).replace(/[^A-Za-z0-9_$]+(.)?/g, (match, c) => c ? c.toUpperCase() : '');
+	rtn = rtn.charAt(0).toUpperCase() + rtn.substr(1);
+	return /^[0-9]/.test(rtn) || rtn === '' ? '_' + rtn : rtn;
+};
+
+// TypeScript mappings of core validators (see shapeOf.toTypeScript())
+let _typeScript_type = (type) => () => type;
+let _typeScript_arrayOf = (args, context) =>
+	`Array<${_typeScriptGroup(_flattenArgs(args).map(type => context.toTypeScript(type)), '|')}>`;
+let _typeScript_objectOf = (args, context) =>
+	`Record<string, ${_typeScriptGroup(_flattenArgs(args).map(type => context.toTypeScript(type)), '|')}>`;
+let _typeScript_oneOf = (args) => _typeScriptGroup(_flattenArgs(args).map(value =>
+	(typeof value === 'number' && !isFinite(value)) ? 'number' : JSON.stringify(value)), '|');
+let _typeScript_oneOfType = (args, context) => _typeScriptGroup(_flattenArgs(args).map(type => context.toTypeScript(type)), '|');
+let _typeScript_eachOf = (args, context) => _typeScriptGroup(_flattenArgs(args).map(type => context.toTypeScript(type)), '&');
+let _typeScript_shape = (args, context) => {
+	let shapeOptions = args[1] || {};
+	let rtn = context.toTypeScript(args[0]);
+	if (typeof shapeOptions.additionalProperties !== 'undefined')
+		rtn = _typeScriptGroup([rtn, 'Record<string, unknown>'], '&');
+	return rtn;
+};
+let _typeScript_union = (args, context) => {
+	let key = args[0];
+	let branches = args[1];
+	return _typeScriptGroup(Object.keys(branches).map(tag =>
+		_typeScriptGroup([_typeScriptObject([`${_typeScriptKey(key)}: ${JSON.stringify(tag)}`]), context.toTypeScript(branches[tag])], '&')
+	), '|');
+};
+let _typeScript_lazy = (args, context) => context.toTypeScript(args[0]());
+let _typeScript_ref = (args, context) => {
+	if (!Object.prototype.hasOwnProperty.call(shapeOf._schemas, args[0]))
+		return 'unknown';
+	return context.definition(args[0], shapeOf._schemas[args[0]]);
+};
+
+
+
+/*
+ * Localization Functions
+ */
+
+
+
+/**
+ * Sets the locale of failure messages for every validation, unless overridden using
+ * shapeOf().locale(). Messages are looked up within catalogs added using shapeOf.addMessages(),
+ * falling back to the locale's language (i.e. 'de' for 'de-CH') and then English. Setting the
+ * locale to null restores the default log messages.
+ * 
+ *   shapeOf.setLocale('de');
+ *
+ * @param      {string}  locale  The locale, or null
+ */
+shapeOf.setLocale = (locale) => {
+	if (locale === null || typeof locale === 'undefined') {
+		shapeOf._locale = undefined;
+		return;
+	}
+	_assertLocale(locale);
+	shapeOf._locale = locale;
+};
+
+/**
+ * Adds messages to the catalog of a locale, replacing any messages with the same keys. Keys are
+ * either the name of a validator, for when the validator fails, the name of a validator followed
+ * by a failure code, or a log entry code on its own:
+ * 
+ *   shapeOf.addMessages('de', {
+ *       'shapeOf.string': 'Muss eine Zeichenkette sein',
+ *       'shapeOf.string.size.tooShort': 'Muss mindestens {0} Zeichen lang sein',
+ *       'missing_key': '{key} ist erforderlich'
+ *   });
+ * 
+ * Messages are formatted the same as those given to .message() (see _formatMessage()). Failure
+ * codes come from the failureCode option given to shapeOf.Validator(), or the code given to
+ * fail() within contextual validators.
+ *
+ * @param      {string}  locale    The locale, i.e. 'de'
+ * @param      {Object}  messages  The messages, keyed as described above
+ */
+shapeOf.addMessages = (locale, messages) => {
+	if (typeof locale !== 'string' || locale.length === 0)
+		throw new ShapeOfError('shapeOf.addMessages() requires a locale');
+	if (typeof messages !== 'object' || messages === null)
+		throw new ShapeOfError(`shapeOf.addMessages() requires an object of messages for '${locale}'`);
+	shapeOf._catalogs[locale] = {...(shapeOf._catalogs[locale] || {}), ...messages};
+};
+
+/**
+ * The catalogs of messages added using shapeOf.addMessages(), keyed by locale.
+ *
+ * @type       {Object}
+ */
+shapeOf._catalogs = {};
+
+/**
+ * Ensures messages have been added for a locale, or the locale's language.
+ *
+ * @param      {string}  locale  The locale
+ */
+let _assertLocale = (locale) => {
+	if (typeof locale !== 'string' || locale.length === 0)
+		throw new ShapeOfError('A locale must be a non-empty string');
+	let language = locale.split('-')[0];
+	if (language !== 'en' && !shapeOf._catalogs[locale] && !shapeOf._catalogs[language])
+		throw new ShapeOfError(`No messages added for locale: '${locale}'`);
+};
+
+/**
+ * Lists the locales to look up messages within, in order, i.e. ['de-CH', 'de', 'en'].
+ *
+ * @param      {string}  locale  The locale
+ * @return     {Array}   The locales
+ */
+let _localeFallbacks = (locale) => {
+	let rtn = [locale, locale.split('-')[0], 'en'];
+	return rtn.filter((name, i) => rtn.indexOf(name) === i);
+};
+
+/**
+ * Finds and formats the message of a log entry within the catalogs of a locale (see
+ * shapeOf.addMessages()). Entries are looked up by the following keys, in order:
+ * - validator_failed entries: the validator's name followed by the entry's failure code
+ *   (see _validationLog()), then the validator's name
+ * - Other entries: the validator's name followed by the entry's code, then the code on its own
+ * 
+ * Optional validators are looked up by the name of the validator they're the optional variant
+ * of, i.e. 'shapeOf.string' for 'shapeOf.optional.string'.
+ *
+ * @param      {string}  locale  The locale
+ * @param      {Object}  entry   The entry given to _validationLog()
+ * @param      {Array}   path    The keys and indices leading to the value in question
+ * @param      {Object}  value   The value in question
+ * @return     {string}  The message, or undefined if the catalogs don't include one
+ */
+let _localizeMessage = (locale, entry, path, value) => {
+	let keys = [];
+	let name = typeof entry.validator === 'string' ? entry.validator.replace(/^shapeOf\.optional\./, 'shapeOf.') : undefined;
+	if (entry.code === 'validator_failed') {
+		if (name && entry.reason)
+			keys.push(name + '.' + entry.reason);
+		if (name)
+			keys.push(name);
+	} else if (entry.code) {
+		if (name)
+			keys.push(name + '.' + entry.code);
+		keys.push(entry.code);
+	}
+
+	let locales = _localeFallbacks(locale);
+	for (let i = 0; i < locales.length; i++) {
+		let catalog = shapeOf._catalogs[locales[i]];
+		if (!catalog)
+			continue;
+		for (let j = 0; j < keys.length; j++) {
+			if (Object.prototype.hasOwnProperty.call(catalog, keys[j])) {
+				return _formatMessage(catalog[keys[j]], {
+					value,
+					path,
+					args: entry.args,
+					validator: entry.validator,
+					code: entry.code,
+					expected: entry.expected
+				});
+			}
+		}
+	}
+};
+
+/*
+ * Failure codes of core validators, given as the failureCode option to shapeOf.Validator().
+ * These are called with the same arguments as the validator's callback once it fails.
+ */
+let _failureCode_length = (...args) => {
+	let obj = args[args.length - 1];
+	if (args.length === 2)
+		return 'wrongSize';
+	return obj.length < Math.min(args[0], args[1]) ? 'tooShort' : 'tooLong';
+};
+let _failureCode_range = (min, max, obj) => obj < Math.min(min, max) ? 'tooSmall' : 'tooLarge';
+let _failureCode_notArray = (...args) => Array.isArray(args[args.length - 1]) ? undefined : 'notArray';
+let _failureCode_notObject = (...args) => {
+	let obj = args[args.length - 1];
+	return typeof obj === 'object' && obj !== null ? undefined : 'notObject';
+};
+
+/*
+ * The built-in English messages. Composite validators such as shapeOf.oneOfType() aren't
+ * included, as the schemas they contain describe their failures.
+ */
+let _sizeMessages = (name, unit) => ({
+	[name + '.size.wrongSize']: `Must ${unit === 'characters' ? 'be' : 'contain'} exactly {0} ${unit}`,
+	[name + '.size.tooShort']: `Must ${unit === 'characters' ? 'be' : 'contain'} at least {0} ${unit}`,
+	[name + '.size.tooLong']: `Must ${unit === 'characters' ? 'be' : 'contain'} at most {1} ${unit}`
+});
+let _rangeMessages = (name) => ({
+	[name + '.range.tooSmall']: 'Must be at least {0}',
+	[name + '.range.tooLarge']: 'Must be at most {1}',
+	[name + '.min']: 'Must be at least {0}',
+	[name + '.max']: 'Must be at most {0}'
+});
+shapeOf.addMessages('en', {
+	'shapeOf.number': 'Must be a number',
+	..._rangeMessages('shapeOf.number'),
+	'shapeOf.integer': 'Must be an integer',
+	..._rangeMessages('shapeOf.integer'),
+	'shapeOf.string': 'Must be a string',
+	..._sizeMessages('shapeOf.string', 'characters'),
+	'shapeOf.string.pattern': 'Must match the expected format',
+	'shapeOf.string.email': 'Must be a valid email address',
+	'shapeOf.string.IPv4': 'Must be a valid IPv4 address',
+	'shapeOf.string.IPv6': 'Must be a valid IPv6 address',
+	'shapeOf.array': 'Must be an array',
+	..._sizeMessages('shapeOf.array', 'items'),
+	'shapeOf.bool': 'Must be true or false',
+	'shapeOf.object': 'Must be an object',
+	'shapeOf.null': 'Must be null',
+	'shapeOf.primitive': 'Must be a string, number, boolean, or null',
+	'shapeOf.arrayOf.notArray': 'Must be an array',
+	..._sizeMessages('shapeOf.arrayOf', 'items'),
+	'shapeOf.objectOf.notObject': 'Must be an object',
+	'shapeOf.oneOf': 'Must be one of: {args}',
+	'shapeOf.shape.notObject': 'Must be an object',
+	'shapeOf.union.notObject': 'Must be an object',
+	'shapeOf.asNumber': 'Must be a number',
+	..._rangeMessages('shapeOf.asNumber'),
+	'shapeOf.asInteger': 'Must be an integer',
+	..._rangeMessages('shapeOf.asInteger'),
+	'shapeOf.asBool': 'Must be true or false',
+	'shapeOf.asDate': 'Must be a valid date',
+	..._sizeMessages('shapeOf.asArrayOf', 'items'),
+	'missing_key': '{key} is required',
+	'extraneous_key': "{key} isn't allowed",
+	'length_mismatch': 'Must contain exactly {expected} items',
+	'not_equal': 'Must be {expected}',
+	'mutually_exclusive': 'Only one of {args} may be given',
+	'unknown_discriminator': "'{value}' isn't a valid {key}",
+	'max_depth': 'Is nested too deeply'
+});
+
+
+
+/*
+ * Compilation Functions
+ */
+
+
+
+/**
+ * Compiles a schema into a reusable validation function, which is equivalent to calling
+ * shapeOf(obj).is(schema) with the chain calls given as options, returning the same results,
+ * mutations, and log entries. Compiled functions skip building the chain calls, and the schema
+ * is prepared once rather than on every validation (see _compileSchema()). This makes them
+ * well suited to validations that are repeated often, such as those of an API route.
+ * 
+ * Changes made to the schema after it's compiled aren't reflected by the compiled function,
+ * with the exception of schemas returned by shapeOf.lazy() or registered using shapeOf.define().
+ * 
+ * Options include:
+ * - exact              Equivalent to .isExactly()
+ * - async              Equivalent to .isAsync(); the function returns a promise
+ * - returnsObject      Equivalent to .returnsObject
+ * - returnsResults     Equivalent to .returnsResults
+ * - collectsAllErrors  Equivalent to .collectsAllErrors
+ * - immutable          Equivalent to .immutable
+ * - throwsOnInvalid    Equivalent to .throwsOnInvalid when true, or .throwsOnInvalid() given
+ *                      an error object or a function returning one
+ * - concurrency        Equivalent to .withConcurrency()
+ * - maxDepth           Equivalent to .withMaxDepth()
+ * - locale             Equivalent to .locale()
+ * - onValid            Equivalent to .onValid(), given a callback or a list of callbacks
+ * - onInvalid          Equivalent to .onInvalid(), given a callback or a list of callbacks
+ * - onComplete         Equivalent to .onComplete(), given a callback or a list of callbacks
+ * 
+ *   let validateUser = shapeOf.compile(userSchema, {returnsResults: true});
+ *   let results = validateUser(req.body);
+ *
+ * @param      {Object}    schema   The schema
+ * @param      {Object}    options  Optional. Options to use
+ * @return     {Function}  The validation function, given the object in question
+ */
+shapeOf.compile = (schema, options) => {
+	options = options || {};
+	let contextOptions = _compileOptions(options);
+	let compiled = new WeakMap();
+	if (schema !== null && (typeof schema === 'object' || typeof schema === 'function'))
+		_compileSchema(compiled, schema, true);
+
+	if (options.async)
+		return (obj) => _shouldBeAsync({...contextOptions, obj, compiled}, schema);
+	return (obj) => _shouldBe({...contextOptions, obj, compiled}, schema);
+};
+
+/**
+ * Converts the options of shapeOf.compile() into those accumulated by the equivalent
+ * shapeOf() chain calls.
+ *
+ * @param      {Object}  options  The options given to shapeOf.compile()
+ * @return     {Object}  The equivalent chain options
+ */
+let _compileOptions = (options) => {
+	let rtn = {};
+	['exact', 'returnsObject', 'returnsResults', 'collectsAllErrors', 'immutable'].forEach(name => {
+		if (options[name])
+			rtn[name] = true;
+	});
+	if (options.throwsOnInvalid) {
+		rtn.throwsOnInvalid = true;
+		if (typeof options.throwsOnInvalid === 'function')
+			rtn.errorFactory = options.throwsOnInvalid;
+		else if (options.throwsOnInvalid !== true)
+			rtn.errorObj = options.throwsOnInvalid;
+	}
+	['concurrency', 'maxDepth'].forEach(name => {
+		if (typeof options[name] === 'undefined')
+			return;
+		if (typeof options[name] !== 'number' || !(options[name] >= 1))
+			throw new ShapeOfError(`shapeOf.compile() requires the '${name}' option to be a number of at least 1`);
+		rtn[name] = options[name];
+	});
+	if (typeof options.locale !== 'undefined') {
+		_assertLocale(options.locale);
+		rtn.locale = options.locale;
+	}
+	['onValid', 'onInvalid', 'onComplete'].forEach(name => {
+		if (options[name])
+			rtn[name] = [].concat(options[name]);
+	});
+	return rtn;
+};
+
+/**
+ * Compiles a schema within a compiled validation (see shapeOf.compile()), returning a function
+ * that evaluates an object against the schema the same way _evaluate() does, given the
+ * validation context. Validators have their custom message looked up in advance, and schemas
+ * described as objects have their keys and default values listed in advance.
+ * 
+ * Validators made up of core validators that don't evaluate nested schemas, such as
+ * shapeOf.string.size(), are first checked directly (see _compileCheck()). Only when the check
+ * doesn't pass the object in question as-is is the validator evaluated as usual, which records
+ * the failure or mutation. Within schemas described as objects, this skips building the
+ * validation context of keys that pass (see _object()).
+ * 
+ * Compiled schemas are kept by the validation's map of schemas, so a schema is only compiled
+ * once. Schemas that don't benefit from compiling, such as arrays, are kept as undefined, and
+ * _evaluate() evaluates them as usual. Schemas met during validation that weren't compiled in
+ * advance, such as those returned by shapeOf.lazy() or registered using shapeOf.define(), are
+ * compiled upon being met.
+ *
+ * @param      {WeakMap}   compiled  The compiled schemas of the validation
+ * @param      {Object}    schema    The schema, which is an object or function
+ * @param      {boolean}   deep      Whether or not to compile the schemas nested within the schema
+ * @return     {Function}  The compiled schema, or undefined if the schema isn't compiled
+ */
+let _compileSchema = (compiled, schema, deep) => {
+	if (compiled.has(schema))
+		return compiled.get(schema);
+
+	let rtn;
+	let nested = [];
+	let plan;
+	if (shapeOf.isValidator(schema)) {
+		let message = _findMessage(schema);
+		let check = _compileCheck(schema);
+		if (check) {
+			rtn = function*(options) {
+				if (check(options.obj) === options.obj)
+					return options.obj;
+				return yield* _evaluateValidator(options, schema, message);
+			};
+			rtn.check = check;
+		} else {
+			rtn = (options) => _evaluateValidator(options, schema, message);
+		}
+		schema._callChain.forEach(link => nested = nested.concat(link.args));
+	} else if (Array.isArray(schema)) {
+		nested = schema;
+	} else if (typeof schema === 'object') {
+		plan = _planObject(schema);
+		rtn = (options) => _evaluateObject(options, schema, plan);
+		nested = plan.map(entry => entry.expected);
+	}
+	compiled.set(schema, rtn);
+
+	if (deep) {
+		nested.forEach(child => {
+			if (child !== null && (typeof child === 'object' || typeof child === 'function'))
+				_compileSchema(compiled, child, true);
+		});
+		if (plan) {
+			plan.forEach(entry => {
+				let expected = compiled.get(entry.expected);
+				if (expected && expected.check)
+					entry.check = expected.check;
+			});
+		}
+	}
+	return rtn;
+};
+
+/**
+ * Compiles a validator into a check calling the callbacks of its call chain directly, without a
+ * validation context. This is only possible when every callback is one of _compileCheck_callbacks,
+ * no link is contextual, and no link is given a global or sticky RegExp, whose lastIndex changes
+ * each time it's tested.
+ *
+ * @param      {Object}    validator  The validator
+ * @return     {Function}  The check, given the object in question and returning it if every callback
+ *                         passes it as-is, or undefined if a check isn't possible
+ */
+let _compileCheck = (validator) => {
+	let callChain = validator._callChain;
+	for (let i = 0; i < callChain.length; i++) {
+		if (!_compileCheck_callbacks.has(callChain[i]._callback) || callChain[i]._contextual)
+			return;
+		if (callChain[i].args.some(arg => arg instanceof RegExp && (arg.global || arg.sticky)))
+			return;
+	}
+	return (obj) => {
+		for (let i = 0; i < callChain.length; i++) {
+			if (callChain[i]._callback(...callChain[i].args, obj) !== obj)
+				return;
+		}
+		return obj;
+	};
+};
+
+/**
+ * The callbacks of core validators that don't evaluate nested schemas. These are arrow functions,
+ * so they don't use the validation context, and they return the same result given the same
+ * arguments, so checking a value using them beforehand has no effect on the validation. The one
+ * exception is a global or sticky RegExp given as an argument, which _compileCheck() rules out.
+ *
+ * @type       {WeakSet}
+ */
+let _compileCheck_callbacks = new WeakSet();
+
+
+
+/*
+ * Streaming Functions
+ */
+
+
+
+/**
+ * Validates the records of an iterable or async iterable one at a time, such as the records of
+ * an NDJSON file being read, rather than requiring every record in memory at once the way
+ * shapeOf.arrayOf() does. Each record is validated as shapeOf(record).returnsResults.isAsync()
+ * would, using a function compiled by shapeOf.compile().
+ * 
+ * Yields the results of each record, along with its index within the iterable. The 'obj' of the
+ * results of valid records contains any mutations.
+ * 
+ * Options include those of shapeOf.compile() (other than async, returnsObject, returnsResults,
+ * and throwsOnInvalid) along with:
+ * - maxFailures  Aborts after the given number of invalid records, by throwing a ValidationError
+ *                once the results of the last are yielded
+ * 
+ *   for await (let result of shapeOf.validateEach(records, schema, {maxFailures: 10})) {
+ *       if (!result.success)
+ *           console.log(`Record ${result.index} is invalid`);
+ *   }
+ *
+ * @param      {Object}         records  The records, as an iterable or async iterable
+ * @param      {Object}         schema   The schema
+ * @param      {Object}         options  Optional. Options to use
+ * @return     {AsyncIterator}  The results of each record
+ */
+shapeOf.validateEach = (records, schema, options) => {
+	options = options || {};
+	let maxFailures = _maxFailures('shapeOf.validateEach()', options);
+	let validate = _compileRecords(schema, options);
+	return (async function*() {
+		let index = 0;
+		let failures = 0;
+		for await (let record of records) {
+			let result = {index: index++, ...await validate(record)};
+			yield result;
+			if (!result.success && ++failures === maxFailures)
+				throw _abortError(result, schema, failures);
+		}
+	})();
+};
+
+/**
+ * Creates a Node.js Transform stream validating the records written to it one at a time, as
+ * shapeOf.validateEach() does. Both sides of the stream are in object mode.
+ * 
+ * Valid records, including any mutations, are passed on and invalid records are left out, unless
+ * the returnsResults option is given, in which case the results of every record are passed on
+ * instead. Either way, the stream emits a 'result' event with the results of every record, along
+ * with its index.
+ * 
+ * Options include those of shapeOf.validateEach(), and:
+ * - returnsResults  Passes on the results of every record rather than the valid records
+ * 
+ * The maxFailures option destroys the stream with a ValidationError.
+ * 
+ *   stream.pipeline(records, shapeOf.stream(schema, {maxFailures: 10}), output, callback);
+ *
+ * @param      {Object}     schema   The schema
+ * @param      {Object}     options  Optional. Options to use
+ * @return     {Transform}  The stream
+ */
+shapeOf.stream = (schema, options) => {
+	options = options || {};
+	let maxFailures = _maxFailures('shapeOf.stream()', options);
+	let validate = _compileRecords(schema, options);
+	let index = 0;
+	let failures = 0;
+	let stream = new (_nodeStream().Transform)({
+		objectMode: true,
+		transform: (record, encoding, callback) => {
+			validate(record).then(results => {
+				let result = {index: index++, ...results};
+				stream.emit('result', result);
+				if (!result.success && ++failures === maxFailures)
+					return callback(_abortError(result, schema, failures));
+				if (options.returnsResults)
+					callback(null, result);
+				else if (result.success)
+					callback(null, result.obj);
+				else
+					callback();
+			}, callback);
+		}
+	});
+	return stream;
+};
+
+/**
+ * Compiles the validation of each record for shapeOf.validateEach() and shapeOf.stream().
+ *
+ * @param      {Object}    schema   The schema
+ * @param      {Object}    options  The options given
+ * @return     {Function}  The validation function, given a record and returning a promise of its
+ *                         results
+ */
+let _compileRecords = (schema, options) => shapeOf.compile(schema, {
+	...options,
+	async: true,
+	returnsObject: false,
+	returnsResults: true,
+	throwsOnInvalid: false
+});
+
+/**
+ * Gets the maxFailures option of shapeOf.validateEach() and shapeOf.stream().
+ *
+ * @param      {string}  name     The name of the function, for the exception thrown
+ * @param      {Object}  options  The options given
+ * @return     {number}  The number of invalid records to abort after, or undefined to never abort
+ */
+let _maxFailures = (name, options) => {
+	let maxFailures = options.maxFailures;
+	if (typeof maxFailures !== 'undefined' && (typeof maxFailures !== 'number' || !(maxFailures >= 1)))
+		throw new ShapeOfError(`${name} requires the 'maxFailures' option to be a number of at least 1`);
+	return maxFailures;
+};
+
+/**
+ * Builds the exception aborting shapeOf.validateEach() and shapeOf.stream() once the maxFailures
+ * option is reached. Paths are given from the start of the records, as though the records were
+ * an array.
+ *
+ * @param      {Object}           result    The results of the last invalid record
+ * @param      {Object}           schema    The schema
+ * @param      {number}           failures  The number of invalid records
+ * @return     {ValidationError}  The exception
+ */
+let _abortError = (result, schema, failures) => {
+	let failure = _findFailure(result.log);
+	return new ValidationError(`Aborted after ${failures} invalid record(s); record ${result.index} is invalid`, {
+		path: '/' + result.index + (failure ? failure.path : ''),
+		log: result.log,
+		messages: result.messages,
+		schema,
+		value: result.obj
+	});
+};
+
+/**
+ * Gets the Node.js stream module, which is loaded upon being needed rather than required by
+ * this module, since it isn't available outside of Node.js. Unless this module is loaded using
+ * require(), the stream module can only be loaded synchronously using process.getBuiltinModule(),
+ * added in Node.js 20.16 and 22.3.
+ *
+ * @return     {Object}  The stream module
+ */
+let _nodeStream = () => {
+	if (typeof process === 'object' && process !== null && typeof process.getBuiltinModule === 'function')
+		return process.getBuiltinModule('stream');
+	if (typeof module === 'object' && module !== null && typeof module.require === 'function')
+		return module.require('stream');
+	if (typeof process === 'object' && process !== null && process.versions && process.versions.node)
+		throw new ShapeOfError('shapeOf.stream() requires Node.js 20.16, 22.3, or later unless loaded using require(); use shapeOf.validateEach() instead');
+	throw new ShapeOfError('shapeOf.stream() requires Node.js; use shapeOf.validateEach() instead');
+};
+
+
+
+/*
+ * Composition Functions
+ */
+
+
+
+/**
+ * Creates an object schema from a base schema with additional keys. Keys present within both
+ * schemas are replaced by those of the additional schema.
+ * 
+ *   let updateUser = shapeOf.extend(user, {'id': shapeOf.integer});
+ *
+ * @param      {Object}  base    The base object schema or shapeOf.shape() validator
+ * @param      {Object}  extra   The additional object schema or shapeOf.shape() validator
+ * @return     {Object}  The extended schema
+ */
+shapeOf.extend = (base, extra) => {
+	let baseParts = _shapeParts(base, 'extend');
+	let extraParts = _shapeParts(extra, 'extend');
+	return _buildShape(_combineShapeParts(baseParts, extraParts), {...baseParts.schema, ...extraParts.schema});
+};
+
+/**
+ * Creates an object schema by merging two object schemas. Unlike shapeOf.extend(), keys present
+ * within both schemas whose values are object schemas are merged as well.
+ * 
+ *   let user = shapeOf.merge(userName, {'name': {'middle': shapeOf.optional.string}});
+ *
+ * @param      {Object}  a       The first object schema or shapeOf.shape() validator
+ * @param      {Object}  b       The second object schema or shapeOf.shape() validator
+ * @return     {Object}  The merged schema
+ */
+shapeOf.merge = (a, b) => {
+	let aParts = _shapeParts(a, 'merge');
+	let bParts = _shapeParts(b, 'merge');
+	let schema = {...aParts.schema};
+	Object.keys(bParts.schema).forEach(key => {
+		let val = bParts.schema[key];
+		if (Object.prototype.hasOwnProperty.call(schema, key) && _shapeParts(schema[key]) && _shapeParts(val))
+			schema[key] = shapeOf.merge(schema[key], val);
+		else
+			schema[key] = val;
+	});
+	return _buildShape(_combineShapeParts(aParts, bParts), schema);
+};
+
+/**
+ * Creates an object schema containing only the given keys of an object schema.
+ * 
+ *   let userName = shapeOf.pick(user, ['firstName', 'lastName']);
+ *
+ * @param      {Object}        schema  The object schema or shapeOf.shape() validator
+ * @param      {Array|string}  keys    The keys to keep
+ * @return     {Object}  The resulting schema
+ */
+shapeOf.pick = (schema, keys) => {
+	let parts = _shapeParts(schema, 'pick');
+	keys = _flattenArgs([keys]);
+	let picked = {};
+	Object.keys(parts.schema).forEach(key => {
+		if (keys.indexOf(key) > -1)
+			picked[key] = parts.schema[key];
+	});
+	return _buildShape(parts, picked);
+};
+
+/**
+ * Creates an object schema without the given keys of an object schema.
+ * 
+ *   let createUser = shapeOf.omit(user, ['id', 'createdAt']);
+ *
+ * @param      {Object}        schema  The object schema or shapeOf.shape() validator
+ * @param      {Array|string}  keys    The keys to remove
+ * @return     {Object}  The resulting schema
+ */
+shapeOf.omit = (schema, keys) => {
+	let parts = _shapeParts(schema, 'omit');
+	keys = _flattenArgs([keys]);
+	let omitted = {};
+	Object.keys(parts.schema).forEach(key => {
+		if (keys.indexOf(key) === -1)
+			omitted[key] = parts.schema[key];
+	});
+	return _buildShape(parts, omitted);
+};
+
+/**
+ * Creates an object schema whose keys are all optional. Validators are converted to their
+ * shapeOf.optional.* equivalents, nested object schemas are wrapped with shapeOf.optional.shape(),
+ * and any other values are wrapped with shapeOf.optional.eachOf(). Given a validator that isn't an
+ * object schema, its optional equivalent is returned instead.
+ * 
+ * Options include:
+ * - deep: Whether or not nested object schemas, including those given to shapeOf.shape(),
+ *         shapeOf.arrayOf(), and shapeOf.objectOf(), are made partial as well
+ * 
+ *   let patchUser = shapeOf.partial(user);
+ *   let patchUser = shapeOf.partial(user, {deep: true});
+ *
+ * @param      {Object}  schema   The object schema, shapeOf.shape() validator, or validator
+ * @param      {Object}  options  Optional. Options to use
+ * @return     {Object}  The resulting schema
+ */
+shapeOf.partial = (schema, options) => {
+	return _setKeysOptional(schema, true, Boolean(options && options.deep), 'partial');
+};
+
+/**
+ * Creates an object schema whose keys are all required, converting validators to their
+ * non-optional equivalents. Given a validator that isn't an object schema, its non-optional
+ * equivalent is returned instead.
+ * 
+ * Options include:
+ * - deep: Whether or not nested object schemas are made required as well
+ * 
+ *   let user = shapeOf.required(patchUser);
+ *
+ * @param      {Object}  schema   The object schema, shapeOf.shape() validator, or validator
+ * @param      {Object}  options  Optional. Options to use
+ * @return     {Object}  The resulting schema
+ */
+shapeOf.required = (schema, options) => {
+	return _setKeysOptional(schema, false, Boolean(options && options.deep), 'required');
+};
+
+/**
+ * Separates an object schema or shapeOf.shape() validator into its object schema and any
+ * object-level rules chained after it.
+ *
+ * @param      {Object}  schema  The object schema or shapeOf.shape() validator
+ * @param      {string}  fnName  Optional. The name of the calling function, which throws if the schema isn't an object schema
+ * @return     {Object}  The name of the shape validator (null for object schemas), object schema, shape options, and rules, or undefined if not an object schema
+ */
+let _shapeParts = (schema, fnName) => {
+	if (shapeOf.isValidator(schema) && schema._callChain[0]._callback === _shapeOf_shape) {
+		let links = schema._callChain;
+		return {
+			name: links[0].name,
+			schema: links[0].args[0],
+			shapeOptions: links[0].args.slice(1),
+			rules: links.slice(1)
+		};
+	}
+	if (typeof schema === 'object' && schema !== null && !Array.isArray(schema) && !(schema instanceof RegExp)) {
+		return {
+			name: null,
+			schema,
+			shapeOptions: [],
+			rules: []
+		};
+	}
+	if (fnName)
+		throw new SchemaDefinitionError(`shapeOf.${fnName}() requires an object schema or shapeOf.shape() validator`);
+};
+
+/**
+ * Combines the parts of two object schemas (see _shapeParts()), keeping the rules of both.
+ *
+ * @param      {Object}  a       The parts of the first object schema
+ * @param      {Object}  b       The parts of the second object schema
+ * @return     {Object}  The combined parts
+ */
+let _combineShapeParts = (a, b) => {
+	return {
+		name: a.name || b.name,
+		shapeOptions: a.name ? a.shapeOptions : b.shapeOptions,
+		rules: a.rules.concat(b.rules)
+	};
+};
+
+/**
+ * Builds an object schema, or a shapeOf.shape() validator when there's a validator name or rules.
+ *
+ * @param      {Object}  parts   The name of the shape validator (null for object schemas), its options, and the links of any rules
+ * @param      {Object}  schema  The object schema
+ * @return     {Object}  The object schema or shapeOf.shape() validator
+ */
+let _buildShape = (parts, schema) => {
+	if (!parts.name && parts.rules.length === 0)
+		return schema;
+	return _buildValidator([{name: parts.name || 'shapeOf.shape', args: [schema].concat(parts.shapeOptions)}].concat(parts.rules));
+};
+
+/**
+ * Toggles whether or not every key of an object schema is optional (see shapeOf.partial() and
+ * shapeOf.required()).
+ *
+ * @param      {Object}   schema    The object schema, shapeOf.shape() validator, or validator
+ * @param      {boolean}  optional  Whether or not keys are optional
+ * @param      {boolean}  deep      Whether or not nested object schemas are toggled as well
+ * @param      {string}   fnName    The name of the calling function
+ * @return     {Object}   The resulting schema
+ */
+let _setKeysOptional = (schema, optional, deep, fnName) => {
+	let parts = _shapeParts(schema);
+	if (!parts) {
+		if (!shapeOf.isValidator(schema))
+			throw new SchemaDefinitionError(`shapeOf.${fnName}() requires an object schema or validator`);
+		return _setOptional(deep ? _setNestedOptional(schema, optional) : schema, optional);
+	}
+	let rtn = {};
+	Object.keys(parts.schema).forEach(key => {
+		let val = parts.schema[key];
+		if (deep)
+			val = _setNestedOptional(val, optional);
+		rtn[key] = _setOptional(val, optional);
+	});
+	return _buildShape(parts, rtn);
+};
+
+/**
+ * Toggles whether or not the keys of object schemas nested within a schema are optional.
+ *
+ * @param      {Object}   schema    The schema
+ * @param      {boolean}  optional  Whether or not keys are optional
+ * @return     {Object}   The resulting schema
+ */
+let _setNestedOptional = (schema, optional) => {
+	if (_shapeParts(schema))
+		return _setKeysOptional(schema, optional, true);
+	if (!shapeOf.isValidator(schema))
+		return schema;
+	let links = schema._callChain;
+	let callback = links[0]._callback;
+	if (callback !== _shapeOf_arrayOf && callback !== _shapeOf_objectOf)
+		return schema;
+	let args = links[0].args.map(arg => Array.isArray(arg) ?
+		arg.map(elem => _setNestedOptional(elem, optional)) :
+		_setNestedOptional(arg, optional));
+	return _buildValidator([{name: links[0].name, args}].concat(links.slice(1)));
+};
+
+/**
+ * Converts a schema to be optional or required. Validators are converted to their
+ * shapeOf.optional.* equivalents (or vice versa). Other schemas are wrapped when made optional,
+ * with shapeOf.optional.shape() for object schemas and shapeOf.optional.eachOf() otherwise, and
+ * unwrapped again when made required.
+ *
+ * @param      {Object}   schema    The schema
+ * @param      {boolean}  optional  Whether or not the schema is optional
+ * @return     {Object}   The resulting schema
+ */
+let _setOptional = (schema, optional) => {
+	if (!shapeOf.isValidator(schema))
+		return optional ? _wrapOptional(schema) : schema;
+	if (schema._optional === optional)
+		return schema;
+
+	let links = schema._callChain;
+	if (!optional && links.length === 1) {
+		let args = links[0].args;
+		if (links[0].name === 'shapeOf.optional.shape' && args.length === 1)
+			return args[0];
+		if (links[0].name === 'shapeOf.optional.eachOf' && args.length === 1 && Array.isArray(args[0]) && args[0].length === 1)
+			return args[0][0];
+	}
+	// Validators of another instance can't be rebuilt from this instance's registry
+	let registered = shapeOf.Validator._validators[links[0].name];
+	if (!registered || registered._callback !== links[0]._callback) {
+		if (optional)
+			return _wrapOptional(schema);
+		throw new SchemaDefinitionError(`Validator '${links[0].name}' isn't registered with this instance, and can't be made required`);
+	}
+	let names = links[0].name.split('.');
+	let name = optional ?
+		[names[0], 'optional'].concat(names.slice(1)).join('.') :
+		names.filter((s, i) => i !== 1 || s !== 'optional').join('.');
+	if (typeof shapeOf.Validator._validators[name] === 'undefined') {
+		if (optional)
+			return _wrapOptional(schema);
+		throw new SchemaDefinitionError(`Validator '${links[0].name}' has no required equivalent`);
+	}
+	return _buildValidator([{name, args: links[0].args}].concat(links.slice(1)));
+};
+
+/**
+ * Wraps a schema without an optional equivalent to make it optional (see _setOptional()). Object
+ * schemas are wrapped with shapeOf.optional.shape(), which evaluates them the same way, while
+ * shapeOf.optional.eachOf() is used otherwise.
+ *
+ * @param      {Object}  schema  The schema
+ * @return     {Object}  The optional validator
+ */
+let _wrapOptional = (schema) => {
+	if (!shapeOf.isValidator(schema) && _shapeParts(schema))
+		return shapeOf.optional.shape(schema);
+	return shapeOf.optional.eachOf([schema]);
+};
+
+
+
+/*
+ * Validator Functions
+ */
+
+
+
+/**
+ * Validator for number types.
+ *
+ * @param      {Object}  obj     The object in question
+ * @return     {Object}  Returns the object if valid, undefined otherwise
+ */
+let _shapeOf_number = (obj) => {
+	if (typeof obj === 'number')
+		return obj;
+};
+
+/**
+ * Validator for number types within a specific range.
+ *
+ * @param      {number}  min     The lower acceptable range for the number
+ * @param      {number}  max     The upper acceptable range for the number
+ * @return     {Function}  Returns a validator function specific to the number range
+ */
+let _shapeOf_number_range = (min, max, obj) => {
+	let nmin = Math.min(min, max);
+	let nmax = Math.max(min, max);
+	if (obj <= nmax && obj >= nmin)
+		return obj;
+};
+
+/**
+ * Validator function using the >= operator.
+ *
+ * @param      {number}    min     The minimum
+ * @param      {number}    obj     The object in question
+ * @return     {Object}  Returns the object if valid, undefined otherwise
+ */
+let _shapeOf_greaterThanOrEqualTo = (min, obj) => {
+	if (obj >= min)
+		return obj;
+};
+
+/**
+ * Validator function using the <= operator.
+ *
+ * @param      {number}    max     The maximum
+ * @param      {number}    obj     The object in question
+ * @return     {Object}  Returns the object if valid, undefined otherwise
+ */
+let _shapeOf_lessThanOrEqualTo = (max, obj) => {
+	if (obj <= max)
+		return obj;
+};
+
+/**
+ * Validator for integer types.
+ *
+ * @param      {Object}  obj     The object in question
+ * @return     {Object}  Returns the object if valid, undefined otherwise
+ */
+let _shapeOf_integer = (obj) => {
+	if (_isInteger(obj)) {
+		return obj;
+	}
+};
+
+/**
+ * Validator for string types.
+ *
+ * @param      {Object}  obj     The object in question
+ * @return     {Object}  Returns the object if valid, undefined otherwise
+ */
+let _shapeOf_string = (obj) => {
+	if (typeof obj === 'string')
+		return obj;
+};
+
+/**
+ * Validator for string types matching a given pattern. Accepts either two or three arguments.
+ * 
+ * If two arguments are provided, the first is assumed as a RegExp/string pattern and
+ * the second as the object in question.
+ * 
+ * If three arguments are provided, the first is assumed as a RegExp/string pattern,
+ * the second is assumed as regex flags, and the third the object in question.
+ *
+ * @param      {Array}   args    The arguments
+ * @return     {Object}  Returns the object if valid, undefined otherwise
+ */
+let _shapeOf_string_pattern = (...args) => {
+	let flags = '';
+	let pattern = '';
+	let obj;
+	if (args.length < 2 || args.length > 3) {
+		throw new SchemaDefinitionError('String pattern validator requires between one and two arguments');
+	}
+	pattern = args[0];
+	if (args.length === 2) {
+		obj = args[1];
+	} else {
+		flags = args[1];
+		obj = args[2];
+	}
+	if (typeof pattern === 'string') {
+		pattern = _shapeOf_string_pattern_regex(pattern, flags);
+	} else if (pattern instanceof RegExp) {
+		if (args.length === 3)
+			pattern = _shapeOf_string_pattern_regex(pattern.source, flags);
+	} else {
+		throw new SchemaDefinitionError('shapeOf.string.pattern() only accepts strings and RegExp objects as an argument');
+	}
+	if (pattern.test(obj))
+		return obj;
+};
+
+/**
+ * Gets the RegExp of a pattern given to shapeOf.string.pattern() as a string. RegExps are
+ * cached rather than created on every validation, and since RegExps using the 'g' or 'y'
+ * flags keep state between calls to test(), their state is reset before being returned.
+ *
+ * @param      {string}  source  The pattern
+ * @param      {string}  flags   The regex flags
+ * @return     {RegExp}  The RegExp
+ */
+let _shapeOf_string_pattern_regex = (source, flags) => {
+	let key = flags + '/' + source;
+	let regex = _shapeOf_string_pattern_cache.get(key);
+	if (!regex) {
+		regex = new RegExp(source, flags);
+		if (_shapeOf_string_pattern_cache.size >= 1000)
+			_shapeOf_string_pattern_cache.clear();
+		_shapeOf_string_pattern_cache.set(key, regex);
+	}
+	regex.lastIndex = 0;
+	return regex;
+};
+let _shapeOf_string_pattern_cache = new Map();
+
+/**
+ * Validator for strings following email syntax.
+ *
+ * @param      {Object}  obj     The object in question
+ * @return     {Object}  Returns the object if valid, undefined otherwise
+ */
+let _shapeOf_string_email = (obj) => {
+	if (_shapeOf_string_email_regex.test(obj))
+		return obj;
+};
+let _shapeOf_string_email_regex = /^(([^<>()\[\]\\.,;:\s@"]+(\.[^<>()\[\]\\.,;:\s@"]+)*)|(".+"))@((\[((25[0-5]|(2[0-4]|1[0-9]|[1-9]|)[0-9])\.){3}(25[0-5]|(2[0-4]|1[0-9]|[1-9]|)[0-9])\])|(([a-zA-Z0-9][a-zA-Z\-0-9]+\.)+(?![wW][eE][bB])[a-zA-Z]{2,}))$/;
+
+/**
+ * Validator for strings following IPv4 syntax.
+ *
+ * @param      {Object}  obj     The object in question
+ * @return     {Object}  Returns the object if valid, undefined otherwise
+ */
+let _shapeOf_string_ipv4 = (obj) => {
+	if (_shapeOf_string_ipv4_regex.test(obj))
+		return obj;
+};
+let _shapeOf_string_ipv4_regex = /^((25[0-5]|(2[0-4]|1[0-9]|[1-9]|)[0-9])(\.(?!$)|$)){4}$/;
+
+/**
+ * Validator for strings following IPv6 syntax.
+ *
+ * @param      {Object}  obj     The object in question
+ * @return     {Object}  Returns the object if valid, undefined otherwise
+ */
+let _shapeOf_string_ipv6 = (obj) => {
+	if (_shapeOf_string_ipv6_regex.test(obj))
+		return obj;
+};
+let _shapeOf_string_ipv6_o0 = '([0-9A-Fa-f]{1,4}:)';
+let _shapeOf_string_ipv6_o1 = '(:[0-9A-Fa-f]{1,4})';
+let _shapeOf_string_ipv6_o2 = '(25[0-5]|2[0-4]\\d|1\\d\\d|[1-9]?\\d)';
+let _shapeOf_string_ipv6_regex = '^\\s*(({{O0}}{7}([0-9A-Fa-f]{1,4}|:))|({{O0}}{6}(:[0-9A-Fa-f]{1,4}|({{O2}}(\\.{{O2}}){3})|:))|({{O0}}{5}(({{O1}}{1,2})|:({{O2}}(\\.{{O2}}){3})|:))|({{O0}}{4}(({{O1}}{1,3})|({{O1}}?:({{O2}}(\\.{{O2}}){3}))|:))|({{O0}}{3}(({{O1}}{1,4})|({{O1}}{0,2}:({{O2}}(\\.{{O2}}){3}))|:))|({{O0}}{2}(({{O1}}{1,5})|({{O1}}{0,3}:({{O2}}(\\.{{O2}}){3}))|:))|({{O0}}{1}(({{O1}}{1,6})|({{O1}}{0,4}:({{O2}}(\\.{{O2}}){3}))|:))|(:(({{O1}}{1,7})|({{O1}}{0,5}:({{O2}}(\\.{{O2}}){3}))|:)))(%.+)?\\s*$';
+_shapeOf_string_ipv6_regex = _shapeOf_string_ipv6_regex.replace(/\{\{O0\}\}/g, _shapeOf_string_ipv6_o0);
+_shapeOf_string_ipv6_regex = _shapeOf_string_ipv6_regex.replace(/\{\{O1\}\}/g, _shapeOf_string_ipv6_o1);
+_shapeOf_string_ipv6_regex = _shapeOf_string_ipv6_regex.replace(/\{\{O2\}\}/g, _shapeOf_string_ipv6_o2);
+_shapeOf_string_ipv6_regex = new RegExp(_shapeOf_string_ipv6_regex);
+
+/**
+ * Validator for length. Accepts either two or three arguments.
+ * 
+ * If two arguments are provided, the first is assumed as an exact length and
+ * the second as the object in question.
+ * 
+ * If three arguments are provided, the first is assumed as an inclusive minimum,
+ * the second is an inclusive maximum, and the third the object in question.
+ *
+ * @param      {Array}   args    The arguments
+ * @return     {Object}  Returns the object if valid, undefined otherwise
+ */
+let _shapeOf_length = (...args) => {
+	if (args.length < 2 || args.length > 3) {
+		throw new SchemaDefinitionError('Length validator requires between one and two arguments');
+	}
+	let obj = args[args.length - 1];
+	if (args.length === 2) {
+		// Exact length
+		if (obj.length === args[0])
+			return obj;
+	} else {
+		// Range length
+		let min = Math.min(args[0], args[1]);
+		let max = Math.max(args[0], args[1]);
+		if (obj.length >= min && obj.length <= max)
+			return obj;
+	}
+};
+
+/**
+ * Validator for array types.
+ *
+ * @param      {Object}  obj     The object in question
+ * @return     {Object}  Returns the object if valid, undefined otherwise
+ */
+let _shapeOf_array = (obj) => {
+	if (Array.isArray(obj))
+		return obj;
+};
+
+/**
+ * Validator for boolean types.
+ *
+ * @param      {Object}  obj     The object in question
+ * @return     {Object}  Returns the object if valid, undefined otherwise
+ */
+let _shapeOf_bool = (obj) => {
+	if (typeof obj === 'boolean')
+		return obj;
+};
+
+/**
+ * Validator for object types. Null isn't considered an object and instead passes with shapeOf.null.
+ *
+ * @param      {Object}  obj     The object in question
+ * @return     {Object}  Returns the object if valid, undefined otherwise
+ */
+let _shapeOf_object = (obj) => {
+	if (typeof obj === 'object' && obj !== null)
+		return obj;
+};
+
+/**
+ * Validator for null types. Undefined isn't considered null.
+ *
+ * @param      {Object}  obj     The object in question
+ * @return     {Object}  Returns the object if valid, undefined otherwise
+ */
+let _shapeOf_null = (obj) => {
+	if (obj === null)
+		return obj;
+};
+
+/**
+ * Validator for primitive types, which can be string, boolean, number, or null.
+ *
+ * @param      {Object}  obj     The object in question
+ * @return     {Object}  Returns the object if valid, undefined otherwise
+ */
+let _shapeOf_primitive = (obj) => {
+	if (obj === null || typeof obj === 'string' || typeof obj === 'boolean' || typeof obj === 'number')
+		return obj;
+};
+
+/**
+ * Validator for arrays of one or more types. Can accept variadic arguments, or a single array containing validators.
+ * 
+ *   shapeOf.arrayOf(shapeOf.string, shapeOf.number);
+ *   shapeOf.arrayOf([shapeOf.string, shapeOf.number]);
+ *
+ * @param      {Array}   args    The arguments
+ * @return     {Object}  Returns the object if valid, undefined otherwise
+ */
+let _shapeOf_arrayOf = function*(...args) {
+	if (args.length < 2) {
+		throw new SchemaDefinitionError('arrayOf validator requires at least one argument');
+	}
+	let options = this;
+	let obj = args.pop();
+	let types = _flattenArgs(args);
+	let collectsAllErrors = options.collectsAllErrors || false;
+	let validShape;
+	if (!Array.isArray(obj))
+		return;
+	yield* _evaluateEntries(options, obj.length, function*(i, entryOptions) {
+		let j = obj.length - 1 - i;
+		let result = yield* _evaluateCandidates(entryOptions, obj[j], types, false, j);
+		if (typeof result === 'undefined') {
+			_validationLog(entryOptions, {
+				code: 'invalid_element',
+				message: `Failed: Validator 'shapeOf.arrayOf' -> index ${j}`,
+				key: j,
+				validator: 'shapeOf.arrayOf',
+				args: types
+			}, obj[j]);
+			validShape = false;
+			return collectsAllErrors;
+		}
+		if (result !== obj[j]) {
+			// Value changed; apply mutation
+			obj = _setValue(options, obj, j, result);
+		}
+		if (typeof validShape === 'undefined')
+			validShape = true;
+		return true;
+	});
+	if (validShape)
+		return obj;
+};
+
+/**
+ * Validator for objects whose values are of one or more types. Can accept variadic
+ * arguments, or a single array containing validators.
+ * 
+ *   shapeOf.objectOf(shapeOf.string, shapeOf.number);
+ *   shapeOf.objectOf([shapeOf.string, shapeOf.number]);
+ *
+ * @param      {Array}   args    The arguments
+ * @return     {Object}  Returns the object if valid, undefined otherwise
+ */
+let _shapeOf_objectOf = function*(...args) {
+	if (args.length < 2) {
+		throw new SchemaDefinitionError('objectOf validator requires at least one argument');
+	}
+	let options = this;
+	let obj = args.pop();
+	let types = _flattenArgs(args);
+	let collectsAllErrors = options.collectsAllErrors || false;
+	let validShape;
+	if (typeof obj !== 'object' || obj === null)
+		return;
+	let objKeys = Object.keys(obj);
+	yield* _evaluateEntries(options, objKeys.length, function*(i, entryOptions) {
+		let key = objKeys[objKeys.length - 1 - i];
+		let val = obj[key];
+		let result = yield* _evaluateCandidates(entryOptions, val, types, false, key);
+		if (typeof result === 'undefined') {
+			_validationLog(entryOptions, {
+				code: 'invalid_key',
+				message: `Failed: Validator 'shapeOf.objectOf' -> key '${key}'`,
+				key,
+				validator: 'shapeOf.objectOf',
+				args: types
+			}, val);
+			validShape = false;
+			return collectsAllErrors;
+		}
+		if (result !== val) {
+			// Value changed; apply mutation
+			obj = _setValue(options, obj, key, result);
+		}
+		if (typeof validShape === 'undefined')
+			validShape = true;
+		return true;
+	});
+	if (validShape)
+		return obj;
+};
+
+/**
+ * Validator for an object that must strictly equal an object within the list.
+ * 
+ *   shapeOf.oneOf('foo', 'bar');
+ *   shapeOf.oneOf(['foo', 'bar']);
+ *
+ * @param      {Array}   args    The arguments
+ * @return     {Object}  Returns the object if valid, undefined otherwise
+ */
+let _shapeOf_oneOf = (...args) => {
+	if (args.length < 2) {
+		throw new SchemaDefinitionError('oneOf validator requires at least one argument');
+	}
+	let obj = args.pop();
+	let list = _flattenArgs(args);
+	for (let i = list.length - 1; i >= 0; i--) {
+		if (list[i] === obj)
+			return obj;
+	}
+};
+
+/**
+ * Validator for an object that must match a specified type of one or more types.
+ * 
+ *   shapeOf.oneOfType(shapeOf.string, shapeOf.number);
+ *   shapeOf.oneOfType([shapeOf.string, shapeOf.number]);
+ *
+ * @param      {Array}   args    The arguments
+ * @return     {Object}  Returns the object if valid, undefined otherwise
+ */
+let _shapeOf_oneOfType = function*(...args) {
+	if (args.length < 2) {
+		throw new SchemaDefinitionError('oneOfType validator requires at least one argument');
+	}
+	let obj = args.pop();
+	let list = _flattenArgs(args);
+	return yield* _evaluateCandidates(this, obj, list, true);
+};
+
+/**
+ * Validator for an object that must match exactly one of a specified type of one or more types,
+ * failing if it matches more than one.
+ * 
+ *   shapeOf.exactlyOneOfType(shapeOf.integer, shapeOf.number.min(0));
+ *   shapeOf.exactlyOneOfType([shapeOf.integer, shapeOf.number.min(0)]);
+ *
+ * @param      {Array}   args    The arguments
+ * @return     {Object}  Returns the object if valid, undefined otherwise
+ */
+let _shapeOf_exactlyOneOfType = function*(...args) {
+	if (args.length < 2) {
+		throw new SchemaDefinitionError('exactlyOneOfType validator requires at least one argument');
+	}
+	let obj = args.pop();
+	let list = _flattenArgs(args);
+	return yield* _evaluateCandidates(this, obj, list, true, undefined, true);
+};
+
+/**
+ * Validator for an object that must match each of a specified type of one or more types.
+ * 
+ *   shapeOf.eachOf(shapeOf.string, shapeOf.number);
+ *   shapeOf.eachOf([shapeOf.string, shapeOf.number]);
+ *
+ * @param      {Array}   args    The arguments
+ * @return     {Object}  Returns the object if valid, undefined otherwise
+ */
+let _shapeOf_eachOf = function*(...args) {
+	if (args.length < 2) {
+		throw new SchemaDefinitionError('eachOfType validator requires at least one argument');
+	}
+	let obj = args.pop();
+	let list = _flattenArgs(args);
+	let options = this;
+	let valid = true;
+	for (let i = 0; i < list.length; i++) {
+		// Each schema evaluates the result of the previous, allowing mutators to be combined
+		let rtn = yield* _evaluate({...options, obj, returnsObject: true, exact: true}, list[i]);
+		if (typeof rtn !== 'undefined') {
+			obj = rtn;
+		} else {
+			let message = shapeOf.isValidator(list[i]) ?
+				`Failed: Validator 'shapeOf.eachOf' -> '${list[i]._name}'` :
+				`Failed: Validator 'shapeOf.eachOf' -> index ${i}`;
+			_validationLog(options, {
+				code: 'invalid_branch',
+				message,
+				validator: 'shapeOf.eachOf',
+				args: list
+			}, obj);
+			valid = false;
+			if (!options.collectsAllErrors)
+				return;
+		}
+	}
+	if (!valid)
+		return;
+	_validationLog(options, {
+		code: 'passed',
+		message: 'Passed: Validator "shapeOf.eachOf"',
+		validator: 'shapeOf.eachOf',
+		args: list
+	}, obj);
+	return obj;
+};
+
+/**
+ * Validator for a discriminated union of object schemas, where the schema to evaluate is
+ * picked by the value of a discriminator key within the object in question.
+ * 
+ *   shapeOf.union('type', {
+ *       'click': { 'type': 'click', 'x': shapeOf.number, 'y': shapeOf.number },
+ *       'scroll': { 'type': 'scroll', 'offset': shapeOf.number }
+ *   });
+ *
+ * @param      {string}  key       The discriminator key
+ * @param      {Object}  branches  The schemas, keyed by discriminator value
+ * @param      {Object}  obj       The object in question
+ * @return     {Object}  Returns the object if valid, undefined otherwise
+ */
+let _shapeOf_union = function*(key, branches, obj) {
+	if (typeof key !== 'string' || typeof branches !== 'object' || branches === null) {
+		throw new SchemaDefinitionError('union validator requires a discriminator key and an object of schemas');
+	}
+	let options = this;
+	if (typeof obj !== 'object' || obj === null)
+		return;
+	let tag = obj[key];
+	if (typeof tag === 'undefined') {
+		_validationLog(options, {
+			code: 'missing_key',
+			message: `Failed: Object with missing key '${key}', required by validator 'shapeOf.union'`,
+			key,
+			validator: 'shapeOf.union',
+			args: [key, branches]
+		});
+		return;
+	}
+	if (!Object.prototype.hasOwnProperty.call(branches, tag)) {
+		_validationLog(options, {
+			code: 'unknown_discriminator',
+			message: `Failed: Validator 'shapeOf.union' -> unknown discriminator '${tag}' at key '${key}'`,
+			key,
+			validator: 'shapeOf.union',
+			args: [key, branches]
+		}, tag);
+		return;
+	}
+	let rtn = yield* _evaluate({...options, obj, returnsObject: true}, branches[tag]);
+	if (typeof rtn === 'undefined') {
+		_validationLog(options, {
+			code: 'invalid_branch',
+			message: `Failed: Validator 'shapeOf.union' -> branch '${tag}'`,
+			validator: 'shapeOf.union',
+			args: [key, branches]
+		}, obj);
+	}
+	return rtn;
+};
+
+/**
+ * Mutating validator that coerces decimal strings into numbers, such as values from query strings
+ * or form posts. Numbers pass as-is, while strings in other notations, such as '0x1f', fail.
+ *
+ * @param      {Object}  obj     The object in question
+ * @return     {Object}  Returns the number if valid, undefined otherwise
+ */
+let _shapeOf_asNumber = (obj) => {
+	if (typeof obj === 'number')
+		return obj;
+	if (typeof obj === 'string' && _shapeOf_asNumber_regex.test(obj.trim())) {
+		let num = Number(obj);
+		if (isFinite(num))
+			return num;
+	}
+};
+let _shapeOf_asNumber_regex = /^[+-]?([0-9]+\.?[0-9]*|\.[0-9]+)(e[+-]?[0-9]+)?$/i;
+
+/**
+ * Mutating validator that coerces strings into integers. Integers pass as-is.
+ *
+ * @param      {Object}  obj     The object in question
+ * @return     {Object}  Returns the integer if valid, undefined otherwise
+ */
+let _shapeOf_asInteger = (obj) => {
+	let num = _shapeOf_asNumber(obj);
+	if (_isInteger(num))
+		return num;
+};
+
+/**
+ * Mutating validator that coerces strings and numbers into booleans. The strings 'true', '1',
+ * 'on', and 'yes' become true, and 'false', '0', 'off', and 'no' become false, regardless of
+ * case. The numbers 1 and 0 become true and false. Booleans pass as-is.
+ *
+ * @param      {Object}  obj     The object in question
+ * @return     {Object}  Returns the boolean if valid, undefined otherwise
+ */
+let _shapeOf_asBool = (obj) => {
+	if (typeof obj === 'boolean')
+		return obj;
+	if (obj === 1 || obj === 0)
+		return obj === 1;
+	if (typeof obj === 'string') {
+		let str = obj.trim().toLowerCase();
+		if (_shapeOf_asBool_true.indexOf(str) > -1)
+			return true;
+		if (_shapeOf_asBool_false.indexOf(str) > -1)
+			return false;
+	}
+};
+let _shapeOf_asBool_true = ['true', '1', 'on', 'yes'];
+let _shapeOf_asBool_false = ['false', '0', 'off', 'no'];
+
+/**
+ * Mutating validator that coerces date strings (such as ISO 8601) and timestamps in milliseconds
+ * into Date objects. Valid Date objects pass as-is.
+ *
+ * @param      {Object}  obj     The object in question
+ * @return     {Object}  Returns the Date object if valid, undefined otherwise
+ */
+let _shapeOf_asDate = (obj) => {
+	let date;
+	if (obj instanceof Date)
+		date = obj;
+	else if ((typeof obj === 'string' && obj.trim() !== '') || (typeof obj === 'number' && isFinite(obj)))
+		date = new Date(obj);
+	if (date && !isNaN(date.getTime()))
+		return date;
+};
+
+/**
+ * Mutating validator for arrays of one or more types, which coerces comma-delimited strings into
+ * arrays of strings and wraps any other non-array value within an array. Empty strings become
+ * empty arrays, which shapeOf.arrayOf() fails. Elements are then validated the same as
+ * shapeOf.arrayOf().
+ * 
+ *   shapeOf.asArrayOf(shapeOf.string);            // 'a,b' becomes ['a', 'b']
+ *   shapeOf.asArrayOf(shapeOf.asInteger);         // '1,2' becomes [1, 2], and 3 becomes [3]
+ *
+ * @param      {Array}   args    The arguments
+ * @return     {Object}  Returns the array if valid, undefined otherwise
+ */
+let _shapeOf_asArrayOf = function*(...args) {
+	if (args.length < 2) {
+		throw new SchemaDefinitionError('asArrayOf validator requires at least one argument');
+	}
+	let obj = args.pop();
+	if (typeof obj === 'string')
+		obj = obj.trim() === '' ? [] : obj.split(',').map(s => s.trim());
+	else if (!Array.isArray(obj) && typeof obj !== 'undefined')
+		obj = [obj];
+	return yield* _shapeOf_arrayOf.apply(this, args.concat([obj]));
+};
+
+/**
+ * Validator for an object schema, allowing object-level rules that involve multiple keys
+ * to be added as sub-validators.
+ * 
+ *   shapeOf.shape({
+ *       'startDate': shapeOf.asDate,
+ *       'endDate': shapeOf.asDate
+ *   }).refine(obj => obj.endDate > obj.startDate, 'End date must be after start date');
+ * 
+ * Options include:
+ * - exact: Whether or not keys the schema doesn't describe are disallowed, regardless of
+ *          whether the validation is exact
+ * - additionalProperties: A schema for the values of keys the schema doesn't describe
+ *
+ * @param      {Array}   args    The arguments, being the object schema, optional options, and the object in question
+ * @return     {Object}  Returns the object if valid, undefined otherwise
+ */
+let _shapeOf_shape = function*(...args) {
+	let obj = args.pop();
+	let [schema, shapeOptions] = args;
+	if (typeof schema !== 'object' || schema === null || Array.isArray(schema) || shapeOf.isValidator(schema)) {
+		throw new SchemaDefinitionError('shape validator requires an object schema');
+	}
+	shapeOptions = shapeOptions || {};
+	let options = {...this, obj, returnsObject: true, keyMessages: shapeOptions.messages};
+	let extra = shapeOptions.additionalProperties;
+	if (typeof shapeOptions.exact === 'boolean')
+		options.exact = shapeOptions.exact;
+	if (typeof extra !== 'undefined')
+		options.exact = false;
+
+	let rtn = yield* _evaluate(options, schema);
+	if (typeof rtn === 'undefined' || typeof extra === 'undefined')
+		return rtn;
+
+	// Evaluate the values of keys the schema doesn't describe
+	let path = options.path || [];
+	let keys = Object.keys(rtn).filter(key => !Object.prototype.hasOwnProperty.call(schema, key));
+	let valid = true;
+	yield* _evaluateEntries(options, keys.length, function*(i, entryOptions) {
+		let key = keys[i];
+		let val = rtn[key];
+		let result = yield* _evaluate({...entryOptions, obj: val, path: path.concat([key]), returnsObject: true}, extra);
+		if (typeof result === 'undefined') {
+			_validationLog(entryOptions, {
+				code: 'invalid_key',
+				message: `Failed: Object at key '${key}'`,
+				key
+			}, val);
+			valid = false;
+			return options.collectsAllErrors || false;
+		}
+		if (result !== val) {
+			// Value has mutated; change within object
+			rtn = _setValue(options, rtn, key, result);
+		}
+		return true;
+	});
+	if (valid)
+		return rtn;
+};
+
+/**
+ * Sub-validator for a rule involving the object as a whole, which passes if the given function
+ * returns a truthy value. Failures are logged at the path of the object, or at the path of each
+ * key involved with the rule if given.
+ * 
+ *   shapeOf.shape(schema).refine(obj => obj.endDate > obj.startDate, 'End date must be after start date', {keys: ['endDate']});
+ *
+ * @param      {Array}   args    The arguments, being the rule function, an optional message, optional options, and the object in question
+ * @return     {Object}  Returns the object if valid, undefined otherwise
+ */
+let _shapeOf_shape_refine = function(...args) {
+	let obj = args.pop();
+	let [fn, message, refineOptions] = args;
+	if (typeof fn !== 'function') {
+		throw new SchemaDefinitionError('refine sub-validator requires a function');
+	}
+	if (fn(obj))
+		return obj;
+	let keys = (refineOptions && refineOptions.keys) || [undefined];
+	if (typeof keys === 'string')
+		keys = [keys];
+	for (let i = 0; i < keys.length; i++) {
+		_validationLog(this, {
+			code: 'refinement_failed',
+			message: message || "Failed: Validator 'shapeOf.shape.refine'",
+			key: keys[i],
+			validator: 'shapeOf.shape.refine',
+			args
+		}, obj);
+	}
+};
+
+/**
+ * Sub-validator requiring a key whenever a condition is met. The condition is either a function
+ * given the object, or an object whose values must strictly equal those of the object in question.
+ * 
+ *   shapeOf.shape(schema).requiredWhen('shippingAddress', {'delivery': 'ship'});
+ *   shapeOf.shape(schema).requiredWhen('shippingAddress', obj => obj.delivery === 'ship');
+ *
+ * @param      {string}          key        The conditionally required key
+ * @param      {Function|Object} condition  The condition
+ * @param      {Object}          obj        The object in question
+ * @return     {Object}  Returns the object if valid, undefined otherwise
+ */
+let _shapeOf_shape_requiredWhen = function(key, condition, obj) {
+	let required;
+	if (typeof condition === 'function') {
+		required = condition(obj);
+	} else if (typeof condition === 'object' && condition !== null) {
+		required = Object.keys(condition).every(conditionKey => obj[conditionKey] === condition[conditionKey]);
+	} else {
+		throw new SchemaDefinitionError('requiredWhen sub-validator requires a key and a condition');
+	}
+	if (!required || typeof obj[key] !== 'undefined')
+		return obj;
+	_validationLog(this, {
+		code: 'missing_key',
+		message: `Failed: Object with missing key '${key}', required by validator 'shapeOf.shape.requiredWhen'`,
+		key,
+		validator: 'shapeOf.shape.requiredWhen',
+		args: [key, condition]
+	});
+};
+
+/**
+ * Sub-validator allowing no more than one of the given keys to be present.
+ * 
+ *   shapeOf.shape(schema).mutuallyExclusive('email', 'phone');
+ *
+ * @param      {Array}   args    The arguments, being the keys and the object in question
+ * @return     {Object}  Returns the object if valid, undefined otherwise
+ */
+let _shapeOf_shape_mutuallyExclusive = function(...args) {
+	let obj = args.pop();
+	let keys = _flattenArgs(args);
+	if (keys.length < 2) {
+		throw new SchemaDefinitionError('mutuallyExclusive sub-validator requires at least two keys');
+	}
+	let present = keys.filter(key => typeof obj[key] !== 'undefined');
+	if (present.length <= 1)
+		return obj;
+	for (let i = 1; i < present.length; i++) {
+		_validationLog(this, {
+			code: 'mutually_exclusive',
+			message: `Failed: Object with key '${present[i]}', which excludes key '${present[0]}'`,
+			key: present[i],
+			validator: 'shapeOf.shape.mutuallyExclusive',
+			args: keys
+		}, obj[present[i]]);
+		if (!this.collectsAllErrors)
+			break;
+	}
+};
+
+/**
+ * Sub-validator requiring other keys to be present whenever a key is present. Dependencies are
+ * described as an object, keyed by key, whose values are the key or keys it requires.
+ * 
+ *   shapeOf.shape(schema).dependencies({'creditCard': ['billingAddress', 'cvv']});
+ *
+ * @param      {Object}  dependencies  The dependencies
+ * @param      {Object}  obj           The object in question
+ * @return     {Object}  Returns the object if valid, undefined otherwise
+ */
+let _shapeOf_shape_dependencies = function(dependencies, obj) {
+	if (typeof dependencies !== 'object' || dependencies === null) {
+		throw new SchemaDefinitionError('dependencies sub-validator requires an object of dependencies');
+	}
+	let valid = true;
+	let keys = Object.keys(dependencies);
+	for (let i = 0; i < keys.length && (valid || this.collectsAllErrors); i++) {
+		if (typeof obj[keys[i]] === 'undefined')
+			continue;
+		let required = _flattenArgs([dependencies[keys[i]]]);
+		for (let j = 0; j < required.length && (valid || this.collectsAllErrors); j++) {
+			if (typeof obj[required[j]] !== 'undefined')
+				continue;
+			_validationLog(this, {
+				code: 'missing_key',
+				message: `Failed: Object with missing key '${required[j]}', required by key '${keys[i]}'`,
+				key: required[j],
+				validator: 'shapeOf.shape.dependencies',
+				args: [dependencies]
+			});
+			valid = false;
+		}
+	}
+	if (valid)
+		return obj;
+};
+
+/**
+ * Validator for a schema that's only resolved once evaluated, allowing schemas to reference
+ * themselves or schemas that are defined later on.
+ * 
+ *   let comment = {
+ *       'text': shapeOf.string,
+ *       'replies': shapeOf.arrayOf(shapeOf.lazy(() => comment))
+ *   };
+ *
+ * @param      {Function}  getter  Returns the schema to evaluate
+ * @param      {Object}    obj     The object in question
+ * @return     {Object}    Returns the object if valid, undefined otherwise
+ */
+let _shapeOf_lazy = function*(getter, obj) {
+	if (typeof getter !== 'function') {
+		throw new SchemaDefinitionError('lazy validator requires a function returning a schema');
+	}
+	return yield* _evaluateReference(this, getter(), obj, 'shapeOf.lazy', [getter]);
+};
+
+/**
+ * Validator for a schema registered by name using shapeOf.define(). The name is only resolved
+ * once evaluated, allowing schemas to reference themselves or each other.
+ * 
+ *   shapeOf.define('Comment', {
+ *       'text': shapeOf.string,
+ *       'replies': shapeOf.arrayOf(shapeOf.ref('Comment'))
+ *   });
+ *
+ * @param      {string}  name    The name of the registered schema
+ * @param      {Object}  obj     The object in question
+ * @return     {Object}  Returns the object if valid, undefined otherwise
+ */
+let _shapeOf_ref = function*(name, obj) {
+	if (!Object.prototype.hasOwnProperty.call(shapeOf._schemas, name)) {
+		throw new SchemaDefinitionError(`Schema not defined: '${name}'`);
+	}
+	return yield* _evaluateReference(this, shapeOf._schemas[name], obj, 'shapeOf.ref', [name]);
+};
+
+/**
+ * Evaluates a schema resolved by shapeOf.lazy() or shapeOf.ref(), failing once the number of
+ * references resolved along the current path exceeds the maximum depth (see shapeOf.maxDepth
+ * and .withMaxDepth()).
+ *
+ * @param      {Object}  options    The options of the validation in progress
+ * @param      {Object}  schema     The resolved schema
+ * @param      {Object}  obj        The object in question
+ * @param      {string}  validator  The name of the referencing validator
+ * @param      {Array}   args       The arguments of the referencing validator
+ * @return     {Object}  The resulting object if valid, undefined otherwise
+ */
+let _evaluateReference = function*(options, schema, obj, validator, args) {
+	let depth = (options.depth || 0) + 1;
+	let maxDepth = options.maxDepth || shapeOf.maxDepth;
+	if (depth > maxDepth) {
+		_validationLog(options, {
+			code: 'max_depth',
+			message: `Failed: Validator '${validator}' exceeded the maximum depth of ${maxDepth}`,
+			validator,
+			args
+		}, obj);
+		return;
+	}
+	return yield* _evaluate({...options, obj, depth, returnsObject: true}, schema);
+};
+
+/**
+ * A list of core validators. Each validator described within this list also has
+ * optional equivalents generated for it.
+ *
+ * @type       {Array}
+ */
+let _coreValidators = [
+	{
+		name:     'shapeOf.number',
+		callback: _shapeOf_number,
+		options: {
+			toJSONSchema: _jsonSchema_type('number'),
+			toTypeScript: _typeScript_type('number')
+		}
+	},
+	{
+		name:     'shapeOf.number.range',
+		callback: _shapeOf_number_range,
+		options: {
+			parent: 'shapeOf.number',
+			requiredArgsCount: 2,
+			failureCode: _failureCode_range,
+			toJSONSchema: _jsonSchema_range
+		}
+	},
+	{
+		name:     'shapeOf.number.min',
+		callback: _shapeOf_greaterThanOrEqualTo,
+		options: {
+			parent: 'shapeOf.number',
+			aliases: 'shapeOf.number.greaterThanOrEqualTo',
+			requiredArgsCount: 1,
+			toJSONSchema: _jsonSchema_min
+		}
+	},
+	{
+		name:     'shapeOf.number.max',
+		callback: _shapeOf_lessThanOrEqualTo,
+		options: {
+			parent: 'shapeOf.number',
+			aliases: 'shapeOf.number.lessThanOrEqualTo',
+			requiredArgsCount: 1,
+			toJSONSchema: _jsonSchema_max
+		}
+	},
+	{
+		name:     'shapeOf.integer',
+		callback: _shapeOf_integer,
+		options: {
+			toJSONSchema: _jsonSchema_type('integer'),
+			toTypeScript: _typeScript_type('number')
+		}
+	},
+	{
+		name:     'shapeOf.integer.range',
+		callback: _shapeOf_number_range,
+		options: {
+			parent: 'shapeOf.integer',
+			requiredArgsCount: 2,
+			failureCode: _failureCode_range,
+			toJSONSchema: _jsonSchema_range
+		}
+	},
+	{
+		name:     'shapeOf.integer.min',
+		callback: _shapeOf_greaterThanOrEqualTo,
+		options: {
+			parent: 'shapeOf.integer',
+			aliases: 'shapeOf.integer.greaterThanOrEqualTo',
+			requiredArgsCount: 1,
+			toJSONSchema: _jsonSchema_min
+		}
+	},
+	{
+		name:     'shapeOf.integer.max',
+		callback: _shapeOf_lessThanOrEqualTo,
+		options: {
+			parent: 'shapeOf.integer',
+			aliases: 'shapeOf.integer.lessThanOrEqualTo',
+			requiredArgsCount: 1,
+			toJSONSchema: _jsonSchema_max
+		}
+	},
+	{
+		name:     'shapeOf.string',
+		callback: _shapeOf_string,
+		options: {
+			toJSONSchema: _jsonSchema_type('string'),
+			toTypeScript: _typeScript_type('string')
+		}
+	},
+	{
+		name:     'shapeOf.string.size',
+		callback: _shapeOf_length,
+		options: {
+			parent: 'shapeOf.string',
+			aliases: 'shapeOf.string.ofSize',
+			requiredArgsCount: 1,
+			failureCode: _failureCode_length,
+			toJSONSchema: _jsonSchema_length('Length')
+		}
+	},
+	{
+		name:     'shapeOf.string.pattern',
+		callback: _shapeOf_string_pattern,
+		options: {
+			parent: 'shapeOf.string',
+			aliases: 'shapeOf.string.matching',
+			requiredArgsCount: 1,
+			toJSONSchema: _jsonSchema_pattern
+		}
+	},
+	{
+		name:     'shapeOf.string.email',
+		callback: _shapeOf_string_email,
+		options: {
+			parent: 'shapeOf.string',
+			aliases: 'shapeOf.string.ofEmail',
+			toJSONSchema: _jsonSchema_format('email')
+		}
+	},
+	{
+		name:     'shapeOf.string.IPv4',
+		callback: _shapeOf_string_ipv4,
+		options: {
+			parent: 'shapeOf.string',
+			aliases: [
+				'shapeOf.string.ofIPv4',
+				'shapeOf.string.ipv4',
+			],
+			toJSONSchema: _jsonSchema_format('ipv4')
+		}
+	},
+	{
+		name:     'shapeOf.string.IPv6',
+		callback: _shapeOf_string_ipv6,
+		options: {
+			parent: 'shapeOf.string',
+			aliases: [
+				'shapeOf.string.ofIPv6',
+				'shapeOf.string.ipv6',
+			],
+			toJSONSchema: _jsonSchema_format('ipv6')
+		}
+	},
+	{
+		name:     'shapeOf.array',
+		callback: _shapeOf_array,
+		options: {
+			toJSONSchema: _jsonSchema_type('array'),
+			toTypeScript: _typeScript_type('unknown[]')
+		}
+	},
+	{
+		name:     'shapeOf.array.size',
+		callback: _shapeOf_length,
+		options: {
+			parent: 'shapeOf.array',
+			aliases: 'shapeOf.array.ofSize',
+			requiredArgsCount: 1,
+			failureCode: _failureCode_length,
+			toJSONSchema: _jsonSchema_length('Items')
+		}
+	},
+	{
+		name:     'shapeOf.bool',
+		callback: _shapeOf_bool,
+		options: {
+			aliases: 'shapeOf.boolean',
+			toJSONSchema: _jsonSchema_type('boolean'),
+			toTypeScript: _typeScript_type('boolean')
+		}
+	},
+	{
+		name:     'shapeOf.object',
+		callback: _shapeOf_object,
+		options: {
+			toJSONSchema: _jsonSchema_type('object'),
+			toTypeScript: _typeScript_type('object')
+		}
+	},
+	{
+		name:     'shapeOf.null',
+		callback: _shapeOf_null,
+		options: {
+			toJSONSchema: _jsonSchema_type('null'),
+			toTypeScript: _typeScript_type('null')
+		}
+	},
+	{
+		name:     'shapeOf.primitive',
+		callback: _shapeOf_primitive,
+		options: {
+			toJSONSchema: _jsonSchema_primitive,
+			toTypeScript: _typeScript_type('string | number | boolean | null')
+		}
+	},
+	{
+		name:     'shapeOf.arrayOf',
+		callback: _shapeOf_arrayOf,
+		options: {
+			failureCode: _failureCode_notArray,
+			toJSONSchema: _jsonSchema_arrayOf,
+			toTypeScript: _typeScript_arrayOf
+		}
+	},
+	{
+		name:     'shapeOf.arrayOf.size',
+		callback: _shapeOf_length,
+		options: {
+			parent: 'shapeOf.arrayOf',
+			aliases: 'shapeOf.arrayOf.ofSize',
+			requiredArgsCount: 1,
+			failureCode: _failureCode_length,
+			toJSONSchema: _jsonSchema_length('Items')
+		}
+	},
+	{
+		name:     'shapeOf.objectOf',
+		callback: _shapeOf_objectOf,
+		options: {
+			failureCode: _failureCode_notObject,
+			toJSONSchema: _jsonSchema_objectOf,
+			toTypeScript: _typeScript_objectOf
+		}
+	},
+	{
+		name:     'shapeOf.oneOf',
+		callback: _shapeOf_oneOf,
+		options: {
+			requiredArgsCount: 1,
+			toJSONSchema: _jsonSchema_oneOf,
+			toTypeScript: _typeScript_oneOf
+		}
+	},
+	{
+		name:     'shapeOf.oneOfType',
+		callback: _shapeOf_oneOfType,
+		options: {
+			requiredArgsCount: 1,
+			toJSONSchema: _jsonSchema_oneOfType,
+			toTypeScript: _typeScript_oneOfType
+		}
+	},
+	{
+		name:     'shapeOf.exactlyOneOfType',
+		callback: _shapeOf_exactlyOneOfType,
+		options: {
+			requiredArgsCount: 1,
+			toJSONSchema: _jsonSchema_exactlyOneOfType,
+			toTypeScript: _typeScript_oneOfType
+		}
+	},
+	{
+		name:     'shapeOf.eachOf',
+		callback: _shapeOf_eachOf,
+		options: {
+			aliases: 'shapeOf.each',
+			requiredArgsCount: 1,
+			toJSONSchema: _jsonSchema_eachOf,
+			toTypeScript: _typeScript_eachOf
+		}
+	},
+	{
+		name:     'shapeOf.shape',
+		callback: _shapeOf_shape,
+		options: {
+			requiredArgsCount: 1,
+			failureCode: _failureCode_notObject,
+			toJSONSchema: _jsonSchema_shape,
+			toTypeScript: _typeScript_shape
+		}
+	},
+	{
+		name:     'shapeOf.shape.refine',
+		callback: _shapeOf_shape_refine,
+		options: {
+			parent: 'shapeOf.shape',
+			chainable: true,
+			requiredArgsCount: 1,
+			toJSONSchema: _jsonSchema_refine
+		}
+	},
+	{
+		name:     'shapeOf.shape.requiredWhen',
+		callback: _shapeOf_shape_requiredWhen,
+		options: {
+			parent: 'shapeOf.shape',
+			chainable: true,
+			requiredArgsCount: 2,
+			toJSONSchema: _jsonSchema_requiredWhen
+		}
+	},
+	{
+		name:     'shapeOf.shape.mutuallyExclusive',
+		callback: _shapeOf_shape_mutuallyExclusive,
+		options: {
+			parent: 'shapeOf.shape',
+			chainable: true,
+			requiredArgsCount: 1,
+			toJSONSchema: _jsonSchema_mutuallyExclusive
+		}
+	},
+	{
+		name:     'shapeOf.shape.dependencies',
+		callback: _shapeOf_shape_dependencies,
+		options: {
+			parent: 'shapeOf.shape',
+			chainable: true,
+			requiredArgsCount: 1,
+			toJSONSchema: _jsonSchema_dependencies
+		}
+	},
+	{
+		name:     'shapeOf.union',
+		callback: _shapeOf_union,
+		options: {
+			requiredArgsCount: 2,
+			failureCode: _failureCode_notObject,
+			toJSONSchema: _jsonSchema_union,
+			toTypeScript: _typeScript_union
+		}
+	},
+	{
+		name:     'shapeOf.lazy',
+		callback: _shapeOf_lazy,
+		options: {
+			requiredArgsCount: 1,
+			toJSONSchema: _jsonSchema_lazy,
+			toTypeScript: _typeScript_lazy
+		}
+	},
+	{
+		name:     'shapeOf.ref',
+		callback: _shapeOf_ref,
+		options: {
+			requiredArgsCount: 1,
+			toJSONSchema: _jsonSchema_ref,
+			toTypeScript: _typeScript_ref
+		}
+	},
+	{
+		name:     'shapeOf.asNumber',
+		callback: _shapeOf_asNumber,
+		options: {
+			toTypeScript: _typeScript_type('number')
+		}
+	},
+	{
+		name:     'shapeOf.asNumber.range',
+		callback: _shapeOf_number_range,
+		options: {
+			parent: 'shapeOf.asNumber',
+			requiredArgsCount: 2,
+			failureCode: _failureCode_range
+		}
+	},
+	{
+		name:     'shapeOf.asNumber.min',
+		callback: _shapeOf_greaterThanOrEqualTo,
+		options: {
+			parent: 'shapeOf.asNumber',
+			aliases: 'shapeOf.asNumber.greaterThanOrEqualTo',
+			requiredArgsCount: 1
+		}
+	},
+	{
+		name:     'shapeOf.asNumber.max',
+		callback: _shapeOf_lessThanOrEqualTo,
+		options: {
+			parent: 'shapeOf.asNumber',
+			aliases: 'shapeOf.asNumber.lessThanOrEqualTo',
+			requiredArgsCount: 1
+		}
+	},
+	{
+		name:     'shapeOf.asInteger',
+		callback: _shapeOf_asInteger,
+		options: {
+			toTypeScript: _typeScript_type('number')
+		}
+	},
+	{
+		name:     'shapeOf.asInteger.range',
+		callback: _shapeOf_number_range,
+		options: {
+			parent: 'shapeOf.asInteger',
+			requiredArgsCount: 2,
+			failureCode: _failureCode_range
+		}
+	},
+	{
+		name:     'shapeOf.asInteger.min',
+		callback: _shapeOf_greaterThanOrEqualTo,
+		options: {
+			parent: 'shapeOf.asInteger',
+			aliases: 'shapeOf.asInteger.greaterThanOrEqualTo',
+			requiredArgsCount: 1
+		}
+	},
+	{
+		name:     'shapeOf.asInteger.max',
+		callback: _shapeOf_lessThanOrEqualTo,
+		options: {
+			parent: 'shapeOf.asInteger',
+			aliases: 'shapeOf.asInteger.lessThanOrEqualTo',
+			requiredArgsCount: 1
+		}
+	},
+	{
+		name:     'shapeOf.asBool',
+		callback: _shapeOf_asBool,
+		options: {
+			aliases: 'shapeOf.asBoolean',
+			toTypeScript: _typeScript_type('boolean')
+		}
+	},
+	{
+		name:     'shapeOf.asDate',
+		callback: _shapeOf_asDate,
+		options: {
+			toTypeScript: _typeScript_type('Date')
+		}
+	},
+	{
+		name:     'shapeOf.asArrayOf',
+		callback: _shapeOf_asArrayOf,
+		options: {
+			toTypeScript: _typeScript_arrayOf
+		}
+	},
+	{
+		name:     'shapeOf.asArrayOf.size',
+		callback: _shapeOf_length,
+		options: {
+			parent: 'shapeOf.asArrayOf',
+			aliases: 'shapeOf.asArrayOf.ofSize',
+			requiredArgsCount: 1,
+			failureCode: _failureCode_length
+		}
+	},
+];
+
+/**
+ * Validator used by the .default() sub-validator available on every validator. Any value
+ * present passes through untouched; the default value itself is inserted by _object() when
+ * a key is absent.
+ * 
+ *   shapeOf.optional.number.default(20);
+ *   shapeOf.optional.array.default(() => []);
+ *   shapeOf.optional.string.default('none', {whenNull: true});
+ *
+ * @param      {Array}   args    The arguments, being the default value, optional options, and the object in question
+ * @return     {Object}  Returns the object
+ */
+let _shapeOf_default = (...args) => {
+	if (args.length < 2 || args.length > 3) {
+		throw new SchemaDefinitionError('Default validator requires between one and two arguments');
+	}
+	return args[args.length - 1];
+};
+_universalSubValidators.default = shapeOf.Validator('shapeOf.default', _shapeOf_default, {
+	requiredArgsCount: 1,
+	toJSONSchema: _jsonSchema_default
+});
+
+/**
+ * Validator used by the .message() sub-validator available on every validator. Any value
+ * passes through untouched; the message replaces the message logged when the validator
+ * fails (see _findMessage() and _formatMessage()).
+ * 
+ *   shapeOf.string.ofSize(3, 50).message('Name must be {0}-{1} characters');
+ *   shapeOf.number.message(vars => `${vars.value} isn't a number`);
+ *
+ * @param      {Array}   args    The arguments, being the message and the object in question
+ * @return     {Object}  Returns the object
+ */
+let _shapeOf_message = (...args) => {
+	if (args.length !== 2 || (typeof args[0] !== 'string' && typeof args[0] !== 'function')) {
+		throw new SchemaDefinitionError('Message validator requires a message string or function');
+	}
+	return args[1];
+};
+_universalSubValidators.message = shapeOf.Validator('shapeOf.message', _shapeOf_message, {
+	requiredArgsCount: 1,
+	toJSONSchema: () => ({})
+});
+
+// Generate validators, including optionals.
+shapeOf.optional = {};
+let chainableValidators = {};
+_compileCheck_callbacks.add(_shapeOf_default);
+_compileCheck_callbacks.add(_shapeOf_message);
+_coreValidators.forEach(validator => {
+	// Core validators that don't evaluate nested schemas can be checked directly within compiled
+	// validations (see _compileCheck()), other than object-level rules, which log their failures
+	// using the validation context.
+	if (!(validator.callback instanceof _GeneratorFunction) && !(validator.options && validator.options.chainable))
+		_compileCheck_callbacks.add(validator.callback);
+
+	// Create core validator.
+	let newValidator = shapeOf.Validator(
+		validator.name,
+		validator.callback,
+		validator.options
+	);
+	let options = validator.options || {};
+	let names = validator.name.split('.');
+	let parentNames = (options.parent || '').split('.');
+
+	// Create optional version of core validator.
+	let optOptions = {...validator.options, optional: true};
+	let optName = names[0] + '.optional.' + (names.filter((s,i) => i > 0)).join('.');
+	if (optOptions.parent) {
+		let optParentName = parentNames[0] + '.optional.' + (parentNames.filter((s,i) => i > 0)).join('.');
+		optOptions.parent = optParentName;
+	}
+	if (optOptions.aliases) {
+		optOptions.aliases = [].concat(optOptions.aliases).map(alias => {
+			let s = alias.split('.');
+			return s[0] + '.optional.' + (s.filter((s,i) => i > 0)).join('.');
+		});
+	}
+	let optValidator = shapeOf.Validator(
+		optName,
+		validator.callback,
+		optOptions
+	);
+
+	// Are sub-validators chainable after one another? Group by parent.
+	if (options.chainable) {
+		chainableValidators[options.parent] = chainableValidators[options.parent] || [];
+		chainableValidators[options.parent].push(newValidator, optValidator);
+	}
+
+	// Is this a top-level validator? Attach to shapeOf object.
+	if (names[0] === 'shapeOf' && names.length === 2) {
+		shapeOf[names[1]] = newValidator;
+		shapeOf.optional[names[1]] = optValidator;
+	}
+
+	// Are there top-level aliases to this validator? Attach to shapeOf object.
+	let aliases = options.aliases || '';
+	if (typeof aliases === 'string')
+		aliases = [aliases];
+	aliases.forEach(alias => {
+		let s = alias.split('.');
+		if (s[0] === 'shapeOf' && s.length === 2) {
+			shapeOf[s[1]] = newValidator;
+			shapeOf.optional[s[1]] = optValidator;
+		}
+	});
+});
+
+// Attach chainable sub-validators to each other, i.e. shapeOf.shape(schema).refine(...).requiredWhen(...)
+Object.keys(chainableValidators).forEach(parent => {
+	let group = chainableValidators[parent];
+	group.forEach(validator => {
+		group.filter(sibling => sibling._optional === validator._optional)
+			.forEach(sibling => _attachSubValidator(validator, sibling));
+	});
+});
+
+// Inherit custom validators, registered schemas, message catalogs, the locale, and maxDepth from the
+// instance this was created from
+if (parentInstance && instanceOptions.inherit) {
+	let parentValidators = parentInstance.Validator._validators;
+	let validators = shapeOf.Validator._validators;
+	Object.keys(parentValidators).forEach(name => {
+		if (Object.prototype.hasOwnProperty.call(validators, name))
+			return;
+		let validator = parentValidators[name];
+		validators[name] = validator;
+		if (validator._options.parent && validator._name === name)
+			_attachSubValidator(validator._options.parent, validator);
+	});
+	Object.keys(parentInstance._schemas).forEach(name => {
+		shapeOf._schemas[name] = parentInstance._schemas[name];
+	});
+	Object.keys(parentInstance._catalogs).forEach(locale => {
+		shapeOf._catalogs[locale] = {...parentInstance._catalogs[locale]};
+	});
+	shapeOf._locale = parentInstance._locale;
+	shapeOf.maxDepth = parentInstance.maxDepth;
+}
+
+return shapeOf;
+})();
+
+
+
+// NOTE: The following variables are automatically updated when running 'npm run-script update-versions'
+shapeOf._versionCompatibilityHistory = { // version: compatibleSchemaVersion
+	'0.0.7': '0.0.7',
+	'0.0.6': '0.0.6',
+	'0.0.8': '0.0.8',
+	'0.0.9': '0.0.8',
+	'0.0.5': '0.0.5',
+}; // end of shapeOf._versionCompatibilityHistory
+shapeOf.version = "0.0.9"; // core version
+shapeOf.compatibleSchemaVersion = "0.0.8"; // compatible schema version
+
+
+
+export default shapeOf;
+const _export_Validator = shapeOf.Validator;
+const _export_serialize = shapeOf.serialize;
+const _export_deserialize = shapeOf.deserialize;
+const _export_ShapeOfError = shapeOf.ShapeOfError;
+const _export_ValidationError = shapeOf.ValidationError;
+const _export_SchemaDefinitionError = shapeOf.SchemaDefinitionError;
+const _export_DeserializationError = shapeOf.DeserializationError;
+export { _export_Validator as Validator, _export_serialize as serialize, _export_deserialize as deserialize, _export_ShapeOfError as ShapeOfError, _export_ValidationError as ValidationError, _export_SchemaDefinitionError as SchemaDefinitionError, _export_DeserializationError as DeserializationError };
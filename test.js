@@ -7,6 +7,11 @@
  *   verbose, v        Produces additional output during testing.
  *   squelch, s        Squelches the console.log() function.
  *   trace, t          Produces a stack trace on failing tests.
+ *   entry=<name>      Tests one of the following module entries, generated by 'npm run-script build':
+ *                       source    index.js (default)
+ *                       min       index.min.js
+ *                       esm       index.mjs
+ *                       browser   index.browser.min.js, loaded as a browser script
  */
 
 let path = require('path');
@@ -15,8 +20,27 @@ let args = process.argv.map(a => a.toLowerCase());
 let verbose = args.indexOf('verbose') >= 0 || args.indexOf('v') >= 0;
 let squelch = args.indexOf('squelch') >= 0 || args.indexOf('s') >= 0;
 let trace = args.indexOf('trace') >= 0 || args.indexOf('t') >= 0;
+let testedEntry = (args.filter(a => a.startsWith('entry=')).pop() || 'entry=source').substr(6);
 let originalConsoleLog = console.log;
 
+// ES modules can only be loaded asynchronously, using import(), while the tests run synchronously.
+// The ES module is loaded first, and then the tests are run by loading this file again.
+if (testedEntry === 'esm' && !global._testedEsm) {
+    import('./index.mjs').then(esm => {
+        ['Validator', 'serialize', 'deserialize', 'ShapeOfError', 'ValidationError', 'SchemaDefinitionError', 'DeserializationError'].forEach(name => {
+            if (esm[name] !== esm.default[name])
+                throw `Named export '${name}' of index.mjs doesn't match shapeOf.${name}`;
+        });
+        global._testedEsm = esm.default;
+        delete require.cache[__filename];
+        require(__filename);
+    }).catch(error => {
+        console.log(error);
+        process.exit(1);
+    });
+    return;
+}
+
 
 // Override console's logging functions
 let _console_log = (...args) => {
@@ -56,7 +80,22 @@ let tracer = (...args) => {
 if (verbose)
     _console_log('Starting shapeOf unit tests...');
 
-const shapeOf = require('./index.js');
+// Load the module entry being tested
+let loadEntry = () => {
+    if (testedEntry === 'source')
+        return require('./index.js');
+    if (testedEntry === 'min')
+        return require('./index.min.js');
+    if (testedEntry === 'esm')
+        return global._testedEsm;
+    if (testedEntry === 'browser') {
+        // Run as a script, where neither 'module' nor 'require' are available
+        require('vm').runInThisContext(require('fs').readFileSync(path.join(__dirname, 'index.browser.min.js')).toString());
+        return global.shapeOf;
+    }
+    throw `Unknown entry '${testedEntry}'`;
+};
+const shapeOf = loadEntry();
 
 // Create a simple unit testing object.
 let failed = 0;
@@ -146,6 +185,13 @@ let resultsSchema;
 let resultsObj;
 let results;
 let mutatorResultsSchema;
+let asyncTests = [];
+let delay = (ms, val) => new Promise(resolve => setTimeout(() => resolve(val), ms));
+let asyncUnique;
+let frozenObj;
+let entry;
+let schema;
+let schema2;
 
 
 
@@ -909,12 +955,1489 @@ expect(
 ).isTruthy();
 
 
+// Test collecting all errors using .collectsAllErrors
+resultsSchema = {
+    'foo': shapeOf.string,
+    'bar': shapeOf.string,
+    'baz': shapeOf.number,
+};
+resultsObj = {
+    'foo': 42,
+    'bar': 43,
+    'bom': 'extra',
+};
+results = shapeOf(resultsObj).returnsResults.shouldBeExactly(resultsSchema);
+expect(
+    results.log.filter(entry => entry.message.startsWith('Failed: Object')).length
+).is(2);
+results = shapeOf(resultsObj).collectsAllErrors.returnsResults.shouldBeExactly(resultsSchema);
+expect(
+    results.success
+).isFalsy();
+expect(
+    results.log.filter(entry => entry.message.startsWith('Failed: Object at key')).length
+).is(2);
+expect(
+    results.log.filter(entry => entry.message.startsWith('Failed: Object with missing key')).length
+).is(1);
+expect(
+    results.log.filter(entry => entry.message.startsWith('Failed: Object with extraneous key')).length
+).is(1);
+results = shapeOf([1, 'a', 2, 'b']).returnsResults.collectsAllErrors.shouldBe(shapeOf.arrayOf(shapeOf.number));
+expect(
+    results.log.filter(entry => entry.message.startsWith("Failed: Validator 'shapeOf.arrayOf' -> index")).length
+).is(2);
+results = shapeOf({'foo': 1, 'bar': 2}).collectsAllErrors.returnsResults.shouldBe(shapeOf.objectOf(shapeOf.string));
+expect(
+    results.log.filter(entry => entry.message.startsWith("Failed: Validator 'shapeOf.objectOf' -> key")).length
+).is(2);
+results = shapeOf(5).returnsResults.collectsAllErrors.shouldBe(shapeOf.eachOf(shapeOf.string, shapeOf.number.min(10)));
+expect(
+    results.log.filter(entry => entry.message.startsWith("Failed: Validator 'shapeOf.eachOf' ->")).length
+).is(2);
+results = shapeOf([1, 2, 3]).returnsResults.collectsAllErrors.shouldBe([shapeOf.string, 2]);
+expect(
+    results.log.filter(entry => entry.message.startsWith('Failed: Array element')).length
+).is(1);
+expect(
+    results.log[0].message.startsWith('Failed: Array with length')
+).isTruthy();
+expect(
+    shapeOf({'foo': 'bar'}).collectsAllErrors.shouldBe({'foo': shapeOf.string})
+).isTruthy();
+
+// Test structured log entries using .returnsResults
+results = shapeOf({
+    'address': {'zip': 12345},
+    'items': ['a', 'b', 3],
+    'extra': true,
+}).collectsAllErrors.returnsResults.shouldBeExactly({
+    'address': {'zip': shapeOf.string.ofSize(5), 'city': shapeOf.string},
+    'items': shapeOf.arrayOf(shapeOf.string),
+});
+expect(
+    results.log.filter(entry => entry.code === 'validator_failed' && entry.path === '/address/zip').length
+).is(1);
+expect(
+    results.log.filter(entry => entry.code === 'validator_failed' && entry.path === '/address/zip')[0].validator
+).is('shapeOf.string');
+expect(
+    results.log.filter(entry => entry.code === 'missing_key' && entry.path === '/address/city').length
+).is(1);
+expect(
+    results.log.filter(entry => entry.code === 'invalid_element' && entry.path === '/items/2').length
+).is(1);
+expect(
+    results.log.filter(entry => entry.code === 'extraneous_key' && entry.path === '/extra').length
+).is(1);
+results = shapeOf('too long').returnsResults.shouldBe(shapeOf.string.ofSize(1, 3));
+expect(
+    results.log[0].validator
+).is('shapeOf.string.size');
+expect(
+    results.log[0].args.join(',')
+).is('1,3');
+expect(
+    results.log[0].path
+).is('');
+results = shapeOf({'a/b': {'c~d': 'foo'}}).returnsResults.shouldBe({'a/b': {'c~d': uppercaseMutator}});
+expect(
+    results.log[0].code
+).is('mutation');
+expect(
+    results.log[0].path
+).is('/a~1b/c~0d');
+results = shapeOf({'pair': [1, 2, 3]}).returnsResults.shouldBe({'pair': [shapeOf.number, shapeOf.string]});
+expect(
+    results.log.map(entry => entry.code + ' ' + entry.path).join()
+).is('length_mismatch /pair,invalid_array /pair,invalid_key /pair,invalid_object ');
+results = shapeOf({'pair': [1, 2, 3]}).collectsAllErrors.returnsResults.shouldBe({'pair': [shapeOf.number, shapeOf.string]});
+expect(
+    results.log.filter(entry => entry.code === 'length_mismatch' || entry.code === 'invalid_element').map(entry => entry.code + ' ' + entry.path).join()
+).is('length_mismatch /pair,invalid_element /pair/1');
+
+// Test asynchronous validation using .isAsync()/.isExactlyAsync()
+asyncUnique = shapeOf.Validator('test.asyncUnique', async (obj) => {
+    await delay(1);
+    if (typeof obj === 'string' && obj !== 'taken')
+        return obj;
+});
+expect(
+    shapeOf.isValidator(asyncUnique)
+).isTruthy();
+caught = false;
+try {
+    shapeOf('free').shouldBe(asyncUnique);
+} catch {
+    caught = true;
+}
+expect(caught).isTruthy();
+asyncTests.push((async () => {
+    expect(
+        await shapeOf({'username': 'free'}).isAsync({'username': asyncUnique})
+    ).isTruthy();
+    expect(
+        await shapeOf({'username': 'taken'}).shouldBeAsync({'username': asyncUnique})
+    ).isFalsy();
+    expect(
+        await shapeOf({'username': 'free', 'extra': 1}).isExactlyAsync({'username': asyncUnique})
+    ).isFalsy();
+    expect(
+        await shapeOf({'username': 'taken'}).isNotAsync({'username': asyncUnique})
+    ).isTruthy();
+    expect(
+        await shapeOf(['a', 'b', 'c']).isAsync(shapeOf.arrayOf(asyncUnique).ofSize(3))
+    ).isTruthy();
+    expect(
+        await shapeOf({'foo': 'a', 'bar': 'taken'}).isAsync(shapeOf.objectOf(asyncUnique))
+    ).isFalsy();
+    expect(
+        await shapeOf(42).isAsync(shapeOf.oneOfType(asyncUnique, shapeOf.number))
+    ).isTruthy();
+    expect(
+        await shapeOf('taken').isAsync(shapeOf.eachOf(shapeOf.string, asyncUnique))
+    ).isFalsy();
+    expect(
+        await shapeOf(41).returnsObject.isAsync(async (obj) => obj + 1)
+    ).is(42);
+
+    results = await shapeOf({'first': 'taken', 'second': ['a', 'taken']}).collectsAllErrors.returnsResults.isAsync({
+        'first': asyncUnique,
+        'second': shapeOf.arrayOf(asyncUnique)
+    });
+    expect(
+        results.success
+    ).isFalsy();
+    expect(
+        results.log.filter(entry => entry.code === 'validator_failed' && entry.path === '/first').length
+    ).is(1);
+    expect(
+        results.log.filter(entry => entry.code === 'invalid_element' && entry.path === '/second/1').length
+    ).is(1);
+
+    caught = false;
+    try {
+        await shapeOf('taken').throwsOnInvalid.isAsync(asyncUnique);
+    } catch {
+        caught = true;
+    }
+    expect(caught).isTruthy();
+
+    callbackVal = undefined;
+    await shapeOf('free').onValid(valid).onInvalid(invalid).isAsync(asyncUnique);
+    expect(callbackVal).is(true);
+
+    let running = 0;
+    let maxRunning = 0;
+    let tracked = async (obj) => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        await delay(1);
+        running--;
+        return obj;
+    };
+    expect(
+        await shapeOf([1, 2, 3, 4, 5, 6]).withConcurrency(2).isAsync(shapeOf.arrayOf(tracked))
+    ).isTruthy();
+    expect(maxRunning).is(2);
+    maxRunning = 0;
+    expect(
+        await shapeOf([1, 2, 3, 4, 5, 6]).isAsync(shapeOf.arrayOf(tracked))
+    ).isTruthy();
+    expect(maxRunning).is(6);
+})());
+
+// Test non-mutating validation using .immutable
+frozenObj = Object.freeze({
+    'first': 'foo',
+    'second': Object.freeze({'third': 'bar', 'fourth': 42}),
+    'fifth': Object.freeze(['baz', 'bim']),
+    'sixth': {'seventh': true},
+});
+result = shapeOf(frozenObj).immutable.returnsObject.shouldBe({
+    'first': uppercaseMutator,
+    'second': {'third': uppercaseMutator, 'fourth': shapeOf.number},
+    'fifth': shapeOf.arrayOf(uppercaseMutator),
+    'sixth': shapeOf.object,
+});
+expect(frozenObj.first).is('foo');
+expect(frozenObj.second.third).is('bar');
+expect(frozenObj.fifth[0]).is('baz');
+expect(result.first).is('FOO');
+expect(result.second.third).is('BAR');
+expect(result.fifth[1]).is('BIM');
+expect(result.sixth === frozenObj.sixth).isTruthy();
+expect(result !== frozenObj).isTruthy();
+obj = {'foo': 'bar'};
+results = shapeOf(obj).immutable.returnsResults.shouldBe({'foo': uppercaseMutator});
+expect(results.obj.foo).is('BAR');
+expect(obj.foo).is('bar');
+expect(
+    shapeOf(obj).immutable.shouldBe({'foo': uppercaseMutator})
+).isTruthy();
+expect(obj.foo).is('bar');
+// Failed validations leave the object in question untouched
+obj = {'foo': 42, 'bar': 'baz', 'bom': ['a', 'b']};
+expect(
+    shapeOf(obj).shouldBe({'foo': shapeOf.string, 'bar': uppercaseMutator, 'bom': shapeOf.arrayOf(uppercaseMutator)})
+).isFalsy();
+expect(obj.bar).is('baz');
+expect(obj.bom[0]).is('a');
+obj = ['a', 'b', 42];
+expect(
+    shapeOf(obj).shouldBe(shapeOf.arrayOf(uppercaseMutator))
+).isFalsy();
+expect(obj[0] + obj[1]).is('ab');
+// Mutators can be combined using .eachOf() and .oneOfType()
+expect(
+    shapeOf('foo').returnsObject.shouldBe(shapeOf.eachOf(uppercaseMutator, (obj) => obj + '!'))
+).is('FOO!');
+obj = {'foo': 'bar'};
+expect(
+    shapeOf(obj).shouldBe(shapeOf.oneOfType({'foo': uppercaseMutator}))
+).isTruthy();
+expect(obj.foo).is('BAR');
+obj = {'foo': 'bar'};
+expect(
+    shapeOf(obj).shouldBe(shapeOf.oneOfType({'foo': uppercaseMutator}, {'foo': (obj) => obj + '!'}))
+).isTruthy();
+expect(obj.foo).is('BAR');
+expect(
+    shapeOf(['bar']).returnsObject.shouldBe(shapeOf.arrayOf(uppercaseMutator, (obj) => obj + '!'))[0]
+).is('BAR');
+
+// Test default values using .default()
+obj = {'name': 'foo', 'nickname': null};
+result = shapeOf(obj).returnsObject.shouldBe({
+    'name': shapeOf.string,
+    'limit': shapeOf.optional.integer.range(1, 100).default(20),
+    'tags': shapeOf.optional.array.default(() => []),
+    'title': shapeOf.string.default('none'),
+    'nickname': shapeOf.optional.string.default('anonymous', {whenNull: true}),
+});
+expect(result === obj).isTruthy();
+expect(obj.limit).is(20);
+expect(Array.isArray(obj.tags) && obj.tags.length === 0).isTruthy();
+expect(obj.title).is('none');
+expect(obj.nickname).is('anonymous');
+expect(
+    shapeOf({'limit': 5}).returnsObject.shouldBe({'limit': shapeOf.optional.integer.default(20)}).limit
+).is(5);
+expect(
+    shapeOf({'limit': null}).shouldBe({'limit': shapeOf.optional.integer.default(20)})
+).isFalsy();
+expect(
+    shapeOf.optional.string.email.default('foo@bar.com')._optional
+).isTruthy();
+expect(
+    shapeOf.string.size(3).default('foo')._optional
+).isFalsy();
+results = shapeOf({}).returnsResults.shouldBe({'limit': shapeOf.optional.number.default(20)});
+expect(results.log.length).is(1);
+expect(results.log[0].code).is('mutation');
+expect(results.log[0].path).is('/limit');
+expect(results.log[0].validator).is('shapeOf.default');
+frozenObj = Object.freeze({});
+result = shapeOf(frozenObj).immutable.returnsObject.shouldBe({'limit': shapeOf.optional.number.default(20)});
+expect(result.limit).is(20);
+expect(typeof frozenObj.limit).is('undefined');
+obj = {};
+expect(
+    shapeOf(obj).shouldBe({'limit': shapeOf.optional.number.default(20), 'name': shapeOf.string})
+).isFalsy();
+expect(typeof obj.limit).is('undefined');
+deserializedSchema = shapeOf.deserialize(shapeOf.serialize({
+    'limit': shapeOf.optional.integer.range(1, 100).default(20),
+    'nickname': shapeOf.optional.string.default('anonymous', {whenNull: true}),
+}));
+expect(deserializedSchema.limit._optional).isTruthy();
+result = shapeOf({}).returnsObject.shouldBe(deserializedSchema);
+expect(result.limit).is(20);
+expect(result.nickname).is('anonymous');
+deserializedSchema = shapeOf.deserialize(shapeOf.serialize({
+    'tags': shapeOf.optional.array.default(() => []),
+    'sort': shapeOf.optional.object.default(() => ({'by': ['name'], 'desc': false}), {whenNull: true})
+}));
+obj = shapeOf({'sort': null}).returnsObject.shouldBe(deserializedSchema);
+obj2 = shapeOf({}).returnsObject.shouldBe(deserializedSchema);
+expect(JSON.stringify(obj)).is('{"sort":{"by":["name"],"desc":false},"tags":[]}');
+expect(obj.tags !== obj2.tags && obj.sort.by !== obj2.sort.by).isTruthy();
+caught = null;
+try {
+    shapeOf.serialize({'since': shapeOf.optional.object.default(() => new Date())});
+} catch (e) {
+    caught = e;
+}
+expect(caught instanceof shapeOf.SchemaDefinitionError).isTruthy();
+expect(caught.message).is("Can't serialize the default value function of 'shapeOf.optional.object', which returns a value other than JSON data");
+expect(
+    shapeOf({}).shouldBe({'limit': shapeOf.optional.number.default('x')})
+).isFalsy();
+results = shapeOf({}).returnsResults.shouldBe({'limit': shapeOf.optional.number.default(() => 'x')});
+expect(results.log.filter(entry => entry.code === 'invalid_key')[0].path).is('/limit');
+expect(
+    shapeOf({}).returnsObject.shouldBe({'limit': shapeOf.optional.asInteger.default('20')}).limit
+).is(20);
+
+// Test type coercion using shapeOf.as* validators
+obj = {'page': '3', 'limit': '50', 'debug': 'on', 'since': '2021-05-04', 'ids': '1, 2,3', 'tag': 'foo'};
+result = shapeOf(obj).returnsObject.shouldBe({
+    'page': shapeOf.asInteger.min(1),
+    'limit': shapeOf.asInteger.range(1, 100),
+    'debug': shapeOf.asBool,
+    'since': shapeOf.asDate,
+    'ids': shapeOf.asArrayOf(shapeOf.asInteger),
+    'tag': shapeOf.asArrayOf(shapeOf.string).ofSize(1, 3),
+    'verbose': shapeOf.optional.asBoolean.default(false),
+});
+expect(result === obj).isTruthy();
+expect(obj.page).is(3);
+expect(obj.limit).is(50);
+expect(obj.debug).is(true);
+expect(obj.since instanceof Date && obj.since.getTime() === Date.UTC(2021, 4, 4)).isTruthy();
+expect(obj.ids.join('|')).is('1|2|3');
+expect(obj.tag.length === 1 && obj.tag[0] === 'foo').isTruthy();
+expect(obj.verbose).is(false);
+expect(shapeOf('-1.5e2').returnsObject.shouldBe(shapeOf.asNumber)).is(-150);
+expect(shapeOf(42).returnsObject.shouldBe(shapeOf.asNumber.max(42))).is(42);
+expect(shapeOf('').is(shapeOf.asNumber)).isFalsy();
+expect(shapeOf('abc').is(shapeOf.asNumber)).isFalsy();
+expect(shapeOf('0x1f').is(shapeOf.asNumber)).isFalsy();
+expect(shapeOf('0b11').is(shapeOf.asInteger)).isFalsy();
+expect(shapeOf('Infinity').is(shapeOf.asNumber)).isFalsy();
+expect(shapeOf(' .5 ').returnsObject.shouldBe(shapeOf.asNumber)).is(0.5);
+expect(shapeOf('+7.').returnsObject.shouldBe(shapeOf.asInteger)).is(7);
+expect(shapeOf('5.5').is(shapeOf.asInteger)).isFalsy();
+expect(shapeOf('101').is(shapeOf.asInteger.range(1, 100))).isFalsy();
+expect(shapeOf('0').returnsObject.shouldBe(shapeOf.asBool)).is(false);
+expect(shapeOf('TRUE').returnsObject.shouldBe(shapeOf.asBool)).is(true);
+expect(shapeOf('maybe').is(shapeOf.asBool)).isFalsy();
+expect(shapeOf('not a date').is(shapeOf.asDate)).isFalsy();
+expect(shapeOf(0).returnsObject.shouldBe(shapeOf.asDate).getTime()).is(0);
+expect(shapeOf('1,x').is(shapeOf.asArrayOf(shapeOf.asInteger))).isFalsy();
+expect(shapeOf('').is(shapeOf.asArrayOf(shapeOf.string))).isFalsy();
+expect(shapeOf({'tags': ' '}).is({'tags': shapeOf.optional.asArrayOf(shapeOf.string)})).isFalsy();
+expect(shapeOf(['a', 'b', 'c', 'd']).is(shapeOf.asArrayOf(shapeOf.string).size(1, 3))).isFalsy();
+obj = {'page': 'abc', 'limit': '10'};
+expect(shapeOf(obj).is({'page': shapeOf.asInteger, 'limit': shapeOf.asInteger})).isFalsy();
+expect(obj.limit).is('10');
+deserializedSchema = shapeOf.deserialize(shapeOf.serialize({'limit': shapeOf.asInteger.range(1, 100)}));
+expect(shapeOf({'limit': '20'}).returnsObject.shouldBe(deserializedSchema).limit).is(20);
+
+// Test recursive schemas using shapeOf.lazy() and shapeOf.ref()
+schema = {'text': shapeOf.string};
+schema.replies = shapeOf.optional.arrayOf(shapeOf.lazy(() => schema));
+obj = {'text': 'foo', 'replies': [{'text': 'bar', 'replies': [{'text': 'baz'}]}, {'text': 'bim'}]};
+expect(shapeOf(obj).is(schema)).isTruthy();
+expect(shapeOf({'text': 'foo', 'replies': [{'text': 'bar', 'replies': [{'text': 42}]}]}).is(schema)).isFalsy();
+deserializedSchema = shapeOf.deserialize(shapeOf.serialize(schema));
+expect(deserializedSchema.replies._callChain[0].args[0]._callChain[0].args[0]() === deserializedSchema).isTruthy();
+expect(shapeOf(obj).is(deserializedSchema)).isTruthy();
+expect(shapeOf({'text': 'foo', 'replies': [{'text': 42}]}).is(deserializedSchema)).isFalsy();
+schema = {'text': shapeOf.string};
+schema.replies = shapeOf.optional.arrayOf(schema);
+deserializedSchema = shapeOf.deserialize(shapeOf.serialize(schema));
+expect(deserializedSchema.replies._callChain[0].args[0] === deserializedSchema).isTruthy();
+expect(shapeOf(obj).is(deserializedSchema)).isTruthy();
+schema = shapeOf.oneOfType(shapeOf.number, shapeOf.arrayOf(shapeOf.lazy(() => schema)));
+deserializedSchema = shapeOf.deserialize(shapeOf.serialize(schema));
+expect(shapeOf([1, [2, [3]]]).is(deserializedSchema)).isTruthy();
+expect(shapeOf([1, ['foo']]).is(deserializedSchema)).isFalsy();
+expect(shapeOf.define('TestCategory', {
+    'name': shapeOf.string,
+    'children': shapeOf.optional.arrayOf(shapeOf.ref('TestCategory'))
+}).name === shapeOf.string).isTruthy();
+obj = {'name': 'foo', 'children': [{'name': 'bar', 'children': [{'name': 'baz'}]}]};
+expect(shapeOf(obj).is(shapeOf.ref('TestCategory'))).isTruthy();
+expect(shapeOf({'name': 'foo', 'children': [{'name': 42}]}).is(shapeOf.ref('TestCategory'))).isFalsy();
+expect(shapeOf(obj).withMaxDepth(2).is(shapeOf.ref('TestCategory'))).isFalsy();
+expect(shapeOf(obj).withMaxDepth(3).is(shapeOf.ref('TestCategory'))).isTruthy();
+serializedSchema = shapeOf.serialize({'category': shapeOf.ref('TestCategory')}, {returnsObject: true});
+expect(typeof serializedSchema.definitions.TestCategory).is('object');
+delete shapeOf._schemas.TestCategory;
+deserializedSchema = shapeOf.deserialize(serializedSchema);
+expect(shapeOf({'category': obj}).is(deserializedSchema)).isTruthy();
+expect(typeof shapeOf._schemas.TestCategory).is('object');
+schema = shapeOf._schemas.TestCategory;
+deserializedSchema = shapeOf.deserialize(serializedSchema);
+expect(shapeOf._schemas.TestCategory === schema).isTruthy();
+shapeOf.define('TestCategory', {'name': shapeOf.number});
+caught = null;
+try {
+    shapeOf.deserialize(serializedSchema);
+} catch (e) {
+    caught = e;
+}
+expect(caught instanceof shapeOf.DeserializationError).isTruthy();
+expect(caught.message).is("A different schema is already registered as 'TestCategory'");
+expect(shapeOf._schemas.TestCategory.name === shapeOf.number).isTruthy();
+delete shapeOf._schemas.TestCategory;
+caught = false;
+try {
+    shapeOf(obj).is(shapeOf.ref('TestUndefined'));
+} catch {
+    caught = true;
+}
+expect(caught).isTruthy();
+schema = shapeOf.lazy(() => schema);
+results = shapeOf(42).returnsResults.is(schema);
+expect(results.success).isFalsy();
+expect(results.log[0].code).is('max_depth');
+
+// Test discriminated unions using shapeOf.union()
+schema = shapeOf.union('type', {
+    'click': {'type': 'click', 'x': shapeOf.number, 'y': shapeOf.number},
+    'scroll': {'type': 'scroll', 'offset': shapeOf.number},
+});
+expect(shapeOf({'type': 'click', 'x': 1, 'y': 2}).is(schema)).isTruthy();
+expect(shapeOf({'type': 'scroll', 'offset': 42}).is(schema)).isTruthy();
+expect(shapeOf({'type': 'scroll', 'x': 1, 'y': 2}).is(schema)).isFalsy();
+expect(shapeOf({'type': 'scroll', 'offset': 42, 'x': 1}).isExactly(schema)).isFalsy();
+expect(shapeOf('scroll').is(schema)).isFalsy();
+results = shapeOf({'event': {'type': 'drag'}}).returnsResults.is({'event': schema});
+expect(results.log[0].code).is('unknown_discriminator');
+expect(results.log[0].path).is('/event/type');
+expect(results.log[0].obj).is('drag');
+expect(results.log.filter(entry => entry.code === 'invalid_branch').length).is(0);
+results = shapeOf({'event': {'type': 'scroll', 'offset': 'foo'}}).returnsResults.is({'event': schema});
+expect(results.log[0].path).is('/event/offset');
+entry = results.log.filter(e => e.code === 'invalid_branch')[0];
+expect(entry.path).is('/event');
+expect(entry.message).is("Failed: Validator 'shapeOf.union' -> branch 'scroll'");
+expect(results.log.filter(entry => entry.code === 'unknown_discriminator').length).is(0);
+expect(shapeOf({'type': 'constructor'}).is(schema)).isFalsy();
+results = shapeOf({'event': {'x': 1, 'y': 2}}).returnsResults.is({'event': schema});
+expect(results.log[0].code).is('missing_key');
+expect(results.log[0].path).is('/event/type');
+expect(results.log[0].validator).is('shapeOf.union');
+expect(results.log.filter(entry => entry.code === 'unknown_discriminator').length).is(0);
+deserializedSchema = shapeOf.deserialize(shapeOf.serialize(schema));
+expect(shapeOf({'type': 'scroll', 'offset': 42}).is(deserializedSchema)).isTruthy();
+expect(shapeOf({'type': 'click', 'offset': 42}).is(deserializedSchema)).isFalsy();
+
+// Test object-level rules using shapeOf.shape()
+schema = shapeOf.shape({
+    'startDate': shapeOf.asDate,
+    'endDate': shapeOf.asDate,
+    'delivery': shapeOf.oneOf('ship', 'pickup'),
+    'shippingAddress': shapeOf.optional.string,
+    'email': shapeOf.optional.string.email,
+    'phone': shapeOf.optional.string,
+    'creditCard': shapeOf.optional.string,
+    'cvv': shapeOf.optional.string,
+})
+    .refine(o => o.endDate > o.startDate, 'End date must be after start date', {keys: ['endDate']})
+    .requiredWhen('shippingAddress', {'delivery': 'ship'})
+    .mutuallyExclusive('email', 'phone')
+    .dependencies({'creditCard': 'cvv'});
+obj = {'startDate': '2021-01-01', 'endDate': '2021-02-01', 'delivery': 'pickup', 'email': 'foo@bar.com'};
+expect(shapeOf(obj).is(schema)).isTruthy();
+expect(obj.endDate instanceof Date).isTruthy();
+results = shapeOf({'order': {'startDate': '2021-03-01', 'endDate': '2021-02-01', 'delivery': 'pickup'}}).returnsResults.is({'order': schema});
+entry = results.log.filter(e => e.code === 'refinement_failed')[0];
+expect(entry.message).is('End date must be after start date');
+expect(entry.path).is('/order/endDate');
+results = shapeOf({'startDate': '2021-01-01', 'endDate': '2021-02-01', 'delivery': 'ship'}).returnsResults.is(schema);
+entry = results.log.filter(e => e.code === 'missing_key')[0];
+expect(entry.path).is('/shippingAddress');
+expect(entry.validator).is('shapeOf.shape.requiredWhen');
+results = shapeOf({'startDate': '2021-01-01', 'endDate': '2021-02-01', 'delivery': 'pickup', 'email': 'foo@bar.com', 'phone': '555-5555'}).returnsResults.is(schema);
+entry = results.log.filter(e => e.code === 'mutually_exclusive')[0];
+expect(entry.path).is('/phone');
+results = shapeOf({'startDate': '2021-01-01', 'endDate': '2021-02-01', 'delivery': 'pickup', 'creditCard': '4111'}).returnsResults.is(schema);
+entry = results.log.filter(e => e.code === 'missing_key')[0];
+expect(entry.path).is('/cvv');
+expect(entry.validator).is('shapeOf.shape.dependencies');
+results = shapeOf({'startDate': '2021-03-01', 'endDate': '2021-02-01', 'delivery': 'ship', 'email': 'foo@bar.com', 'phone': '555-5555', 'creditCard': '4111'}).collectsAllErrors.returnsResults.is(schema);
+expect(results.log.filter(e => e.code === 'refinement_failed' || e.code === 'missing_key' || e.code === 'mutually_exclusive').length).is(4);
+expect(results.log.filter(e => e.code === 'validator_failed').length).is(0);
+results = shapeOf({'a': 1}).returnsResults.is(shapeOf.shape({'a': shapeOf.number}).refine(o => o.a > 1, 'Too small'));
+expect(results.log.map(e => e.code).join()).is('refinement_failed');
+results = shapeOf({'a': 1}).returnsResults.is(shapeOf.shape({'a': shapeOf.number}).refine(o => o.a > 1).message('Too small'));
+expect(results.log.filter(e => e.code === 'validator_failed' && e.message === 'Too small').length).is(1);
+expect(shapeOf({'startDate': 'foo', 'endDate': '2021-02-01', 'delivery': 'pickup'}).collectsAllErrors.is(schema)).isFalsy();
+expect(shapeOf({'a': 'foo', 'b': 'bar'}).is(shapeOf.shape({'a': shapeOf.string, 'b': shapeOf.string}).mutuallyExclusive(['a', 'b']))).isFalsy();
+expect(shapeOf({'delivery': 'ship'}).is(shapeOf.shape({}).requiredWhen('address', o => o.delivery === 'ship'))).isFalsy();
+expect(shapeOf({'delivery': 'pickup'}).is(shapeOf.shape({}).requiredWhen('address', o => o.delivery === 'ship'))).isTruthy();
+expect(shapeOf({'a': 'foo'}).is(shapeOf.optional.shape({'a': shapeOf.string}).mutuallyExclusive('a', 'b'))).isTruthy();
+deserializedSchema = shapeOf.deserialize(shapeOf.serialize({
+    'order': shapeOf.shape({'delivery': shapeOf.string, 'address': shapeOf.optional.string})
+        .requiredWhen('address', {'delivery': 'ship'})
+        .dependencies({'address': ['delivery']})
+}));
+expect(shapeOf({'order': {'delivery': 'pickup'}}).is(deserializedSchema)).isTruthy();
+expect(shapeOf({'order': {'delivery': 'ship'}}).is(deserializedSchema)).isFalsy();
+expect(shapeOf({'order': {'delivery': 'ship', 'address': 'foo'}}).is(deserializedSchema)).isTruthy();
+
+// Test schema composition using shapeOf.extend()/.merge()/.pick()/.omit()/.partial()/.required()
+schema = {
+    'id': shapeOf.integer,
+    'name': {'first': shapeOf.string.size(1, 20), 'last': shapeOf.string},
+    'email': shapeOf.string.email,
+    'tags': shapeOf.arrayOf({'label': shapeOf.string}),
+    'role': 'admin',
+};
+obj = {'name': {'first': 'foo', 'last': 'bar'}, 'email': 'foo@bar.com', 'tags': [{'label': 'baz'}], 'role': 'admin'};
+expect(shapeOf(obj).isExactly(shapeOf.omit(schema, 'id'))).isTruthy();
+expect(shapeOf(obj).isExactly(schema)).isFalsy();
+expect(Object.keys(shapeOf.pick(schema, ['id', 'email'])).join()).is('id,email');
+expect(shapeOf({...obj, 'id': 1}).isExactly(shapeOf.extend(shapeOf.omit(schema, 'id'), {'id': shapeOf.integer}))).isTruthy();
+expect(shapeOf.extend(schema, {'id': shapeOf.string}).id === shapeOf.string).isTruthy();
+schema2 = shapeOf.partial(schema);
+expect(schema2.id._name).is('shapeOf.optional.integer');
+expect(schema2.name._name).is('shapeOf.optional.shape');
+expect(schema2.role._name).is('shapeOf.optional.eachOf');
+expect(schema2.email._callChain.map(link => link.name).join()).is('shapeOf.optional.string,shapeOf.optional.string.email');
+expect(schema.id._optional).isFalsy();
+expect(shapeOf({}).is(schema2)).isTruthy();
+expect(shapeOf({'role': 'user'}).is(schema2)).isFalsy();
+expect(shapeOf({'name': {}}).is(schema2)).isFalsy();
+schema2 = shapeOf.partial(schema, {deep: true});
+expect(shapeOf({'name': {}}).is(schema2)).isTruthy();
+expect(shapeOf({'name': {'first': ''}}).is(schema2)).isFalsy();
+expect(shapeOf({'tags': [{}]}).is(schema2)).isTruthy();
+expect(shapeOf({'tags': [{'label': 42}]}).is(schema2)).isFalsy();
+deserializedSchema = shapeOf.deserialize(shapeOf.serialize(schema2));
+expect(shapeOf({'name': {}, 'tags': [{}]}).is(deserializedSchema)).isTruthy();
+expect(shapeOf({'tags': [{'label': 42}]}).is(deserializedSchema)).isFalsy();
+schema2 = shapeOf.required(shapeOf.partial(schema));
+expect(schema2.id._name).is('shapeOf.integer');
+expect(shapeOf({}).is(schema2)).isFalsy();
+expect(shapeOf({...obj, 'id': 1}).is(schema2)).isTruthy();
+expect(schema2.name === schema.name).isTruthy();
+expect(schema2.role).is('admin');
+obj2 = {...obj, 'id': 1, 'name': {'first': 'foo', 'last': 'bar', 'middle': 'baz'}};
+expect(shapeOf(obj2).is(schema)).isTruthy();
+expect(shapeOf(obj2).is(shapeOf.partial(schema))).isTruthy();
+expect(shapeOf(obj2).is(schema2)).isTruthy();
+expect(shapeOf(obj2).isExactly(shapeOf.partial(schema))).isFalsy();
+expect(shapeOf(obj2).is(shapeOf.required(shapeOf.partial(schema, {deep: true}), {deep: true}))).isTruthy();
+expect(shapeOf.partial(shapeOf.string.size(3).default('foo'))._callChain.map(link => link.name).join()).is('shapeOf.optional.string,shapeOf.optional.string.size,shapeOf.default');
+expect(shapeOf.required(shapeOf.optional.string)._name).is('shapeOf.string');
+schema2 = shapeOf.merge({'name': {'first': shapeOf.string}, 'age': shapeOf.number}, {'name': {'last': shapeOf.string}, 'age': shapeOf.integer});
+expect(Object.keys(schema2.name).join()).is('first,last');
+expect(schema2.age === shapeOf.integer).isTruthy();
+schema2 = shapeOf.extend(shapeOf.shape({'email': shapeOf.optional.string, 'phone': shapeOf.optional.string}).mutuallyExclusive('email', 'phone'), {'name': shapeOf.string});
+expect(schema2._callChain.map(link => link.name).join()).is('shapeOf.shape,shapeOf.shape.mutuallyExclusive');
+expect(shapeOf({'name': 'foo', 'email': 'foo', 'phone': 'bar'}).is(schema2)).isFalsy();
+expect(shapeOf({'name': 'foo', 'email': 'foo'}).is(schema2)).isTruthy();
+expect(shapeOf({'email': 'foo'}).is(schema2)).isFalsy();
+expect(shapeOf({'email': 'foo'}).is(shapeOf.partial(schema2))).isTruthy();
+caught = false;
+try {
+    shapeOf.pick(shapeOf.string, ['foo']);
+} catch {
+    caught = true;
+}
+expect(caught).isTruthy();
+
+// Test exporting JSON Schema using shapeOf.toJSONSchema()
+schema = {'text': shapeOf.string.size(1, 280)};
+schema.replies = shapeOf.optional.arrayOf(shapeOf.lazy(() => schema));
+results = shapeOf.toJSONSchema({
+    'id': shapeOf.integer.range(1, 100),
+    'name': shapeOf.string.pattern(/^a/i),
+    'email': shapeOf.optional.string.email,
+    'tags': shapeOf.arrayOf(shapeOf.string, shapeOf.number).size(1, 5),
+    'meta': shapeOf.objectOf(shapeOf.string),
+    'role': shapeOf.oneOf('admin', 'user'),
+    'value': shapeOf.oneOfType(shapeOf.string, {'x': shapeOf.number}),
+    'limit': shapeOf.optional.integer.default(20),
+    'comment': schema,
+    'fn': addOneMutator,
+    'contact': shapeOf.shape({'email': shapeOf.optional.string, 'phone': shapeOf.optional.string})
+        .mutuallyExclusive('email', 'phone')
+        .dependencies({'phone': 'email'}),
+}, {returnsReport: true});
+resultsObj = results.schema;
+expect(resultsObj.$schema).is('https://json-schema.org/draft/2020-12/schema');
+expect(resultsObj.type).is('object');
+expect(resultsObj.required.join()).is('id,name,tags,meta,role,value,comment,fn,contact');
+expect(resultsObj.additionalProperties === undefined).isTruthy();
+expect(resultsObj.properties.id.type).is('integer');
+expect(resultsObj.properties.id.minimum).is(1);
+expect(resultsObj.properties.id.maximum).is(100);
+expect(resultsObj.properties.name.pattern).is('^a');
+expect(resultsObj.properties.email.format).is('email');
+expect(resultsObj.properties.tags.items.anyOf.length).is(2);
+expect(resultsObj.properties.tags.maxItems).is(5);
+expect(resultsObj.properties.meta.additionalProperties.type).is('string');
+expect(resultsObj.properties.role.enum.join()).is('admin,user');
+expect(resultsObj.properties.value.anyOf[1].additionalProperties).is(false);
+expect(resultsObj.properties.limit.default).is(20);
+expect(resultsObj.properties.comment.$ref).is('#/$defs/schema0');
+expect(resultsObj.$defs.schema0.properties.replies.items.$ref).is('#/$defs/schema0');
+expect(resultsObj.properties.contact.allOf[0].not.required.join()).is('email,phone');
+expect(resultsObj.properties.contact.dependentRequired.phone.join()).is('email');
+expect(results.unrepresentable.length).is(2);
+expect(results.unrepresentable[0].path).is('/properties/name');
+expect(results.unrepresentable[1].path).is('/properties/fn');
+expect(shapeOf.toJSONSchema({'foo': shapeOf.string}, {exact: true}).additionalProperties).is(false);
+shapeOf.define('TestJSONCategory', {'name': shapeOf.string, 'children': shapeOf.optional.arrayOf(shapeOf.ref('TestJSONCategory'))});
+resultsObj = shapeOf.toJSONSchema(shapeOf.ref('TestJSONCategory'));
+expect(resultsObj.$ref).is('#/$defs/TestJSONCategory');
+expect(resultsObj.$defs.TestJSONCategory.properties.children.items.$ref).is('#/$defs/TestJSONCategory');
+resultsObj = shapeOf.toJSONSchema(shapeOf.union('type', {'click': {'type': 'click'}, 'scroll': {'type': 'scroll'}}));
+expect(resultsObj.oneOf.length).is(2);
+expect(resultsObj.oneOf[1].allOf[0].properties.type.const).is('scroll');
+schema2 = shapeOf.Validator('test.uuid', (obj) => obj, {
+    toJSONSchema: (args, context) => ({type: 'string', format: 'uuid'})
+});
+expect(shapeOf.toJSONSchema(schema2).format).is('uuid');
+results = shapeOf.toJSONSchema(shapeOf.Validator('test.noJSONSchema', (obj) => obj), {returnsReport: true});
+expect(results.unrepresentable[0].validator).is('test.noJSONSchema');
+
+// Test importing JSON Schema using shapeOf.fromJSONSchema()
+schema = shapeOf.fromJSONSchema({
+    '$schema': 'https://json-schema.org/draft/2020-12/schema',
+    'title': 'Test',
+    'type': 'object',
+    'properties': {
+        'id': {'type': 'integer', 'minimum': 1, 'maximum': 100},
+        'name': {'type': 'string', 'minLength': 2, 'maxLength': 10, 'pattern': '^a'},
+        'email': {'type': 'string', 'format': 'email'},
+        'role': {'enum': ['admin', 'user']},
+        'kind': {'const': 'person'},
+        'tags': {'type': 'array', 'items': {'type': ['string', 'number']}, 'maxItems': 3},
+        'pair': {'type': 'array', 'prefixItems': [{'type': 'number'}, {'type': 'string'}], 'items': false},
+        'meta': {'type': 'object', 'additionalProperties': {'type': 'string'}},
+        'value': {'anyOf': [{'type': 'null'}, {'type': 'boolean'}]},
+        'range': {'allOf': [{'type': 'number'}, {'minimum': 0}]},
+        'comment': {'$ref': '#/$defs/comment'}
+    },
+    'required': ['id', 'name', 'kind'],
+    'additionalProperties': false,
+    '$defs': {
+        'comment': {
+            'type': 'object',
+            'properties': {'replies': {'type': 'array', 'items': {'$ref': '#/$defs/comment'}}},
+            'required': ['replies']
+        }
+    }
+});
+entry = {'id': 1, 'name': 'abc', 'kind': 'person'};
+expect(shapeOf(entry).shouldBe(schema)).isTruthy();
+expect(shapeOf({'id': 1, 'name': 'abc', 'kind': 'person', 'extra': 1}).shouldBe(schema)).isFalsy();
+expect(shapeOf({'id': 1, 'name': 'abc'}).shouldBe(schema)).isFalsy();
+expect(shapeOf({'id': 0, 'name': 'abc', 'kind': 'person'}).shouldBe(schema)).isFalsy();
+expect(shapeOf({'id': 1.5, 'name': 'abc', 'kind': 'person'}).shouldBe(schema)).isFalsy();
+expect(shapeOf({'id': 1, 'name': 'bcd', 'kind': 'person'}).shouldBe(schema)).isFalsy();
+expect(shapeOf({'id': 1, 'name': 'abcdefghijk', 'kind': 'person'}).shouldBe(schema)).isFalsy();
+expect(shapeOf({'id': 1, 'name': 'abc', 'kind': 'animal'}).shouldBe(schema)).isFalsy();
+expect(shapeOf(Object.assign({'email': 'john@example.com', 'role': 'admin'}, entry)).shouldBe(schema)).isTruthy();
+expect(shapeOf(Object.assign({'email': 'john'}, entry)).shouldBe(schema)).isFalsy();
+expect(shapeOf(Object.assign({'role': 'guest'}, entry)).shouldBe(schema)).isFalsy();
+expect(shapeOf(Object.assign({'tags': []}, entry)).shouldBe(schema)).isTruthy();
+expect(shapeOf(Object.assign({'tags': ['a', 1]}, entry)).shouldBe(schema)).isTruthy();
+expect(shapeOf(Object.assign({'tags': ['a', true]}, entry)).shouldBe(schema)).isFalsy();
+expect(shapeOf(Object.assign({'tags': [1, 2, 3, 4]}, entry)).shouldBe(schema)).isFalsy();
+expect(shapeOf(Object.assign({'pair': [1, 'a']}, entry)).shouldBe(schema)).isTruthy();
+expect(shapeOf(Object.assign({'pair': ['a', 1]}, entry)).shouldBe(schema)).isFalsy();
+expect(shapeOf(Object.assign({'meta': {'a': 'b'}}, entry)).shouldBe(schema)).isTruthy();
+expect(shapeOf(Object.assign({'meta': {'a': 1}}, entry)).shouldBe(schema)).isFalsy();
+expect(shapeOf(Object.assign({'value': null}, entry)).shouldBe(schema)).isTruthy();
+expect(shapeOf(Object.assign({'value': 'a'}, entry)).shouldBe(schema)).isFalsy();
+expect(shapeOf(Object.assign({'range': 0}, entry)).shouldBe(schema)).isTruthy();
+expect(shapeOf(Object.assign({'range': -1}, entry)).shouldBe(schema)).isFalsy();
+expect(shapeOf(Object.assign({'comment': {'replies': [{'replies': []}]}}, entry)).shouldBe(schema)).isTruthy();
+expect(shapeOf(Object.assign({'comment': {'replies': [{'replies': [1]}]}}, entry)).shouldBe(schema)).isFalsy();
+schema = shapeOf.fromJSONSchema('{"minLength": 2}');
+expect(shapeOf('ab').shouldBe(schema)).isTruthy();
+expect(shapeOf('a').shouldBe(schema)).isFalsy();
+expect(shapeOf(42).shouldBe(schema)).isTruthy();
+schema = shapeOf.fromJSONSchema({'properties': {'a': {'type': 'string'}}, 'minimum': 0});
+expect(shapeOf('foo').shouldBe(schema)).isTruthy();
+expect(shapeOf(5).shouldBe(schema)).isTruthy();
+expect(shapeOf(-5).shouldBe(schema)).isFalsy();
+expect(shapeOf(null).shouldBe(schema)).isTruthy();
+expect(shapeOf({'a': 'foo'}).shouldBe(schema)).isTruthy();
+expect(shapeOf({'a': 1}).shouldBe(schema)).isFalsy();
+expect(shapeOf(true).shouldBe(shapeOf.fromJSONSchema(true))).isTruthy();
+expect(shapeOf(true).shouldBe(shapeOf.fromJSONSchema(false))).isFalsy();
+schema = shapeOf.fromJSONSchema({'type': 'object', 'dependentRequired': {'phone': ['email']}});
+expect(shapeOf({'phone': '1', 'email': 'a'}).shouldBe(schema)).isTruthy();
+expect(shapeOf({'phone': '1'}).shouldBe(schema)).isFalsy();
+schema = {'name': shapeOf.string.size(1, 5), 'tags': shapeOf.optional.arrayOf(shapeOf.string), 'role': shapeOf.oneOf('a', 'b')};
+schema2 = shapeOf.fromJSONSchema(shapeOf.toJSONSchema(schema));
+[{'name': 'abc', 'role': 'a'}, {'name': 'abcdef', 'role': 'a'}, {'name': 'abc', 'tags': ['x'], 'role': 'b'}, {'name': 'abc', 'role': 'c'}].forEach(obj => {
+    expect(shapeOf(obj).shouldBe(schema2)).is(shapeOf(obj).shouldBe(schema));
+});
+caught = null;
+try {
+    shapeOf.fromJSONSchema({'type': 'object', 'properties': {'age': {'type': 'number', 'exclusiveMinimum': 0}}, 'not': {}});
+} catch (e) {
+    caught = e;
+}
+expect(caught instanceof shapeOf.DeserializationError).isTruthy();
+expect(caught.message.indexOf("'not' at ''") > -1).isTruthy();
+expect(caught.message.indexOf("'exclusiveMinimum' at '/properties/age'") > -1).isTruthy();
+caught = null;
+try {
+    shapeOf.fromJSONSchema({'$ref': 'https://example.com/schema.json'});
+} catch (e) {
+    caught = e;
+}
+expect(caught.message.indexOf("'$ref' at ''") > -1).isTruthy();
+caught = null;
+try {
+    shapeOf.fromJSONSchema({'type': 'object', 'properties': {'a': {'$ref': '#/$defs/missing'}}, '$defs': {'found': {}}});
+} catch (e) {
+    caught = e;
+}
+expect(caught instanceof shapeOf.DeserializationError).isTruthy();
+expect(caught.message.indexOf("'$ref' at '/properties/a' (reference '#/$defs/missing' not found)") > -1).isTruthy();
+expect(shapeOf({'a': 1}).shouldBe(shapeOf.fromJSONSchema({'properties': {'a': {'$ref': '#/definitions/a'}}, 'definitions': {'a': {'type': 'integer'}}}))).isTruthy();
+schema = shapeOf.fromJSONSchema({'oneOf': [{'type': 'integer'}, {'type': 'number', 'minimum': 0}]});
+expect(shapeOf(5).shouldBe(schema)).isFalsy();
+expect(shapeOf(-5).shouldBe(schema)).isTruthy();
+expect(shapeOf(0.5).shouldBe(schema)).isTruthy();
+expect(shapeOf(-0.5).shouldBe(schema)).isFalsy();
+expect(shapeOf(5).shouldBe(shapeOf.fromJSONSchema({'anyOf': [{'type': 'integer'}, {'type': 'number', 'minimum': 0}]}))).isTruthy();
+schema = shapeOf.exactlyOneOfType(shapeOf.asInteger, shapeOf.string.size(0, 2));
+expect(shapeOf('5').returnsObject.shouldBe(schema)).is(undefined);
+expect(shapeOf('50').returnsObject.shouldBe(schema)).is(undefined);
+expect(shapeOf('500').returnsObject.shouldBe(schema)).is(500);
+expect(shapeOf('a').returnsObject.shouldBe(schema)).is('a');
+expect(JSON.stringify(shapeOf.toJSONSchema(shapeOf.exactlyOneOfType(shapeOf.string, shapeOf.number)))).is('{"$schema":"https://json-schema.org/draft/2020-12/schema","oneOf":[{"type":"string"},{"type":"number"}]}');
+expect(shapeOf(5).shouldBe(shapeOf.deserialize(shapeOf.serialize(shapeOf.fromJSONSchema({'oneOf': [{'type': 'integer'}, {'type': 'number'}]}))))).isFalsy();
+
+// Test generating TypeScript declarations using shapeOf.toTypeScript()
+shapeOf.define('test.tsComment', {'text': shapeOf.string, 'replies': shapeOf.optional.arrayOf(shapeOf.ref('test.tsComment'))});
+results = shapeOf.toTypeScript({
+    'name': shapeOf.string.size(1, 10),
+    'age': shapeOf.optional.integer,
+    'limit': shapeOf.optional.integer.default(20),
+    'first-name': shapeOf.optional.string,
+    'role': shapeOf.oneOf('admin', 'user'),
+    'value': shapeOf.oneOfType(shapeOf.string, shapeOf.null),
+    'both': shapeOf.eachOf(shapeOf.oneOfType({'a': shapeOf.number}, {'b': shapeOf.number}), {'c': shapeOf.string}),
+    'tags': shapeOf.arrayOf(shapeOf.string, shapeOf.number),
+    'meta': shapeOf.objectOf(shapeOf.bool),
+    'pair': [shapeOf.number, 'x'],
+    'date': shapeOf.asDate,
+    'event': shapeOf.union('type', {'click': {'x': shapeOf.number}}),
+    'comment': shapeOf.ref('test.tsComment'),
+    'fn': (obj) => obj
+}, {name: 'User'});
+expect(results.indexOf('export interface User {\n')).is(0);
+expect(results.indexOf('    name: string;\n') > -1).isTruthy();
+expect(results.indexOf('    age?: number;\n') > -1).isTruthy();
+expect(results.indexOf('    limit: number;\n') > -1).isTruthy();
+expect(results.indexOf('    "first-name"?: string;\n') > -1).isTruthy();
+expect(results.indexOf('    role: "admin" | "user";\n') > -1).isTruthy();
+expect(results.indexOf('    value: string | null;\n') > -1).isTruthy();
+expect(results.indexOf('    both: ({\n        a: number;\n    } | {\n        b: number;\n    }) & {\n        c: string;\n    };\n') > -1).isTruthy();
+expect(results.indexOf('    tags: Array<string | number>;\n') > -1).isTruthy();
+expect(results.indexOf('    meta: Record<string, boolean>;\n') > -1).isTruthy();
+expect(results.indexOf('    pair: [number, "x"];\n') > -1).isTruthy();
+expect(results.indexOf('    date: Date;\n') > -1).isTruthy();
+expect(results.indexOf('    event: {\n        type: "click";\n    } & {\n        x: number;\n    };\n') > -1).isTruthy();
+expect(results.indexOf('    comment: TestTsComment;\n') > -1).isTruthy();
+expect(results.indexOf('    fn: unknown;\n') > -1).isTruthy();
+expect(results.indexOf('export interface TestTsComment {\n    text: string;\n    replies?: Array<TestTsComment>;\n}\n') > -1).isTruthy();
+schema = {'value': shapeOf.number, 'children': shapeOf.optional.arrayOf(shapeOf.lazy(() => schema))};
+expect(shapeOf.toTypeScript(schema, {name: 'Tree'})).is('export interface Tree {\n    value: number;\n    children?: Array<Tree>;\n}\n');
+expect(shapeOf.toTypeScript({'root': schema}, {name: 'Forest'}).indexOf('export interface Forest1 {\n    value: number;\n    children?: Array<Forest1>;\n}') > -1).isTruthy();
+expect(shapeOf.toTypeScript(shapeOf.string)).is('export type Schema = string;\n');
+expect(shapeOf.toTypeScript(shapeOf.shape({'a': shapeOf.number}, {additionalProperties: shapeOf.string}), {name: 'Extra'})).is('export type Extra = {\n    a: number;\n} & Record<string, unknown>;\n');
+schema2 = shapeOf.Validator('test.tsUUID', (obj) => obj, {
+    toTypeScript: (args, context) => 'string'
+});
+expect(shapeOf.toTypeScript({'id': schema2, 'other': shapeOf.Validator('test.noTypeScript', (obj) => obj)})).is('export interface Schema {\n    id: string;\n    other: unknown;\n}\n');
+
+// Test isolated instances using shapeOf.createInstance()
+schema = shapeOf.Validator('test.instanceFoo', (obj) => obj === 'foo' ? obj : undefined);
+shapeOf.Validator('test.string.instanceHex', (obj) => /^[0-9a-f]+$/.test(obj) ? obj : undefined, {parent: 'shapeOf.string'});
+shapeOf.define('TestInstanceThing', {'name': shapeOf.string});
+caught = null;
+try {
+    shapeOf.Validator('test.instanceFoo', (obj) => obj);
+} catch (e) {
+    caught = e;
+}
+expect(caught.message).is("Validator 'test.instanceFoo' is already registered. Use the 'override' option to replace it.");
+caught = null;
+try {
+    shapeOf.Validator('test.instanceBar', (obj) => obj, {aliases: 'test.instanceFoo'});
+} catch (e) {
+    caught = e;
+}
+expect(caught.message).is("Validator 'test.instanceFoo' is already registered. Use the 'override' option to replace it.");
+expect(shapeOf.Validator._validators['test.instanceBar'] === undefined).isTruthy();
+expect(shapeOf.Validator._validators['shapeOf.number.min']._optional).isFalsy();
+expect(shapeOf.Validator._validators['shapeOf.number.greaterThanOrEqualTo']._optional).isFalsy();
+let isolated = shapeOf.createInstance();
+let inheriting = shapeOf.createInstance({inherit: true});
+expect(isolated.version).is(shapeOf.version);
+expect(isolated.string === shapeOf.string).isFalsy();
+expect(isolated.optional.string === shapeOf.optional.string).isFalsy();
+expect(isolated.Validator._validators['test.instanceFoo'] === undefined).isTruthy();
+expect(isolated.string.instanceHex === undefined).isTruthy();
+expect(inheriting.Validator._validators['test.instanceFoo'] === schema).isTruthy();
+expect(inheriting('ff').is(inheriting.string.instanceHex)).isTruthy();
+expect(inheriting('zz').is(inheriting.string.instanceHex)).isFalsy();
+expect(inheriting({'name': 'a'}).is(inheriting.ref('TestInstanceThing'))).isTruthy();
+caught = null;
+try {
+    isolated({'name': 'a'}).is(isolated.ref('TestInstanceThing'));
+} catch (e) {
+    caught = e;
+}
+expect(caught.message).is("Schema not defined: 'TestInstanceThing'");
+results = shapeOf.serialize({'foo': schema});
+caught = null;
+try {
+    isolated.deserialize(results);
+} catch (e) {
+    caught = e;
+}
+expect(caught.message).is('Validator not found: test.instanceFoo');
+expect(inheriting({'foo': 'foo'}).is(inheriting.deserialize(results))).isTruthy();
+schema2 = isolated.Validator('test.instanceFoo', (obj) => obj === 'bar' ? obj : undefined);
+expect(isolated('bar').is(schema2)).isTruthy();
+expect(shapeOf('bar').is(shapeOf.Validator._validators['test.instanceFoo'])).isFalsy();
+expect(isolated(1).is(shapeOf.number)).isTruthy();
+expect(shapeOf('bar').is(schema2)).isTruthy();
+schema2 = shapeOf.Validator('test.instanceFoo', (obj) => obj === 'baz' ? obj : undefined, {override: true});
+expect(shapeOf.Validator._validators['test.instanceFoo'] === schema2).isTruthy();
+expect(inheriting.Validator._validators['test.instanceFoo'] === schema).isTruthy();
+schema = isolated.Validator('test.instanceBaz', (obj) => typeof obj === 'string' ? obj : undefined, {
+    toJSONSchema: () => ({type: 'string'}),
+    toTypeScript: () => 'string'
+});
+schema2 = shapeOf.Validator('test.instanceBaz', (obj) => typeof obj === 'number' ? obj : undefined, {
+    toJSONSchema: () => ({type: 'number'}),
+    toTypeScript: () => 'number'
+});
+expect(shapeOf.toJSONSchema(schema).type).is('string');
+expect(shapeOf.toJSONSchema(schema2).type).is('number');
+expect(shapeOf.toTypeScript({'baz': schema})).is('export interface Schema {\n    baz: string;\n}\n');
+expect(isolated.toJSONSchema(isolated.string.size(1, 2)).maxLength).is(2);
+expect(shapeOf.toJSONSchema(isolated.string.size(1, 2)).maxLength).is(2);
+expect(shapeOf({'a': 1}).is(isolated.shape({'a': shapeOf.number}).refine((obj) => obj.a > 0))).isTruthy();
+results = shapeOf({'a': 0}).returnsResults.is(isolated.shape({'a': shapeOf.number}).refine((obj) => obj.a > 0));
+expect(results.log.map(e => e.code).join()).is('refinement_failed');
+schema2 = shapeOf.partial({'baz': schema});
+expect(schema2.baz._name).is('shapeOf.optional.eachOf');
+expect(shapeOf({}).is(schema2)).isTruthy();
+expect(shapeOf({'baz': 'foo'}).is(schema2)).isTruthy();
+expect(shapeOf({'baz': 1}).is(schema2)).isFalsy();
+caught = null;
+try {
+    shapeOf.required({'baz': isolated.optional.string});
+} catch (e) {
+    caught = e;
+}
+expect(caught instanceof shapeOf.SchemaDefinitionError).isTruthy();
+expect(caught.message).is("Validator 'shapeOf.optional.string' isn't registered with this instance, and can't be made required");
+
+// Test the validation context passed to validators
+schema = shapeOf.Validator('test.contextPath', function(obj) {
+    return this.path.join('.') === 'list.1' ? obj : undefined;
+});
+expect(
+    shapeOf({'list': [1, 2]}).is({'list': shapeOf.arrayOf(shapeOf.eachOf(shapeOf.number, function(obj) {
+        return obj !== 2 || this.path.join('.') === 'list.1' ? obj : undefined;
+    }))})
+).isTruthy();
+expect(
+    shapeOf({'list': [0, 'foo']}).is({'list': shapeOf.arrayOf(shapeOf.oneOfType(shapeOf.number, schema))})
+).isTruthy();
+caught = null;
+try {
+    shapeOf([1, 'throws']).returnsResults.is(shapeOf.arrayOf((obj) => {
+        if (obj === 'throws')
+            throw 'Thrown from validator';
+        return obj;
+    }));
+} catch (e) {
+    caught = e;
+}
+expect(caught).is('Thrown from validator');
+results = shapeOf({'foo': ['a', 1]}).returnsResults.is({'foo': shapeOf.arrayOf(shapeOf.string)});
+expect(results.success).isFalsy();
+expect(
+    results.log.filter(entry => entry.code === 'invalid_element' && entry.path === '/foo/1').length
+).is(1);
+results = shapeOf({'outer': 'a'}).returnsResults.is({'outer': (obj) => {
+    shapeOf(1).returnsResults.is(shapeOf.string);
+    return obj;
+}});
+expect(results.success).isTruthy();
+expect(results.log.filter(entry => entry.code !== undefined && entry.code.indexOf('failed') >= 0).length).is(0);
+asyncTests.push((async () => {
+    let slowString = async (obj) => {
+        await delay(2);
+        return typeof obj === 'string' ? obj : undefined;
+    };
+    let validations = await Promise.all([
+        shapeOf({'a': [1]}).returnsResults.isAsync({'a': shapeOf.arrayOf(slowString)}),
+        shapeOf({'b': ['x']}).returnsResults.isAsync({'b': shapeOf.arrayOf(slowString)}),
+        shapeOf({'c': [2, 3]}).collectsAllErrors.returnsResults.isAsync({'c': shapeOf.arrayOf(slowString)})
+    ]);
+    expect(validations[0].success).isFalsy();
+    expect(validations[0].log.every(entry => entry.path.indexOf('/a') === 0 || entry.path === '')).isTruthy();
+    expect(validations[1].success).isTruthy();
+    expect(validations[1].log.every(entry => entry.path.indexOf('/b') === 0 || entry.path === '')).isTruthy();
+    expect(validations[2].success).isFalsy();
+    expect(
+        validations[2].log.filter(entry => entry.code === 'invalid_element').map(entry => entry.path).sort().join()
+    ).is('/c/0,/c/1');
+})());
+
+// Test contextual validator callbacks
+schema = shapeOf.Validator('test.contextual.confirmation', (field, obj, context) => {
+    if (context.parent && context.parent[field] === obj)
+        return obj;
+    context.fail('mismatch', `Failed: Value doesn't match '${field}'`);
+}, {contextual: true, requiredArgsCount: 1});
+expect(schema._requiredArgsCount).is(1);
+expect(shapeOf.Validator('test.contextual.args', (a, b, obj, context) => obj, {contextual: true})._requiredArgsCount).is(2);
+expect(
+    shapeOf({'password': 'abc', 'confirm': 'abc'}).is({'password': shapeOf.string, 'confirm': schema('password')})
+).isTruthy();
+results = shapeOf({'password': 'abc', 'confirm': 'abd'}).returnsResults.is({'password': shapeOf.string, 'confirm': schema('password')});
+expect(results.success).isFalsy();
+expect(
+    results.log.filter(entry => entry.code === 'mismatch' && entry.path === '/confirm' && entry.validator === 'test.contextual.confirmation').length
+).is(1);
+expect(
+    results.log.filter(entry => entry.code === 'mismatch')[0].message
+).is("Failed: Value doesn't match 'password'");
+schema2 = shapeOf.Validator('test.contextual.inspect', (obj, context) => {
+    context.log(`Inspected ${context.key}`);
+    return context.path.join('.') === 'list.1' &&
+           context.key === 1 &&
+           Array.isArray(context.parent) &&
+           context.root.name === 'root' &&
+           context.options.returnsResults === true ? obj : undefined;
+}, {contextual: true});
+results = shapeOf({'name': 'root', 'list': [0, 1]}).returnsResults.is({
+    'name': shapeOf.string,
+    'list': [shapeOf.number, schema2]
+});
+expect(results.success).isTruthy();
+expect(
+    results.log.filter(entry => entry.code === 'validator_log' && entry.path === '/list/1' && entry.message === 'Inspected 1').length
+).is(1);
+expect(
+    shapeOf({'name': 'root', 'list': ['a', 1]}).returnsResults.is({'name': shapeOf.string, 'list': shapeOf.arrayOf(shapeOf.string, schema2)}).success
+).isTruthy();
+schema2 = shapeOf.Validator('test.contextual.failsAnyway', (obj, context) => {
+    context.fail('custom_failure');
+    return obj;
+}, {contextual: true});
+expect(shapeOf(1).is(schema2)).isFalsy();
+results = shapeOf(1).returnsResults.is(schema2);
+expect(results.log[0].message).is("Failed: Validator 'test.contextual.failsAnyway'");
+expect(results.log[0].code).is('custom_failure');
+expect(results.log.length).is(1);
+results = shapeOf({'password': 'abc', 'confirm': 'abd'}).returnsResults.is({'password': shapeOf.string, 'confirm': schema('password')});
+expect(results.log.filter(entry => entry.code === 'validator_failed').length).is(0);
+expect(
+    shapeOf({'a': 1, 'b': 1}).is(shapeOf.deserialize(shapeOf.serialize({'a': shapeOf.number, 'b': schema('a')})))
+).isTruthy();
+asyncTests.push((async () => {
+    let asyncContextual = shapeOf.Validator('test.contextual.async', async (obj, context) => {
+        await delay(1);
+        if (obj !== context.parent.other)
+            return obj;
+        context.fail('duplicate', 'Failed: Duplicate value');
+    }, {contextual: true});
+    expect(
+        await shapeOf({'value': 1, 'other': 2}).isAsync({'value': asyncContextual, 'other': shapeOf.number})
+    ).isTruthy();
+    results = await shapeOf({'value': 2, 'other': 2}).returnsResults.isAsync({'value': asyncContextual, 'other': shapeOf.number});
+    expect(results.success).isFalsy();
+    expect(results.log.filter(entry => entry.code === 'duplicate' && entry.path === '/value').length).is(1);
+})());
+
+// Test custom messages using .message() and shape messages maps
+schema = {
+    'name': shapeOf.string.ofSize(3, 50).message('Name must be {0}-{1} characters'),
+    'age': shapeOf.optional.integer.message(vars => `Age must be an integer, not ${JSON.stringify(vars.value)} at ${vars.path}`)
+};
+expect(shapeOf({'name': 'foo', 'age': 5}).is(schema)).isTruthy();
+results = shapeOf({'name': 'fo'}).returnsResults.is(schema);
+expect(results.success).isFalsy();
+expect(results.messages.join()).is('Name must be 3-50 characters');
+entry = results.log.filter(entry => entry.custom)[0];
+expect(entry.code).is('validator_failed');
+expect(entry.path).is('/name');
+expect(entry.validator).is('shapeOf.string.size');
+results = shapeOf({'name': 42, 'age': 'x'}).collectsAllErrors.returnsResults.is(schema);
+expect(results.messages.join('|')).is('Age must be an integer, not "x" at /age|Name must be 3-50 characters');
+expect(shapeOf({'name': 'foo'}).returnsResults.is(schema).messages.length).is(0);
+caught = null;
+try {
+    shapeOf({'name': 'fo'}).throwsOnInvalid.is(schema);
+} catch (e) {
+    caught = e;
+}
+expect(caught.message).is('Name must be 3-50 characters');
+caught = null;
+try {
+    shapeOf({'name': 'fo'}).throwsOnInvalid(new Error('Custom')).is(schema);
+} catch (e) {
+    caught = e.message;
+}
+expect(caught).is('Custom');
+callbackVal = null;
+shapeOf({'name': 'fo'}).onInvalid((obj, schema, messages) => callbackVal = messages.join()).is(schema);
+expect(callbackVal).is('Name must be 3-50 characters');
+expect(
+    shapeOf(5).returnsResults.is(shapeOf.string.message('{value} at {path} failed {validator} ({code}), {unknown}')).messages[0]
+).is("5 at  failed shapeOf.string (validator_failed), {unknown}");
+expect(
+    shapeOf('a').returnsResults.is(shapeOf.string.ofSize(2).message('first').message('Size of {args}')).messages[0]
+).is('Size of 2');
+expect(
+    shapeOf(5).returnsResults.is(shapeOf.oneOfType(shapeOf.string.message('Not a string'), shapeOf.number)).messages.length
+).is(0);
+expect(
+    shapeOf(5).returnsResults.is(shapeOf.arrayOf(shapeOf.string)).messages.length
+).is(0);
+caught = null;
+try {
+    shapeOf('a').is(shapeOf.string.message(5));
+} catch (e) {
+    caught = e;
+}
+expect(caught.message).is('Message validator requires a message string or function');
+schema2 = shapeOf.shape({
+    'email': shapeOf.string.email.message('Inner message'),
+    'nested': {'id': shapeOf.number},
+    'password': shapeOf.string
+}, {messages: {
+    'email': 'Please enter a valid email address ({value})',
+    'nested': 'Nested {code}',
+    'password': 'Password is required'
+}});
+results = shapeOf({'email': 'nope', 'nested': {'id': 'x'}}).collectsAllErrors.returnsResults.is(schema2);
+expect(results.success).isFalsy();
+expect(results.messages.sort().join('|')).is('Nested invalid_key|Password is required|Please enter a valid email address (nope)');
+expect(results.log.filter(entry => entry.custom && entry.code === 'missing_key')[0].path).is('/password');
+expect(results.log.filter(entry => entry.code === 'validator_failed' && entry.path === '/nested/id').length).is(1);
+results = shapeOf({'email': 'user@example.com', 'nested': {'id': 1}, 'password': 'x'}).returnsResults.is(schema2);
+expect(results.success).isTruthy();
+expect(results.messages.length).is(0);
+expect(
+    shapeOf({'nested': {'email': 'x'}}).returnsResults.is(shapeOf.shape({'nested': {'email': shapeOf.string.email}}, {messages: {'email': 'Not nested'}})).messages.length
+).is(0);
+expect(JSON.stringify(shapeOf.toJSONSchema(shapeOf.string.message('x')))).is(JSON.stringify(shapeOf.toJSONSchema(shapeOf.string)));
+
+// Test localized messages using shapeOf.setLocale()/.locale() and shapeOf.addMessages()
+schema = {
+    'name': shapeOf.string.size(3, 50),
+    'age': shapeOf.optional.integer.range(0, 150),
+    'tags': shapeOf.optional.arrayOf(shapeOf.string).size(1, 3),
+    'role': shapeOf.oneOf('admin', 'user')
+};
+results = shapeOf({'name': 'ab', 'role': 'admin'}).returnsResults.is(schema);
+expect(results.messages.length).is(0);
+expect(results.log[0].message).is("Failed: Validator 'shapeOf.string.size'");
+results = shapeOf({'name': 'ab', 'age': -1, 'tags': 'x', 'role': 'guest', 'extra': 1}).locale('en').collectsAllErrors.returnsResults.isExactly(schema);
+expect(results.success).isFalsy();
+expect(results.messages.join('|')).is("Must be one of: admin, user|Must be an array|Must be at least 0|Must be at least 3 characters|extra isn't allowed");
+entry = results.log.filter(entry => entry.custom && entry.path === '/name')[0];
+expect(entry.code).is('validator_failed');
+expect(entry.validator).is('shapeOf.string.size');
+expect(
+    shapeOf({'role': 'admin'}).locale('en').returnsResults.is(schema).messages.join()
+).is('name is required');
+expect(
+    shapeOf({'name': 'abc', 'role': 'admin', 'tags': ['a', 'b', 'c', 'd']}).locale('en').returnsResults.is(schema).messages.join()
+).is('Must contain at most 3 items');
+expect(
+    shapeOf([1]).locale('en').collectsAllErrors.returnsResults.is([1, 2]).messages.join()
+).is('Must contain exactly 2 items');
+expect(
+    shapeOf({'a': 'x'}).locale('en').returnsResults.is({'a': 'y'}).messages.join()
+).is('Must be y');
+expect(
+    shapeOf({'name': 'abc', 'role': 'admin'}).locale('en').returnsResults.is({'name': shapeOf.string.size(4).message('Custom')}).messages.join()
+).is('Custom');
+caught = null;
+try {
+    shapeOf('a').locale('xx');
+} catch (e) {
+    caught = e;
+}
+expect(caught.message).is("No messages added for locale: 'xx'");
+shapeOf.addMessages('de', {
+    'shapeOf.string': 'Muss eine Zeichenkette sein',
+    'shapeOf.string.size.tooShort': 'Muss mindestens {0} Zeichen lang sein',
+    'missing_key': '{key} ist erforderlich',
+    'test.localized.even.odd': '{value} ist ungerade'
+});
+schema2 = shapeOf.Validator('test.localized.even', (obj, context) => {
+    if (obj % 2 === 0)
+        return obj;
+    context.fail('odd', `Failed: ${obj} is odd`);
+}, {contextual: true});
+shapeOf.addMessages('en', {'test.localized.even.odd': '{value} is odd'});
+results = shapeOf({'name': 'ab', 'count': 3}).locale('de-CH').collectsAllErrors.returnsResults.is({
+    'name': shapeOf.string.size(3, 50),
+    'count': schema2,
+    'role': shapeOf.string
+});
+expect(results.messages.join('|')).is('role ist erforderlich|3 ist ungerade|Muss mindestens 3 Zeichen lang sein');
+expect(
+    shapeOf(3).locale('en').returnsResults.is(schema2).messages.join()
+).is('3 is odd');
+expect(
+    shapeOf(1).locale('de').returnsResults.is(shapeOf.bool).messages.join()
+).is('Must be true or false');
+shapeOf.setLocale('de');
+caught = null;
+try {
+    shapeOf(1).throwsOnInvalid.is(shapeOf.optional.string);
+} catch (e) {
+    caught = e;
+}
+expect(caught.message).is('Muss eine Zeichenkette sein');
+expect(shapeOf(1).locale('en').returnsResults.is(shapeOf.string).messages.join()).is('Must be a string');
+expect(shapeOf.createInstance({inherit: true})(1).returnsResults.is(shapeOf.string).messages.join()).is('Muss eine Zeichenkette sein');
+expect(shapeOf.createInstance()(1).returnsResults.is(shapeOf.string).messages.length).is(0);
+shapeOf.setLocale(null);
+expect(shapeOf(1).returnsResults.is(shapeOf.string).messages.length).is(0);
+caught = null;
+try {
+    shapeOf.setLocale('xx');
+} catch (e) {
+    caught = e;
+}
+expect(caught.message).is("No messages added for locale: 'xx'");
+
+// Test error classes thrown by shapeOf
+schema = {'foo': shapeOf.arrayOf(shapeOf.string)};
+obj = {'foo': ['a', 1]};
+caught = null;
+try {
+    shapeOf(obj).throwsOnInvalid.is(schema);
+} catch (e) {
+    caught = e;
+}
+expect(caught instanceof shapeOf.ValidationError).isTruthy();
+expect(caught instanceof shapeOf.ShapeOfError).isTruthy();
+expect(caught instanceof Error).isTruthy();
+expect(caught.name).is('ValidationError');
+expect(caught.message).is('Invalid shape detected');
+expect(typeof caught.stack).is('string');
+expect(caught.path).is('/foo/1');
+expect(caught.log.filter(entry => entry.code === 'invalid_element' && entry.path === '/foo/1').length).is(1);
+expect(caught.messages.length).is(0);
+expect(caught.schema === schema).isTruthy();
+expect(caught.value === obj).isTruthy();
+caught = null;
+try {
+    shapeOf(obj).throwsOnInvalid((results, failedSchema) => new RangeError(`${results.log.length > 0} ${failedSchema === schema} ${results.obj === obj}`)).is(schema);
+} catch (e) {
+    caught = e;
+}
+expect(caught instanceof RangeError).isTruthy();
+expect(caught.message).is('true true true');
+expect(shapeOf(obj).throwsOnInvalid((results) => new Error('unused')).returnsObject.is({'foo': shapeOf.array})).is(obj);
+caught = null;
+try {
+    shapeOf.string.size();
+} catch (e) {
+    caught = e;
+}
+expect(caught instanceof shapeOf.SchemaDefinitionError).isTruthy();
+expect(caught.name).is('SchemaDefinitionError');
+expect(caught.message).is("Validator 'shapeOf.string.size' requires at least 1 arguments");
+caught = null;
+try {
+    shapeOf('a').is(shapeOf.ref('test.errorsUndefined'));
+} catch (e) {
+    caught = e;
+}
+expect(caught instanceof shapeOf.SchemaDefinitionError).isTruthy();
+caught = null;
+try {
+    shapeOf.deserialize('{not json');
+} catch (e) {
+    caught = e;
+}
+expect(caught instanceof shapeOf.DeserializationError).isTruthy();
+expect(caught.name).is('DeserializationError');
+expect(caught.cause instanceof SyntaxError).isTruthy();
+caught = null;
+try {
+    shapeOf('a').withMaxDepth(0);
+} catch (e) {
+    caught = e;
+}
+expect(caught instanceof shapeOf.ShapeOfError).isTruthy();
+expect(caught instanceof shapeOf.SchemaDefinitionError).isFalsy();
+caught = null;
+try {
+    shapeOf.createInstance()(1).throwsOnInvalid.is(shapeOf.string);
+} catch (e) {
+    caught = e;
+}
+expect(caught instanceof shapeOf.ValidationError).isTruthy();
+expect(shapeOf.createInstance().ValidationError === shapeOf.ValidationError).isTruthy();
+asyncTests.push((async () => {
+    let caughtAsync = null;
+    try {
+        await shapeOf({'foo': 'bar'}).throwsOnInvalid.isAsync({'foo': async (obj) => undefined});
+    } catch (e) {
+        caughtAsync = e;
+    }
+    expect(caughtAsync instanceof shapeOf.ValidationError).isTruthy();
+    expect(caughtAsync.path).is('/foo');
+})());
+
+// Test compiled schemas using shapeOf.compile()
+schema = {
+    'id': shapeOf.asInteger,
+    'name': shapeOf.string.size(1, 10).message('Name must be 1-10 characters'),
+    'zip': shapeOf.string.pattern('^[0-9]{5}$', 'g'),
+    'tags': shapeOf.optional.arrayOf(shapeOf.string).default(['none']),
+    'address': shapeOf.shape({'city': shapeOf.string, 'country': shapeOf.oneOf('US', 'CA')}, {'messages': {'city': 'City is required'}}),
+    'pair': [shapeOf.number, shapeOf.bool]
+};
+obj = {'id': '42', 'name': 'foo', 'zip': '12345', 'address': {'city': 'Town', 'country': 'US'}, 'pair': [1, true]};
+entry = shapeOf.compile(schema, {returnsResults: true, collectsAllErrors: true});
+[
+    obj,
+    {...obj, 'zip': '12345'},
+    {'id': 'x', 'name': '', 'zip': 'abc', 'tags': [1], 'address': {'country': 'FR'}, 'pair': [1]},
+    {'id': 1},
+    'foo'
+].forEach(value => {
+    expect(JSON.stringify(entry(JSON.parse(JSON.stringify(value)))))
+        .is(JSON.stringify(shapeOf(JSON.parse(JSON.stringify(value))).returnsResults.collectsAllErrors.is(schema)));
+});
+expect(shapeOf.compile(schema)(JSON.parse(JSON.stringify(obj)))).isTruthy();
+expect(shapeOf.compile(schema)({...obj, 'pair': [1, 'true']})).isFalsy();
+obj2 = JSON.parse(JSON.stringify(obj));
+expect(shapeOf.compile(schema, {returnsObject: true})(obj2) === obj2).isTruthy();
+expect(obj2.id).is(42);
+expect(JSON.stringify(obj2.tags)).is('["none"]');
+obj2 = JSON.parse(JSON.stringify(obj));
+expect(shapeOf.compile(schema, {immutable: true, returnsObject: true})(obj2).id).is(42);
+expect(obj2.id).is('42');
+expect(shapeOf.compile({'foo': shapeOf.string}, {exact: true})({'foo': 'bar', 'bar': 'baz'})).isFalsy();
+expect(shapeOf.compile({'foo': shapeOf.string})({'foo': 'bar', 'bar': 'baz'})).isTruthy();
+expect(shapeOf.compile(shapeOf.string)('foo')).isTruthy();
+expect(shapeOf.compile('foo')('foo')).isTruthy();
+schema = shapeOf.arrayOf({'a': shapeOf.string.pattern(/^a/g)});
+obj = [{'a': 'ab'}, {'a': 'ab'}, {'a': 'ab'}];
+expect(shapeOf.compile(schema)(obj)).is(shapeOf(obj).is(schema));
+expect(shapeOf.compile('foo')('bar')).isFalsy();
+results = shapeOf.compile({'name': shapeOf.string}, {returnsResults: true, locale: 'en'})({'name': 42});
+expect(results.messages[0]).is('Must be a string');
+callbackVal = [];
+entry = shapeOf.compile(shapeOf.number, {
+    onValid: () => callbackVal.push('valid'),
+    onInvalid: [() => callbackVal.push('invalid'), (obj, schema, messages) => callbackVal.push(messages.length)],
+    onComplete: () => callbackVal.push('complete')
+});
+entry(1);
+entry('foo');
+expect(callbackVal.join()).is('valid,complete,invalid,0,complete');
+caught = null;
+try {
+    shapeOf.compile({'foo': shapeOf.string}, {throwsOnInvalid: true})({'foo': 1});
+} catch (e) {
+    caught = e;
+}
+expect(caught instanceof shapeOf.ValidationError).isTruthy();
+expect(caught.path).is('/foo');
+errorObj = new Error('Compiled');
+caught = null;
+try {
+    shapeOf.compile(shapeOf.string, {throwsOnInvalid: errorObj})(1);
+} catch (e) {
+    caught = e;
+}
+expect(caught === errorObj).isTruthy();
+caught = null;
+try {
+    shapeOf.compile(shapeOf.string, {concurrency: 0});
+} catch (e) {
+    caught = e;
+}
+expect(caught instanceof shapeOf.ShapeOfError).isTruthy();
+expect(caught.message).is("shapeOf.compile() requires the 'concurrency' option to be a number of at least 1");
+schema = {'text': shapeOf.string};
+schema.replies = shapeOf.optional.arrayOf(shapeOf.lazy(() => schema));
+entry = shapeOf.compile(schema, {returnsResults: true});
+obj = {'text': 'foo', 'replies': [{'text': 'bar', 'replies': [{'text': 42}]}]};
+expect(JSON.stringify(entry(obj))).is(JSON.stringify(shapeOf(obj).returnsResults.is(schema)));
+expect(shapeOf.compile(schema, {maxDepth: 1})(obj)).isFalsy();
+shapeOf.define('TestCompiled', {'name': shapeOf.string});
+entry = shapeOf.compile(shapeOf.ref('TestCompiled'));
+expect(entry({'name': 'foo'})).isTruthy();
+shapeOf.define('TestCompiled', {'name': shapeOf.number});
+expect(entry({'name': 'foo'})).isFalsy();
+delete shapeOf._schemas.TestCompiled;
+expect(shapeOf('12345').is(shapeOf.string.pattern('^[0-9]+$', 'g'))).isTruthy();
+expect(shapeOf('12345').is(shapeOf.string.pattern('^[0-9]+$', 'g'))).isTruthy();
+asyncTests.push((async () => {
+    let compiled = shapeOf.compile({'foo': async (obj) => { await delay(1); return obj === 'bar' ? obj : undefined; }}, {async: true, returnsResults: true});
+    let compiledResults = await compiled({'foo': 'bar'});
+    expect(compiledResults.success).isTruthy();
+    compiledResults = await compiled({'foo': 'baz'});
+    expect(compiledResults.success).isFalsy();
+    expect(compiledResults.log.filter(entry => entry.code === 'invalid_key')[0].path).is('/foo');
+})());
+
+// Test the command-line validator (bin/shape-of.js), which requires index.js itself rather than the package's main entry, so it's only tested along with the source entry
+if (testedEntry === 'source') {
+    let fs = require('fs');
+    let cliDir = fs.mkdtempSync(path.join(require('os').tmpdir(), 'shape-of-'));
+    let cli = (cliArgs, input) => require('child_process').spawnSync(
+        process.execPath,
+        [path.join(__dirname, 'bin', 'shape-of.js')].concat(cliArgs),
+        {cwd: cliDir, input: input || '', encoding: 'utf8'}
+    );
+    schema = shapeOf.Validator('test.cli.even', obj => obj % 2 === 0 ? obj : undefined);
+    fs.writeFileSync(path.join(cliDir, 'schema.json'), shapeOf.serialize({'id': shapeOf.integer, 'name': shapeOf.string}));
+    fs.writeFileSync(path.join(cliDir, 'tuple.json'), shapeOf.serialize({'pair': [shapeOf.integer, shapeOf.string], 'name': shapeOf.string}));
+    fs.writeFileSync(path.join(cliDir, 'even.json'), shapeOf.serialize({'id': schema}));
+    fs.writeFileSync(path.join(cliDir, 'even.js'), "module.exports = shapeOf => shapeOf.Validator('test.cli.even', obj => obj % 2 === 0 ? obj : undefined);");
+    fs.writeFileSync(path.join(cliDir, 'valid.json'), '{\n  "id": 1,\n  "name": "foo"\n}\n');
+    fs.writeFileSync(path.join(cliDir, 'extra.json'), '{"id": 1, "name": "foo", "extra": true}');
+    fs.writeFileSync(path.join(cliDir, 'invalid.json'), '{"id": "x", "name": 2}');
+    fs.writeFileSync(path.join(cliDir, 'records.ndjson'), '{"id": 1, "name": "foo"}\n\n{"id": 2, "name": 3}\n{"id":\n');
+
+    result = cli(['schema.json', 'valid.json']);
+    expect(result.status).is(0);
+    expect(result.stdout.trim()).is('All 1 record(s) valid.');
+    result = cli(['schema.json', 'invalid.json']);
+    expect(result.status).is(1);
+    expect(result.stdout.split('\n').slice(0, 2).join('|')).is('invalid.json|  /name: Must be a string');
+    expect(result.stdout.trim().split('\n').pop()).is('1 of 1 record(s) invalid.');
+    result = cli(['schema.json', 'records.ndjson', '--output', 'json']);
+    expect(result.status).is(1);
+    results = JSON.parse(result.stdout);
+    expect(results.valid).isFalsy();
+    expect(results.records).is(3);
+    expect(results.invalid).is(2);
+    expect(results.failures.map(failure => failure.record).join()).is('records.ndjson:3,records.ndjson:4');
+    expect(results.failures[0].failures[0].path).is('/name');
+    expect(results.failures[1].failures[0].code).is('invalid_json');
+    result = cli(['schema.json'], '{"id": 1, "name": "foo"}\n{"id": 2, "name": "bar"}\n');
+    expect(result.status).is(0);
+    expect(result.stdout.trim()).is('All 2 record(s) valid.');
+    result = cli(['schema.json', '-', '--output=json'], '{"id": 1.5, "name": "foo"}');
+    expect(result.status).is(1);
+    expect(JSON.parse(result.stdout).failures[0].record).is('<stdin>');
+    expect(cli(['schema.json', 'extra.json']).status).is(0);
+    expect(cli(['schema.json', 'extra.json', '--exact']).status).is(1);
+    expect(JSON.parse(cli(['schema.json', 'invalid.json', '--output', 'json']).stdout).failures[0].failures.length).is(1);
+    expect(JSON.parse(cli(['schema.json', 'invalid.json', '--output', 'json', '--all-errors']).stdout).failures[0].failures.length).is(5);
+    results = JSON.parse(cli(['tuple.json', '--output', 'json', '--all-errors'], '{"pair": ["x", 2, 3], "name": 1}').stdout);
+    expect(results.failures[0].failures.map(failure => failure.path + ' ' + failure.code).join()).is(
+        '/name validator_failed,/name invalid_key,/pair length_mismatch,/pair/0 validator_failed,/pair/0 invalid_element,' +
+        '/pair/1 validator_failed,/pair/1 invalid_element,/pair invalid_array,/pair invalid_key, invalid_object'
+    );
+    results = JSON.parse(cli(['tuple.json', '--output', 'json'], '{"pair": ["x", 2, 3], "name": 1}').stdout);
+    expect(results.failures[0].failures.map(failure => failure.path + ' ' + failure.code).join()).is('/name validator_failed');
+    result = cli(['even.json'], '{"id": 2}');
+    expect(result.status).is(2);
+    expect(/--require/.test(result.stderr)).isTruthy();
+    expect(cli(['even.json', '--require', './even.js'], '{"id": 2}').status).is(0);
+    expect(cli(['even.json', '--require', './even.js'], '{"id": 3}').status).is(1);
+    expect(cli(['missing.json', 'valid.json']).status).is(2);
+    expect(cli(['schema.json', 'missing.json']).status).is(2);
+    expect(cli(['schema.json', '--output', 'xml']).status).is(2);
+    expect(cli([]).status).is(2);
+    fs.readdirSync(cliDir).forEach(file => fs.unlinkSync(path.join(cliDir, file)));
+    fs.rmdirSync(cliDir);
+}
+
+// Test streaming validation using shapeOf.validateEach() and shapeOf.stream()
+caught = null;
+try {
+    shapeOf.validateEach([], shapeOf.string, {maxFailures: 0});
+} catch (e) {
+    caught = e;
+}
+expect(caught instanceof shapeOf.ShapeOfError).isTruthy();
+expect(caught.message).is("shapeOf.validateEach() requires the 'maxFailures' option to be a number of at least 1");
+asyncTests.push((async () => {
+    let recordSchema = {'id': shapeOf.asInteger, 'name': shapeOf.string};
+    let records = () => [{'id': '1', 'name': 'foo'}, {'id': 'x', 'name': 'bar'}, {'id': 3, 'name': 4}, {'id': 4, 'name': 'baz'}];
+    let recordResults = [];
+    for await (let result of shapeOf.validateEach(records(), recordSchema))
+        recordResults.push(result);
+    expect(recordResults.map(result => result.index + ':' + result.success).join()).is('0:true,1:false,2:false,3:true');
+    expect(recordResults[0].obj.id).is(1);
+    expect(recordResults[2].log.filter(entry => entry.code === 'invalid_key')[0].path).is('/name');
+
+    let generated = async function*() {
+        yield* records();
+    };
+    let aborted = null;
+    recordResults = [];
+    try {
+        for await (let result of shapeOf.validateEach(generated(), recordSchema, {maxFailures: 2, collectsAllErrors: true}))
+            recordResults.push(result.index);
+    } catch (e) {
+        aborted = e;
+    }
+    expect(recordResults.join()).is('0,1,2');
+    expect(aborted instanceof shapeOf.ValidationError).isTruthy();
+    expect(aborted.path).is('/2/name');
+    expect(aborted.message).is('Aborted after 2 invalid record(s); record 2 is invalid');
+
+    // Unless loaded using require(), the stream module can only be loaded by Node.js 20.16, 22.3, and later
+    if ((testedEntry === 'esm' || testedEntry === 'browser') && typeof process.getBuiltinModule !== 'function') {
+        let error = null;
+        try {
+            shapeOf.stream(recordSchema);
+        } catch (e) {
+            error = e;
+        }
+        expect(error instanceof shapeOf.ShapeOfError).isTruthy();
+        expect(error.message).is('shapeOf.stream() requires Node.js 20.16, 22.3, or later unless loaded using require(); use shapeOf.validateEach() instead');
+        return;
+    }
+    let { Readable, Writable, pipeline } = require('stream');
+    let run = (stream) => new Promise(resolve => {
+        let written = [];
+        pipeline(Readable.from(records()), stream, new Writable({
+            objectMode: true,
+            write: (chunk, encoding, callback) => {
+                written.push(chunk);
+                callback();
+            }
+        }), error => resolve({written, error}));
+    });
+    let stream = shapeOf.stream(recordSchema);
+    let streamed = [];
+    stream.on('result', result => streamed.push(result.index + ':' + result.success));
+    let output = await run(stream);
+    expect(output.error).isFalsy();
+    expect(JSON.stringify(output.written)).is('[{"id":1,"name":"foo"},{"id":4,"name":"baz"}]');
+    expect(streamed.join()).is('0:true,1:false,2:false,3:true');
+    output = await run(shapeOf.stream(recordSchema, {returnsResults: true}));
+    expect(output.written.map(result => result.index + ':' + result.success).join()).is('0:true,1:false,2:false,3:true');
+    output = await run(shapeOf.stream(recordSchema, {maxFailures: 1}));
+    expect(output.written.length).is(1);
+    expect(output.error instanceof shapeOf.ValidationError).isTruthy();
+    expect(output.error.path).is('/1/id');
+})());
+
+
+
 // 
 // Results
 // 
  
  
-_console_log(`Results: ${passed} of ${(passed + failed)} passed.`);
-
-if (failed > 0)
-    process.exit(1);
\ No newline at end of file
+Promise.all(asyncTests).catch(error => {
+    tracer('\n\u001b[31mFailed\u001b[0m (asynchronous test)' +
+           '\n       error:    ' + error);
+    markFailed();
+}).then(() => {
+    _console_log(`Results (${testedEntry}): ${passed} of ${(passed + failed)} passed.`);
+
+    if (failed > 0)
+        process.exit(1);
+});
\ No newline at end of file